@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/**
+ * BigDeck AI command line entry point
+ *
+ * Usage:
+ *   bigdeck-ai mcp                    Serve the tools and knowledge base over MCP (stdio)
+ *   bigdeck-ai download-cards [type]  Save Scryfall bulk data for offline use
+ *                                     (oracle_cards, the default, or default_cards)
+ *   bigdeck-ai refresh-ban-list [bulk] Record ban list changes from Scryfall, or
+ *                                     from the offline card database
+ */
+
+const [command, ...args] = process.argv.slice(2);
+
+switch (command) {
+  case 'mcp': {
+    const { startStdioServer } = await import('../src/mcp/server.js');
+    await startStdioServer();
+    break;
+  }
+  case 'download-cards': {
+    const { cardDatabase } = await import('../src/integrations/cardDatabase.js');
+    const count = await cardDatabase.download(args[0] || 'oracle_cards');
+    console.log(`Saved ${count} cards to ${cardDatabase.file}`);
+    break;
+  }
+  case 'refresh-ban-list': {
+    const { banList } = await import('../src/data/banList.js');
+    const results = args[0] === 'bulk' ? await banList.refreshFromBulkFile() : await banList.refreshFromScryfall();
+    for (const { format, banned, unbanned, baseline } of results) {
+      console.log(baseline
+        ? `${format}: first refresh, ${banList.getBannedCards(format).length} cards banned`
+        : `${format}: ${banned.length} banned, ${unbanned.length} unbanned`);
+    }
+    break;
+  }
+  default:
+    console.error('Usage: bigdeck-ai mcp | bigdeck-ai download-cards [oracle_cards|default_cards] | bigdeck-ai refresh-ban-list [bulk]');
+    process.exit(command ? 1 : 0);
+}
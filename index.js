@@ -12,6 +12,7 @@
  * - **Utilities**: Deck analysis, validation, and optimization tools
  * - **Tool Schemas**: OpenAI function calling schemas
  * - **Tool Handlers**: Implementation of tool functions
+ * - **LLM Chat Runtime**: Provider-agnostic chat sessions with tool calling
  * - **Integrations**: Scryfall, EDHREC, Archidekt, TCGPlayer
  * 
  * @example
@@ -56,8 +57,12 @@ export {
 // Knowledge Base
 export { 
   commanderRules, 
-  isCardBanned, 
-  getFormattedRules 
+  getFormattedRules,
+  formats,
+  registerFormat,
+  getFormat,
+  resolveFormatId,
+  describeCommander
 } from './src/knowledge/commanderRules.js';
 export { 
   archetypes,
@@ -125,6 +130,8 @@ export {
   parseColorIdentity, 
   getColorIdentityString,
   isValidForCommander,
+  getManaSymbolColors,
+  getCardColorIdentity,
   getColorCombinationName,
   calculateColorDistribution,
   getRecommendedManaBase,
@@ -193,12 +200,57 @@ export {
 // Deck Validator
 export {
   parseDeckList,
+  parseDeckSections,
   validateParsedDeck,
   validateDeckList,
   removeDuplicates,
-  formatDeckList
+  formatDeckList,
+  isBasicLand,
+  DECK_ZONES
 } from './src/utils/deckValidator.js';
 
+// Printings (set, collector number, finish, condition, language)
+export {
+  FINISHES,
+  CONDITIONS,
+  LANGUAGES,
+  PRINTING_FIELDS,
+  normalizePrinting,
+  printingKey,
+  matchesPrinting,
+  pickPrinting,
+  describePrinting,
+  finishPrice,
+  cardPrice,
+  toInventoryCard,
+  valueInventory
+} from './src/utils/printings.js';
+
+// Card model (the card shape every analyzer reads)
+export {
+  cardNames,
+  toCard,
+  unknownCard,
+  copiesOf,
+  countCopies,
+  expandCopies
+} from './src/utils/cardModel.js';
+
+// Commander pairings (Partner, Friends forever, Backgrounds, Doctor's companion)
+export {
+  PAIRING_MECHANICS,
+  getPairingAbilities,
+  canPairCommanders,
+  getCommanderColorIdentity
+} from './src/utils/commanderPairing.js';
+
+// Cards that say a deck can have more copies (Relentless Rats, Seven Dwarves)
+export {
+  singletonExceptions,
+  readCopyLimit,
+  getCopyLimit
+} from './src/utils/singletonExceptions.js';
+
 // =============================================================================
 // TOOL SCHEMAS (OpenAI Function Calling)
 // =============================================================================
@@ -232,14 +284,41 @@ export {
   moveCardSchema,
   searchInventorySchema,
   createDeckSchema,
+  importDeckFromUrlSchema,
   addCardToDeckSchema,
   removeCardFromDeckSchema,
   getDecksSchema,
   deleteDeckSchema,
   recordSaleSchema,
-  getSalesSchema
+  getSalesSchema,
+  exportCollectionSchema,
+  exportDeckSchema,
+  confirmActionSchema,
+  undoLastActionSchema,
+  redoLastActionSchema
 } from './src/tools/schemas.js';
 
+// Tool format converters (Anthropic, Gemini, Ollama)
+export {
+  toAnthropicTools,
+  toGeminiTools,
+  toOllamaTools,
+  parseToolArguments,
+  normalizeOpenAIToolCalls,
+  normalizeAnthropicToolCalls,
+  normalizeGeminiToolCalls,
+  normalizeOllamaToolCalls,
+  toolCallNormalizers,
+  normalizeToolCalls
+} from './src/tools/formats.js';
+
+// Tool argument validation (zod)
+export {
+  jsonSchemaToZod,
+  toolArgValidators,
+  validateToolArgs
+} from './src/tools/validation.js';
+
 // =============================================================================
 // TOOL HANDLERS
 // =============================================================================
@@ -248,25 +327,132 @@ export {
 export {
   toolHandlers,
   executeTool,
+  findUnhandledTools,
+  DEFAULT_CONTEXT,
+  resolveToolContext,
+  // Read tool handlers
+  searchScryfallTool,
+  getCardPriceTool,
+  validateDeckTool,
+  checkBanImpactTool,
+  analyzeMoxfieldProfileTool,
+  analyzeMTGGoldfishProfileTool,
+  learnFromYoutubeTool,
+  suggestDeckTechsTool,
+  analyzeFormatMetaTool,
+  assessPowerLevelTool,
+  findSynergiesTool,
+  suggestWithBudgetTool,
+  analyzeDeckRatiosTool,
+  detectWinConditionsTool,
+  getEdhrecDataTool,
+  adaptToPlaygroupTool,
+  analyzeInteractionTool,
+  // Write tool handlers
   addCardToInventory,
   removeCardFromInventory,
   moveCard,
   searchInventory,
   createDeck,
+  importDeckFromUrlTool,
   addCardToDeck,
   removeCardFromDeck,
   getDecks,
   deleteDeck,
   recordSale,
-  getSales
+  getSales,
+  exportCollectionTool,
+  exportDeckTool,
+  confirmAction,
+  undoLastAction,
+  redoLastAction,
+  DESTRUCTIVE_TOOLS
 } from './src/tools/handlers.js';
 
+// =============================================================================
+// LLM CHAT RUNTIME
+// =============================================================================
+
+// Chat Session (provider-agnostic tool-calling loop)
+export {
+  createChatSession,
+  buildSystemPrompt
+} from './src/llm/chatSession.js';
+export {
+  providers,
+  getProvider
+} from './src/llm/providers.js';
+
+// MCP Server (Model Context Protocol over stdio)
+export {
+  mcpResources,
+  createMcpServer,
+  startStdioServer
+} from './src/mcp/server.js';
+
 // =============================================================================
 // DATA & UI
 // =============================================================================
 
 // Data Store
-export { store } from './src/data/store.js';
+export { store, DataStore } from './src/data/store.js';
+
+// Storage adapters (JSON file, in-memory, SQLite)
+export {
+  storageAdapters,
+  createStorageAdapter,
+  migrateLegacyData,
+  MemoryAdapter,
+  JsonFileAdapter,
+  SqliteAdapter
+} from './src/data/storage.js';
+
+// Collection import (Moxfield, Deckbox, ManaBox, TCGplayer, Archidekt CSV; MTGO and Cockatrice decks)
+export {
+  collectionFormats,
+  detectCollectionFormat,
+  parseCollectionCSV,
+  parseCondition,
+  parseLanguage,
+  parseFinish,
+  parseCollectorNumber,
+  importCollection,
+  parseMtgoDeck,
+  parseCockatriceDeck
+} from './src/data/importers.js';
+
+// Card enrichment (batched, cached Scryfall lookups)
+export {
+  cardIdentifier,
+  lookupCards,
+  enrichDecklist
+} from './src/data/enrichment.js';
+
+// Commander legality checks against real card data
+export {
+  validateCommanderDeck,
+  canBeCommander,
+  checkBanImpact,
+  COMMANDER_RULE_REFERENCES
+} from './src/data/commanderValidation.js';
+
+// Deck import from Moxfield, Archidekt, MTGGoldfish, TappedOut and Deckstats URLs
+export {
+  deckSites,
+  matchDeckUrl,
+  normalizeMoxfieldDeck,
+  normalizeArchidektDeck,
+  importDeckFromUrl
+} from './src/data/deckImport.js';
+
+// Collection and deck export (Moxfield, Deckbox, text, Arena, MTGO, Cockatrice)
+export {
+  exportFormats,
+  deckEntries,
+  exportCollection,
+  exportDeck
+} from './src/data/exporters.js';
+export { parseCSV, parseCSVRecords, formatCSV } from './src/utils/csv.js';
 
 // UI Messages
 export {
@@ -293,6 +479,19 @@ export {
   searchScryfall,
   getCardPrice
 } from './src/integrations/scryfall.js';
+export { httpCache, HttpCache } from './src/integrations/httpCache.js';
+export { httpRequest, limiterFor, parseRetryAfter, TokenBucket } from './src/integrations/httpClient.js';
+export {
+  IntegrationError,
+  NotFoundError,
+  RateLimitedError,
+  UpstreamError,
+  isUnavailable,
+  errorForResponse
+} from './src/integrations/errors.js';
+export { cardDatabase, CardDatabase } from './src/integrations/cardDatabase.js';
+export { banList, BanList, isCardBanned, getBannedCards } from './src/data/banList.js';
+export { parseScryfallQuery, sortCards } from './src/utils/scryfallQuery.js';
 export {
   getCommanderData,
   getPopularCards,
@@ -0,0 +1,145 @@
+/**
+ * Document Storage Adapter
+ * Base for adapters that keep each collection as a single document, in the
+ * layout of the original JSON data files:
+ *   inventory: { users: { [userId]: { cards: [] } } }
+ *   decks:     { users: { [userId]: { decks: [] } } }
+ *   sales:     { sales: [] }  (every sale carries its userId)
+ *
+ * Subclasses implement load(collection), save(collection, document),
+ * appendJournal(entry), loadJournal() and saveJournal(entries), and may
+ * override transaction().
+ */
+
+// Per-user array key for each collection; sales are one shared array
+export const COLLECTIONS = {
+  inventory: 'cards',
+  decks: 'decks',
+  sales: null
+};
+
+/**
+ * Throw for a collection the store doesn't know
+ * @param {string} collection - Collection name
+ */
+export function assertCollection(collection) {
+  if (!(collection in COLLECTIONS)) {
+    throw new Error(`Unknown collection: ${collection}. Supported: ${Object.keys(COLLECTIONS).join(', ')}`);
+  }
+}
+
+/**
+ * Empty document for a collection
+ * @param {string} collection - Collection name
+ * @returns {Object} Document with no records
+ */
+export function emptyDocument(collection) {
+  return collection === 'sales' ? { sales: [] } : { users: {} };
+}
+
+/**
+ * Get the array holding a user's records in a document
+ * @private
+ */
+function userRecords(document, collection, userId, create = false) {
+  if (collection === 'sales') return document.sales;
+
+  const key = COLLECTIONS[collection];
+  if (!document.users[userId]) {
+    if (!create) return [];
+    document.users[userId] = { [key]: [] };
+  }
+  return (document.users[userId][key] ??= []);
+}
+
+export class DocumentAdapter {
+  /**
+   * Run a read-modify-write cycle over some collections
+   * In-process calls can't interleave since the store is synchronous, so the
+   * base class just runs fn; adapters shared between processes lock.
+   * @param {Array<string>} collections - Collections fn reads and writes
+   * @param {Function} fn - Read-modify-write cycle
+   * @returns {*} fn's return value
+   */
+  transaction(collections, fn) {
+    return fn();
+  }
+
+  /**
+   * Get a user's records in a collection, in insertion order
+   * @param {string} collection - 'inventory', 'decks' or 'sales'
+   * @param {string} userId - User ID
+   * @returns {Array} Records (copies, safe to modify)
+   */
+  list(collection, userId) {
+    assertCollection(collection);
+    const records = userRecords(this.load(collection), collection, userId);
+    return collection === 'sales' ? records.filter(r => r.userId === userId) : records;
+  }
+
+  /**
+   * Get every user's records in a collection
+   * @param {string} collection - 'inventory', 'decks' or 'sales'
+   * @returns {Array} Records
+   */
+  listAll(collection) {
+    assertCollection(collection);
+    const document = this.load(collection);
+    if (collection === 'sales') return document.sales;
+    return Object.values(document.users).flatMap(user => user[COLLECTIONS[collection]] || []);
+  }
+
+  /**
+   * Apply a set of record changes
+   * A change with after = null deletes the record; otherwise the record with
+   * that id is replaced, or appended if it doesn't exist.
+   * @param {string} userId - User the records belong to
+   * @param {Array} changes - [{ collection, id, after }]
+   */
+  commit(userId, changes) {
+    const documents = {};
+
+    for (const change of changes) {
+      assertCollection(change.collection);
+      documents[change.collection] ??= this.load(change.collection);
+      const records = userRecords(documents[change.collection], change.collection, userId, true);
+      const idx = records.findIndex(r =>
+        r.id === change.id && (change.collection !== 'sales' || r.userId === userId)
+      );
+
+      if (change.after === null) {
+        if (idx !== -1) records.splice(idx, 1);
+      } else if (idx === -1) {
+        records.push(structuredClone(change.after));
+      } else {
+        records[idx] = structuredClone(change.after);
+      }
+    }
+
+    for (const [collection, document] of Object.entries(documents)) {
+      this.save(collection, document);
+    }
+  }
+
+  /**
+   * Get a user's journal entries, oldest first
+   * @param {string} userId - User ID
+   * @returns {Array} Journal entries
+   */
+  readJournal(userId) {
+    return this.loadJournal().filter(entry => entry.userId === userId);
+  }
+
+  /**
+   * Replace a user's journal entries, leaving other users' alone
+   * @param {string} userId - User ID
+   * @param {Function} fn - (entries) => replacement entries, oldest first
+   */
+  rewriteJournal(userId, fn) {
+    const journal = this.loadJournal();
+    const others = journal.filter(entry => entry.userId !== userId);
+    this.saveJournal([...others, ...fn(journal.filter(entry => entry.userId === userId))]);
+  }
+}
+
+export default DocumentAdapter;
@@ -0,0 +1,193 @@
+/**
+ * File Locking and Atomic Writes
+ * Cross-process helpers for the JSON file adapter. Locks are lock files
+ * created exclusively next to the file they guard, so separate processes
+ * (a chat session and the MCP server, say) can't interleave
+ * read-modify-write cycles.
+ */
+
+import fs from 'fs';
+
+const LOCK_TIMEOUT = 5000; // ms to wait for a lock before giving up
+const LOCK_STALE_AFTER = 30000; // ms after which a lock is presumed abandoned
+const RETRY_DELAY = 10;
+
+// Locks this process holds: file -> { count, token }, counted so nested
+// transactions re-enter
+const heldLocks = new Map();
+
+/**
+ * Block the thread briefly; the store API is synchronous
+ * @private
+ */
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Read who holds a lock: "<pid>:<random>", or just a pid from older versions
+ * @returns {string|null} The owner, or null if the lock is gone
+ * @private
+ */
+function readOwner(lockPath) {
+  try {
+    return fs.readFileSync(lockPath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Whether an existing lock file was left behind by a dead or stuck process
+ * @private
+ */
+function isStale(lockPath, owner) {
+  try {
+    const { mtimeMs } = fs.statSync(lockPath);
+    if (Date.now() - mtimeMs > LOCK_STALE_AFTER) return true;
+
+    const pid = parseInt(owner, 10);
+    if (pid && pid !== process.pid) process.kill(pid, 0);
+    return false;
+  } catch (error) {
+    // ESRCH: the owning process is gone. ENOENT: released meanwhile, retry.
+    return error.code === 'ESRCH';
+  }
+}
+
+/**
+ * Take over a stale lock
+ * Our lock file is renamed over the stale one, so there is never a moment
+ * without a lock file for a third process to create its own in. Two
+ * processes replacing the same stale lock both rename, so each reads the
+ * owner back afterwards and only the last one to rename keeps it.
+ * @returns {boolean} True if we now hold the lock
+ * @private
+ */
+function replaceStaleLock(lockPath, staleOwner, token) {
+  const tmpPath = `${lockPath}.${token.replace(':', '.')}.tmp`;
+  try {
+    fs.writeFileSync(tmpPath, token);
+    if (readOwner(lockPath) !== staleOwner) return false;
+    fs.renameSync(tmpPath, lockPath);
+  } finally {
+    fs.rmSync(tmpPath, { force: true });
+  }
+
+  // Let a process that saw the same stale lock finish its rename first
+  sleep(RETRY_DELAY);
+  return readOwner(lockPath) === token;
+}
+
+/**
+ * Acquire the lock for one file
+ * @private
+ */
+function acquire(file) {
+  const held = heldLocks.get(file);
+  if (held) {
+    held.count++;
+    return;
+  }
+
+  const lockPath = `${file}.lock`;
+  const token = `${process.pid}:${Math.random().toString(36).substr(2, 8)}`;
+  const deadline = Date.now() + LOCK_TIMEOUT;
+
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      fs.writeSync(fd, token);
+      fs.closeSync(fd);
+      heldLocks.set(file, { count: 1, token });
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const owner = readOwner(lockPath);
+    if (owner !== null && isStale(lockPath, owner)) {
+      if (replaceStaleLock(lockPath, owner, token)) {
+        heldLocks.set(file, { count: 1, token });
+        return;
+      }
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for lock on ${file}`);
+    }
+    sleep(RETRY_DELAY);
+  }
+}
+
+/**
+ * Release the lock for one file
+ * The lock file is only removed if it's still ours: a process that found us
+ * stuck may have taken it over.
+ * @private
+ */
+function release(file) {
+  const held = heldLocks.get(file);
+  if (held.count > 1) {
+    held.count--;
+    return;
+  }
+  heldLocks.delete(file);
+
+  const lockPath = `${file}.lock`;
+  if (readOwner(lockPath) === held.token) fs.rmSync(lockPath, { force: true });
+}
+
+/**
+ * Run fn while holding the locks for a set of files
+ * Locks are taken in sorted order so two callers can't deadlock.
+ * @param {Array<string>} files - Files to lock
+ * @param {Function} fn - Work to do under the locks
+ * @returns {*} fn's return value
+ */
+export function withFileLocks(files, fn) {
+  const ordered = [...new Set(files)].sort();
+  const acquired = [];
+
+  try {
+    for (const file of ordered) {
+      acquire(file);
+      acquired.push(file);
+    }
+    return fn();
+  } finally {
+    acquired.reverse().forEach(release);
+  }
+}
+
+/**
+ * Write a file atomically
+ * The data goes to a temp file that is flushed to disk and renamed over the
+ * target, so readers and crashes only ever see the old or the new content.
+ * The previous content is kept as file.bak unless backup is false.
+ * @param {string} file - Target path
+ * @param {string} data - File content
+ * @param {Object} options - { backup }
+ */
+export function writeFileAtomic(file, data, { backup = true } = {}) {
+  const tmpPath = `${file}.${process.pid}.${Math.random().toString(36).substr(2, 6)}.tmp`;
+
+  try {
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    if (backup && fs.existsSync(file)) fs.copyFileSync(file, `${file}.bak`);
+    fs.renameSync(tmpPath, file);
+  } catch (error) {
+    fs.rmSync(tmpPath, { force: true });
+    throw error;
+  }
+}
+
+export default withFileLocks;
@@ -0,0 +1,127 @@
+/**
+ * JSON File Storage Adapter
+ * Stores each collection as a JSON file (inventory.json, decks.json,
+ * sales.json) and the journal as journal.jsonl in the data directory.
+ * Nothing is created until the first write.
+ *
+ * Writes are atomic and keep the previous version as a .bak file, which
+ * load() falls back to if a file is corrupt. Transactions hold per-file
+ * locks so concurrent processes can't lose each other's updates.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DocumentAdapter, emptyDocument } from './documentAdapter.js';
+import { withFileLocks, writeFileAtomic } from './fileLock.js';
+
+export class JsonFileAdapter extends DocumentAdapter {
+  /**
+   * @param {Object} options - { dataDir }
+   */
+  constructor({ dataDir }) {
+    super();
+    if (!dataDir) throw new Error('JsonFileAdapter requires a dataDir');
+    this.dataDir = dataDir;
+    this.journalFile = path.join(dataDir, 'journal.jsonl');
+  }
+
+  filePath(collection) {
+    return path.join(this.dataDir, `${collection}.json`);
+  }
+
+  ensureDataDir() {
+    fs.mkdirSync(this.dataDir, { recursive: true });
+  }
+
+  /**
+   * Run fn with the collections' files locked
+   * @param {Array<string>} collections - Collections fn reads and writes
+   * @param {Function} fn - Read-modify-write cycle
+   * @returns {*} fn's return value
+   */
+  transaction(collections, fn) {
+    this.ensureDataDir();
+    return withFileLocks(collections.map(c => this.filePath(c)), fn);
+  }
+
+  load(collection) {
+    const file = this.filePath(collection);
+    if (!fs.existsSync(file)) return emptyDocument(collection);
+
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch {
+      return this.recover(file);
+    }
+  }
+
+  /**
+   * Restore a corrupt file from its last good copy
+   * The corrupt file is kept as file.corrupt for inspection.
+   * @param {string} file - Corrupt file
+   * @returns {Object} Recovered document
+   */
+  recover(file) {
+    return withFileLocks([file], () => {
+      const text = fs.readFileSync(file, 'utf-8');
+      try {
+        // Another process may have recovered it while we waited for the lock
+        return JSON.parse(text);
+      } catch {
+        // Still corrupt, restore below
+      }
+
+      let backup;
+      try {
+        backup = fs.readFileSync(`${file}.bak`, 'utf-8');
+        JSON.parse(backup);
+      } catch {
+        throw new Error(`${file} is corrupt and has no readable backup`);
+      }
+
+      fs.writeFileSync(`${file}.corrupt`, text);
+      writeFileAtomic(file, backup, { backup: false });
+      console.warn(`Recovered ${file} from its last good copy (corrupt file kept as ${path.basename(file)}.corrupt)`);
+      return JSON.parse(backup);
+    });
+  }
+
+  save(collection, document) {
+    this.ensureDataDir();
+    writeFileAtomic(this.filePath(collection), JSON.stringify(document, null, 2));
+  }
+
+  appendJournal(entry) {
+    this.ensureDataDir();
+    // Locked so an append can't land while the journal is being rewritten
+    withFileLocks([this.journalFile], () => {
+      fs.appendFileSync(this.journalFile, `${JSON.stringify(entry)}\n`);
+    });
+  }
+
+  rewriteJournal(userId, fn) {
+    this.ensureDataDir();
+    withFileLocks([this.journalFile], () => super.rewriteJournal(userId, fn));
+  }
+
+  saveJournal(entries) {
+    writeFileAtomic(this.journalFile, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''), { backup: false });
+  }
+
+  loadJournal() {
+    if (!fs.existsSync(this.journalFile)) return [];
+    return fs.readFileSync(this.journalFile, 'utf-8')
+      .split('\n')
+      .filter(Boolean)
+      .flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          // A torn final line from an interrupted append
+          return [];
+        }
+      });
+  }
+}
+
+export default JsonFileAdapter;
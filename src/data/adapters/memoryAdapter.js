@@ -0,0 +1,37 @@
+/**
+ * In-Memory Storage Adapter
+ * Keeps everything in process memory; nothing touches disk. Each instance is
+ * isolated, so tests can use a fresh store without sharing state.
+ */
+
+import { DocumentAdapter, emptyDocument } from './documentAdapter.js';
+
+export class MemoryAdapter extends DocumentAdapter {
+  constructor() {
+    super();
+    this.documents = {};
+    this.journal = [];
+  }
+
+  load(collection) {
+    return structuredClone(this.documents[collection] ?? emptyDocument(collection));
+  }
+
+  save(collection, document) {
+    this.documents[collection] = structuredClone(document);
+  }
+
+  appendJournal(entry) {
+    this.journal.push(structuredClone(entry));
+  }
+
+  loadJournal() {
+    return structuredClone(this.journal);
+  }
+
+  saveJournal(entries) {
+    this.journal = structuredClone(entries);
+  }
+}
+
+export default MemoryAdapter;
@@ -0,0 +1,148 @@
+/**
+ * SQLite Storage Adapter
+ * Stores one row per record, so large collections don't have to be parsed
+ * and rewritten as a whole on every change. Requires the optional
+ * better-sqlite3 package.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { assertCollection } from './documentAdapter.js';
+
+const require = createRequire(import.meta.url);
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS records (
+    collection TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    id TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (collection, user_id, id)
+  );
+  CREATE TABLE IF NOT EXISTS journal (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    entry TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS journal_user ON journal (user_id, seq);
+`;
+
+/**
+ * Load better-sqlite3, which is an optional dependency
+ * @private
+ */
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch {
+    throw new Error('SQLite storage requires the better-sqlite3 package: npm install better-sqlite3');
+  }
+}
+
+export class SqliteAdapter {
+  /**
+   * @param {Object} options - { dataDir, filename }
+   */
+  constructor({ dataDir, filename = 'bigdeck.db' }) {
+    if (!dataDir) throw new Error('SqliteAdapter requires a dataDir');
+    this.dataDir = dataDir;
+    this.file = path.join(dataDir, filename);
+    this.db = null;
+  }
+
+  /**
+   * Open the database on first use
+   * @private
+   */
+  connection() {
+    if (!this.db) {
+      const Database = loadDriver();
+      fs.mkdirSync(this.dataDir, { recursive: true });
+      this.db = new Database(this.file);
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('busy_timeout = 5000');
+      this.db.exec(SCHEMA);
+    }
+    return this.db;
+  }
+
+  /**
+   * Run fn in an immediate transaction, which takes the write lock up front
+   * so reads inside fn see no interleaved writes
+   * @param {Array<string>} collections - Unused; SQLite locks the whole database
+   * @param {Function} fn - Read-modify-write cycle
+   * @returns {*} fn's return value
+   */
+  transaction(collections, fn) {
+    return this.connection().transaction(fn).immediate();
+  }
+
+  list(collection, userId) {
+    assertCollection(collection);
+    return this.connection()
+      .prepare('SELECT data FROM records WHERE collection = ? AND user_id = ? ORDER BY rowid')
+      .all(collection, userId)
+      .map(row => JSON.parse(row.data));
+  }
+
+  listAll(collection) {
+    assertCollection(collection);
+    return this.connection()
+      .prepare('SELECT data FROM records WHERE collection = ? ORDER BY rowid')
+      .all(collection)
+      .map(row => JSON.parse(row.data));
+  }
+
+  commit(userId, changes) {
+    const db = this.connection();
+    const upsert = db.prepare(`
+      INSERT INTO records (collection, user_id, id, data) VALUES (?, ?, ?, ?)
+      ON CONFLICT (collection, user_id, id) DO UPDATE SET data = excluded.data
+    `);
+    const remove = db.prepare('DELETE FROM records WHERE collection = ? AND user_id = ? AND id = ?');
+
+    db.transaction(() => {
+      for (const change of changes) {
+        assertCollection(change.collection);
+        if (change.after === null) {
+          remove.run(change.collection, userId, change.id);
+        } else {
+          upsert.run(change.collection, userId, change.id, JSON.stringify(change.after));
+        }
+      }
+    })();
+  }
+
+  appendJournal(entry) {
+    this.connection()
+      .prepare('INSERT INTO journal (user_id, entry) VALUES (?, ?)')
+      .run(entry.userId, JSON.stringify(entry));
+  }
+
+  readJournal(userId) {
+    return this.connection()
+      .prepare('SELECT entry FROM journal WHERE user_id = ? ORDER BY seq')
+      .all(userId)
+      .map(row => JSON.parse(row.entry));
+  }
+
+  rewriteJournal(userId, fn) {
+    const db = this.connection();
+    db.transaction(() => {
+      const entries = fn(this.readJournal(userId));
+      db.prepare('DELETE FROM journal WHERE user_id = ?').run(userId);
+      entries.forEach(entry => this.appendJournal(entry));
+    })();
+  }
+
+  /**
+   * Close the database
+   */
+  close() {
+    this.db?.close();
+    this.db = null;
+  }
+}
+
+export default SqliteAdapter;
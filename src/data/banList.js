@@ -0,0 +1,301 @@
+/**
+ * Ban List History
+ * Which cards each format bans, and since when. The list is refreshed from
+ * Scryfall's legality data (or a local bulk-data file) and every difference
+ * from the last refresh is stored as a dated change, so isBanned can answer
+ * for any date. Every format in the registry (knowledge/commanderRules.js) is
+ * tracked. Commander starts from the built-in commanderRules.bannedCards; the
+ * other formats have no known list until their first refresh.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { config } from '../integrations/config.js';
+import { scryfall } from '../integrations/scryfall.js';
+import { cardDatabase, CardDatabase } from '../integrations/cardDatabase.js';
+import { NotFoundError } from '../integrations/errors.js';
+import { writeFileAtomic } from './adapters/fileLock.js';
+import { commanderRules, formats, getFormat } from '../knowledge/commanderRules.js';
+
+const nameKey = name => name.toLowerCase().trim();
+
+/**
+ * A date as YYYY-MM-DD
+ * @private
+ */
+const toDay = date => new Date(date ?? Date.now()).toISOString().slice(0, 10);
+
+export class BanList {
+  /**
+   * @param {string|null} file - JSON file the history is kept in; null keeps it in memory
+   */
+  constructor(file = config.banList.file) {
+    this.file = file;
+    this.baselines = new Map();
+    this.history = null;
+  }
+
+  /**
+   * Stored history, loaded from the file on first use
+   * @private
+   * @returns {Object} { changes, refreshes, baselines } - changes are { format,
+   *   card, status, date, source } in the order recorded; refreshes are
+   *   { [format]: { date, source } }; baselines are { [format]: { cards, date,
+   *   source } }, the list each format's first refresh found
+   */
+  load() {
+    if (!this.history) {
+      this.history = { changes: [], refreshes: {}, baselines: {} };
+      if (this.file && fs.existsSync(this.file)) {
+        try {
+          this.history = { ...this.history, ...JSON.parse(fs.readFileSync(this.file, 'utf8')) };
+        } catch (error) {
+          console.error('Ban list could not be loaded:', error.message);
+        }
+      }
+    }
+    return this.history;
+  }
+
+  /**
+   * Write the history to the file
+   * @private
+   */
+  save() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    writeFileAtomic(this.file, JSON.stringify(this.history, null, 2));
+  }
+
+  /**
+   * Track a format, with the cards it bans before its first refresh
+   * @param {string} format - Scryfall legality key (e.g. 'commander')
+   * @param {Array<string>} baseline - Card names banned since before tracking began
+   */
+  track(format, baseline = []) {
+    this.baselines.set(format, baseline);
+  }
+
+  /**
+   * Tracked baselines, starting with Commander's built-in list
+   * Read on use rather than at load: commanderRules.js re-exports
+   * isCardBanned from here, so its list may not exist yet when this loads.
+   * @private
+   */
+  getBaselines() {
+    return new Map([['commander', commanderRules.bannedCards], ...this.baselines]);
+  }
+
+  /**
+   * Formats being tracked: those given a baseline, and the legality of every
+   * registered format
+   * @returns {Array<string>} Scryfall legality keys
+   */
+  getFormats() {
+    const registered = Object.values(formats).map(format => format.legality).filter(Boolean);
+    return [...new Set([...this.getBaselines().keys(), ...registered])];
+  }
+
+  /**
+   * Whether a format's ban list is known: it has a baseline or has been refreshed
+   * @param {string} format - Scryfall legality key
+   * @returns {boolean} False until a refresh for formats without a baseline
+   */
+  isKnown(format) {
+    return this.getBaselines().has(format) || this.getLastRefresh(format) !== null;
+  }
+
+  /**
+   * A format's changes, oldest first, baseline included
+   * Baseline entries have date null: banned before tracking began. The
+   * baseline is the list the first refresh found, or the built-in one before that.
+   * @param {string} format - Scryfall legality key
+   * @returns {Array} { format, card, status, date, source }
+   */
+  getChanges(format) {
+    const history = this.load();
+    const stored = history.baselines[format];
+    const baseline = (stored ? stored.cards : this.getBaselines().get(format) || [])
+      .map(card => ({ format, card, status: 'banned', date: null, source: stored ? stored.source : 'builtin' }));
+    return [...baseline, ...history.changes.filter(change => change.format === format)];
+  }
+
+  /**
+   * Cards banned in a format on a date
+   * @param {string} format - Scryfall legality key
+   * @param {Object} options - { asOf } - date (Date or YYYY-MM-DD); defaults to today
+   * @returns {Array<string>} Card names, sorted
+   */
+  getBannedCards(format, { asOf = null } = {}) {
+    const day = toDay(asOf);
+    const status = new Map();
+    for (const change of this.getChanges(format)) {
+      if (change.date !== null && change.date > day) continue;
+      status.set(nameKey(change.card), change);
+    }
+    return [...status.values()]
+      .filter(change => change.status === 'banned')
+      .map(change => change.card)
+      .sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Whether a card was banned in a format on a date
+   * @param {string} cardName - Card name
+   * @param {string} format - Scryfall legality key
+   * @param {Object} options - { asOf } - date (Date or YYYY-MM-DD); defaults to today
+   * @returns {boolean} True if banned
+   */
+  isBanned(cardName, format, { asOf = null } = {}) {
+    const key = nameKey(cardName);
+    return this.getBannedCards(format, { asOf }).some(card => nameKey(card) === key);
+  }
+
+  /**
+   * When a format was last refreshed
+   * @param {string} format - Scryfall legality key
+   * @returns {Object|null} { date, source }, or null if it never was
+   */
+  getLastRefresh(format) {
+    return this.load().refreshes[format] || null;
+  }
+
+  /**
+   * The most recent change to a format's ban list
+   * @param {string} format - Scryfall legality key
+   * @returns {Object|null} { format, date, banned, unbanned }, or null if the
+   *   list hasn't changed since tracking began
+   */
+  getLatestChange(format) {
+    const changes = this.load().changes.filter(change => change.format === format);
+    if (!changes.length) return null;
+    const date = changes.reduce((latest, change) => change.date > latest ? change.date : latest, '');
+    const on = status => changes.filter(change => change.date === date && change.status === status).map(change => change.card);
+    return { format, date, banned: on('banned'), unbanned: on('unbanned') };
+  }
+
+  /**
+   * Record the cards a format bans now, storing what changed as of a date
+   * A format's first refresh only sets its baseline: the cards it bans were
+   * banned before tracking began, so nothing is recorded as a dated change,
+   * and differences from the built-in list aren't news either.
+   * @param {string} format - Scryfall legality key
+   * @param {Array<string>} cards - Every card the format bans
+   * @param {Object} options - { date, source } - date the change took effect
+   *   (defaults to today); source says where the list came from
+   * @returns {Object} { format, date, banned, unbanned, baseline } - the changes
+   *   recorded; baseline is true when this refresh set the baseline instead
+   */
+  record(format, cards, { date = null, source = 'manual' } = {}) {
+    const day = toDay(date);
+    const now = new Map(cards.map(card => [nameKey(card), card]));
+    const history = this.load();
+
+    if (!history.refreshes[format]) {
+      history.baselines[format] = { cards: [...now.values()], date: day, source };
+      history.refreshes[format] = { date: toDay(), source };
+      this.save();
+      return { format, date: day, banned: [], unbanned: [], baseline: true };
+    }
+
+    const before = this.getBannedCards(format, { asOf: day });
+    const banned = [...now.values()].filter(card => !before.some(old => nameKey(old) === nameKey(card)));
+    const unbanned = before.filter(card => !now.has(nameKey(card)));
+
+    history.changes.push(
+      ...banned.map(card => ({ format, card, status: 'banned', date: day, source })),
+      ...unbanned.map(card => ({ format, card, status: 'unbanned', date: day, source }))
+    );
+    history.refreshes[format] = { date: toDay(), source };
+    this.save();
+
+    return { format, date: day, banned, unbanned, baseline: false };
+  }
+
+  /**
+   * Refresh from Scryfall's card search (banned:<format>)
+   * @param {Object} options - { formats, date } - formats default to every tracked one
+   * @returns {Promise<Array>} One { format, date, banned, unbanned, baseline } per format (see record)
+   */
+  async refreshFromScryfall({ formats = this.getFormats(), date = null } = {}) {
+    const results = [];
+    for (const format of formats) {
+      const cards = [];
+      try {
+        for (let page = 1, more = true; more; page++) {
+          const response = await scryfall.request('/cards/search', { q: `banned:${format}`, page }, { resource: 'search' });
+          cards.push(...response.data.map(card => card.name));
+          more = response.has_more;
+        }
+      } catch (error) {
+        // Scryfall answers a search with no results with a 404
+        if (!(error instanceof NotFoundError)) throw error;
+      }
+      results.push(this.record(format, cards, { date, source: 'scryfall' }));
+    }
+    return results;
+  }
+
+  /**
+   * Refresh from a Scryfall bulk-data file's card legalities
+   * @param {Object} options - { file, formats, date } - file defaults to the
+   *   offline card database (see cardDatabase.js)
+   * @returns {Promise<Array>} One { format, date, banned, unbanned, baseline } per format (see record)
+   * @throws {Error} If there is no file to read
+   */
+  async refreshFromBulkFile({ file = null, formats = this.getFormats(), date = null } = {}) {
+    const database = file ? new CardDatabase(file) : cardDatabase;
+    if (file) await database.loadFile();
+    else if (!await database.open()) {
+      throw new Error(`No card database at ${database.file}; download one with "bigdeck-ai download-cards"`);
+    }
+
+    return formats.map(format => {
+      const cards = new Set(database.cards
+        .filter(card => card.legalities?.[format] === 'banned')
+        .map(card => card.name));
+      return this.record(format, [...cards], { date, source: 'bulk' });
+    });
+  }
+
+  /**
+   * Forget the loaded history; the next lookup reads the file again
+   */
+  unload() {
+    this.history = null;
+  }
+}
+
+// Export singleton instance
+export const banList = new BanList();
+
+/**
+ * Check if a card is banned in Commander, or another registered format
+ * @param {string} cardName - Card name to check
+ * @param {Object} options - { format, asOf } - format id, name or alias; asOf
+ *   asks about a past date (Date or YYYY-MM-DD) instead of today
+ * @returns {boolean|null} True if banned, or null if the format's ban list
+ *   isn't known yet and the card isn't on its own list
+ */
+export function isCardBanned(cardName, { format = 'commander', asOf = null } = {}) {
+  const { bannedCards, legality } = getFormat(format);
+  if (bannedCards.some(banned => banned.toLowerCase() === cardName.toLowerCase())) return true;
+  if (!legality) return false;
+  return banList.isKnown(legality) ? banList.isBanned(cardName, legality, { asOf }) : null;
+}
+
+/**
+ * Cards a format bans
+ * @param {string} name - Format id, name or alias (defaults to Commander)
+ * @param {Object} options - { asOf } - a past date instead of today
+ * @returns {Array<string>|null} Card names, sorted, or null if the format's
+ *   ban list isn't known yet
+ */
+export function getBannedCards(name = 'commander', { asOf = null } = {}) {
+  const { bannedCards, legality } = getFormat(name);
+  if (legality && !banList.isKnown(legality)) return null;
+  const tracked = legality ? banList.getBannedCards(legality, { asOf }) : [];
+  return [...new Set([...tracked, ...bannedCards])].sort((a, b) => a.localeCompare(b));
+}
+
+export default banList;
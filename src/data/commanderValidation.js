@@ -0,0 +1,286 @@
+/**
+ * Commander Deck Validation
+ * Checks a deck against the rules of its format (Commander unless it says
+ * otherwise, see the format registry in knowledge/commanderRules.js) using
+ * real card data: deck size, singleton, color identity, the ban list,
+ * Scryfall's legality for the format and whether the commander can be one.
+ * Every violation names the card and the rule it breaks.
+ */
+
+import { enrichDecklist } from './enrichment.js';
+import { store } from './store.js';
+import { banList, isCardBanned } from './banList.js';
+import { getFormat, resolveFormatId, describeCommander } from '../knowledge/commanderRules.js';
+import { getColorIdentityString, validateDeckColorIdentity } from '../utils/colorIdentity.js';
+import { canPairCommanders, getCommanderColorIdentity } from '../utils/commanderPairing.js';
+import { getCopyLimit } from '../utils/singletonExceptions.js';
+import { parseDeckSections, isBasicLand } from '../utils/deckValidator.js';
+
+/**
+ * Rule each kind of violation refers to (CR = Comprehensive Rules)
+ */
+export const COMMANDER_RULE_REFERENCES = {
+  deckSize: 'CR 903.5a',
+  singleton: 'CR 903.5b',
+  colorIdentity: 'CR 903.5c',
+  commander: 'CR 903.3',
+  partner: 'CR 702.124',
+  signatureSpell: 'Oathbreaker rules',
+  banned: 'Commander banned list',
+  notLegal: 'Commander legal card pool',
+};
+
+/**
+ * Rule a violation refers to in a format; variants share the Comprehensive
+ * Rules but have their own ban lists and card pools
+ * @private
+ */
+function ruleReference(type, format) {
+  if (type === 'banned') return `${format.name} banned list`;
+  if (type === 'notLegal') return `${format.name} legal card pool`;
+  return COMMANDER_RULE_REFERENCES[type];
+}
+
+/**
+ * Split a deck into its commanders and main deck
+ * Accepts deck list text, parseDeckSections output, or a stored deck
+ * ({ commanders, cards }), whose commanders may also be listed among its cards.
+ * Sideboard, maybeboard and companion cards are outside the 100.
+ * @private
+ */
+function readDeck(deck) {
+  if (typeof deck === 'string') return readDeck(parseDeckSections(deck));
+  if (deck.mainboard) {
+    return { commanders: deck.commanders || [], mainboard: deck.mainboard || [] };
+  }
+
+  const cards = (deck.cards || []).map(card => typeof card === 'string' ? { name: card, quantity: 1 } : card);
+  const commanders = cards.filter(card => card.zone === 'commander');
+  let mainboard = cards.filter(card => !card.zone || card.zone === 'mainboard');
+
+  const named = [].concat(deck.commanders || deck.commander || []);
+  if (!commanders.length) {
+    for (const commander of named) {
+      commanders.push({ name: commander, quantity: 1 });
+      const name = commander.toLowerCase();
+      mainboard = mainboard
+        .map(card => card.name.toLowerCase() === name ? { ...card, quantity: (card.quantity || 1) - 1 } : card)
+        .filter(card => card.quantity !== 0);
+    }
+  }
+
+  return { commanders, mainboard };
+}
+
+/**
+ * Whether a card can be a commander on its own (rule 903.3)
+ * Only the front face counts for double-faced cards. Cards Scryfall lists as
+ * restricted in the format (commander-only in Pauper Commander) always can.
+ * @param {Object} card - Card (see utils/cardModel.js)
+ * @param {string} formatName - Format id, name or alias (defaults to Commander)
+ * @returns {boolean} True for the format's commander types (legendary creatures
+ *   in Commander) and "can be your commander" cards
+ */
+export function canBeCommander(card, formatName = 'commander') {
+  const { commander, legality } = getFormat(formatName);
+  if (legality && card.legalities?.[legality] === 'restricted') return true;
+
+  const front = (card.type_line || '').split(' // ')[0];
+  const eligible = commander.types.some(type => new RegExp(`\\b${type}\\b`, 'i').test(front))
+    && (!commander.legendary || /\bLegendary\b/.test(front));
+  return (eligible || /can be your commander/i.test(card.oracle_text || ''))
+    && (!commander.rarity || card.rarity === commander.rarity);
+}
+
+/**
+ * Whether a card in the command zone is a signature spell rather than a commander
+ * @private
+ */
+const isSpell = card => /\b(Instant|Sorcery)\b/.test((card.type_line || '').split(' // ')[0]);
+
+/**
+ * Validate a Commander deck
+ * Cards are looked up through the enrichment pipeline, so land counts, color
+ * identity and legality come from Scryfall rather than from card names.
+ * Cards Scryfall doesn't know are listed in notFound and make the deck
+ * unverifiable (isValid: false) without being violations.
+ * @param {Object|string} deck - Deck list text, { commanders, mainboard } from
+ *   parseDeckSections, or a stored deck ({ commanders, cards, format })
+ * @param {Object} options - { format } - format id, name or alias; defaults to
+ *   the stored deck's format, then Commander
+ * @returns {Promise<Object>} { isValid, format, commanders, signatureSpell, pairing,
+ *   colorIdentity, totalCards, landCount, violations, notFound, warnings } -
+ *   signatureSpell is the Oathbreaker spell in the command zone; pairing is the
+ *   mechanic two commanders share (see PAIRING_MECHANICS); violations are
+ *   { card, type, rule, message }, with card null for deck-wide problems
+ */
+export async function validateCommanderDeck(deck, { format: formatName } = {}) {
+  const format = getFormat(formatName || deck.format || 'commander');
+  const zones = readDeck(deck);
+  const cards = await enrichDecklist([
+    ...zones.commanders.map(card => ({ ...card, zone: 'commander' })),
+    ...zones.mainboard.map(({ zone, ...card }) => card),
+  ]);
+  const commandZone = cards.filter(card => card.zone === 'commander');
+  const spells = format.commander.signatureSpell ? commandZone.filter(card => !card.notFound && isSpell(card)) : [];
+  const commanders = commandZone.filter(card => !spells.includes(card));
+  const mainboard = cards.filter(card => card.zone !== 'commander');
+  const known = cards.filter(card => !card.notFound);
+
+  const violations = [];
+  const warnings = [];
+  const violation = (card, type, message) =>
+    violations.push({ card: card ? card.name : null, type, rule: ruleReference(type, format), message });
+
+  // Deck size, commanders (and signature spell) included
+  const totalCards = cards.reduce((sum, card) => sum + card.quantity, 0);
+  if (totalCards !== format.deckSize) {
+    violation(null, 'deckSize', `Deck has ${totalCards} cards including commanders (needs exactly ${format.deckSize})`);
+  }
+
+  // Commanders, and the pairing of two
+  let pairing = null;
+  if (!commanders.length) {
+    violation(null, 'commander', 'Deck has no commander');
+  } else if (commanders.length === 2 && !format.commander.pairings) {
+    violation(null, 'commander', `Deck has 2 commanders (${format.name} allows only one)`);
+  } else if (commanders.length > 2) {
+    violation(null, 'commander', `Deck has ${commanders.length} commanders (at most two, with a pairing ability)`);
+  } else if (commanders.length === 2 && commanders.every(card => !card.notFound)) {
+    pairing = canPairCommanders(commanders[0], commanders[1]);
+    if (!pairing.valid) violation(null, 'partner', pairing.reason);
+  }
+  commanders
+    .filter(card => !card.notFound && !canBeCommander(card, format.id) && card.name !== pairing?.background)
+    .forEach(card => violation(card, 'commander', `${card.name} can't be a commander: it isn't ${describeCommander(format)}`));
+
+  // Oathbreaker's signature spell: one instant or sorcery beside the commander
+  if (format.commander.signatureSpell && spells.length !== 1) {
+    violation(null, 'signatureSpell', spells.length
+      ? `Deck has ${spells.length} signature spells (needs exactly one)`
+      : 'Deck has no signature spell (an instant or sorcery in the command zone)');
+  }
+
+  // Singleton, less the copies a card's own text allows
+  const exceptions = format.singletonExceptions.map(name => name.toLowerCase());
+  const copies = new Map();
+  for (const card of format.singleton ? cards : []) {
+    if (isBasicLand(card.name) || /\bBasic\b/.test(card.type_line) || exceptions.includes(card.name.toLowerCase())) continue;
+    const entry = copies.get(card.name.toLowerCase()) || { card, count: 0 };
+    entry.count += card.quantity;
+    copies.set(card.name.toLowerCase(), entry);
+  }
+  for (const { card, count } of copies.values()) {
+    const limit = getCopyLimit(card);
+    if (count <= limit) continue;
+    violation(card, 'singleton', limit === 1
+      ? `${card.name} appears ${count} times (only basic lands may have more than one copy)`
+      : `${card.name} appears ${count} times (a deck can have up to ${limit})`);
+  }
+
+  // Color identity, once every commander is known; a signature spell is held to it too
+  const colorIdentity = getCommanderColorIdentity(commanders);
+  if (commanders.length && commanders.every(card => !card.notFound)) {
+    const identity = getColorIdentityString(colorIdentity) || 'colorless';
+    const whose = commanders.length === 2 ? 'commanders\'' : 'commander\'s';
+    validateDeckColorIdentity([...spells, ...mainboard].filter(card => !card.notFound), colorIdentity).invalid
+      .forEach(({ name, colors }) => violation({ name }, 'colorIdentity',
+        `${name}'s color identity (${colors.join('')}) is outside the ${whose} (${identity})`));
+  }
+
+  // Ban list and Scryfall's legality for the format; restricted cards may
+  // only be commanders
+  for (const card of known) {
+    const legality = format.legality ? card.legalities[format.legality] : 'legal';
+    if (isCardBanned(card.name, { format: format.id }) === true || legality === 'banned') {
+      violation(card, 'banned', `${card.name} is banned in ${format.name}`);
+    } else if (legality === 'not_legal') {
+      violation(card, 'notLegal', `${card.name} isn't legal in ${format.name}`);
+    } else if (legality === 'restricted' && card.zone !== 'commander') {
+      violation(card, 'notLegal', `${card.name} can only be a commander in ${format.name}`);
+    }
+  }
+
+  // A format whose ban list was never refreshed is checked by Scryfall's legalities alone
+  if (format.legality && !banList.isKnown(format.legality)) {
+    const unchecked = known.filter(card => !card.legalities[format.legality]).map(card => card.name);
+    if (unchecked.length) {
+      warnings.push(`${format.name}'s ban list is unknown until it is refreshed, so ${unchecked.length === 1 ? '1 card' : `${unchecked.length} cards`} without Scryfall legality data weren't checked for bans: ${unchecked.join(', ')}`);
+    }
+  }
+
+  const landCount = mainboard
+    .filter(card => /\bLand\b/.test(card.type_line.split(' // ')[0]))
+    .reduce((sum, card) => sum + card.quantity, 0);
+  // Recommendations are for 100 cards
+  const expectedLands = Math.round((colorIdentity.length <= 1 ? 32 : 36) * format.deckSize / 100);
+  if (landCount < expectedLands - 5) {
+    warnings.push(`Deck may have too few lands: ${landCount} (recommended: ${expectedLands})`);
+  }
+
+  const notFound = cards.filter(card => card.notFound).map(card => card.name);
+  if (notFound.length) {
+    warnings.push(`Couldn't check ${notFound.length === 1 ? '1 card' : `${notFound.length} cards`} Scryfall doesn't know: ${notFound.join(', ')}`);
+  }
+
+  return {
+    isValid: violations.length === 0 && notFound.length === 0,
+    format: format.id,
+    commanders: commanders.map(card => card.name),
+    ...(format.commander.signatureSpell ? { signatureSpell: spells[0]?.name || null } : {}),
+    pairing: pairing?.valid ? pairing.mechanic : null,
+    colorIdentity,
+    totalCards,
+    landCount,
+    violations,
+    notFound,
+    warnings,
+  };
+}
+
+/**
+ * Find the stored decks the newest ban list change affects
+ * Each deck is checked against the latest change to its own format's list
+ * (see data/banList.js); a deck is affected when it holds a card that change
+ * banned.
+ * @param {string} userId - User ID
+ * @returns {Object} { changes, affectedDecks, message } - changes are the latest
+ *   { format, date, banned, unbanned } per format the user's decks use;
+ *   affectedDecks are { id, name, format, date, bannedCards }
+ */
+export function checkBanImpact(userId = 'default') {
+  const changes = new Map();
+  const affectedDecks = [];
+
+  for (const deck of store.getDecks(userId)) {
+    const formatId = resolveFormatId(deck.format);
+    const legality = formatId && getFormat(formatId).legality;
+    if (!legality) continue;
+
+    if (!changes.has(legality)) changes.set(legality, banList.getLatestChange(legality));
+    const change = changes.get(legality);
+    if (!change?.banned.length) continue;
+
+    const names = new Set([
+      ...[].concat(deck.commanders || deck.commander || []),
+      ...(deck.cards || []).map(card => typeof card === 'string' ? card : card.name),
+    ].map(name => name.toLowerCase()));
+    const bannedCards = change.banned.filter(card => names.has(card.toLowerCase()));
+    if (bannedCards.length) {
+      affectedDecks.push({ id: deck.id, name: deck.name, format: formatId, date: change.date, bannedCards });
+    }
+  }
+
+  const latest = [...changes.values()].filter(Boolean);
+  return {
+    changes: latest,
+    affectedDecks,
+    message: !latest.length
+      ? 'No ban list changes recorded for your decks\' formats yet'
+      : affectedDecks.length
+        ? `${affectedDecks.length === 1 ? '1 deck is' : `${affectedDecks.length} decks are`} affected by the latest ban list changes`
+        : 'None of your decks are affected by the latest ban list changes',
+  };
+}
+
+export default validateCommanderDeck;
@@ -0,0 +1,243 @@
+/**
+ * Deck Import from URLs
+ * Turn a pasted Moxfield, Archidekt, MTGGoldfish, TappedOut or Deckstats
+ * link into a saved deck. Each site's payload is normalized to one deck
+ * shape before it is stored.
+ */
+
+import { moxfield } from '../integrations/moxfield.js';
+import { fetchDeck as fetchArchidektDeck, parseDeckData as parseArchidektDeck } from '../integrations/archidekt.js';
+import { mtggoldfish } from '../integrations/mtggoldfish.js';
+import { httpCache } from '../integrations/httpCache.js';
+import { errorForResponse } from '../integrations/errors.js';
+import { parseDeckSections } from '../utils/deckValidator.js';
+import { cardIdentifier, lookupCards } from './enrichment.js';
+import { store } from './store.js';
+
+/**
+ * Fetch a deck site's plain-text export
+ * @private
+ */
+async function fetchText(url) {
+  const response = await httpCache.fetch(url, {
+    resource: 'deck',
+    headers: { 'User-Agent': 'BigDeckAI/1.0 (Educational deck builder)' },
+    service: 'Deck download',
+  });
+  if (!response.ok) {
+    throw errorForResponse('Deck download', { ...response, url });
+  }
+  return response.text;
+}
+
+/**
+ * Keep the printing fields a site gave us, dropping empty ones
+ * @private
+ */
+const deckCard = ({ name, quantity, set, collectorNumber, finish }) => ({
+  name,
+  quantity: quantity || 1,
+  ...(set ? { set: set.toLowerCase() } : {}),
+  ...(collectorNumber ? { collectorNumber: String(collectorNumber) } : {}),
+  ...(finish && finish !== 'nonfoil' ? { finish } : {}),
+});
+
+/**
+ * Normalize a parsed text export; companions are kept with the sideboard
+ * @private
+ */
+function fromText(text, fallbackName) {
+  const sections = parseDeckSections(text);
+  return {
+    name: sections.name || fallbackName,
+    format: sections.commanders.length ? 'commander' : null,
+    commanders: sections.commanders.map(deckCard),
+    mainboard: sections.mainboard.map(deckCard),
+    sideboard: [...sections.companions, ...sections.sideboard].map(deckCard),
+  };
+}
+
+/**
+ * Normalize a Moxfield deck; handles both the v2 shape (boards as top-level
+ * objects keyed by card name) and the newer boards: { mainboard: { cards } }
+ * @param {Object} data - Moxfield deck JSON
+ * @returns {Object} Canonical deck
+ */
+export function normalizeMoxfieldDeck(data) {
+  const board = name => Object.values(data.boards?.[name]?.cards ?? data[name] ?? {})
+    .filter(entry => entry.card?.name)
+    .map(entry => deckCard({
+      name: entry.card.name,
+      quantity: entry.quantity,
+      set: entry.card.set,
+      collectorNumber: entry.card.cn ?? entry.card.collector_number,
+      finish: entry.finish === 'etched' ? 'etched' : (entry.finish === 'foil' || entry.isFoil ? 'foil' : 'nonfoil'),
+    }));
+
+  return {
+    name: data.name,
+    format: data.format || null,
+    commanders: board('commanders'),
+    mainboard: board('mainboard'),
+    sideboard: [...board('companions'), ...board('sideboard')],
+  };
+}
+
+/**
+ * Normalize an Archidekt deck; cards in categories left out of the deck
+ * (the maybeboard) are dropped, except the sideboard, which Archidekt also
+ * leaves out. A payload without cards gives an empty deck.
+ * @param {Object} data - Archidekt deck JSON
+ * @returns {Object} Canonical deck
+ */
+export function normalizeArchidektDeck(data) {
+  const parsed = parseArchidektDeck(data);
+  if (!parsed) return { name: data?.name ?? null, format: null, commanders: [], mainboard: [], sideboard: [] };
+
+  const { name, decklist } = parsed;
+  const inCategory = category => card => card.categories.includes(category);
+  const cards = decklist.filter(card => card.inDeck || inCategory('Sideboard')(card));
+
+  return {
+    name,
+    format: cards.some(inCategory('Commander')) ? 'commander' : null,
+    commanders: cards.filter(inCategory('Commander')).map(deckCard),
+    mainboard: cards.filter(card => !inCategory('Commander')(card) && !inCategory('Sideboard')(card)).map(deckCard),
+    sideboard: cards.filter(card => !inCategory('Commander')(card) && inCategory('Sideboard')(card)).map(deckCard),
+  };
+}
+
+/**
+ * Supported deck sites
+ * pattern matches the deck URL; load(match) fetches the site's payload and
+ * normalize(payload, match) turns it into { name, format, commanders,
+ * mainboard, sideboard }. Normalizers are pure, so recorded payloads can be
+ * replayed through them.
+ */
+export const deckSites = {
+  moxfield: {
+    name: 'Moxfield',
+    pattern: /moxfield\.com\/decks\/([a-zA-Z0-9_-]+)/,
+    load: match => moxfield.getDeck(match[1]),
+    normalize: normalizeMoxfieldDeck,
+  },
+  archidekt: {
+    name: 'Archidekt',
+    pattern: /archidekt\.com\/decks\/([0-9]+)/,
+    load: match => fetchArchidektDeck(match[1]),
+    normalize: normalizeArchidektDeck,
+  },
+  mtggoldfish: {
+    name: 'MTGGoldfish',
+    pattern: /mtggoldfish\.com\/deck\/(?:download\/)?([0-9]+)/,
+    load: match => mtggoldfish.getDeckText(match[1]),
+    normalize: (text, match) => fromText(text, `MTGGoldfish deck ${match[1]}`),
+  },
+  tappedout: {
+    name: 'TappedOut',
+    pattern: /tappedout\.net\/mtg-decks\/([a-zA-Z0-9_-]+)/,
+    load: match => fetchText(`https://tappedout.net/mtg-decks/${match[1]}/?fmt=txt`),
+    normalize: (text, match) => fromText(text, match[1].replace(/-/g, ' ')),
+  },
+  deckstats: {
+    name: 'Deckstats',
+    pattern: /deckstats\.net\/decks\/([0-9]+)\/([0-9]+)(?:-([a-zA-Z0-9_-]+))?/,
+    load: match => fetchText(`https://deckstats.net/decks/${match[1]}/${match[2]}?export_txt=1`),
+    normalize: (text, match) => fromText(text, match[3] ? match[3].replace(/-/g, ' ') : `Deckstats deck ${match[2]}`),
+  },
+};
+
+/**
+ * Work out which site a deck URL points to
+ * @param {string} url - Deck URL
+ * @returns {Object|null} { site, match } - site is a deckSites key
+ */
+export function matchDeckUrl(url) {
+  for (const [site, { pattern }] of Object.entries(deckSites)) {
+    const match = url.match(pattern);
+    if (match) return { site, match };
+  }
+  return null;
+}
+
+/**
+ * Import a deck from a deck-site URL and save it
+ * Commanders are saved as the deck's commanders and as
+ * cards in the commander zone; sideboard cards are saved with zone
+ * 'sideboard'. The deck records the URL it came from.
+ * @param {string} url - Moxfield, Archidekt, MTGGoldfish, TappedOut or Deckstats deck URL
+ * @param {Object} options - { userId, name, load, signal }
+ *   name overrides the site's deck name; load(site, match) replaces the
+ *   network fetch, e.g. to replay a recorded payload; once signal aborts
+ *   the deck isn't saved
+ * @returns {Promise<Object>} { success, deck, notFound, message, changes } - notFound
+ *   lists card names Scryfall doesn't know
+ */
+export async function importDeckFromUrl(url, { userId = 'default', name = null, load = null, signal = null } = {}) {
+  const found = matchDeckUrl(url);
+  if (!found) {
+    return {
+      success: false,
+      message: `Unsupported deck URL. Supported sites: ${Object.values(deckSites).map(s => s.name).join(', ')}`
+    };
+  }
+
+  const site = deckSites[found.site];
+  let payload;
+  try {
+    payload = await (load ? load(found.site, found.match) : site.load(found.match));
+  } catch (error) {
+    return { success: false, message: `Couldn't fetch the deck from ${site.name}: ${error.message}` };
+  }
+
+  // A site can answer with a shape the normalizer doesn't expect
+  let deck;
+  try {
+    deck = site.normalize(payload, found.match);
+  } catch (error) {
+    return { success: false, message: `Couldn't read the deck from ${site.name}: ${error.message}` };
+  }
+  if (!deck.commanders.length && !deck.mainboard.length) {
+    return { success: false, message: `The ${site.name} deck is empty` };
+  }
+
+  const cards = [
+    ...deck.commanders.map(card => ({ ...card, zone: 'commander' })),
+    ...deck.mainboard,
+    ...deck.sideboard.map(card => ({ ...card, zone: 'sideboard' }))
+  ];
+
+  // Fill in mana cost and type the way add_card_to_deck does, in one batch;
+  // the deck is still saved if Scryfall can't be reached
+  let cardData = [];
+  try {
+    cardData = await lookupCards(cards.map(cardIdentifier));
+  } catch (error) {
+    // Save without card data
+  }
+  const notFound = cardData.length ? cards.filter((card, index) => !cardData[index]).map(card => card.name) : [];
+
+  signal?.throwIfAborted();
+  const deckName = name || deck.name || `${site.name} deck`;
+  const result = store.createDeck(userId, {
+    name: deckName,
+    commanders: deck.commanders.map(card => card.name),
+    format: deck.format || (deck.commanders.length ? 'commander' : 'constructed'),
+    cards: cards.map((card, index) => cardData[index] ? {
+      ...card,
+      manaCost: cardData[index].mana_cost,
+      type: cardData[index].type_line
+    } : card),
+    source: { site: found.site, url }
+  });
+
+  const count = zoneCards => zoneCards.reduce((sum, card) => sum + card.quantity, 0);
+  const mainCount = count(deck.commanders) + count(deck.mainboard);
+  const message = `Imported "${deckName}" from ${site.name}: ` +
+    `${mainCount} card${mainCount === 1 ? '' : 's'}` +
+    (deck.sideboard.length ? ` and ${count(deck.sideboard)} in the sideboard` : '') +
+    (notFound.length ? `; not found on Scryfall: ${notFound.join(', ')}` : '');
+  return { ...result, notFound, message };
+}
+
+export default importDeckFromUrl;
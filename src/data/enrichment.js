@@ -0,0 +1,60 @@
+/**
+ * Card Enrichment
+ * Turn parsed deck entries ({ quantity, name }) into full Cards (see
+ * utils/cardModel.js) that every analyzer can read. Names are looked up on
+ * Scryfall in batches, through its shared card cache.
+ */
+
+import { scryfall } from '../integrations/scryfall.js';
+import { toCard, unknownCard } from '../utils/cardModel.js';
+
+/**
+ * Pick the most specific Scryfall identifier for a deck entry or import row
+ * @param {Object} entry - { name, scryfallId, set, collectorNumber }; the
+ *   number may also be given as Scryfall's collector_number
+ * @returns {Object|null} Scryfall identifier, or null if the entry has
+ *   neither a name, an id nor a set and number
+ */
+export function cardIdentifier(entry) {
+  const collectorNumber = entry.collectorNumber ?? entry.collector_number;
+  if (entry.scryfallId) return { id: entry.scryfallId };
+  if (entry.set && collectorNumber) {
+    return { set: entry.set.toLowerCase(), collector_number: String(collectorNumber) };
+  }
+  if (!entry.name) return null;
+  if (entry.set) return { name: entry.name, set: entry.set.toLowerCase() };
+  return { name: entry.name };
+}
+
+/**
+ * Look up cards on Scryfall
+ * Cards are fetched in batches through scryfall.findCards, which caches
+ * them, so a name is only requested once while its prices are current.
+ * @param {Array<Object|null>} identifiers - Scryfall identifiers (see cardIdentifier)
+ * @returns {Promise<Array>} Scryfall card for each identifier, or null if not
+ *   found or the identifier is null
+ */
+export async function lookupCards(identifiers) {
+  if (!identifiers.some(Boolean)) return identifiers.map(() => null);
+  const { cards } = await scryfall.findCards(identifiers);
+  return cards;
+}
+
+/**
+ * Enrich a decklist with Scryfall card data
+ * Entries may be names or objects from parseDeckList / parseDeckSections;
+ * their quantity, zone and printing are kept. Names Scryfall doesn't know
+ * come back as empty Cards flagged notFound.
+ * @param {Array<Object|string>} cards - Deck entries
+ * @returns {Promise<Array>} Cards, in the same order
+ */
+export async function enrichDecklist(cards) {
+  const entries = cards.map(card => typeof card === 'string' ? { name: card, quantity: 1 } : card);
+  const found = await lookupCards(entries.map(cardIdentifier));
+
+  return entries.map((entry, index) =>
+    found[index] ? toCard(found[index], entry) : unknownCard(entry)
+  );
+}
+
+export default enrichDecklist;
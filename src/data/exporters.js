@@ -0,0 +1,205 @@
+/**
+ * Collection and Deck Exporters
+ * Write the inventory or a deck in formats other apps read: Moxfield and
+ * Deckbox CSV, plain text, MTG Arena, MTGO .dek and Cockatrice .cod. Each
+ * output reads back through the matching importer (importers.js or
+ * parseDeckList).
+ */
+
+import { formatCSV } from '../utils/csv.js';
+import { formatDeckList } from '../utils/deckValidator.js';
+import { LANGUAGES, normalizePrinting } from '../utils/printings.js';
+import { store } from './store.js';
+
+// Condition names as Moxfield and Deckbox write them
+const MOXFIELD_CONDITIONS = {
+  NM: 'Near Mint',
+  LP: 'Lightly Played',
+  MP: 'Moderately Played',
+  HP: 'Heavily Played',
+  DMG: 'Damaged',
+};
+const DECKBOX_CONDITIONS = {
+  NM: 'Near Mint',
+  LP: 'Good (Lightly Played)',
+  MP: 'Played',
+  HP: 'Heavily Played',
+  DMG: 'Poor',
+};
+
+const escapeXml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Merge entries with the same name and zone, for formats that don't record
+ * finish, condition or language. With sets, copies from different sets
+ * stay apart, as Arena lists them.
+ * @private
+ */
+function mergeEntries(entries, { sets = false } = {}) {
+  const merged = new Map();
+  for (const entry of entries) {
+    const printing = sets && entry.set && entry.collectorNumber
+      ? { set: entry.set, collectorNumber: entry.collectorNumber }
+      : {};
+    const key = [entry.zone || 'mainboard', entry.name.toLowerCase(), printing.set, printing.collectorNumber].join('|');
+    const existing = merged.get(key);
+    if (existing) existing.quantity += entry.quantity || 1;
+    else merged.set(key, { name: entry.name, zone: entry.zone, quantity: entry.quantity || 1, ...printing });
+  }
+  return [...merged.values()];
+}
+
+/**
+ * Export formats
+ * write(entries, { name }) gets cards of { name, quantity, zone, set, setName,
+ * collectorNumber, finish, condition, language } and returns the file text.
+ */
+export const exportFormats = {
+  moxfield: {
+    name: 'Moxfield CSV',
+    extension: 'csv',
+    write: entries => formatCSV([
+      ['Count', 'Tradelist Count', 'Name', 'Edition', 'Condition', 'Language', 'Foil', 'Tags',
+        'Last Modified', 'Collector Number', 'Alter', 'Proxy', 'Purchase Price'],
+      ...entries.map(entry => {
+        const printing = normalizePrinting(entry);
+        return [
+          entry.quantity || 1, 0, entry.name, printing.set, MOXFIELD_CONDITIONS[printing.condition],
+          LANGUAGES[printing.language] || printing.language, printing.finish === 'nonfoil' ? '' : printing.finish,
+          '', '', printing.collectorNumber, 'False', 'False', ''
+        ];
+      })
+    ]),
+  },
+  deckbox: {
+    name: 'Deckbox CSV',
+    extension: 'csv',
+    // Deckbox has no etched finish, so etched cards export as foil
+    write: entries => formatCSV([
+      ['Count', 'Tradelist Count', 'Name', 'Edition', 'Edition Code', 'Card Number', 'Condition',
+        'Language', 'Foil', 'Signed', 'Artist Proof', 'Altered Art', 'Misprint', 'Promo', 'Textless', 'My Price'],
+      ...entries.map(entry => {
+        const printing = normalizePrinting(entry);
+        return [
+          entry.quantity || 1, 0, entry.name, entry.setName, printing.set, printing.collectorNumber,
+          DECKBOX_CONDITIONS[printing.condition], LANGUAGES[printing.language] || printing.language,
+          printing.finish === 'nonfoil' ? '' : 'foil', '', '', '', '', '', '', ''
+        ];
+      })
+    ]),
+  },
+  text: {
+    name: 'Plain text',
+    extension: 'txt',
+    write: entries => `${formatDeckList(mergeEntries(entries))}\n`,
+  },
+  arena: {
+    name: 'MTG Arena',
+    extension: 'txt',
+    write: entries => `${formatDeckList(mergeEntries(entries, { sets: true }), { format: 'arena' })}\n`,
+  },
+  // MTGO and Cockatrice files only have a main deck and a sideboard, so
+  // commanders and companions are exported in the sideboard (and read back
+  // from there) and maybeboards are left out
+  mtgo: {
+    name: 'MTGO .dek',
+    extension: 'dek',
+    write: entries => [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      '<Deck xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+      '  <NetDeckID>0</NetDeckID>',
+      '  <PreconstructedDeckID>0</PreconstructedDeckID>',
+      ...mergeEntries(entries)
+        .filter(entry => entry.zone !== 'maybeboard')
+        .map(entry => `  <Cards CatID="0" Quantity="${entry.quantity}" ` +
+          `Sideboard="${Boolean(entry.zone && entry.zone !== 'mainboard')}" ` +
+          `Name="${escapeXml(entry.name)}" Annotation="0" />`),
+      '</Deck>',
+      ''
+    ].join('\n'),
+  },
+  cockatrice: {
+    name: 'Cockatrice .cod',
+    extension: 'cod',
+    write: (entries, { name = '' } = {}) => {
+      const cards = mergeEntries(entries).filter(entry => entry.zone !== 'maybeboard');
+      const zone = (zoneName, zoneCards) => zoneCards.length ? [
+        `  <zone name="${zoneName}">`,
+        ...zoneCards.map(entry => `    <card number="${entry.quantity}" name="${escapeXml(entry.name)}"/>`),
+        '  </zone>'
+      ] : [];
+      return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<cockatrice_deck version="1">',
+        `  <deckname>${escapeXml(name)}</deckname>`,
+        '  <comments></comments>',
+        ...zone('main', cards.filter(entry => !entry.zone || entry.zone === 'mainboard')),
+        ...zone('side', cards.filter(entry => entry.zone && entry.zone !== 'mainboard')),
+        '</cockatrice_deck>',
+        ''
+      ].join('\n');
+    },
+  },
+};
+
+/**
+ * Look up an export format
+ * @private
+ */
+function getExportFormat(format) {
+  const exporter = exportFormats[format];
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${format}. Supported: ${Object.keys(exportFormats).join(', ')}`);
+  }
+  return exporter;
+}
+
+/**
+ * A deck's cards with the commander in the commander zone
+ * Decks store their commanders by name; cards already in the commander zone
+ * aren't repeated.
+ * @param {Object} deck - Deck from DataStore
+ * @returns {Array} Cards of { name, quantity, zone, ... }
+ */
+export function deckEntries(deck) {
+  const cards = deck.cards || [];
+  const commanders = [].concat(deck.commanders || deck.commander || [])
+    .filter(name => !cards.some(c => c.zone === 'commander' && c.name.toLowerCase() === name.toLowerCase()))
+    .map(name => ({ name, quantity: 1, zone: 'commander' }));
+  return [...commanders, ...cards];
+}
+
+/**
+ * Export a user's inventory
+ * @param {string} userId - User ID
+ * @param {string} format - Key in exportFormats
+ * @returns {string} File contents
+ */
+export function exportCollection(userId = 'default', format = 'moxfield') {
+  const exporter = getExportFormat(format);
+  return exporter.write(store.getInventory(userId), { name: 'Collection' });
+}
+
+/**
+ * Export a deck
+ * @param {string} deckId - Deck ID or name
+ * @param {string} format - Key in exportFormats
+ * @param {Object} options - { userId }
+ * @returns {string} File contents
+ */
+export function exportDeck(deckId, format = 'text', { userId = 'default' } = {}) {
+  const exporter = getExportFormat(format);
+  const deck = store.getDeck(userId, deckId);
+  if (!deck) throw new Error(`Deck "${deckId}" not found`);
+  return exporter.write(deckEntries(deck), { name: deck.name });
+}
+
+export default {
+  exportFormats,
+  exportCollection,
+  exportDeck,
+};
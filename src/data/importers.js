@@ -0,0 +1,443 @@
+/**
+ * Collection Importers
+ * Import collection CSV exports from Moxfield, Deckbox, ManaBox, TCGplayer
+ * and Archidekt into the inventory. Each app names its columns and spells
+ * finishes, conditions and languages its own way; the dialects below map
+ * them onto our printing fields. Also reads MTGO .dek and Cockatrice .cod
+ * deck files.
+ */
+
+import { parseCSVRecords } from '../utils/csv.js';
+import { LANGUAGES, printingKey, toInventoryCard } from '../utils/printings.js';
+import { cardNames } from '../utils/cardModel.js';
+import { scryfall } from '../integrations/scryfall.js';
+import { cardIdentifier, lookupCards } from './enrichment.js';
+import { store } from './store.js';
+
+// Condition names used across apps, lower-cased
+const CONDITION_NAMES = {
+  'mint': 'NM',
+  'near mint': 'NM',
+  'near_mint': 'NM',
+  'nm': 'NM',
+  'm': 'NM',
+  'lightly played': 'LP',
+  'light played': 'LP',
+  'slightly played': 'LP',
+  'good (lightly played)': 'LP',
+  'excellent': 'LP',
+  'lp': 'LP',
+  'sp': 'LP',
+  'ex': 'LP',
+  'moderately played': 'MP',
+  'played': 'MP',
+  'good': 'MP',
+  'mp': 'MP',
+  'pl': 'MP',
+  'heavily played': 'HP',
+  'hp': 'HP',
+  'damaged': 'DMG',
+  'poor': 'DMG',
+  'dmg': 'DMG',
+  'po': 'DMG',
+};
+
+// Language spellings that aren't a Scryfall code or name
+const LANGUAGE_ALIASES = {
+  'jp': 'ja',
+  'kr': 'ko',
+  'cn': 'zhs',
+  'cs': 'zhs',
+  'ct': 'zht',
+  'tw': 'zht',
+  'chinese': 'zhs',
+  'simplified chinese': 'zhs',
+  'traditional chinese': 'zht',
+  'portuguese (brazil)': 'pt',
+};
+
+const hasColumns = (headers, ...names) => {
+  const present = new Set(headers.map(header => header.toLowerCase()));
+  return names.every(name => present.has(name.toLowerCase()));
+};
+
+/**
+ * Collection CSV dialects, in detection order
+ * columns maps each of our fields to the app's column name(s); conditions
+ * overrides CONDITION_NAMES where the app uses a word differently.
+ */
+export const collectionFormats = {
+  manabox: {
+    name: 'ManaBox',
+    detect: headers => hasColumns(headers, 'ManaBox ID') || hasColumns(headers, 'Set code', 'Set name'),
+    columns: {
+      quantity: 'Quantity',
+      name: 'Name',
+      set: 'Set code',
+      setName: 'Set name',
+      collectorNumber: 'Collector number',
+      finish: 'Foil',
+      condition: 'Condition',
+      language: 'Language',
+      scryfallId: 'Scryfall ID',
+    },
+    // ManaBox uses Cardmarket grading, where "light played" is a step below excellent
+    conditions: { 'light_played': 'MP', 'played': 'HP' },
+  },
+  tcgplayer: {
+    name: 'TCGplayer',
+    detect: headers => hasColumns(headers, 'Simple Name') || hasColumns(headers, 'Printing', 'Product ID'),
+    columns: {
+      quantity: 'Quantity',
+      name: ['Simple Name', 'Name'],
+      set: 'Set Code',
+      setName: 'Set',
+      collectorNumber: 'Card Number',
+      finish: 'Printing',
+      condition: 'Condition',
+      language: 'Language',
+    },
+  },
+  archidekt: {
+    name: 'Archidekt',
+    detect: headers => hasColumns(headers, 'Edition Name') || hasColumns(headers, 'Quantity', 'Finish'),
+    columns: {
+      quantity: 'Quantity',
+      name: 'Name',
+      set: 'Edition Code',
+      setName: 'Edition Name',
+      collectorNumber: 'Collector Number',
+      finish: 'Finish',
+      condition: 'Condition',
+      language: 'Language',
+      scryfallId: ['Scryfall ID', 'Scryfall Id'],
+    },
+  },
+  deckbox: {
+    name: 'Deckbox',
+    detect: headers => hasColumns(headers, 'Count', 'Edition') &&
+      (hasColumns(headers, 'Card Number') || hasColumns(headers, 'Edition Code') || hasColumns(headers, 'Signed')),
+    columns: {
+      quantity: 'Count',
+      name: 'Name',
+      set: 'Edition Code',
+      setName: 'Edition',
+      collectorNumber: 'Card Number',
+      finish: 'Foil',
+      condition: 'Condition',
+      language: 'Language',
+    },
+  },
+  moxfield: {
+    name: 'Moxfield',
+    detect: headers => hasColumns(headers, 'Count', 'Name', 'Edition'),
+    columns: {
+      quantity: 'Count',
+      name: 'Name',
+      set: 'Edition',
+      collectorNumber: 'Collector Number',
+      finish: 'Foil',
+      condition: 'Condition',
+      language: 'Language',
+    },
+  },
+};
+
+/**
+ * Work out which app a collection CSV came from
+ * @param {Array<string>} headers - CSV header row
+ * @returns {string|null} Key in collectionFormats, or null if unrecognised
+ */
+export function detectCollectionFormat(headers) {
+  return Object.keys(collectionFormats).find(key => collectionFormats[key].detect(headers)) || null;
+}
+
+/**
+ * Map a condition as written by another app to NM, LP, MP, HP or DMG
+ * Unrecognised conditions are treated as Near Mint.
+ * @param {string} value - Condition text, e.g. "Lightly Played" or "near_mint"
+ * @param {Object} overrides - Dialect-specific condition names
+ * @returns {string} Condition
+ */
+export function parseCondition(value, overrides = {}) {
+  const text = (value || '').toLowerCase().replace(/\s+foil$/, '').trim();
+  return overrides[text] || CONDITION_NAMES[text] || 'NM';
+}
+
+/**
+ * Map a language name or code to a Scryfall language code
+ * @param {string} value - e.g. "Japanese", "JP" or "ja"
+ * @returns {string} Scryfall language code (English if unrecognised)
+ */
+export function parseLanguage(value) {
+  const text = (value || '').toLowerCase().trim();
+  if (!text) return 'en';
+  if (LANGUAGES[text]) return text;
+  const byName = Object.keys(LANGUAGES).find(code => LANGUAGES[code].toLowerCase() === text);
+  return byName || LANGUAGE_ALIASES[text] || 'en';
+}
+
+/**
+ * Map a foil column to a finish
+ * TCGplayer marks foils in the condition ("Near Mint Foil") as well as the
+ * Printing column, so the condition is checked too.
+ * @param {string} value - e.g. "foil", "Etched", "true", "normal" or ""
+ * @param {string} condition - Condition text from the same row
+ * @returns {string} 'nonfoil', 'foil' or 'etched'
+ */
+export function parseFinish(value, condition = '') {
+  const text = (value || '').toLowerCase().trim();
+  if (text.includes('etched')) return 'etched';
+  if (['foil', 'true', 'yes', '1'].includes(text) || /\sfoil$/i.test(condition.trim())) return 'foil';
+  return 'nonfoil';
+}
+
+/**
+ * Normalise a collector number: drop "/total" suffixes and leading zeros
+ * @param {string} value - e.g. "007/280"
+ * @returns {string|null} e.g. "7"
+ */
+export function parseCollectorNumber(value) {
+  const text = (value || '').split('/')[0].trim();
+  return text ? text.replace(/^0+(?=.)/, '') : null;
+}
+
+/**
+ * Read a field from a CSV record using the dialect's column name(s)
+ * @private
+ */
+function readColumn(values, columns) {
+  const names = [].concat(columns || []);
+  for (const name of names) {
+    const match = Object.keys(values).find(header => header.toLowerCase() === name.toLowerCase());
+    if (match && values[match] !== '') return values[match];
+  }
+  return '';
+}
+
+/**
+ * Parse a collection CSV into printing rows, without looking anything up
+ * @param {string} fileText - CSV text
+ * @param {Object} options - { format } - a collectionFormats key, or 'auto' to detect it
+ * @returns {Object} { format, rows: [{ row, quantity, name, set, setName, collectorNumber,
+ *   finish, condition, language, scryfallId }], errors: [{ row, name, reason }] }
+ */
+export function parseCollectionCSV(fileText, { format = 'auto' } = {}) {
+  const { headers, records } = parseCSVRecords(fileText);
+  const key = format === 'auto' ? detectCollectionFormat(headers) : format;
+  const dialect = collectionFormats[key];
+  if (!dialect) {
+    throw new Error(format === 'auto'
+      ? `Unrecognised collection CSV. Supported: ${Object.values(collectionFormats).map(f => f.name).join(', ')}`
+      : `Unknown collection format: ${format}. Supported: ${Object.keys(collectionFormats).join(', ')}`);
+  }
+
+  const { columns, conditions = {} } = dialect;
+  const rows = [];
+  const errors = [];
+
+  for (const { row, values } of records) {
+    const name = readColumn(values, columns.name);
+    const quantityText = readColumn(values, columns.quantity);
+    const quantity = quantityText === '' ? 1 : Number(quantityText);
+
+    if (!name) {
+      errors.push({ row, name: null, reason: 'Missing card name' });
+      continue;
+    }
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      errors.push({ row, name, reason: `Invalid quantity "${quantityText}"` });
+      continue;
+    }
+    if (quantity === 0) continue;
+
+    const condition = readColumn(values, columns.condition);
+    rows.push({
+      row,
+      quantity,
+      name,
+      set: readColumn(values, columns.set).toLowerCase() || null,
+      setName: readColumn(values, columns.setName) || null,
+      collectorNumber: parseCollectorNumber(readColumn(values, columns.collectorNumber)),
+      finish: parseFinish(readColumn(values, columns.finish), condition),
+      condition: parseCondition(condition, conditions),
+      language: parseLanguage(readColumn(values, columns.language)),
+      scryfallId: readColumn(values, columns.scryfallId) || null,
+    });
+  }
+
+  return { format: key, rows, errors };
+}
+
+/**
+ * Fill in set codes from set names and drop codes Scryfall doesn't know
+ * Deckbox and TCGplayer export set names, and TCGplayer's set codes don't
+ * always match Scryfall's. Costs one request for the set list; if that
+ * fails the rows are left as they are.
+ * @private
+ */
+async function resolveSetCodes(rows) {
+  if (!rows.some(row => row.set || row.setName)) return;
+
+  let sets;
+  try {
+    sets = await scryfall.getSets();
+  } catch {
+    return;
+  }
+
+  const codes = new Set(sets.map(set => set.code));
+  const byName = new Map(sets.map(set => [set.name.toLowerCase(), set.code]));
+  for (const row of rows) {
+    if (row.set && codes.has(row.set)) continue;
+    row.set = byName.get(row.setName?.toLowerCase()) || null;
+  }
+}
+
+const unmatchedRow = (row, reason) => ({
+  row: row.row,
+  name: row.name,
+  set: row.set,
+  collectorNumber: row.collectorNumber,
+  reason,
+});
+
+/**
+ * Import a collection CSV exported by another app
+ * Rows are grouped by printing, looked up on Scryfall in batches, and the
+ * file's count of each printing in the folder replaces what the previous
+ * import brought in. Importing the same file again therefore changes
+ * nothing, copies added by hand are kept, and cards that aren't in the file
+ * are left alone. The import is journaled as one change, so
+ * undo_last_action reverts all of it.
+ * @param {string} fileText - CSV text
+ * @param {Object} options - { format, userId, folder, dryRun }
+ *   format is a collectionFormats key, or 'auto' (default) to detect it
+ * @returns {Promise<Object>} { success, format, imported: { rows, cards, created, updated,
+ *   unchanged }, unmatched: [{ row, name, set, collectorNumber, reason }], message, changes }
+ */
+export async function importCollection(fileText, {
+  format = 'auto',
+  userId = 'default',
+  folder = 'Unsorted',
+  dryRun = false
+} = {}) {
+  const parsed = parseCollectionCSV(fileText, { format });
+  const dialect = collectionFormats[parsed.format];
+  const unmatched = [...parsed.errors];
+
+  await resolveSetCodes(parsed.rows);
+
+  const identifiers = parsed.rows.map(cardIdentifier);
+  const found = parsed.rows.length ? await lookupCards(identifiers) : [];
+
+  const cards = new Map();
+  let matchedRows = 0;
+  parsed.rows.forEach((row, index) => {
+    const identifier = identifiers[index];
+    const cardData = found[index];
+    const label = identifier.id
+      ? `Scryfall ID ${identifier.id}`
+      : [row.set?.toUpperCase(), row.collectorNumber && `#${row.collectorNumber}`].filter(Boolean).join(' ');
+
+    if (!cardData) {
+      unmatched.push(unmatchedRow(row, `No card named "${row.name}"${row.set ? ` in ${label}` : ''} on Scryfall`));
+      return;
+    }
+    if (!identifier.name && !cardNames(cardData).includes(row.name.toLowerCase().trim())) {
+      unmatched.push(unmatchedRow(row, `${label} is ${cardData.name}, not ${row.name}`));
+      return;
+    }
+    matchedRows++;
+
+    const exact = Boolean(identifier.id || identifier.collector_number);
+    const printing = {
+      set: row.set || (exact ? cardData.set : null),
+      finish: row.finish,
+      condition: row.condition,
+      language: row.language,
+    };
+    const card = toInventoryCard(cardData, printing, { folder });
+    const key = `${printingKey(card)}|${folder}`;
+    const existing = cards.get(key);
+    if (existing) existing.quantity += row.quantity;
+    else cards.set(key, { ...card, quantity: row.quantity });
+  });
+
+  const copies = [...cards.values()].reduce((sum, card) => sum + card.quantity, 0);
+  const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+  const message = `${dryRun ? 'Would import' : 'Imported'} ${plural(copies, 'card')} ` +
+    `(${plural(cards.size, 'printing')}) from ${dialect.name}` +
+    (unmatched.length ? `; ${plural(unmatched.length, 'row')} could not be matched` : '');
+  const result = store.importCards(userId, [...cards.values()], { dryRun, message });
+
+  return {
+    success: true,
+    format: parsed.format,
+    imported: {
+      rows: matchedRows,
+      cards: copies,
+      created: result.created,
+      updated: result.updated,
+      unchanged: result.unchanged,
+    },
+    unmatched: unmatched.sort((a, b) => a.row - b.row),
+    message,
+    changes: result.changes,
+  };
+}
+
+// ============ DECK FILES ============
+
+const unescapeXml = text => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * Read the attributes of every <tag ...> element in an XML document
+ * @private
+ */
+function xmlElements(xml, tag) {
+  return [...xml.matchAll(new RegExp(`<${tag}\\s([^>]*?)/?>`, 'g'))].map(([, attributes]) =>
+    Object.fromEntries([...attributes.matchAll(/([\w:]+)="([^"]*)"/g)]
+      .map(([, name, value]) => [name, unescapeXml(value)]))
+  );
+}
+
+/**
+ * Parse an MTGO .dek deck file
+ * @param {string} xml - .dek file contents
+ * @returns {Array} Cards as from parseDeckList: { quantity, name, zone? }
+ */
+export function parseMtgoDeck(xml) {
+  return xmlElements(xml, 'Cards').map(card => ({
+    quantity: parseInt(card.Quantity, 10) || 1,
+    name: card.Name,
+    ...(card.Sideboard === 'true' ? { zone: 'sideboard' } : {}),
+  }));
+}
+
+/**
+ * Parse a Cockatrice .cod deck file
+ * @param {string} xml - .cod file contents
+ * @returns {Array} Cards as from parseDeckList: { quantity, name, zone? }
+ */
+export function parseCockatriceDeck(xml) {
+  const cards = [];
+  for (const [, zoneName, body] of xml.matchAll(/<zone name="(\w+)">([\s\S]*?)<\/zone>/g)) {
+    if (zoneName === 'tokens') continue;
+    for (const card of xmlElements(body, 'card')) {
+      cards.push({
+        quantity: parseInt(card.number, 10) || 1,
+        name: card.name,
+        ...(zoneName === 'side' ? { zone: 'sideboard' } : {}),
+      });
+    }
+  }
+  return cards;
+}
+
+export default importCollection;
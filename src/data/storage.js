@@ -0,0 +1,85 @@
+/**
+ * Storage Adapters
+ * Pick where DataStore keeps inventory, decks, sales and the journal.
+ *
+ * Every adapter implements:
+ *   transaction(collections, fn) → run a read-modify-write cycle with collections locked
+ *   list(collection, userId)   → a user's records, in insertion order
+ *   listAll(collection)        → every user's records
+ *   commit(userId, changes)    → apply [{ collection, id, after }], after = null deletes
+ *   appendJournal(entry)       → append a journal entry
+ *   readJournal(userId)        → a user's journal entries, oldest first
+ *   rewriteJournal(userId, fn) → replace a user's entries with fn(entries), atomically
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../integrations/config.js';
+import { MemoryAdapter } from './adapters/memoryAdapter.js';
+import { JsonFileAdapter } from './adapters/jsonFileAdapter.js';
+import { SqliteAdapter } from './adapters/sqliteAdapter.js';
+
+/**
+ * Adapter factories by name
+ */
+export const storageAdapters = {
+  json: ({ dataDir }) => new JsonFileAdapter({ dataDir }),
+  memory: () => new MemoryAdapter(),
+  sqlite: ({ dataDir }) => new SqliteAdapter({ dataDir })
+};
+
+// Where older versions kept their data: the package's own data/ folder
+export const LEGACY_DATA_DIR = fileURLToPath(new URL('../../data', import.meta.url));
+const LEGACY_FILES = ['inventory.json', 'decks.json', 'sales.json', 'journal.jsonl'];
+
+/**
+ * Copy data files an older version left in the package's data/ folder
+ * Only runs while the data directory has none of the files yet, so it
+ * happens once. The old files are left in place.
+ * @param {Object} options - { from, to } - defaults to LEGACY_DATA_DIR and config.storage.dataDir
+ * @returns {Array<string>} Files copied
+ */
+export function migrateLegacyData({ from = LEGACY_DATA_DIR, to = config.storage.dataDir } = {}) {
+  if (path.resolve(from) === path.resolve(to)) return [];
+
+  const files = LEGACY_FILES.filter(file => fs.existsSync(path.join(from, file)));
+  const started = [...LEGACY_FILES, 'bigdeck.db'].some(file => fs.existsSync(path.join(to, file)));
+  if (!files.length || started) return [];
+
+  try {
+    fs.mkdirSync(to, { recursive: true });
+    files.forEach(file => fs.copyFileSync(path.join(from, file), path.join(to, file), fs.constants.COPYFILE_EXCL));
+  } catch (error) {
+    console.warn(`Found data from an older version in ${from} but couldn't copy it to ${to} (${error.message}). Set BIGDECK_DATA_DIR=${from} to keep using it.`);
+    return [];
+  }
+
+  console.warn(`Copied data from an older version from ${from} to ${to}; the old files were left in place.`);
+  return files;
+}
+
+/**
+ * Create a storage adapter
+ * The JSON adapter on the configured data directory first picks up data an
+ * older version left behind (see migrateLegacyData).
+ * @param {Object} options - Defaults to config.storage
+ * @param {string} options.adapter - 'json', 'memory' or 'sqlite'
+ * @param {string} options.dataDir - Directory for the json and sqlite adapters
+ * @returns {Object} Storage adapter
+ */
+export function createStorageAdapter({
+  adapter = config.storage.adapter,
+  dataDir = config.storage.dataDir
+} = {}) {
+  const create = storageAdapters[adapter];
+  if (!create) {
+    throw new Error(`Unknown storage adapter: ${adapter}. Supported: ${Object.keys(storageAdapters).join(', ')}`);
+  }
+  if (adapter === 'json' && dataDir === config.storage.dataDir) migrateLegacyData({ to: dataDir });
+  return create({ dataDir });
+}
+
+export { MemoryAdapter, JsonFileAdapter, SqliteAdapter };
+
+export default createStorageAdapter;
@@ -1,135 +1,321 @@
 /**
- * Local JSON-based data store
- * Provides persistent storage for inventory, decks, and sales
+ * Local data store
+ * Provides persistent storage for inventory, decks, and sales, with an
+ * append-only journal of every mutation for undo/redo. Where data lives is
+ * up to the storage adapter (see storage.js), chosen from config.storage.
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { config } from '../integrations/config.js';
+import { createStorageAdapter } from './storage.js';
+import { resolveFormatId } from '../knowledge/commanderRules.js';
+import { normalizePrinting, printingKey, matchesPrinting, pickPrinting, describePrinting } from '../utils/printings.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '../../data');
-const INVENTORY_FILE = path.join(DATA_DIR, 'inventory.json');
-const DECKS_FILE = path.join(DATA_DIR, 'decks.json');
-const SALES_FILE = path.join(DATA_DIR, 'sales.json');
+/**
+ * Describe one record a mutation changes
+ * @param {string} action - 'create', 'update' or 'delete'
+ * @param {string} collection - 'inventory', 'decks' or 'sales'
+ * @param {Object|null} before - Record before the change
+ * @param {Object|null} after - Record after the change
+ * @returns {Object} Change entry
+ */
+const recordChange = (action, collection, before, after) => ({
+  action,
+  collection,
+  id: (after || before).id,
+  before: before ? structuredClone(before) : null,
+  after: after ? structuredClone(after) : null
+});
+
+const sameRecord = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const ALL_COLLECTIONS = ['inventory', 'decks', 'sales'];
+
+const matchesDeck = deckId => d => d.id === deckId || d.name.toLowerCase() === deckId.toLowerCase();
+
+const withPrinting = (cardName, printing) => {
+  const description = describePrinting(printing);
+  return description ? `${cardName} (${description})` : cardName;
+};
+
+/**
+ * Replay journal entries into undo and redo stacks
+ * A snapshot entry (left by compactJournal) restores the stacks it saved;
+ * a discard entry drops a step that could no longer be applied.
+ * @private
+ */
+function replayJournal(entries) {
+  let undo = [];
+  let redo = [];
+
+  for (const entry of entries) {
+    if (entry.operation === 'snapshot') {
+      undo = [...entry.undo];
+      redo = [...entry.redo];
+    } else if (entry.operation === 'undo') {
+      const undone = undo.pop();
+      if (undone) redo.push(undone);
+    } else if (entry.operation === 'redo') {
+      const redone = redo.pop();
+      if (redone) undo.push(redone);
+    } else if (entry.operation === 'discardUndo') {
+      undo.pop();
+    } else if (entry.operation === 'discardRedo') {
+      redo.pop();
+    } else {
+      undo.push(entry);
+      redo = [];
+    }
+  }
 
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
+  return { undo, redo };
 }
 
-// Initialize files if they don't exist
-const initFile = (filePath, defaultData = {}) => {
-  if (!fs.existsSync(filePath)) {
-    fs.writeFileSync(filePath, JSON.stringify(defaultData, null, 2));
+export class DataStore {
+  /**
+   * @param {Object|null} adapter - Storage adapter; created from config on first use if omitted
+   * @param {Object} options - { historyLimit } - undo steps kept per user
+   */
+  constructor(adapter = null, { historyLimit = config.storage.historyLimit } = {}) {
+    this.storage = adapter;
+    this.historyLimit = historyLimit;
+    // Journal entries appended per user since their journal was last checked for compaction
+    this.journalAppends = new Map();
   }
-};
 
-initFile(INVENTORY_FILE, { users: {} });
-initFile(DECKS_FILE, { users: {} });
-initFile(SALES_FILE, { sales: [] });
+  /**
+   * The storage adapter, created from config.storage on first use
+   */
+  get adapter() {
+    return (this.storage ??= createStorageAdapter());
+  }
+
+  /**
+   * Switch storage adapter, e.g. a MemoryAdapter for tests
+   * @param {Object} adapter - Storage adapter
+   */
+  useAdapter(adapter) {
+    this.storage = adapter;
+    this.journalAppends.clear();
+  }
+
+  /**
+   * Write a mutation's changes and journal them
+   * @param {string} userId - User ID
+   * @param {string} operation - Store method name
+   * @param {string} message - What happened, as reported to the user
+   * @param {Array} changes - Change entries from recordChange
+   * @param {Object} options - { dryRun }
+   */
+  commit(userId, operation, message, changes, { dryRun = false } = {}) {
+    if (dryRun || !changes.length) return;
+    this.adapter.commit(userId, changes);
+    this.appendJournal(userId, operation, message, changes);
+  }
 
-class DataStore {
   // ============ INVENTORY ============
 
   getInventory(userId = 'default') {
-    const data = JSON.parse(fs.readFileSync(INVENTORY_FILE, 'utf-8'));
-    return data.users[userId]?.cards || [];
+    return this.adapter.list('inventory', userId);
   }
 
+  /**
+   * Add copies of a card; copies of the same printing in the same folder stack
+   * @param {string} userId - User ID
+   * @param {Object} card - Card with name, quantity, folder and printing fields
+   *   (set, collectorNumber, finish, condition, language)
+   */
   addCard(userId = 'default', card) {
-    const data = JSON.parse(fs.readFileSync(INVENTORY_FILE, 'utf-8'));
-    if (!data.users[userId]) data.users[userId] = { cards: [] };
-
-    const existing = data.users[userId].cards.find(
-      c => c.name.toLowerCase() === card.name.toLowerCase() &&
-           (c.folder || 'Unsorted') === (card.folder || 'Unsorted')
-    );
-
-    if (existing) {
-      existing.quantity = (existing.quantity || 1) + (card.quantity || 1);
-    } else {
-      data.users[userId].cards.push({
-        ...card,
-        id: `card_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
-        quantity: card.quantity || 1,
-        folder: card.folder || 'Unsorted',
-        addedAt: new Date().toISOString()
-      });
-    }
+    return this.adapter.transaction(['inventory'], () => {
+      const key = printingKey(card);
+      const existing = this.getInventory(userId).find(
+        c => printingKey(c) === key &&
+             (c.folder || 'Unsorted') === (card.folder || 'Unsorted')
+      );
+
+      let change;
+      if (existing) {
+        const before = { ...existing };
+        existing.quantity = (existing.quantity || 1) + (card.quantity || 1);
+        change = recordChange('update', 'inventory', before, existing);
+      } else {
+        const newCard = {
+          ...card,
+          ...normalizePrinting(card),
+          id: `card_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+          quantity: card.quantity || 1,
+          folder: card.folder || 'Unsorted',
+          addedAt: new Date().toISOString()
+        };
+        change = recordChange('create', 'inventory', null, newCard);
+      }
 
-    fs.writeFileSync(INVENTORY_FILE, JSON.stringify(data, null, 2));
-    return { success: true, message: `Added ${card.quantity || 1}x ${card.name}` };
+      const message = `Added ${card.quantity || 1}x ${withPrinting(card.name, card)}`;
+      this.commit(userId, 'addCard', message, [change]);
+      return { success: true, message, changes: [change] };
+    });
   }
 
-  removeCard(userId = 'default', cardName, quantity = 1) {
-    const data = JSON.parse(fs.readFileSync(INVENTORY_FILE, 'utf-8'));
-    if (!data.users[userId]) return { success: false, message: 'User not found' };
-
-    const idx = data.users[userId].cards.findIndex(
-      c => c.name.toLowerCase() === cardName.toLowerCase()
-    );
-    if (idx === -1) return { success: false, message: `Card "${cardName}" not found` };
+  /**
+   * Remove copies of a card, taking from each matching printing in turn
+   * @param {string} userId - User ID
+   * @param {string} cardName - Card name
+   * @param {number} quantity - Copies to remove
+   * @param {Object} options - { dryRun, printing } - printing filters which copies qualify
+   */
+  removeCard(userId = 'default', cardName, quantity = 1, { dryRun = false, printing = {} } = {}) {
+    return this.adapter.transaction(['inventory'], () => {
+      const matching = this.getInventory(userId).filter(
+        c => c.name.toLowerCase() === cardName.toLowerCase() && matchesPrinting(c, printing)
+      );
+      if (!matching.length) {
+        return { success: false, message: `Card "${withPrinting(cardName, printing)}" not found` };
+      }
 
-    const card = data.users[userId].cards[idx];
-    if (card.quantity <= quantity) {
-      data.users[userId].cards.splice(idx, 1);
-    } else {
-      card.quantity -= quantity;
-    }
+      let remaining = quantity;
+      const changes = [];
+      for (const card of matching) {
+        if (remaining <= 0) break;
+        const before = { ...card };
+        const taken = Math.min(remaining, card.quantity || 1);
+        if (taken >= (card.quantity || 1)) {
+          changes.push(recordChange('delete', 'inventory', before, null));
+        } else {
+          card.quantity -= taken;
+          changes.push(recordChange('update', 'inventory', before, card));
+        }
+        remaining -= taken;
+      }
 
-    fs.writeFileSync(INVENTORY_FILE, JSON.stringify(data, null, 2));
-    return { success: true, message: `Removed ${quantity}x ${cardName}` };
+      const message = `Removed ${quantity - remaining}x ${withPrinting(cardName, printing)}`;
+      this.commit(userId, 'removeCard', message, changes, { dryRun });
+      return { success: true, message, changes };
+    });
   }
 
-  searchInventory(userId = 'default', query) {
-    const cards = this.getInventory(userId);
+  searchInventory(userId = 'default', query, printing = {}) {
+    const cards = this.getInventory(userId).filter(c => matchesPrinting(c, printing));
     const q = query.toLowerCase();
     return cards.filter(c =>
       c.name.toLowerCase().includes(q) ||
       c.type?.toLowerCase().includes(q) ||
       c.folder?.toLowerCase().includes(q) ||
+      c.set === q ||
+      c.setName?.toLowerCase().includes(q) ||
       c.colors?.some(col => col.toLowerCase().includes(q))
     );
   }
 
-  moveCard(userId = 'default', cardName, targetFolder, quantity = null) {
-    const data = JSON.parse(fs.readFileSync(INVENTORY_FILE, 'utf-8'));
-    if (!data.users[userId]) return { success: false, message: 'User not found' };
+  moveCard(userId = 'default', cardName, targetFolder, quantity = null, { dryRun = false, printing = {} } = {}) {
+    return this.adapter.transaction(['inventory'], () => {
+      const cards = this.getInventory(userId).filter(c => matchesPrinting(c, printing));
 
-    const matchingCards = data.users[userId].cards.filter(
-      c => c.name.toLowerCase().includes(cardName.toLowerCase())
-    );
+      // Exact name matches win; only fall back to partial matching without one,
+      // so "Bolt" doesn't sweep up every card with Bolt in its name
+      const nameLower = cardName.toLowerCase();
+      const exactMatches = cards.filter(c => c.name.toLowerCase() === nameLower);
+      const matchingCards = exactMatches.length
+        ? exactMatches
+        : cards.filter(c => c.name.toLowerCase().includes(nameLower));
 
-    if (matchingCards.length === 0) {
-      return { success: false, message: `No cards matching "${cardName}" found` };
-    }
+      if (matchingCards.length === 0) {
+        return { success: false, message: `No cards matching "${withPrinting(cardName, printing)}" found` };
+      }
 
-    let movedCount = 0;
-    for (const card of matchingCards) {
-      if (quantity === null) {
-        card.folder = targetFolder;
-        movedCount += card.quantity || 1;
-      } else if (quantity > 0) {
-        const toMove = Math.min(quantity, card.quantity || 1);
-        if (toMove >= card.quantity) {
+      let movedCount = 0;
+      const changes = [];
+      for (const card of matchingCards) {
+        const before = { ...card };
+        if (quantity === null) {
           card.folder = targetFolder;
-        } else {
-          card.quantity -= toMove;
-          data.users[userId].cards.push({
+          movedCount += card.quantity || 1;
+          changes.push(recordChange('update', 'inventory', before, card));
+        } else if (quantity > 0) {
+          const toMove = Math.min(quantity, card.quantity || 1);
+          if (toMove >= card.quantity) {
+            card.folder = targetFolder;
+            changes.push(recordChange('update', 'inventory', before, card));
+          } else {
+            card.quantity -= toMove;
+            const split = {
+              ...card,
+              id: `card_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+              quantity: toMove,
+              folder: targetFolder
+            };
+            // The import that brought the copies in was for the old folder
+            delete split.importedQuantity;
+            changes.push(recordChange('update', 'inventory', before, card));
+            changes.push(recordChange('create', 'inventory', null, split));
+          }
+          movedCount += toMove;
+          quantity -= toMove;
+        }
+      }
+
+      const message = `Moved ${movedCount}x ${withPrinting(cardName, printing)} to "${targetFolder}"`;
+      this.commit(userId, 'moveCard', message, changes, { dryRun });
+      return { success: true, message, movedCount, changes };
+    });
+  }
+
+  /**
+   * Import cards from another app's collection export
+   * Each printing in each folder gets the imported quantity in place of what
+   * the last import brought in (kept as importedQuantity), so importing the
+   * same file twice leaves the inventory as it was after the first import,
+   * and copies added by hand are kept. The whole import is one journal entry.
+   * @param {string} userId - User ID
+   * @param {Array} cards - Cards as for addCard, one per printing and folder
+   * @param {Object} options - { dryRun, message }
+   */
+  importCards(userId = 'default', cards, { dryRun = false, message = null } = {}) {
+    return this.adapter.transaction(['inventory'], () => {
+      const inventory = this.getInventory(userId);
+      const slotKey = card => `${printingKey(card)}|${card.folder || 'Unsorted'}`;
+      const bySlot = new Map(inventory.map(card => [slotKey(card), card]));
+
+      const changes = [];
+      let created = 0;
+      let updated = 0;
+      let unchanged = 0;
+      for (const card of cards) {
+        const existing = bySlot.get(slotKey(card));
+        const quantity = card.quantity || 1;
+
+        if (!existing) {
+          const newCard = {
             ...card,
+            ...normalizePrinting(card),
             id: `card_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
-            quantity: toMove,
-            folder: targetFolder
-          });
+            quantity,
+            importedQuantity: quantity,
+            folder: card.folder || 'Unsorted',
+            addedAt: new Date().toISOString()
+          };
+          bySlot.set(slotKey(newCard), newCard);
+          changes.push(recordChange('create', 'inventory', null, newCard));
+          created++;
+          continue;
+        }
+
+        // Copies beyond what was imported last time were added by hand
+        const previous = existing.importedQuantity || 0;
+        const byHand = Math.max(0, (existing.quantity || 1) - previous);
+        if (previous !== quantity || existing.quantity !== byHand + quantity) {
+          const before = { ...existing };
+          existing.quantity = byHand + quantity;
+          existing.importedQuantity = quantity;
+          changes.push(recordChange('update', 'inventory', before, existing));
+          updated++;
+        } else {
+          unchanged++;
         }
-        movedCount += toMove;
-        quantity -= toMove;
       }
-    }
 
-    fs.writeFileSync(INVENTORY_FILE, JSON.stringify(data, null, 2));
-    return { success: true, message: `Moved ${movedCount}x ${cardName} to "${targetFolder}"`, movedCount };
+      const summary = message || `Imported ${cards.length} cards`;
+      this.commit(userId, 'importCards', summary, changes, { dryRun });
+      return { success: true, message: summary, created, updated, unchanged, changes };
+    });
   }
 
   getFolders(userId = 'default') {
@@ -140,130 +326,316 @@ class DataStore {
   // ============ DECKS ============
 
   getDecks(userId = 'default') {
-    const data = JSON.parse(fs.readFileSync(DECKS_FILE, 'utf-8'));
-    return data.users[userId]?.decks || [];
+    return this.adapter.list('decks', userId);
   }
 
   getDeck(userId = 'default', deckId) {
-    return this.getDecks(userId).find(
-      d => d.id === deckId || d.name.toLowerCase() === deckId.toLowerCase()
-    );
+    return this.getDecks(userId).find(matchesDeck(deckId));
   }
 
   createDeck(userId = 'default', deck) {
-    const data = JSON.parse(fs.readFileSync(DECKS_FILE, 'utf-8'));
-    if (!data.users[userId]) data.users[userId] = { decks: [] };
-
-    const newDeck = {
-      id: `deck_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
-      name: deck.name,
-      commander: deck.commander || null,
-      format: deck.format || 'commander',
-      cards: deck.cards || [],
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-
-    data.users[userId].decks.push(newDeck);
-    fs.writeFileSync(DECKS_FILE, JSON.stringify(data, null, 2));
-    return { success: true, deck: newDeck, message: `Created deck "${deck.name}"` };
+    return this.adapter.transaction(['decks'], () => {
+      // One commander, or two paired ones; commander stays the first for older readers
+      const commanders = [].concat(deck.commanders || deck.commander || []);
+      const newDeck = {
+        id: `deck_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+        name: deck.name,
+        commander: commanders[0] || null,
+        commanders,
+        format: resolveFormatId(deck.format) || deck.format || 'commander',
+        cards: deck.cards || [],
+        ...(deck.source ? { source: deck.source } : {}),
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+
+      const message = `Created deck "${deck.name}"`;
+      const changes = [recordChange('create', 'decks', null, newDeck)];
+      this.commit(userId, 'createDeck', message, changes);
+      return { success: true, deck: newDeck, message, changes };
+    });
   }
 
   updateDeck(userId = 'default', deckId, updates) {
-    const data = JSON.parse(fs.readFileSync(DECKS_FILE, 'utf-8'));
-    if (!data.users[userId]) return { success: false, message: 'User not found' };
-
-    const deck = data.users[userId].decks.find(
-      d => d.id === deckId || d.name.toLowerCase() === deckId.toLowerCase()
-    );
-    if (!deck) return { success: false, message: `Deck "${deckId}" not found` };
-
-    Object.assign(deck, updates, { updatedAt: new Date().toISOString() });
-    fs.writeFileSync(DECKS_FILE, JSON.stringify(data, null, 2));
-    return { success: true, deck, message: `Updated deck "${deck.name}"` };
+    return this.adapter.transaction(['decks'], () => {
+      const deck = this.getDeck(userId, deckId);
+      if (!deck) return { success: false, message: `Deck "${deckId}" not found` };
+
+      const before = structuredClone(deck);
+      Object.assign(deck, updates, { updatedAt: new Date().toISOString() });
+      const message = `Updated deck "${deck.name}"`;
+      const changes = [recordChange('update', 'decks', before, deck)];
+      this.commit(userId, 'updateDeck', message, changes);
+      return { success: true, deck, message, changes };
+    });
   }
 
   addCardToDeck(userId = 'default', deckId, card) {
-    const data = JSON.parse(fs.readFileSync(DECKS_FILE, 'utf-8'));
-    const deck = data.users[userId]?.decks?.find(
-      d => d.id === deckId || d.name.toLowerCase() === deckId.toLowerCase()
-    );
-    if (!deck) return { success: false, message: `Deck "${deckId}" not found` };
-
-    const existing = deck.cards.find(c => c.name.toLowerCase() === card.name.toLowerCase());
-    if (existing) {
-      existing.quantity = (existing.quantity || 1) + (card.quantity || 1);
-    } else {
-      deck.cards.push({ ...card, quantity: card.quantity || 1 });
-    }
+    return this.adapter.transaction(['decks'], () => {
+      const deck = this.getDeck(userId, deckId);
+      if (!deck) return { success: false, message: `Deck "${deckId}" not found` };
+
+      const before = structuredClone(deck);
+      const existing = deck.cards.find(c => c.name.toLowerCase() === card.name.toLowerCase());
+      if (existing) {
+        existing.quantity = (existing.quantity || 1) + (card.quantity || 1);
+      } else {
+        deck.cards.push({ ...card, quantity: card.quantity || 1 });
+      }
 
-    deck.updatedAt = new Date().toISOString();
-    fs.writeFileSync(DECKS_FILE, JSON.stringify(data, null, 2));
-    return { success: true, message: `Added ${card.quantity || 1}x ${card.name} to ${deck.name}` };
+      deck.updatedAt = new Date().toISOString();
+      const message = `Added ${card.quantity || 1}x ${card.name} to ${deck.name}`;
+      const changes = [recordChange('update', 'decks', before, deck)];
+      this.commit(userId, 'addCardToDeck', message, changes);
+      return { success: true, message, changes };
+    });
   }
 
   removeCardFromDeck(userId = 'default', deckId, cardName, quantity = 1) {
-    const data = JSON.parse(fs.readFileSync(DECKS_FILE, 'utf-8'));
-    const deck = data.users[userId]?.decks?.find(
-      d => d.id === deckId || d.name.toLowerCase() === deckId.toLowerCase()
-    );
-    if (!deck) return { success: false, message: `Deck "${deckId}" not found` };
+    return this.adapter.transaction(['decks'], () => {
+      const deck = this.getDeck(userId, deckId);
+      if (!deck) return { success: false, message: `Deck "${deckId}" not found` };
+
+      const idx = deck.cards.findIndex(c => c.name.toLowerCase() === cardName.toLowerCase());
+      if (idx === -1) return { success: false, message: `Card "${cardName}" not in deck` };
+
+      const before = structuredClone(deck);
+      if (deck.cards[idx].quantity <= quantity) {
+        deck.cards.splice(idx, 1);
+      } else {
+        deck.cards[idx].quantity -= quantity;
+      }
 
-    const idx = deck.cards.findIndex(c => c.name.toLowerCase() === cardName.toLowerCase());
-    if (idx === -1) return { success: false, message: `Card "${cardName}" not in deck` };
+      deck.updatedAt = new Date().toISOString();
+      const message = `Removed ${quantity}x ${cardName} from ${deck.name}`;
+      const changes = [recordChange('update', 'decks', before, deck)];
+      this.commit(userId, 'removeCardFromDeck', message, changes);
+      return { success: true, message, changes };
+    });
+  }
 
-    if (deck.cards[idx].quantity <= quantity) {
-      deck.cards.splice(idx, 1);
-    } else {
-      deck.cards[idx].quantity -= quantity;
-    }
+  deleteDeck(userId = 'default', deckId, { dryRun = false } = {}) {
+    return this.adapter.transaction(['decks'], () => {
+      const deck = this.getDeck(userId, deckId);
+      if (!deck) return { success: false, message: `Deck "${deckId}" not found` };
 
-    deck.updatedAt = new Date().toISOString();
-    fs.writeFileSync(DECKS_FILE, JSON.stringify(data, null, 2));
-    return { success: true, message: `Removed ${quantity}x ${cardName} from ${deck.name}` };
+      const message = `Deleted deck "${deck.name}"`;
+      const changes = [recordChange('delete', 'decks', deck, null)];
+      this.commit(userId, 'deleteDeck', message, changes, { dryRun });
+      return { success: true, message, changes };
+    });
   }
 
-  deleteDeck(userId = 'default', deckId) {
-    const data = JSON.parse(fs.readFileSync(DECKS_FILE, 'utf-8'));
-    if (!data.users[userId]) return { success: false, message: 'User not found' };
+  // ============ SALES ============
 
-    const idx = data.users[userId].decks.findIndex(
-      d => d.id === deckId || d.name.toLowerCase() === deckId.toLowerCase()
-    );
-    if (idx === -1) return { success: false, message: `Deck "${deckId}" not found` };
+  recordSale(userId = 'default', sale, { dryRun = false } = {}) {
+    return this.adapter.transaction(['sales', 'inventory'], () => {
+      const printing = pickPrinting(sale);
+      const quantity = sale.quantity || 1;
+      const newSale = {
+        id: `sale_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+        userId,
+        cardName: sale.cardName,
+        ...printing,
+        quantity,
+        price: sale.price,
+        pricePerCard: sale.price / quantity,
+        soldAt: new Date().toISOString()
+      };
+
+      // Remove from inventory in the same commit, so the sale undoes as one step
+      const removal = this.removeCard(userId, sale.cardName, quantity, { dryRun: true, printing });
+      if (!removal.success) {
+        return { success: false, message: `Can't record the sale: ${removal.message} in inventory` };
+      }
+      const owned = removal.changes.reduce((sum, change) => sum + (change.before.quantity || 1) - (change.after?.quantity || 0), 0);
+      if (owned < quantity) {
+        return {
+          success: false,
+          message: `Can't record a sale of ${quantity}x ${withPrinting(sale.cardName, printing)}: inventory only has ${owned}`
+        };
+      }
 
-    const removed = data.users[userId].decks.splice(idx, 1);
-    fs.writeFileSync(DECKS_FILE, JSON.stringify(data, null, 2));
-    return { success: true, message: `Deleted deck "${removed[0].name}"` };
+      const message = `Recorded sale of ${quantity}x ${withPrinting(sale.cardName, printing)} for $${sale.price}`;
+      const changes = [recordChange('create', 'sales', null, newSale), ...removal.changes];
+      this.commit(userId, 'recordSale', message, changes, { dryRun });
+      return { success: true, sale: newSale, message, changes };
+    });
   }
 
-  // ============ SALES ============
+  getSales(userId = 'default') {
+    return this.adapter.list('sales', userId);
+  }
 
-  recordSale(userId = 'default', sale) {
-    const data = JSON.parse(fs.readFileSync(SALES_FILE, 'utf-8'));
+  getAllSales() {
+    return this.adapter.listAll('sales');
+  }
 
-    const newSale = {
-      id: `sale_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+  // ============ JOURNAL ============
+
+  /**
+   * Append an entry to the journal
+   * @param {string} userId - User the entry belongs to
+   * @param {string} operation - Store method, 'undo'/'redo', or 'discardUndo'/'discardRedo'
+   * @param {string} message - What happened, as reported to the user
+   * @param {Array} changes - Change entries from recordChange
+   * @param {string|null} ref - Entry an undo/redo applies to
+   * @returns {Object} Journal entry
+   */
+  appendJournal(userId, operation, message, changes, ref = null) {
+    const entry = {
+      id: `op_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
       userId,
-      cardName: sale.cardName,
-      quantity: sale.quantity || 1,
-      price: sale.price,
-      pricePerCard: sale.price / (sale.quantity || 1),
-      soldAt: new Date().toISOString()
+      operation,
+      message,
+      changes,
+      ...(ref && { ref }),
+      at: new Date().toISOString()
     };
+    this.adapter.appendJournal(entry);
 
-    data.sales.push(newSale);
-    fs.writeFileSync(SALES_FILE, JSON.stringify(data, null, 2));
+    const appends = (this.journalAppends.get(userId) || 0) + 1;
+    this.journalAppends.set(userId, appends);
+    if (appends >= this.historyLimit) this.compactJournal(userId);
+    return entry;
+  }
 
-    // Remove from inventory
-    this.removeCard(userId, sale.cardName, sale.quantity || 1);
+  /**
+   * Replace a user's journal with a snapshot of their undo and redo history
+   * Only the most recent historyLimit steps of each are kept, so the journal
+   * (and the replay every undo does) stays bounded. Runs on its own every
+   * historyLimit appends once the journal holds more than twice that many entries.
+   * @param {string} userId - User ID
+   * @param {Object} options - { force } - compact even if the journal is short
+   * @returns {boolean} True if the journal was compacted
+   */
+  compactJournal(userId = 'default', { force = false } = {}) {
+    this.journalAppends.delete(userId);
+    let compacted = false;
+
+    this.adapter.rewriteJournal(userId, entries => {
+      if (!force && entries.length <= this.historyLimit * 2) return entries;
+      const { undo, redo } = replayJournal(entries);
+      compacted = true;
+      return [{
+        id: `op_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+        userId,
+        operation: 'snapshot',
+        message: 'Compacted history',
+        undo: undo.slice(-this.historyLimit),
+        redo: redo.slice(-this.historyLimit),
+        at: new Date().toISOString()
+      }];
+    });
+
+    return compacted;
+  }
 
-    return { success: true, sale: newSale, message: `Recorded sale of ${sale.quantity || 1}x ${sale.cardName} for $${sale.price}` };
+  /**
+   * Get a user's journal entries, oldest first
+   * @param {string} userId - User ID
+   * @returns {Array} Journal entries
+   */
+  getJournal(userId = 'default') {
+    return this.adapter.readJournal(userId);
   }
 
-  getSales(userId = 'default') {
-    const data = JSON.parse(fs.readFileSync(SALES_FILE, 'utf-8'));
-    return userId ? data.sales.filter(s => s.userId === userId) : data.sales;
+  /**
+   * Replay the journal into undo and redo stacks
+   * A new mutation clears the redo stack, as in any editor.
+   * @param {string} userId - User ID
+   * @returns {Object} { undo, redo } - Mutation entries, most recent last
+   */
+  getHistory(userId = 'default') {
+    return replayJournal(this.getJournal(userId));
+  }
+
+  /**
+   * Apply journaled changes
+   * Every record must still look the way the journal left it, so undo never
+   * clobbers an edit made since; nothing is written unless all changes apply.
+   * @param {string} userId - User ID
+   * @param {Array} changes - Change entries, applied in order
+   * @returns {Object} { success, message }
+   */
+  applyChanges(userId, changes) {
+    const current = {};
+
+    for (const change of changes) {
+      current[change.collection] ??= this.adapter.list(change.collection, userId);
+      const record = current[change.collection].find(r => r.id === change.id) ?? null;
+
+      if (!sameRecord(record, change.before)) {
+        return { success: false, message: `the ${change.collection} record ${change.id} has changed since` };
+      }
+    }
+
+    this.adapter.commit(userId, changes);
+    return { success: true };
+  }
+
+  /**
+   * Revert the user's most recent mutation
+   * @param {string} userId - User ID
+   * @returns {Object} { success, message, changes }
+   */
+  undo(userId = 'default') {
+    return this.adapter.transaction(ALL_COLLECTIONS, () => {
+      const entry = this.getHistory(userId).undo.pop();
+      if (!entry) return { success: false, message: 'Nothing to undo' };
+
+      const inverse = {
+        create: 'delete',
+        delete: 'create',
+        update: 'update'
+      };
+      const changes = [...entry.changes].reverse().map(change =>
+        recordChange(inverse[change.action], change.collection, change.after, change.before)
+      );
+
+      const applied = this.applyChanges(userId, changes);
+      if (!applied.success) {
+        // Drop the step, or every later undo would fail on it too
+        this.appendJournal(userId, 'discardUndo', `Skipped undo: ${entry.message}`, [], entry.id);
+        return {
+          success: false,
+          skipped: entry.message,
+          message: `Can't undo the last change (${entry.message}): ${applied.message}. ` +
+            'It was dropped from the history, so undo again to step further back.'
+        };
+      }
+
+      const message = `Undid: ${entry.message}`;
+      this.appendJournal(userId, 'undo', message, changes, entry.id);
+      return { success: true, message, changes };
+    });
+  }
+
+  /**
+   * Re-apply the user's most recently undone mutation
+   * @param {string} userId - User ID
+   * @returns {Object} { success, message, changes }
+   */
+  redo(userId = 'default') {
+    return this.adapter.transaction(ALL_COLLECTIONS, () => {
+      const entry = this.getHistory(userId).redo.pop();
+      if (!entry) return { success: false, message: 'Nothing to redo' };
+
+      const applied = this.applyChanges(userId, entry.changes);
+      if (!applied.success) {
+        this.appendJournal(userId, 'discardRedo', `Skipped redo: ${entry.message}`, [], entry.id);
+        return {
+          success: false,
+          skipped: entry.message,
+          message: `Can't redo the last undone change (${entry.message}): ${applied.message}. ` +
+            'It was dropped from the redo history.'
+        };
+      }
+
+      const message = `Redid: ${entry.message}`;
+      this.appendJournal(userId, 'redo', message, entry.changes, entry.id);
+      return { success: true, message, changes: entry.changes };
+    });
   }
 }
 
@@ -4,36 +4,29 @@
  * Note: Archidekt has a public API for fetching decks
  */
 
+import { httpCache } from './httpCache.js';
+import { errorForResponse } from './errors.js';
+
 const ARCHIDEKT_API_BASE = 'https://archidekt.com/api';
 
 /**
  * Fetch a deck by ID from Archidekt
  * @param {string|number} deckId - Archidekt deck ID
- * @returns {Promise<Object>} Deck data
+ * @returns {Promise<Object>} Raw deck data from the Archidekt API
  */
 export async function fetchDeck(deckId) {
-  // In production, this would make an actual API call
-  // For now, return mock structure
-  
-  return {
-    id: deckId,
-    name: 'Sample Deck',
-    format: 'Commander',
-    commander: 'Sample Commander',
-    colors: ['W', 'U', 'B'],
-    description: 'Deck description from Archidekt',
-    cards: [
-      { name: 'Sol Ring', quantity: 1, category: 'Ramp' },
-      { name: 'Command Tower', quantity: 1, category: 'Lands' },
-      // More cards...
-    ],
-    owner: 'username',
-    views: 1234,
-    likes: 56,
-    created: '2024-01-01',
-    updated: '2024-01-15',
-    url: `https://archidekt.com/decks/${deckId}`,
-  };
+  const url = `${ARCHIDEKT_API_BASE}/decks/${encodeURIComponent(deckId)}/`;
+  const response = await httpCache.fetch(url, {
+    resource: 'deck',
+    headers: { 'Accept': 'application/json' },
+    service: 'Archidekt API',
+  });
+
+  if (!response.ok) {
+    throw errorForResponse('Archidekt API', { ...response, url });
+  }
+
+  return JSON.parse(response.text);
 }
 
 /**
@@ -63,6 +56,8 @@ export async function fetchUserDecks(username) {
 
 /**
  * Parse Archidekt deck data to standard format
+ * Cards in categories Archidekt leaves out of the deck (e.g. Maybeboard)
+ * are marked inDeck: false.
  * @param {Object} archidektData - Raw data from Archidekt API
  * @returns {Object} Standardized deck format
  */
@@ -71,24 +66,38 @@ export function parseDeckData(archidektData) {
     return null;
   }
 
+  const excluded = new Set(
+    (archidektData.categories || []).filter(c => c.includedInDeck === false).map(c => c.name)
+  );
+  const decklist = archidektData.cards.map(entry => {
+    const card = entry.card || {};
+    const categories = entry.categories || (entry.category ? [entry.category] : []);
+    return {
+      name: card.oracleCard?.name || entry.name,
+      quantity: entry.quantity || 1,
+      category: categories[0] || 'Other',
+      categories,
+      inDeck: !categories.some(category => excluded.has(category)),
+      type: card.oracleCard?.types?.join(' ') || entry.type,
+      cmc: card.oracleCard?.cmc ?? entry.cmc,
+      set: card.edition?.editioncode || null,
+      collectorNumber: card.collectorNumber || null,
+      finish: { Foil: 'foil', Etched: 'etched' }[entry.modifier] || 'nonfoil',
+    };
+  });
+
   return {
     name: archidektData.name,
-    commander: archidektData.commander,
+    commander: archidektData.commander || decklist.find(c => c.categories.includes('Commander'))?.name || null,
     format: archidektData.format || 'Commander',
     colors: archidektData.colors || [],
-    decklist: archidektData.cards.map(card => ({
-      name: card.name,
-      quantity: card.quantity || 1,
-      category: card.category || 'Other',
-      type: card.type,
-      cmc: card.cmc,
-    })),
+    decklist,
     metadata: {
       source: 'Archidekt',
       id: archidektData.id,
-      url: archidektData.url,
-      owner: archidektData.owner,
-      updated: archidektData.updated,
+      url: archidektData.url || `https://archidekt.com/decks/${archidektData.id}`,
+      owner: archidektData.owner?.username || archidektData.owner,
+      updated: archidektData.updatedAt || archidektData.updated,
     },
   };
 }
@@ -0,0 +1,322 @@
+/**
+ * Offline Card Database
+ * A local copy of Scryfall's card data, loaded from a bulk-data file
+ * (oracle-cards or default-cards JSON, see https://scryfall.com/docs/api/bulk-data).
+ * When the file is present, scryfall.js answers getCard, autocomplete,
+ * searches and collection lookups from it and only goes to the network for
+ * what it doesn't have.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { config } from './config.js';
+import { httpRequest } from './httpClient.js';
+import { errorForResponse } from './errors.js';
+import { parseScryfallQuery, sortCards } from '../utils/scryfallQuery.js';
+
+// Scryfall's page size for /cards/search
+const SEARCH_PAGE_SIZE = 175;
+
+// Most suggestions /cards/autocomplete returns
+const AUTOCOMPLETE_LIMIT = 20;
+
+const nameKey = name => name.toLowerCase().trim();
+
+/**
+ * Parse a JSON array of objects as its text arrives, one element at a time,
+ * so a bulk-data file never has to be held as one string
+ * @private
+ * @param {AsyncIterable<string>} chunks - The array's text
+ * @yields {Object} Each element, parsed
+ * @throws {Error} If the text isn't an array of objects
+ */
+async function* readJsonArray(chunks) {
+  let started = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let element = '';
+
+  for await (const chunk of chunks) {
+    let from = 0;
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+      } else if (char === '"' && depth > 0) {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        if (!started) {
+          if (char !== '[') throw new Error('expected a JSON array');
+          started = true;
+          continue;
+        }
+        if (depth === 0) {
+          if (char !== '{') throw new Error('expected an array of objects');
+          from = i;
+        }
+        depth++;
+      } else if (char === '}' || char === ']') {
+        if (depth === 0) continue; // the array's closing bracket
+        depth--;
+        if (depth === 0) {
+          yield JSON.parse(element + chunk.slice(from, i + 1));
+          element = '';
+        }
+      } else if (depth === 0 && !(started ? /[\s,]/ : /\s/).test(char)) {
+        throw new Error(started ? 'expected an array of objects' : 'expected a JSON array');
+      }
+    }
+    if (depth > 0) element += chunk.slice(from);
+  }
+
+  if (!started || depth > 0) throw new Error('unexpected end of JSON array');
+}
+
+/**
+ * Pass a download through, failing it if no data arrives for a while
+ * @private
+ */
+function stallGuard(timeout) {
+  let timer = null;
+  const guard = new Transform({
+    transform(chunk, encoding, callback) {
+      reset();
+      callback(null, chunk);
+    },
+    flush(callback) {
+      clearTimeout(timer);
+      callback();
+    },
+  });
+  const reset = () => {
+    clearTimeout(timer);
+    if (timeout) timer = setTimeout(() => guard.destroy(new Error(`no data for ${timeout} ms`)), timeout);
+  };
+  guard.on('close', () => clearTimeout(timer));
+  reset();
+  return guard;
+}
+
+export class CardDatabase {
+  constructor(file = config.cardDatabase.file) {
+    this.file = file;
+    this.cards = [];
+    this.byId = new Map();
+    this.byName = new Map();
+    this.bySetNumber = new Map();
+    this.names = [];
+    this.opening = null;
+  }
+
+  /**
+   * Load cards, replacing any already loaded
+   * Every printing is indexed by id and set + number; names point at the
+   * first printing of each, or at the set's printing for name + set lookups.
+   * @param {Array} cards - Scryfall card objects
+   * @returns {number} Cards loaded
+   */
+  load(cards) {
+    this.cards = cards.filter(card => card.object === undefined || card.object === 'card');
+    this.byId.clear();
+    this.byName.clear();
+    this.bySetNumber.clear();
+
+    for (const card of this.cards) {
+      this.byId.set(card.id, card);
+      this.bySetNumber.set(`${card.set}|${card.collector_number}`, card);
+      const names = [card.name, ...card.name.split(' // '), ...(card.card_faces || []).map(face => face.name)];
+      for (const name of new Set(names.map(nameKey))) {
+        if (!this.byName.has(name)) this.byName.set(name, card);
+        if (!this.byName.has(`${name}|${card.set}`)) this.byName.set(`${name}|${card.set}`, card);
+      }
+    }
+
+    this.names = [...new Set(this.cards.map(card => card.name))].sort((a, b) => a.localeCompare(b));
+    return this.cards.length;
+  }
+
+  /**
+   * Load a Scryfall bulk-data JSON file, reading it as a stream
+   * @param {string} file - Path to the file (defaults to config.cardDatabase.file)
+   * @returns {Promise<number>} Cards loaded
+   * @throws {Error} If the file can't be read or isn't a bulk-data file
+   */
+  async loadFile(file = this.file) {
+    const cards = [];
+    try {
+      for await (const card of readJsonArray(fs.createReadStream(file, { encoding: 'utf8' }))) {
+        cards.push(card);
+      }
+    } catch (error) {
+      if (error.code) throw error;
+      throw new Error(`${file} is not a Scryfall bulk-data file: ${error.message}`);
+    }
+    this.file = file;
+    return this.load(cards);
+  }
+
+  /**
+   * Download a Scryfall bulk-data file and load it
+   * The file is streamed to disk and replaces the old one only once it is
+   * complete; a download that stops sending data for config.http.timeout fails.
+   * @param {string} type - Bulk data type: 'oracle_cards' (one printing per card)
+   *   or 'default_cards' (every printing)
+   * @param {string} file - Where to save it (defaults to config.cardDatabase.file)
+   * @returns {Promise<number>} Cards loaded
+   */
+  async download(type = 'oracle_cards', file = this.file) {
+    const infoUrl = `${config.scryfall.baseUrl}/bulk-data/${type}`;
+    const info = await httpRequest(infoUrl, { service: 'Scryfall bulk data' });
+    if (!info.ok) throw errorForResponse('Scryfall bulk data', { status: info.status, statusText: info.statusText, url: infoUrl });
+    const { download_uri: downloadUri } = await info.json();
+
+    // The file runs to hundreds of MB, so the stall guard stands in for the request timeout
+    const response = await httpRequest(downloadUri, { service: 'Scryfall bulk data', timeout: null });
+    if (!response.ok) throw errorForResponse('Scryfall bulk data', { status: response.status, statusText: response.statusText, url: downloadUri });
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const partial = `${file}.download`;
+    try {
+      await pipeline(Readable.fromWeb(response.body), stallGuard(config.http.timeout), fs.createWriteStream(partial));
+      fs.renameSync(partial, file);
+    } catch (error) {
+      fs.rmSync(partial, { force: true });
+      throw error;
+    }
+    this.opening = Promise.resolve();
+    return this.loadFile(file);
+  }
+
+  /**
+   * Load the configured file if it exists, once; later calls wait for the
+   * same load. Call it at startup so lookups don't wait for the file.
+   * @returns {Promise<boolean>} True if the database can answer lookups
+   */
+  async open() {
+    this.opening ??= (async () => {
+      if (!this.file || !fs.existsSync(this.file)) return;
+      try {
+        await this.loadFile();
+      } catch (error) {
+        console.error('Card database could not be loaded:', error.message);
+      }
+    })();
+    await this.opening;
+    return this.isAvailable();
+  }
+
+  /**
+   * Whether cards are loaded; the file is only read by open() or loadFile()
+   * @returns {boolean} True if the database can answer lookups
+   */
+  isAvailable() {
+    return this.cards.length > 0;
+  }
+
+  /**
+   * Forget the loaded cards; the next open() reads the file again
+   */
+  unload() {
+    this.load([]);
+    this.opening = null;
+  }
+
+  /**
+   * Get a card by exact name (either face of a double-faced card)
+   * @param {string} name - Card name
+   * @param {string} set - Optional set code
+   * @returns {Object|null} Scryfall card object
+   */
+  getCard(name, set = null) {
+    return this.byName.get(set ? `${nameKey(name)}|${set.toLowerCase()}` : nameKey(name)) || null;
+  }
+
+  /**
+   * Get a card by set and collector number
+   * @param {string} setCode - Set code
+   * @param {string} collectorNumber - Collector number
+   * @returns {Object|null} Scryfall card object
+   */
+  getCardBySetAndNumber(setCode, collectorNumber) {
+    return this.bySetNumber.get(`${setCode.toLowerCase()}|${collectorNumber}`) || null;
+  }
+
+  /**
+   * Get a card for a /cards/collection identifier
+   * @param {Object} identifier - { id }, { name }, { name, set } or { set, collector_number }
+   * @returns {Object|null} Scryfall card object
+   */
+  getByIdentifier(identifier) {
+    if (identifier.id) return this.byId.get(identifier.id) || null;
+    if (identifier.collector_number) return this.getCardBySetAndNumber(identifier.set, identifier.collector_number);
+    return this.getCard(identifier.name, identifier.set);
+  }
+
+  /**
+   * Card names starting with (then containing) the given text
+   * @param {string} partial - Partial card name
+   * @returns {Array<string>} Up to 20 names
+   */
+  autocomplete(partial) {
+    const text = nameKey(partial);
+    if (text.length < 2) return [];
+    const starts = this.names.filter(name => name.toLowerCase().startsWith(text));
+    const contains = this.names.filter(name => !name.toLowerCase().startsWith(text) && name.toLowerCase().includes(text));
+    return [...starts, ...contains].slice(0, AUTOCOMPLETE_LIMIT);
+  }
+
+  /**
+   * A random card matching a query, like /cards/random
+   * @param {string} query - Scryfall search query
+   * @returns {Object|null} Scryfall card object
+   */
+  random(query) {
+    const { match } = parseScryfallQuery(query);
+    const found = this.cards.filter(match);
+    return found.length ? found[Math.floor(Math.random() * found.length)] : null;
+  }
+
+  /**
+   * Search with Scryfall query syntax (see utils/scryfallQuery.js)
+   * Returns the same list shape as Scryfall's /cards/search. order:, dir:
+   * and unique: in the query win over the options.
+   * @param {string} query - Scryfall search query
+   * @param {Object} options - { unique, order, dir, page }
+   * @returns {Object} { object: 'list', total_cards, has_more, data }
+   * @throws {Error} If the query uses syntax the local engine doesn't support
+   */
+  search(query, options = {}) {
+    const { match, options: inline } = parseScryfallQuery(query);
+    const { unique = 'cards', order = 'name', dir = 'auto', page = 1 } = { ...options, ...inline };
+
+    let found = this.cards.filter(match);
+    if (unique === 'cards') {
+      const seen = new Set();
+      found = found.filter(card => {
+        const key = card.oracle_id || card.name;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+
+    const sorted = sortCards(found, order, dir);
+    const start = (page - 1) * SEARCH_PAGE_SIZE;
+    return {
+      object: 'list',
+      total_cards: sorted.length,
+      has_more: start + SEARCH_PAGE_SIZE < sorted.length,
+      data: sorted.slice(start, start + SEARCH_PAGE_SIZE),
+    };
+  }
+}
+
+// Export singleton instance
+export const cardDatabase = new CardDatabase();
+
+export default cardDatabase;
@@ -3,24 +3,58 @@
  * Central configuration for all external API integrations
  */
 
+import os from 'os';
+import path from 'path';
 import dotenv from 'dotenv';
 dotenv.config();
 
+const dataDir = process.env.BIGDECK_DATA_DIR || path.join(os.homedir(), '.bigdeck-ai');
+const scryfallUrl = process.env.SCRYFALL_API_URL || 'https://api.scryfall.com';
+
+// Durations like 30m, 6h or 7d, in milliseconds
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const parseDuration = value => {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([smhd])$/);
+  return match ? parseFloat(match[1]) * DURATION_UNITS[match[2]] : null;
+};
+
+// A count from the environment, or the default if it's unset or not a whole number >= 0
+const parseCount = (value, fallback) => {
+  const count = Number(value);
+  return value !== undefined && value.trim() !== '' && Number.isInteger(count) && count >= 0 ? count : fallback;
+};
+
+/**
+ * Read TTL overrides such as "price=2h,card=3d"
+ * @private
+ */
+function parseTtlOverrides(value = '') {
+  return Object.fromEntries(
+    value.split(',')
+      .map(pair => pair.split('=').map(part => part.trim()))
+      .filter(([resource, duration]) => resource && parseDuration(duration) !== null)
+      .map(([resource, duration]) => [resource, parseDuration(duration)])
+  );
+}
+
 export const config = {
   // LLM Provider Configuration
   llm: {
     provider: process.env.LLM_PROVIDER || 'groq',
     groq: {
+      baseUrl: process.env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1',
       apiKey: process.env.GROQ_API_KEY,
       model: process.env.GROQ_MODEL || 'llama-3.3-70b-versatile',
       temperature: parseFloat(process.env.LLM_TEMPERATURE) || 0.7,
     },
     openai: {
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
       apiKey: process.env.OPENAI_API_KEY,
       model: process.env.OPENAI_MODEL || 'gpt-4-turbo-preview',
       temperature: parseFloat(process.env.LLM_TEMPERATURE) || 0.7,
     },
     anthropic: {
+      baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
       apiKey: process.env.ANTHROPIC_API_KEY,
       model: process.env.ANTHROPIC_MODEL || 'claude-3-sonnet-20240229',
       temperature: parseFloat(process.env.LLM_TEMPERATURE) || 0.7,
@@ -30,12 +64,69 @@ export const config = {
       model: process.env.OLLAMA_MODEL || 'llama3',
       temperature: parseFloat(process.env.LLM_TEMPERATURE) || 0.7,
     },
+    maxIterations: parseInt(process.env.LLM_MAX_ITERATIONS, 10) || 8, // tool-calling rounds per message
+    timeout: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 60000, // ms per message, including tool calls
   },
 
   // Scryfall API Configuration
   scryfall: {
-    baseUrl: process.env.SCRYFALL_API_URL || 'https://api.scryfall.com',
-    rateLimit: 100, // milliseconds between requests
+    baseUrl: scryfallUrl,
+    cardCacheSize: parseInt(process.env.BIGDECK_CARD_CACHE_SIZE, 10) || 10000, // lookup keys kept in memory
+  },
+
+  // Local storage for inventory, decks, sales and the undo journal
+  storage: {
+    adapter: process.env.BIGDECK_STORAGE || 'json', // json, memory or sqlite
+    dataDir,
+    historyLimit: parseInt(process.env.BIGDECK_HISTORY_LIMIT, 10) || 100, // undo steps kept per user
+  },
+
+  // Offline card database: a Scryfall bulk-data file (oracle-cards or
+  // default-cards JSON), used instead of the API when it exists
+  cardDatabase: {
+    file: process.env.BIGDECK_CARD_DB || path.join(dataDir, 'cards.json'),
+  },
+
+  // Ban list history, refreshed from Scryfall legalities (see data/banList.js)
+  banList: {
+    file: process.env.BIGDECK_BAN_LIST || path.join(dataDir, 'ban-list.json'),
+  },
+
+  // HTTP cache shared by the integrations
+  httpCache: {
+    mode: process.env.BIGDECK_HTTP_CACHE || 'disk', // disk, memory or off
+    dir: process.env.BIGDECK_CACHE_DIR || path.join(dataDir, 'http-cache'),
+    // How long each kind of response stays fresh, in ms; BIGDECK_CACHE_TTL
+    // overrides them, e.g. "price=2h,card=3d"
+    ttl: {
+      card: parseDuration('7d'),
+      set: parseDuration('7d'),
+      search: parseDuration('1d'),
+      price: parseDuration('6h'),
+      meta: parseDuration('1d'),
+      deck: parseDuration('1h'),
+      profile: parseDuration('6h'),
+      video: parseDuration('1d'),
+      default: parseDuration('1h'),
+      ...parseTtlOverrides(process.env.BIGDECK_CACHE_TTL),
+    },
+  },
+
+  // Rate limits and retries for every integration request
+  http: {
+    retries: parseCount(process.env.BIGDECK_HTTP_RETRIES, 3), // after the first attempt
+    timeout: parseCount(process.env.BIGDECK_HTTP_TIMEOUT, 30000) || null, // ms per attempt, body included; 0 waits forever
+    backoff: 500, // ms before the first retry, doubled for each one after
+    maxRetryWait: 30000, // a longer Retry-After fails the request instead of waiting
+    // Token bucket per host: requests per second, and how many may go at once
+    rateLimits: {
+      [new URL(scryfallUrl).host]: { perSecond: 10, burst: 4 },
+      'api.moxfield.com': { perSecond: 10, burst: 2 },
+      'archidekt.com': { perSecond: 5, burst: 2 },
+      'www.mtggoldfish.com': { perSecond: 5, burst: 1 }, // scraped, so be respectful
+      'www.youtube.com': { perSecond: 10, burst: 2 },
+      default: { perSecond: 5, burst: 1 },
+    },
   },
 
   // BigDeckAppV3 API Configuration (for future inventory integration)
@@ -47,11 +138,10 @@ export const config = {
 
 /**
  * Validates that required configuration is present
+ * @param {string} provider - LLM provider to check (defaults to LLM_PROVIDER)
  * @throws {Error} if required config is missing
  */
-export function validateConfig() {
-  const provider = config.llm.provider;
-  
+export function validateConfig(provider = config.llm.provider) {
   switch (provider) {
     case 'groq':
       if (!config.llm.groq.apiKey) {
@@ -13,17 +13,23 @@ const EDHREC_BASE_URL = 'https://edhrec.com';
 
 /**
  * Get commander data from EDHREC
+ * Paired commanders share one EDHREC page, named after both in alphabetical order.
  * @param {string} commanderName - Name of the commander
+ * @param {string} partnerName - Optional second commander (Partner, Background, ...)
  * @returns {Promise<Object>} Commander data including themes, top cards, etc.
  */
-export async function getCommanderData(commanderName) {
+export async function getCommanderData(commanderName, partnerName = null) {
   // In production, this would make an API call or scrape EDHREC
   // For now, return structured mock data
   
-  const normalized = commanderName.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const names = [commanderName, partnerName].filter(Boolean);
+  const normalized = [...names].sort()
+    .map(name => name.toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .join('-');
   
   return {
     commander: commanderName,
+    ...(partnerName ? { partner: partnerName } : {}),
     url: `${EDHREC_BASE_URL}/commanders/${normalized}`,
     themes: await getThemes(commanderName),
     topCards: await getPopularCards(commanderName, 'all'),
@@ -0,0 +1,85 @@
+/**
+ * Integration Errors
+ * Typed errors for external API failures, so callers can tell a card that
+ * doesn't exist (NotFoundError) from a service that is throttling us
+ * (RateLimitedError) or down (UpstreamError).
+ */
+
+export class IntegrationError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { service, status, url, cause }
+   */
+  constructor(message, { service = null, status = null, url = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'IntegrationError';
+    this.service = service;
+    this.status = status;
+    this.url = url;
+  }
+}
+
+/** The service has no such resource (404) */
+export class NotFoundError extends IntegrationError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+/** The service is still refusing requests after our retries (429) */
+export class RateLimitedError extends IntegrationError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { service, status, url, retryAfter } - retryAfter in ms
+   */
+  constructor(message, { retryAfter = null, ...details } = {}) {
+    super(message, details);
+    this.name = 'RateLimitedError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** The service failed (5xx) or couldn't be reached */
+export class UpstreamError extends IntegrationError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'UpstreamError';
+  }
+}
+
+/**
+ * Whether an error means the service is unavailable, rather than that the
+ * request itself was wrong; trying again later may work
+ * @param {Error} error - Any error
+ * @returns {boolean} True for RateLimitedError and UpstreamError
+ */
+export function isUnavailable(error) {
+  return error instanceof RateLimitedError || error instanceof UpstreamError;
+}
+
+/**
+ * Build the typed error for a failed response
+ * @param {string} service - Service name used in the message (e.g. 'Scryfall API')
+ * @param {Object} response - { status, statusText, url, retryAfter }
+ * @returns {IntegrationError} NotFoundError, RateLimitedError, UpstreamError,
+ *   or IntegrationError for other client errors
+ */
+export function errorForResponse(service, { status, statusText = '', url = null, retryAfter = null }) {
+  const message = `${service} error: ${status} ${statusText}`.trim();
+  const details = { service, status, url };
+
+  if (status === 404) return new NotFoundError(message, details);
+  if (status === 429) return new RateLimitedError(message, { ...details, retryAfter });
+  if (status >= 500) return new UpstreamError(message, details);
+  return new IntegrationError(message, details);
+}
+
+export default {
+  IntegrationError,
+  NotFoundError,
+  RateLimitedError,
+  UpstreamError,
+  isUnavailable,
+  errorForResponse,
+};
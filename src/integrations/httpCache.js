@@ -0,0 +1,284 @@
+/**
+ * HTTP Cache
+ * Response cache shared by the integrations. Each response is kept for its
+ * resource type's TTL (see config.httpCache), then revalidated with its ETag
+ * or Last-Modified date. When the network fails, the last copy is served
+ * instead, however old. Requests that reach the network are rate limited
+ * and retried by httpClient.js. Entries are JSON files in the cache directory, so
+ * they survive restarts.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+import { httpRequest, parseRetryAfter } from './httpClient.js';
+import { UpstreamError } from './errors.js';
+import { writeFileAtomic } from '../data/adapters/fileLock.js';
+
+const CACHE_MODES = ['disk', 'memory', 'off'];
+
+/**
+ * Turn a cache entry into a response
+ * @private
+ */
+const fromEntry = (entry, cache) => ({
+  ok: true,
+  status: entry.status,
+  statusText: entry.statusText,
+  text: entry.text,
+  cache,
+});
+
+/**
+ * Read a network response; a body cut off by the request timeout is an UpstreamError
+ * @private
+ */
+const fromResponse = async (response, { url, service }) => {
+  let text;
+  try {
+    text = await response.text();
+  } catch (error) {
+    throw new UpstreamError(`${service || new URL(url).host} unreachable: ${error.message}`, { service, url, cause: error });
+  }
+  return {
+    ok: response.ok,
+    status: response.status,
+    statusText: response.statusText,
+    ...(response.ok ? {} : { retryAfter: parseRetryAfter(response.headers.get('retry-after')) }),
+    text,
+    cache: null,
+  };
+};
+
+export class HttpCache {
+  constructor(options = config.httpCache) {
+    // Entries for memory mode; disk mode reads and writes the files directly
+    this.entries = new Map();
+    this.counters = { hits: 0, misses: 0, revalidated: 0, stale: 0 };
+    this.configure(options);
+  }
+
+  /**
+   * Change where and how long responses are cached
+   * @param {Object} options - { mode, dir, ttl } - mode is 'disk', 'memory'
+   *   or 'off'; ttl maps resource types to milliseconds and is merged in
+   */
+  configure({ mode, dir, ttl } = {}) {
+    if (mode !== undefined && !CACHE_MODES.includes(mode)) {
+      throw new Error(`Unknown HTTP cache mode: ${mode}. Supported: ${CACHE_MODES.join(', ')}`);
+    }
+    if (mode !== undefined) this.mode = mode;
+    if (dir !== undefined) this.dir = dir;
+    this.ttl = { ...this.ttl, ...ttl };
+    this.entries.clear();
+  }
+
+  /**
+   * Cache key for a request
+   * @private
+   */
+  key(url, method, body) {
+    return crypto.createHash('sha256').update(`${method} ${url}\n${body || ''}`).digest('hex');
+  }
+
+  /**
+   * @private
+   */
+  entryPath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  /**
+   * Read an entry from disk, or from memory when not caching to disk
+   * Disk mode keeps nothing in memory, so a long-running server doesn't grow
+   * with every response it has ever read.
+   * @private
+   */
+  read(key) {
+    if (this.mode !== 'disk') return this.entries.get(key) || null;
+
+    try {
+      return JSON.parse(fs.readFileSync(this.entryPath(key), 'utf8'));
+    } catch (error) {
+      // Missing, or unreadable and fetched again
+      return null;
+    }
+  }
+
+  /**
+   * Store an entry; a cache that can't be written only costs a refetch
+   * @private
+   */
+  write(key, entry) {
+    if (this.mode !== 'disk') {
+      this.entries.set(key, entry);
+      return;
+    }
+
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      writeFileAtomic(this.entryPath(key), JSON.stringify(entry), { backup: false });
+    } catch (error) {
+      console.error('HTTP cache write failed:', error.message);
+    }
+  }
+
+  /**
+   * Fetch a URL through the cache
+   * Fresh entries are returned without a request. Stale ones are revalidated
+   * with If-None-Match / If-Modified-Since, and served as they are if the
+   * request fails, the server errors or it is still rate limiting us. Only
+   * successful responses are stored.
+   * @param {string} url - Full URL
+   * @param {Object} options - { resource, method, headers, body, service }
+   *   resource is a key in config.httpCache.ttl, or null to skip the cache
+   *   (e.g. for random results); service names the integration in errors
+   * @returns {Promise<Object>} { ok, status, statusText, retryAfter, text, cache } -
+   *   cache is 'hit', 'revalidated', 'stale' or null when the response came from
+   *   the network; retryAfter is the server's Retry-After in ms, if any
+   * @throws {UpstreamError} If the network fails and nothing is cached
+   */
+  async fetch(url, { resource = 'default', method = 'GET', headers = {}, body = null, service = null } = {}) {
+    const request = (extraHeaders = {}) =>
+      httpRequest(url, { method, headers: { ...headers, ...extraHeaders }, body, service });
+
+    if (this.mode === 'off' || !resource) {
+      return fromResponse(await request(), { url, service });
+    }
+
+    const key = this.key(url, method, body);
+    const entry = this.read(key);
+    const now = Date.now();
+    const ttl = this.ttl[resource] ?? this.ttl.default;
+
+    if (entry && entry.expiresAt > now) {
+      this.counters.hits++;
+      return fromEntry(entry, 'hit');
+    }
+
+    let response;
+    try {
+      response = await request({
+        ...(entry?.etag ? { 'If-None-Match': entry.etag } : {}),
+        ...(entry?.lastModified ? { 'If-Modified-Since': entry.lastModified } : {}),
+      });
+    } catch (error) {
+      if (!entry) throw error;
+      this.counters.stale++;
+      return fromEntry(entry, 'stale');
+    }
+
+    if (entry && response.status === 304) {
+      this.counters.revalidated++;
+      this.write(key, { ...entry, expiresAt: now + ttl });
+      return fromEntry(entry, 'revalidated');
+    }
+    // Still throttled or failing after the retries: the last copy beats an error
+    if (entry && (response.status === 429 || response.status >= 500)) {
+      this.counters.stale++;
+      return fromEntry(entry, 'stale');
+    }
+
+    this.counters.misses++;
+    const result = await fromResponse(response, { url, service });
+    if (response.ok) {
+      this.write(key, {
+        url,
+        method,
+        resource,
+        status: response.status,
+        statusText: response.statusText,
+        text: result.text,
+        etag: response.headers.get('etag'),
+        lastModified: response.headers.get('last-modified'),
+        storedAt: now,
+        expiresAt: now + ttl,
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Every stored entry, keyed by cache key
+   * @private
+   */
+  allEntries() {
+    if (this.mode !== 'disk') return new Map(this.entries);
+
+    const all = new Map();
+    if (fs.existsSync(this.dir)) {
+      for (const file of fs.readdirSync(this.dir).filter(name => name.endsWith('.json'))) {
+        const key = file.slice(0, -'.json'.length);
+        const entry = this.read(key);
+        if (entry) all.set(key, entry);
+      }
+    }
+    return all;
+  }
+
+  /**
+   * Cache statistics
+   * @returns {Object} { mode, dir, hits, misses, revalidated, stale, entries, bytes,
+   *   expired, byResource: { [resource]: { entries, bytes, expired } } } - the counters
+   *   cover this session; entries, bytes and expired cover everything stored
+   */
+  stats() {
+    const now = Date.now();
+    const byResource = {};
+    let bytes = 0;
+    let expired = 0;
+    const all = this.allEntries();
+
+    for (const entry of all.values()) {
+      const size = Buffer.byteLength(entry.text);
+      const stale = entry.expiresAt <= now;
+      const resource = byResource[entry.resource] ||= { entries: 0, bytes: 0, expired: 0 };
+      resource.entries++;
+      resource.bytes += size;
+      if (stale) resource.expired++;
+      bytes += size;
+      if (stale) expired++;
+    }
+
+    return {
+      mode: this.mode,
+      dir: this.mode === 'disk' ? this.dir : null,
+      ...this.counters,
+      entries: all.size,
+      bytes,
+      expired,
+      byResource,
+    };
+  }
+
+  /**
+   * Remove cached responses
+   * With no filters everything is removed.
+   * @param {Object} filters - { resource, url, expired } - url matches by prefix;
+   *   expired: true only removes entries past their TTL
+   * @returns {number} Entries removed
+   */
+  purge({ resource = null, url = null, expired = false } = {}) {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, entry] of this.allEntries()) {
+      if (resource && entry.resource !== resource) continue;
+      if (url && !entry.url.startsWith(url)) continue;
+      if (expired && entry.expiresAt > now) continue;
+
+      if (this.mode === 'disk') fs.rmSync(this.entryPath(key), { force: true });
+      else this.entries.delete(key);
+      removed++;
+    }
+
+    return removed;
+  }
+}
+
+// Export singleton instance
+export const httpCache = new HttpCache();
+
+export default httpCache;
@@ -0,0 +1,173 @@
+/**
+ * HTTP Client
+ * Every integration request goes through here. Each host gets one token
+ * bucket (see config.http.rateLimits) that hands out requests in the order
+ * they were made, however many callers run at once. 429s, 5xx responses and
+ * network failures are retried with exponential backoff, honouring the
+ * server's Retry-After. An attempt that takes longer than config.http.timeout
+ * is abandoned and counts as a network failure.
+ */
+
+import { config } from './config.js';
+import { UpstreamError } from './errors.js';
+
+// Responses worth trying again
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class TokenBucket {
+  /**
+   * @param {Object} options - { perSecond, burst } - refill rate, and the most
+   *   tokens the bucket holds
+   */
+  constructor({ perSecond, burst = 1 }) {
+    this.perSecond = perSecond;
+    this.burst = burst;
+    this.tokens = burst;
+    this.last = Date.now();
+    this.pausedUntil = 0;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * Wait for a token; waiters are served first come, first served
+   * @returns {Promise<void>}
+   */
+  take() {
+    return new Promise(resolve => {
+      this.queue.push(resolve);
+      this.drain();
+    });
+  }
+
+  /**
+   * Hold every waiter back, e.g. for a 429's Retry-After
+   * @param {number} ms - How long to pause
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    // Don't let tokens saved up before or during the pause go out in one
+    // burst: refilling starts again when the pause ends
+    this.tokens = Math.min(this.tokens, 1);
+    this.last = this.pausedUntil;
+    this.drain();
+  }
+
+  /**
+   * Hand out the tokens that are ready, and wake up when the next one is
+   * @private
+   */
+  drain() {
+    if (this.timer) return;
+
+    const now = Date.now();
+    if (now > this.last) {
+      this.tokens = Math.min(this.burst, this.tokens + (now - this.last) * this.perSecond / 1000);
+      this.last = now;
+    }
+
+    while (this.queue.length && this.tokens >= 1 && now >= this.pausedUntil) {
+      this.tokens -= 1;
+      this.queue.shift()();
+    }
+
+    if (this.queue.length) {
+      const wait = Math.max(this.pausedUntil - now, Math.ceil((1 - this.tokens) * 1000 / this.perSecond));
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, wait);
+    }
+  }
+}
+
+const limiters = new Map();
+
+/**
+ * The token bucket for a URL's host
+ * @param {string} url - Full URL
+ * @returns {TokenBucket} Shared bucket for that host
+ */
+export function limiterFor(url) {
+  const { host } = new URL(url);
+  if (!limiters.has(host)) {
+    const { rateLimits } = config.http;
+    limiters.set(host, new TokenBucket(rateLimits[host] || rateLimits.default));
+  }
+  return limiters.get(host);
+}
+
+/**
+ * Read a Retry-After header: seconds, or an HTTP date
+ * @param {string|null} value - Header value
+ * @returns {number|null} Milliseconds to wait
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before a retry: doubled each attempt, with jitter so callers that
+ * failed together don't retry together
+ * @private
+ */
+const backoff = attempt => config.http.backoff * 2 ** attempt * (0.5 + Math.random() / 2);
+
+/**
+ * Make a rate-limited request, retrying when the service is throttling or failing
+ * The last response is returned whatever its status, so callers can turn it
+ * into a typed error (see errorForResponse).
+ * @param {string} url - Full URL
+ * @param {Object} options - { method, headers, body, service, retries, timeout } -
+ *   service names the integration in errors; timeout is in ms per attempt,
+ *   reading the body included, or null for none
+ * @returns {Promise<Response>} fetch Response
+ * @throws {UpstreamError} If the service can't be reached after the retries
+ */
+export async function httpRequest(url, {
+  method = 'GET', headers = {}, body = null, service = null,
+  retries = config.http.retries, timeout = config.http.timeout,
+} = {}) {
+  const limiter = limiterFor(url);
+
+  for (let attempt = 0; ; attempt++) {
+    await limiter.take();
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers,
+        ...(body ? { body } : {}),
+        ...(timeout ? { signal: AbortSignal.timeout(timeout) } : {}),
+      });
+    } catch (error) {
+      if (attempt >= retries) {
+        throw new UpstreamError(`${service || new URL(url).host} unreachable: ${error.message}`, { service, url, cause: error });
+      }
+      await sleep(backoff(attempt));
+      continue;
+    }
+
+    if (!RETRY_STATUSES.has(response.status) || attempt >= retries) return response;
+
+    const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+    if (retryAfter !== null && retryAfter > config.http.maxRetryWait) return response;
+    await response.arrayBuffer().catch(() => null);
+
+    const wait = retryAfter ?? backoff(attempt);
+    if (response.status === 429) {
+      // The whole host is throttled, so every queued request waits
+      limiter.pause(wait);
+    } else {
+      await sleep(wait);
+    }
+  }
+}
+
+export default httpRequest;
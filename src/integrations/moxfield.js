@@ -4,38 +4,22 @@
  * Documentation: https://api.moxfield.com/v2/docs
  */
 
+import { httpCache } from './httpCache.js';
+import { errorForResponse } from './errors.js';
+
 class MoxfieldAPI {
   constructor() {
     this.baseUrl = 'https://api.moxfield.com/v2';
-    this.rateLimit = 100; // ms between requests
-    this.lastRequestTime = 0;
-  }
-
-  /**
-   * Rate limiting: Wait if needed before making request
-   */
-  async waitForRateLimit() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    
-    if (timeSinceLastRequest < this.rateLimit) {
-      await new Promise(resolve => 
-        setTimeout(resolve, this.rateLimit - timeSinceLastRequest)
-      );
-    }
-    
-    this.lastRequestTime = Date.now();
   }
 
   /**
    * Make a request to Moxfield API
    * @param {string} endpoint - API endpoint
    * @param {Object} params - Query parameters
+   * @param {string} resource - Cache TTL type (see config.httpCache)
    * @returns {Promise<Object>} API response
    */
-  async request(endpoint, params = {}) {
-    await this.waitForRateLimit();
-    
+  async request(endpoint, params = {}, resource = 'deck') {
     const url = new URL(`${this.baseUrl}${endpoint}`);
     Object.entries(params).forEach(([key, value]) => {
       if (value !== undefined && value !== null) {
@@ -44,17 +28,19 @@ class MoxfieldAPI {
     });
 
     try {
-      const response = await fetch(url.toString(), {
+      const response = await httpCache.fetch(url.toString(), {
+        resource,
         headers: {
           'Accept': 'application/json',
         },
+        service: 'Moxfield API',
       });
       
       if (!response.ok) {
-        throw new Error(`Moxfield API error: ${response.status} ${response.statusText}`);
+        throw errorForResponse('Moxfield API', { ...response, url: url.toString() });
       }
       
-      return await response.json();
+      return JSON.parse(response.text);
     } catch (error) {
       console.error('Moxfield API request failed:', error.message);
       throw error;
@@ -75,7 +61,7 @@ class MoxfieldAPI {
       authors: username,
       sortType: 'updated',
       sortDirection: 'Descending',
-    });
+    }, 'profile');
   }
 
   /**
@@ -3,49 +3,35 @@
  * Scrapes MTGGoldfish profile and deck data for meta analysis
  */
 
+import { httpCache } from './httpCache.js';
+import { errorForResponse } from './errors.js';
+
 class MTGGoldfishAPI {
   constructor() {
     this.baseUrl = 'https://www.mtggoldfish.com';
-    this.rateLimit = 200; // ms between requests (be respectful)
-    this.lastRequestTime = 0;
-  }
-
-  /**
-   * Rate limiting: Wait if needed before making request
-   */
-  async waitForRateLimit() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    
-    if (timeSinceLastRequest < this.rateLimit) {
-      await new Promise(resolve => 
-        setTimeout(resolve, this.rateLimit - timeSinceLastRequest)
-      );
-    }
-    
-    this.lastRequestTime = Date.now();
   }
 
   /**
    * Fetch HTML from MTGGoldfish
    * @param {string} path - URL path
+   * @param {string} resource - Cache TTL type (see config.httpCache)
    * @returns {Promise<string>} HTML content
    */
-  async fetchHTML(path) {
-    await this.waitForRateLimit();
-    
+  async fetchHTML(path, resource = 'deck') {
     try {
-      const response = await fetch(`${this.baseUrl}${path}`, {
+      const response = await httpCache.fetch(`${this.baseUrl}${path}`, {
+        resource,
         headers: {
           'User-Agent': 'BigDeckAI/1.0 (Educational deck builder)',
         },
+        service: 'MTGGoldfish',
       });
       
       if (!response.ok) {
-        throw new Error(`MTGGoldfish request failed: ${response.status}`);
+        throw errorForResponse('MTGGoldfish', { ...response, url: `${this.baseUrl}${path}` });
       }
       
-      return await response.text();
+      return response.text;
     } catch (error) {
       console.error('MTGGoldfish request failed:', error.message);
       throw error;
@@ -104,6 +90,15 @@ class MTGGoldfishAPI {
     return this.parseDeckHTML(html);
   }
 
+  /**
+   * Get a deck's plain-text download: main deck, a blank line, then sideboard
+   * @param {string} deckId - Deck ID from URL
+   * @returns {Promise<string>} Deck list text
+   */
+  async getDeckText(deckId) {
+    return this.fetchHTML(`/deck/download/${deckId}`);
+  }
+
   /**
    * Get user's public decks (basic implementation)
    * @param {string} username - MTGGoldfish username
@@ -111,7 +106,7 @@ class MTGGoldfishAPI {
    */
   async getUserDecks(username) {
     try {
-      const html = await this.fetchHTML(`/player/${username}`);
+      const html = await this.fetchHTML(`/player/${username}`, 'profile');
       
       // Extract deck links using regex
       const deckLinkPattern = /<a href="\/deck\/(\d+)"[^>]*>([^<]+)<\/a>/g;
@@ -142,7 +137,7 @@ class MTGGoldfishAPI {
    */
   async getMetaDecks(format = 'commander') {
     try {
-      const html = await this.fetchHTML(`/metagame/${format}`);
+      const html = await this.fetchHTML(`/metagame/${format}`, 'meta');
       
       // Extract meta decks
       const deckPattern = /<div class="archetype-tile">.*?<a href="([^"]+)"[^>]*>([^<]+)<\/a>.*?<span class="archetype-tile-statistic-value">([^<]+)<\/span>/gs;
@@ -2,42 +2,111 @@
  * Scryfall API Integration
  * Free API for Magic: The Gathering card data
  * Documentation: https://scryfall.com/docs/api
+ * Card lookups, searches and autocomplete are answered from the offline card
+ * database (cardDatabase.js) when a bulk-data file is present.
  */
 
 import { config } from './config.js';
+import { httpCache } from './httpCache.js';
+import { errorForResponse, isUnavailable } from './errors.js';
+import { cardDatabase } from './cardDatabase.js';
+import { cardNames } from '../utils/cardModel.js';
+
+// Most identifiers /cards/collection accepts per request
+const COLLECTION_BATCH_SIZE = 75;
+
+// Cache key for a Scryfall card identifier
+const identifierKey = identifier => {
+  if (identifier.id) return `id:${identifier.id}`;
+  if (identifier.collector_number) return `number:${identifier.set.toLowerCase()}|${identifier.collector_number}`;
+  if (identifier.set) return `name:${identifier.name.toLowerCase().trim()}|${identifier.set.toLowerCase()}`;
+  return `name:${identifier.name.toLowerCase().trim()}`;
+};
+
+// Every cache key a card answers: its id, its set and number, and each of its names
+const cardKeys = card => [
+  `id:${card.id}`,
+  `number:${card.set}|${card.collector_number}`,
+  ...cardNames(card).flatMap(name => [`name:${name}|${card.set}`, `name:${name}`]),
+];
 
 class ScryfallAPI {
   constructor() {
     this.baseUrl = config.scryfall.baseUrl;
-    this.rateLimit = config.scryfall.rateLimit;
-    this.lastRequestTime = 0;
+    // Cards already fetched, keyed by every identifier that asks for them:
+    // { card, expiresAt }, oldest first
+    this.cardCache = new Map();
   }
 
   /**
-   * Rate limiting: Wait if needed before making request
+   * Store a card under one cache key, dropping the oldest keys past the size
+   * limit. Cards carry prices, so they expire with the price TTL.
+   * @private
    */
-  async waitForRateLimit() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    
-    if (timeSinceLastRequest < this.rateLimit) {
-      await new Promise(resolve => 
-        setTimeout(resolve, this.rateLimit - timeSinceLastRequest)
-      );
+  remember(key, card) {
+    this.cardCache.delete(key);
+    this.cardCache.set(key, { card, expiresAt: Date.now() + config.httpCache.ttl.price });
+    for (const oldest of this.cardCache.keys()) {
+      if (this.cardCache.size <= config.scryfall.cardCacheSize) break;
+      this.cardCache.delete(oldest);
+    }
+  }
+
+  /**
+   * A cached card, or null if it was never fetched or has expired
+   * @private
+   */
+  recall(key) {
+    const entry = this.cardCache.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.cardCache.delete(key);
+      return null;
+    }
+    return entry.card;
+  }
+
+  /**
+   * Cache a card under its id, its set and number, and each of its names
+   * @param {Object} card - Scryfall card object
+   */
+  cacheCard(card) {
+    this.remember(`id:${card.id}`, card);
+    this.remember(`number:${card.set}|${card.collector_number}`, card);
+    for (const name of cardNames(card)) {
+      this.remember(`name:${name}|${card.set}`, card);
+      if (!this.recall(`name:${name}`)) this.remember(`name:${name}`, card);
     }
-    
-    this.lastRequestTime = Date.now();
+  }
+
+  /**
+   * Get a card from the cache without a request
+   * @param {Object} identifier - Scryfall card identifier (see getCollection)
+   * @returns {Object|null} Cached card, or null if it isn't cached or has expired
+   */
+  getCachedCard(identifier) {
+    return this.recall(identifierKey(identifier));
+  }
+
+  /**
+   * Forget every cached card
+   */
+  clearCache() {
+    this.cardCache.clear();
   }
 
   /**
    * Make a request to Scryfall API
+   * Responses go through the shared HTTP cache; only requests that reach
+   * the network wait for the rate limit (see httpClient.js).
    * @param {string} endpoint - API endpoint
    * @param {Object} params - Query parameters
+   * @param {Object} options - { method, body } for POST endpoints; resource is the
+   *   cache TTL type (see config.httpCache), or null to skip the cache
    * @returns {Promise<Object>} API response
+   * @throws {NotFoundError|RateLimitedError|UpstreamError|IntegrationError} If the request fails
    */
-  async request(endpoint, params = {}) {
-    await this.waitForRateLimit();
-    
+  async request(endpoint, params = {}, { method = 'GET', body = null, resource = 'card' } = {}) {
     const url = new URL(`${this.baseUrl}${endpoint}`);
     Object.entries(params).forEach(([key, value]) => {
       if (value !== undefined && value !== null) {
@@ -46,13 +115,19 @@ class ScryfallAPI {
     });
 
     try {
-      const response = await fetch(url.toString());
+      const response = await httpCache.fetch(url.toString(), {
+        resource,
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : null,
+        service: 'Scryfall API',
+      });
       
       if (!response.ok) {
-        throw new Error(`Scryfall API error: ${response.status} ${response.statusText}`);
+        throw errorForResponse('Scryfall API', { ...response, url: url.toString() });
       }
       
-      return await response.json();
+      return JSON.parse(response.text);
     } catch (error) {
       console.error('Scryfall API request failed:', error.message);
       throw error;
@@ -62,10 +137,17 @@ class ScryfallAPI {
   /**
    * Get a card by exact name
    * @param {string} name - Exact card name
+   * @param {string} set - Optional set code to get that set's printing
    * @returns {Promise<Object>} Card data
    */
-  async getCard(name) {
-    return this.request('/cards/named', { exact: name });
+  async getCard(name, set = null) {
+    const cached = this.getCachedCard(set ? { name, set } : { name });
+    if (cached) return cached;
+
+    const card = (await cardDatabase.open() && cardDatabase.getCard(name, set))
+      || await this.request('/cards/named', { exact: name, set });
+    this.cacheCard(card);
+    return card;
   }
 
   /**
@@ -75,13 +157,21 @@ class ScryfallAPI {
    * @returns {Promise<Object>} Search results
    */
   async searchCards(query, options = {}) {
+    if (await cardDatabase.open()) {
+      try {
+        return cardDatabase.search(query, options);
+      } catch (error) {
+        // Syntax the local search doesn't support; ask Scryfall
+      }
+    }
+
     return this.request('/cards/search', {
       q: query,
       unique: options.unique || 'cards',
       order: options.order || 'name',
       dir: options.dir || 'auto',
       page: options.page || 1,
-    });
+    }, { resource: 'search' });
   }
 
   /**
@@ -95,8 +185,11 @@ class ScryfallAPI {
     if (colors) {
       query += ` id:${colors}`;
     }
+
+    const local = await cardDatabase.open() && cardDatabase.random(query);
+    if (local) return local;
     
-    return this.request('/cards/random', { q: query });
+    return this.request('/cards/random', { q: query }, { resource: null });
   }
 
   /**
@@ -105,7 +198,9 @@ class ScryfallAPI {
    * @returns {Promise<Array<string>>} Suggested card names
    */
   async autocomplete(partial) {
-    const response = await this.request('/cards/autocomplete', { q: partial });
+    if (await cardDatabase.open()) return cardDatabase.autocomplete(partial);
+
+    const response = await this.request('/cards/autocomplete', { q: partial }, { resource: 'search' });
     return response.data || [];
   }
 
@@ -113,10 +208,103 @@ class ScryfallAPI {
    * Get cards by set and collector number
    * @param {string} setCode - Set code (e.g., 'mh2')
    * @param {string} collectorNumber - Collector number
+   * @param {string} lang - Optional language code (e.g., 'ja') for a non-English printing
    * @returns {Promise<Object>} Card data
    */
-  async getCardBySetAndNumber(setCode, collectorNumber) {
-    return this.request(`/cards/${setCode}/${collectorNumber}`);
+  async getCardBySetAndNumber(setCode, collectorNumber, lang = null) {
+    const path = `/cards/${encodeURIComponent(setCode.toLowerCase())}/${encodeURIComponent(collectorNumber)}`;
+    if (lang) return this.request(`${path}/${encodeURIComponent(lang)}`);
+
+    const cached = this.getCachedCard({ set: setCode, collector_number: String(collectorNumber) });
+    if (cached) return cached;
+
+    const card = (await cardDatabase.open() && cardDatabase.getCardBySetAndNumber(setCode, String(collectorNumber)))
+      || await this.request(path);
+    this.cacheCard(card);
+    return card;
+  }
+
+  /**
+   * Find a card for each identifier via /cards/collection
+   * Cached and offline cards are answered without a request. The rest are
+   * deduplicated and sent in chunks of 75, the endpoint's limit, and the
+   * cards that come back are cached for later calls and for getCard. The
+   * answer is built from the responses themselves, not read back from the
+   * cache, which a large lookup may already have overflowed.
+   * @param {Array<Object|null>} identifiers - Scryfall card identifiers: { id },
+   *   { name }, { name, set } or { set, collector_number }
+   * @returns {Promise<Object>} { cards, not_found } - the card for each
+   *   identifier in order (null if not found or the identifier is null), and
+   *   the identifiers Scryfall has no card for
+   */
+  async findCards(identifiers) {
+    const found = new Map();
+    const missing = new Map();
+    const offline = await cardDatabase.open();
+    for (const identifier of identifiers.filter(Boolean)) {
+      const key = identifierKey(identifier);
+      if (found.has(key) || missing.has(key)) continue;
+
+      const cached = this.recall(key);
+      const local = !cached && offline && cardDatabase.getByIdentifier(identifier);
+      if (local) this.remember(key, local);
+      if (cached || local) found.set(key, cached || local);
+      else missing.set(key, identifier);
+    }
+
+    const notFound = [];
+    const pending = [...missing.values()];
+    for (let i = 0; i < pending.length; i += COLLECTION_BATCH_SIZE) {
+      const batch = pending.slice(i, i + COLLECTION_BATCH_SIZE);
+      // Decks are priced from these cards, so they keep only as long as prices do
+      const response = await this.request('/cards/collection', {}, {
+        method: 'POST',
+        body: { identifiers: batch },
+        resource: 'price',
+      });
+      const cards = response.data || [];
+      const unmatched = response.not_found || [];
+      cards.forEach(card => this.cacheCard(card));
+      notFound.push(...unmatched);
+
+      // Cards come back in request order, so each can be matched to the
+      // identifier that asked for it (e.g. a name spelled without accents)
+      const unmatchedKeys = new Set(unmatched.map(identifierKey));
+      const matched = batch.filter(identifier => !unmatchedKeys.has(identifierKey(identifier)));
+      if (matched.length === cards.length) {
+        matched.forEach((identifier, index) => {
+          found.set(identifierKey(identifier), cards[index]);
+          this.remember(identifierKey(identifier), cards[index]);
+        });
+        continue;
+      }
+
+      // Otherwise match each card by the keys it would be cached under
+      for (const card of cards) {
+        for (const key of cardKeys(card)) {
+          if (missing.has(key) && !found.has(key)) found.set(key, card);
+        }
+      }
+    }
+
+    return {
+      cards: identifiers.map(identifier => identifier ? found.get(identifierKey(identifier)) || null : null),
+      not_found: notFound,
+    };
+  }
+
+  /**
+   * Get many cards at once via /cards/collection (see findCards)
+   * @param {Array<Object>} identifiers - Scryfall card identifiers: { id }, { name },
+   *   { name, set } or { set, collector_number }
+   * @returns {Promise<Object>} { data, not_found } - found cards (once each) and
+   *   the identifiers Scryfall has no card for
+   */
+  async getCollection(identifiers) {
+    const { cards, not_found } = await this.findCards(identifiers);
+    const data = new Map();
+    cards.filter(Boolean).forEach(card => data.set(card.id, card));
+    return { data: [...data.values()], not_found };
   }
 
   /**
@@ -124,7 +312,7 @@ class ScryfallAPI {
    * @returns {Promise<Array>} List of all sets
    */
   async getSets() {
-    const response = await this.request('/sets');
+    const response = await this.request('/sets', {}, { resource: 'set' });
     return response.data || [];
   }
 
@@ -169,15 +357,18 @@ class ScryfallAPI {
    * Get card pricing information
    * @param {string} cardName - Card name
    * @returns {Promise<Object>} Price information
+   * @throws {NotFoundError|RateLimitedError|UpstreamError} If the lookup fails
    */
   async getCardPrice(cardName) {
     try {
-      const card = await this.getCard(cardName);
+      // Prices change daily, so this skips the card cache for the price TTL
+      const card = await this.request('/cards/named', { exact: cardName }, { resource: 'price' });
       
       return {
         name: card.name,
         usd: card.prices?.usd || null,
         usd_foil: card.prices?.usd_foil || null,
+        usd_etched: card.prices?.usd_etched || null,
         eur: card.prices?.eur || null,
         tix: card.prices?.tix || null,
         set: card.set_name,
@@ -186,7 +377,9 @@ class ScryfallAPI {
         purchase_uris: card.purchase_uris || {},
       };
     } catch (error) {
-      throw new Error(`Failed to get price for ${cardName}: ${error.message}`);
+      // Keep the error's type, so callers can still tell not found from an outage
+      error.message = `Failed to get price for ${cardName}: ${error.message}`;
+      throw error;
     }
   }
 }
@@ -198,7 +391,8 @@ export const scryfall = new ScryfallAPI();
  * Search for cards (convenience function)
  * @param {string} query - Search query
  * @param {Object} options - Search options
- * @returns {Promise<Array>} Array of card objects
+ * @returns {Promise<Array>} Array of card objects, empty if nothing matches
+ * @throws {RateLimitedError|UpstreamError} If Scryfall is unavailable
  */
 export async function searchScryfall(query, options = {}) {
   try {
@@ -209,7 +403,8 @@ export async function searchScryfall(query, options = {}) {
     }
     return [];
   } catch (error) {
-    console.error('Scryfall search failed:', error.message);
+    // No results is a 404; an outage is worth telling the caller about
+    if (isUnavailable(error)) throw error;
     return [];
   }
 }
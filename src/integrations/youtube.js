@@ -3,28 +3,10 @@
  * Extract transcripts and parse decklists from Magic YouTube videos
  */
 
-class YouTubeAPI {
-  constructor() {
-    this.rateLimit = 100;
-    this.lastRequestTime = 0;
-  }
-
-  /**
-   * Rate limiting: Wait if needed before making request
-   */
-  async waitForRateLimit() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    
-    if (timeSinceLastRequest < this.rateLimit) {
-      await new Promise(resolve => 
-        setTimeout(resolve, this.rateLimit - timeSinceLastRequest)
-      );
-    }
-    
-    this.lastRequestTime = Date.now();
-  }
+import { httpCache } from './httpCache.js';
+import { errorForResponse } from './errors.js';
 
+class YouTubeAPI {
   /**
    * Extract video ID from YouTube URL
    * @param {string} url - YouTube URL
@@ -112,17 +94,18 @@ class YouTubeAPI {
    * @returns {Promise<Object>} Video metadata
    */
   async getVideoMetadata(videoId) {
-    await this.waitForRateLimit();
-    
     try {
       const url = `https://www.youtube.com/oembed?url=https://www.youtube.com/watch?v=${videoId}&format=json`;
-      const response = await fetch(url);
+      const response = await httpCache.fetch(url, {
+        resource: 'video',
+        service: 'YouTube API',
+      });
       
       if (!response.ok) {
-        throw new Error(`YouTube API error: ${response.status}`);
+        throw errorForResponse('YouTube API', { ...response, url });
       }
       
-      return await response.json();
+      return JSON.parse(response.text);
     } catch (error) {
       console.error('Failed to fetch video metadata:', error.message);
       throw error;
@@ -1,8 +1,12 @@
 /**
  * Commander Format Rules and Ban List
- * Official Commander/EDH format rules as of 2024
+ * Official Commander/EDH format rules as of 2024, and a registry of the
+ * Commander variants built on them (Brawl, Pauper Commander, Oathbreaker,
+ * Duel Commander)
  */
 
+import { PAIRING_MECHANICS } from '../utils/commanderPairing.js';
+
 export const commanderRules = {
   // Basic format rules
   deckSize: 100, // Including commander
@@ -21,6 +25,8 @@ export const commanderRules = {
   commander: {
     mustBeLegendary: true,
     mustBeCreature: true, // Or have "can be your commander" text
+    // A second commander is allowed when the two share one of these (see utils/commanderPairing.js)
+    pairings: Object.values(PAIRING_MECHANICS),
     canBePartner: true, // Partner commanders allowed
     canBeBackground: true, // Background enchantments allowed with "Choose a Background"
     startInCommandZone: true,
@@ -40,7 +46,7 @@ export const commanderRules = {
   // Mulligan rules
   mulligan: 'London mulligan (draw 7, bottom N cards)',
 
-  // Current ban list (as of 2024)
+  // Ban list as of 2024; data/banList.js starts from it and keeps it current
   bannedCards: [
     'Ancestral Recall',
     'Balance',
@@ -99,39 +105,170 @@ export const commanderRules = {
   },
 };
 
+// ============ FORMAT REGISTRY ============
+
+// What a format inherits from Commander unless it says otherwise
+const FORMAT_DEFAULTS = {
+  aliases: [],
+  deckSize: commanderRules.deckSize, // Including commanders (and signature spells)
+  singleton: true,
+  singletonExceptions: [], // Card names allowed more than once besides basic lands
+  startingLife: commanderRules.startingLife,
+  commanderDamage: commanderRules.commander.commanderDamage, // null if the format has none
+  legality: null, // Key in Scryfall's card legalities; its ban list is tracked in data/banList.js
+  bannedCards: [], // Banned on top of the tracked ban list, e.g. by a house format
+  commander: {
+    types: ['creature'], // Card types that can lead the deck
+    legendary: true,
+    rarity: null, // e.g. 'uncommon' for Pauper Commander
+    pairings: true, // Partner, Backgrounds, ... (see utils/commanderPairing.js)
+    signatureSpell: false, // Oathbreaker: an instant or sorcery beside the commander
+  },
+};
+
+/**
+ * Commander formats by id, each with every FORMAT_DEFAULTS field filled in
+ */
+export const formats = {};
+
+/**
+ * Add a format to the registry, or replace one
+ * @param {string} id - Format id (a Scryfall legality key where there is one)
+ * @param {Object} definition - Fields that differ from Commander (see FORMAT_DEFAULTS)
+ * @returns {Object} The registered format
+ */
+export function registerFormat(id, definition) {
+  formats[id] = {
+    id,
+    ...FORMAT_DEFAULTS,
+    ...definition,
+    commander: { ...FORMAT_DEFAULTS.commander, ...definition.commander },
+  };
+  return formats[id];
+}
+
+registerFormat('commander', {
+  name: 'Commander',
+  aliases: ['edh', 'cedh'],
+  legality: 'commander',
+});
+registerFormat('brawl', {
+  name: 'Historic Brawl',
+  aliases: ['historic brawl', 'historicbrawl'],
+  startingLife: 25,
+  commanderDamage: null,
+  legality: 'brawl',
+  commander: { types: ['creature', 'planeswalker'], pairings: false },
+});
+registerFormat('standardbrawl', {
+  name: 'Standard Brawl',
+  aliases: ['standard brawl'],
+  deckSize: 60,
+  startingLife: 25,
+  commanderDamage: null,
+  legality: 'standardbrawl',
+  commander: { types: ['creature', 'planeswalker'], pairings: false },
+});
+registerFormat('paupercommander', {
+  name: 'Pauper Commander',
+  aliases: ['pauper commander', 'pauper edh', 'pauperedh', 'pdh'],
+  startingLife: 30,
+  commanderDamage: 16,
+  legality: 'paupercommander',
+  commander: { legendary: false, rarity: 'uncommon' },
+});
+registerFormat('oathbreaker', {
+  name: 'Oathbreaker',
+  deckSize: 60,
+  startingLife: 20,
+  commanderDamage: null,
+  legality: 'oathbreaker',
+  commander: { types: ['planeswalker'], pairings: false, signatureSpell: true },
+});
+registerFormat('duel', {
+  name: 'Duel Commander',
+  aliases: ['duel commander', 'duelcommander', 'french commander'],
+  startingLife: 20,
+  legality: 'duel',
+});
+
 /**
- * Check if a card is banned in Commander
- * @param {string} cardName - Card name to check
- * @returns {boolean} True if banned
+ * Find a format's id from its id, name or an alias ("EDH", "Pauper EDH", or
+ * Moxfield's "pauperEdh")
+ * @param {string} name - Format id, name or alias
+ * @returns {string|null} Format id, or null for formats outside the registry
  */
-export function isCardBanned(cardName) {
-  return commanderRules.bannedCards.some(
-    banned => banned.toLowerCase() === cardName.toLowerCase()
+export function resolveFormatId(name) {
+  if (!name) return null;
+  const key = name.toLowerCase().trim();
+  const found = Object.values(formats).find(format =>
+    format.id === key || format.name.toLowerCase() === key || format.aliases.includes(key)
   );
+  return found ? found.id : null;
+}
+
+/**
+ * Get a format from the registry
+ * @param {string} name - Format id, name or alias (defaults to Commander)
+ * @returns {Object} Format
+ * @throws {Error} If the format isn't registered
+ */
+export function getFormat(name = 'commander') {
+  const id = resolveFormatId(name);
+  if (!id) {
+    throw new Error(`Unknown format: ${name}. Supported: ${Object.keys(formats).join(', ')}`);
+  }
+  return formats[id];
+}
+
+/**
+ * Describe the cards that can lead a format's decks
+ * @param {Object} format - Format from getFormat()
+ * @returns {string} e.g. "a legendary creature", "an uncommon creature"
+ */
+export function describeCommander({ commander }) {
+  const card = [commander.rarity, commander.legendary ? 'legendary' : null, commander.types.join(' or ')]
+    .filter(Boolean).join(' ');
+  return `${/^[aeiou]/.test(card) ? 'an' : 'a'} ${card}`;
 }
 
 /**
  * Get format rules as formatted text
+ * @param {string} name - Format id, name or alias (defaults to Commander)
+ * @param {Object} options - { bannedCards } - the format's current ban list
+ *   (see getBannedCards in data/banList.js), or null if it isn't known;
+ *   left out, the ban list isn't mentioned
  * @returns {string} Formatted rules text
  */
-export function getFormattedRules() {
-  return `
-Commander Format Rules:
-- Deck Size: ${commanderRules.deckSize} cards (including commander)
-- Singleton format (except basic lands)
-- Starting Life: ${commanderRules.startingLife}
-- Commander Damage: ${commanderRules.commander.commanderDamage} combat damage from one commander
-- Commander Tax: +2 colorless mana for each time cast from command zone
-- Color Identity: All cards must match commander's color identity
-
-Commander Requirements:
-- Must be a legendary creature (or have "can be your commander" text)
-- Starts in the command zone
-- Can be cast from command zone
-- Can be returned to command zone if it would change zones
-
-Ban List: ${commanderRules.bannedCards.length} cards banned
-  `.trim();
+export function getFormattedRules(name = 'commander', { bannedCards } = {}) {
+  const format = getFormat(name);
+  const { commander } = format;
+
+  return [
+    `${format.name} Format Rules:`,
+    `- Deck Size: ${format.deckSize} cards (including commander${commander.signatureSpell ? ' and signature spell' : ''})`,
+    format.singleton ? '- Singleton format (except basic lands)' : null,
+    `- Starting Life: ${format.startingLife}`,
+    format.commanderDamage ? `- Commander Damage: ${format.commanderDamage} combat damage from one commander` : null,
+    '- Commander Tax: +2 colorless mana for each time cast from command zone',
+    '- Color Identity: All cards must match commander\'s color identity',
+    '',
+    'Commander Requirements:',
+    `- Must be ${describeCommander(format)}` +
+      (commander.types.includes('creature') ? ' (or have "can be your commander" text)' : ''),
+    commander.signatureSpell ? '- Has a signature spell: an instant or sorcery inside its color identity, cast from the command zone' : null,
+    '- Starts in the command zone',
+    '- Can be cast from command zone',
+    '- Can be returned to command zone if it would change zones',
+    commander.pairings ? `- Two commanders are allowed when they pair: ${commanderRules.commander.pairings.join(', ')}` : null,
+    '',
+    `Legality: ${format.legality ? `Scryfall's ${format.legality} legality` : 'no card pool restrictions'}` +
+      (bannedCards === null ? '; ban list unknown until refreshed'
+        : bannedCards?.length ? `; ban list: ${bannedCards.length} cards banned` : ''),
+  ].filter(line => line !== null).join('\n');
 }
 
+// Kept here for imports of this module from before the ban list history
+export { isCardBanned } from '../data/banList.js';
+
 export default commanderRules;
@@ -3,7 +3,34 @@
  * Enhanced recommendations using profile analysis and learning data
  */
 
-import { getColorName } from '../utils/colorIdentity.js';
+import { getColorName, parseColorIdentity } from '../utils/colorIdentity.js';
+import { getCommanderColorIdentity } from '../utils/commanderPairing.js';
+
+/**
+ * A deck's commanders: one, or two paired ones, as names or Cards
+ * @private
+ */
+function commandersOf(deck) {
+  return [].concat(deck.commanders || deck.commander || []);
+}
+
+/**
+ * Combined color identity of a deck's commanders
+ * Commander Cards give their combined identity; colors recorded with the
+ * deck are added, so a deck that only names its commanders still counts.
+ * @private
+ * @returns {Array|null} Color symbols, or null if the deck says nothing about colors
+ */
+function deckColorIdentity(deck) {
+  const cards = commandersOf(deck).filter(commander => typeof commander === 'object');
+  const recorded = deck.colorIdentity || deck.colors;
+  if (!cards.length && !recorded) return null;
+
+  return parseColorIdentity([...new Set([
+    ...(recorded || []),
+    ...(cards.length ? getCommanderColorIdentity(cards) : []),
+  ])]);
+}
 
 class RecommendationEngine {
   constructor() {
@@ -12,7 +39,8 @@ class RecommendationEngine {
 
   /**
    * Add user's deck to history
-   * @param {Object} deck - Deck object with commander, strategy, etc.
+   * @param {Object} deck - Deck object with commander (or commanders, as names
+   *   or Cards), strategy, colors, etc.
    */
   addToHistory(deck) {
     this.userHistory.push({
@@ -31,9 +59,10 @@ class RecommendationEngine {
     const colors = {};
     
     this.userHistory.forEach(deck => {
-      // Count commanders
-      if (deck.commander) {
-        commanders[deck.commander] = (commanders[deck.commander] || 0) + 1;
+      // Count commanders, both of a pair
+      for (const commander of commandersOf(deck)) {
+        const name = typeof commander === 'string' ? commander : commander.name;
+        commanders[name] = (commanders[name] || 0) + 1;
       }
       
       // Count strategies
@@ -41,9 +70,10 @@ class RecommendationEngine {
         strategies[deck.strategy] = (strategies[deck.strategy] || 0) + 1;
       }
       
-      // Count colors
-      if (deck.colors) {
-        const colorKey = [...deck.colors].sort().join('');
+      // Count colors by the commanders' combined identity
+      const identity = deckColorIdentity(deck);
+      if (identity) {
+        const colorKey = identity.join('');
         colors[colorKey] = (colors[colorKey] || 0) + 1;
       }
     });
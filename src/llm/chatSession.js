@@ -0,0 +1,170 @@
+/**
+ * Chat Session Runtime
+ * Runs a conversation against any configured LLM provider, executing tool
+ * calls through executeTool and feeding results back until a final answer
+ */
+
+import { config, validateConfig } from '../integrations/config.js';
+import { systemPrompt } from '../prompts/systemPrompt.js';
+import { getPersonaPrompt } from '../prompts/personas.js';
+import { allToolSchemas } from '../tools/schemas.js';
+import { executeTool } from '../tools/handlers.js';
+import { getProvider } from './providers.js';
+
+/**
+ * Build the system prompt for a session
+ * @param {string|null} persona - Persona level (beginner, intermediate, expert, cedh)
+ * @returns {string} System prompt
+ */
+export function buildSystemPrompt(persona = null) {
+  return persona ? `${systemPrompt}\n\n${getPersonaPrompt(persona)}` : systemPrompt;
+}
+
+/**
+ * Promise that rejects when a signal aborts
+ * @private
+ * @param {AbortSignal} signal - Abort signal
+ * @returns {Object} { promise, cleanup } - call cleanup once the race is over
+ */
+function whenAborted(signal) {
+  let onAbort;
+  const promise = new Promise((resolve, reject) => {
+    onAbort = () => reject(signal.reason ?? new Error('Aborted'));
+    if (signal.aborted) onAbort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+  });
+  return { promise, cleanup: () => signal.removeEventListener('abort', onAbort) };
+}
+
+/**
+ * Run a tool call, turning failures into results the model can read
+ * A tool still running when the signal aborts is abandoned, and the abort
+ * is thrown rather than reported to the model. The signal is passed on to
+ * the tool, so an abandoned write tool stops before saving.
+ * @param {Object} call - { id, name, args }
+ * @param {Object} context - Execution context ({ userId, roles, requireConfirmation })
+ * @param {AbortSignal} signal - The message's timeout signal
+ * @returns {Promise<Object>} Tool result
+ */
+async function runToolCall(call, context, signal) {
+  const aborted = whenAborted(signal);
+  try {
+    return await Promise.race([executeTool(call.name, call.args, { ...context, signal }), aborted.promise]);
+  } catch (error) {
+    if (signal.aborted) throw error;
+    return {
+      success: false,
+      error: { code: 'TOOL_ERROR', message: error.message },
+    };
+  } finally {
+    aborted.cleanup();
+  }
+}
+
+/**
+ * Create a chat session
+ * @param {Object} options - Session options
+ * @param {string} options.provider - LLM provider (defaults to LLM_PROVIDER)
+ * @param {string} options.persona - Persona level for the system prompt
+ * @param {string} options.userId - User whose inventory and decks tools act on
+ * @param {Array<string>} options.roles - Caller roles passed to tool handlers
+ * @param {boolean} options.requireConfirmation - Destructive tools return a preview to confirm with confirm_action
+ * @param {Array} options.tools - Tool schemas to offer (defaults to allToolSchemas)
+ * @param {Object} options.providerOptions - Overrides for the provider config (baseUrl, apiKey, model...)
+ * @param {number} options.maxIterations - Max model round-trips per message
+ * @param {number} options.timeout - Max ms per message, including tool calls
+ * @returns {Object} Chat session
+ */
+export function createChatSession({
+  provider = config.llm.provider,
+  persona = null,
+  userId = 'default',
+  roles = [],
+  requireConfirmation = false,
+  tools = allToolSchemas,
+  providerOptions = {},
+  maxIterations = config.llm.maxIterations,
+  timeout = config.llm.timeout,
+} = {}) {
+  if (!providerOptions.apiKey) {
+    validateConfig(provider);
+  }
+
+  const { adapter, settings } = getProvider(provider, providerOptions);
+  const system = buildSystemPrompt(persona);
+  let messages = [];
+
+  return {
+    provider,
+    persona,
+    userId,
+
+    /**
+     * Send a user message and run the tool-calling loop
+     * @param {string} text - User message
+     * @returns {Promise<Object>} { content, toolCalls, iterations }
+     */
+    async send(text) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      const pending = [...messages, { role: 'user', content: text }];
+      const toolCalls = [];
+
+      try {
+        for (let iteration = 1; iteration <= maxIterations; iteration++) {
+          const reply = await adapter.complete({
+            settings,
+            system,
+            messages: pending,
+            tools,
+            signal: controller.signal,
+          });
+
+          pending.push({ role: 'assistant', content: reply.content, toolCalls: reply.toolCalls });
+
+          if (!reply.toolCalls.length) {
+            messages = pending;
+            return { content: reply.content, toolCalls, iterations: iteration };
+          }
+
+          for (const call of reply.toolCalls) {
+            const result = await runToolCall(call, { userId, roles, requireConfirmation }, controller.signal);
+            toolCalls.push({ name: call.name, args: call.args, result });
+            pending.push({
+              role: 'tool',
+              toolCallId: call.id,
+              name: call.name,
+              content: JSON.stringify(result ?? null),
+            });
+          }
+        }
+
+        throw new Error(`Chat session stopped after ${maxIterations} iterations without a final answer`);
+      } catch (error) {
+        if (controller.signal.aborted) {
+          throw new Error(`Chat session timed out after ${timeout}ms`);
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+
+    /**
+     * Get the conversation so far (excluding the system prompt)
+     * @returns {Array} Neutral message history
+     */
+    getHistory() {
+      return [...messages];
+    },
+
+    /**
+     * Clear the conversation
+     */
+    reset() {
+      messages = [];
+    },
+  };
+}
+
+export default createChatSession;
@@ -0,0 +1,217 @@
+/**
+ * LLM Provider Adapters
+ * Translate the chat session's neutral message history to each provider's
+ * wire format and parse replies back into { content, toolCalls }
+ *
+ * Neutral messages:
+ *   { role: 'user', content }
+ *   { role: 'assistant', content, toolCalls: [{ id, name, args }] }
+ *   { role: 'tool', toolCallId, name, content }
+ */
+
+import { config } from '../integrations/config.js';
+import {
+  toAnthropicTools,
+  toOllamaTools,
+  normalizeOpenAIToolCalls,
+  normalizeAnthropicToolCalls,
+  normalizeOllamaToolCalls
+} from '../tools/formats.js';
+
+/**
+ * POST JSON to a provider endpoint
+ * @param {string} url - Endpoint URL
+ * @param {Object} body - Request body
+ * @param {Object} options - { headers, signal, label }
+ * @returns {Promise<Object>} Parsed response
+ */
+async function postJSON(url, body, { headers = {}, signal, label }) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers,
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`${label} API error: ${response.status} ${response.statusText}${detail ? ` - ${detail}` : ''}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * OpenAI-compatible chat completions (OpenAI, Groq)
+ * @param {string} label - Provider label for errors
+ * @returns {Object} Provider adapter
+ */
+function createOpenAICompatibleProvider(label) {
+  return {
+    async complete({ settings, system, messages, tools, signal }) {
+      const wireMessages = [{ role: 'system', content: system }];
+
+      for (const message of messages) {
+        if (message.role === 'assistant') {
+          wireMessages.push({
+            role: 'assistant',
+            content: message.content || null,
+            ...(message.toolCalls?.length && {
+              tool_calls: message.toolCalls.map(call => ({
+                id: call.id,
+                type: 'function',
+                function: { name: call.name, arguments: JSON.stringify(call.args) },
+              })),
+            }),
+          });
+        } else if (message.role === 'tool') {
+          wireMessages.push({ role: 'tool', tool_call_id: message.toolCallId, content: message.content });
+        } else {
+          wireMessages.push({ role: 'user', content: message.content });
+        }
+      }
+
+      const data = await postJSON(`${settings.baseUrl}/chat/completions`, {
+        model: settings.model,
+        temperature: settings.temperature,
+        messages: wireMessages,
+        ...(tools.length && { tools }),
+      }, {
+        headers: settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {},
+        signal,
+        label,
+      });
+
+      return {
+        content: data.choices?.[0]?.message?.content || '',
+        toolCalls: normalizeOpenAIToolCalls(data),
+      };
+    },
+  };
+}
+
+/**
+ * Anthropic Messages API
+ */
+const anthropicProvider = {
+  async complete({ settings, system, messages, tools, signal }) {
+    const wireMessages = [];
+
+    for (const message of messages) {
+      if (message.role === 'assistant') {
+        const content = [];
+        if (message.content) content.push({ type: 'text', text: message.content });
+        (message.toolCalls || []).forEach(call => {
+          content.push({ type: 'tool_use', id: call.id, name: call.name, input: call.args });
+        });
+        wireMessages.push({ role: 'assistant', content });
+      } else if (message.role === 'tool') {
+        const block = { type: 'tool_result', tool_use_id: message.toolCallId, content: message.content };
+        const previous = wireMessages[wireMessages.length - 1];
+        // Consecutive tool results share one user turn
+        if (previous?.role === 'user' && Array.isArray(previous.content)) {
+          previous.content.push(block);
+        } else {
+          wireMessages.push({ role: 'user', content: [block] });
+        }
+      } else {
+        wireMessages.push({ role: 'user', content: message.content });
+      }
+    }
+
+    const data = await postJSON(`${settings.baseUrl}/v1/messages`, {
+      model: settings.model,
+      max_tokens: settings.maxTokens || 4096,
+      temperature: settings.temperature,
+      system,
+      messages: wireMessages,
+      ...(tools.length && { tools: toAnthropicTools(tools) }),
+    }, {
+      headers: {
+        'x-api-key': settings.apiKey,
+        'anthropic-version': '2023-06-01',
+      },
+      signal,
+      label: 'Anthropic',
+    });
+
+    return {
+      content: (data.content || []).filter(b => b.type === 'text').map(b => b.text).join(''),
+      toolCalls: normalizeAnthropicToolCalls(data),
+    };
+  },
+};
+
+/**
+ * Ollama chat API
+ */
+const ollamaProvider = {
+  async complete({ settings, system, messages, tools, signal }) {
+    const wireMessages = [{ role: 'system', content: system }];
+
+    for (const message of messages) {
+      if (message.role === 'assistant') {
+        wireMessages.push({
+          role: 'assistant',
+          content: message.content || '',
+          ...(message.toolCalls?.length && {
+            tool_calls: message.toolCalls.map(call => ({
+              function: { name: call.name, arguments: call.args },
+            })),
+          }),
+        });
+      } else if (message.role === 'tool') {
+        wireMessages.push({ role: 'tool', content: message.content });
+      } else {
+        wireMessages.push({ role: 'user', content: message.content });
+      }
+    }
+
+    const data = await postJSON(`${settings.baseUrl}/api/chat`, {
+      model: settings.model,
+      stream: false,
+      options: { temperature: settings.temperature },
+      messages: wireMessages,
+      ...(tools.length && { tools: toOllamaTools(tools) }),
+    }, { signal, label: 'Ollama' });
+
+    return {
+      content: data.message?.content || '',
+      toolCalls: normalizeOllamaToolCalls(data),
+    };
+  },
+};
+
+/**
+ * Provider adapters by name
+ */
+export const providers = {
+  groq: createOpenAICompatibleProvider('Groq'),
+  openai: createOpenAICompatibleProvider('OpenAI'),
+  anthropic: anthropicProvider,
+  ollama: ollamaProvider,
+};
+
+/**
+ * Get a provider adapter with its settings
+ * @param {string} name - Provider name (groq, openai, anthropic, ollama)
+ * @param {Object} overrides - Settings overriding config.llm[name] (baseUrl, apiKey, model...)
+ * @returns {Object} { name, adapter, settings }
+ */
+export function getProvider(name = config.llm.provider, overrides = {}) {
+  const adapter = providers[name];
+  if (!adapter) {
+    throw new Error(`Unknown LLM provider: ${name}. Supported: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return {
+    name,
+    adapter,
+    settings: { ...config.llm[name], ...overrides },
+  };
+}
+
+export default providers;
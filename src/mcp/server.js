@@ -0,0 +1,227 @@
+/**
+ * MCP Server
+ * Exposes the BigDeck tools and knowledge base over the Model Context Protocol
+ * using newline-delimited JSON-RPC 2.0 on stdio
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+import { toolSchemasByName } from '../tools/schemas.js';
+import { executeTool } from '../tools/handlers.js';
+import { cardDatabase } from '../integrations/cardDatabase.js';
+import { getBannedCards } from '../data/banList.js';
+import { commanderRules, formats, getFormattedRules } from '../knowledge/commanderRules.js';
+import { archetypes } from '../knowledge/archetypes.js';
+import { staples } from '../knowledge/staples.js';
+
+const PROTOCOL_VERSION = '2024-11-05';
+const { version } = JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf-8'));
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+/**
+ * Knowledge base resources, keyed by URI
+ */
+export const mcpResources = {
+  'bigdeck://knowledge/commander-rules': {
+    name: 'Commander Rules',
+    description: 'Commander format rules, commander requirements and the ban list',
+    mimeType: 'application/json',
+    read: () => JSON.stringify(commanderRules, null, 2),
+  },
+  'bigdeck://knowledge/commander-rules.txt': {
+    name: 'Commander Rules (summary)',
+    description: 'Human-readable summary of the Commander format rules',
+    mimeType: 'text/plain',
+    read: () => getFormattedRules('commander', { bannedCards: getBannedCards('commander') }),
+  },
+  'bigdeck://knowledge/formats': {
+    name: 'Commander Formats',
+    description: 'Commander and its variants (Brawl, Pauper Commander, Oathbreaker, Duel Commander): deck size, life, commander requirements and legality',
+    mimeType: 'application/json',
+    read: () => JSON.stringify(formats, null, 2),
+  },
+  'bigdeck://knowledge/archetypes': {
+    name: 'Deck Archetypes',
+    description: 'Commander deck archetypes with strategies, key cards and variants',
+    mimeType: 'application/json',
+    read: () => JSON.stringify(archetypes, null, 2),
+  },
+  'bigdeck://knowledge/staples': {
+    name: 'Format Staples',
+    description: 'Commander staples by color and category',
+    mimeType: 'application/json',
+    read: () => JSON.stringify(staples, null, 2),
+  },
+};
+
+/**
+ * Error carrying a JSON-RPC error code
+ */
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Create an MCP server
+ * @param {Object} options - Server options
+ * @param {string} options.userId - User whose inventory and decks tools act on
+ * @returns {Object} Server with handleMessage(message) → response or null
+ */
+export function createMcpServer({ userId = 'default' } = {}) {
+  const methods = {
+    initialize: () => ({
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: { tools: {}, resources: {} },
+      serverInfo: { name: 'bigdeck-ai', version },
+    }),
+
+    ping: () => ({}),
+
+    'tools/list': () => ({
+      tools: Object.values(toolSchemasByName).map(({ function: fn }) => ({
+        name: fn.name,
+        description: fn.description,
+        inputSchema: fn.parameters,
+      })),
+    }),
+
+    'tools/call': async ({ name, arguments: args = {} } = {}) => {
+      if (!toolSchemasByName[name]) {
+        throw new RpcError(INVALID_PARAMS, `Unknown tool: ${name}`);
+      }
+
+      try {
+        const result = await executeTool(name, args, { userId });
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result ?? null, null, 2) }],
+          isError: result?.success === false,
+        };
+      } catch (error) {
+        // Tool failures are reported to the model, not as protocol errors
+        return {
+          content: [{ type: 'text', text: error.message }],
+          isError: true,
+        };
+      }
+    },
+
+    'resources/list': () => ({
+      resources: Object.entries(mcpResources).map(([uri, { name, description, mimeType }]) => ({
+        uri,
+        name,
+        description,
+        mimeType,
+      })),
+    }),
+
+    'resources/read': ({ uri } = {}) => {
+      const resource = mcpResources[uri];
+      if (!resource) {
+        throw new RpcError(INVALID_PARAMS, `Unknown resource: ${uri}`);
+      }
+      return {
+        contents: [{ uri, mimeType: resource.mimeType, text: resource.read() }],
+      };
+    },
+  };
+
+  return {
+    /**
+     * Handle one JSON-RPC message
+     * @param {Object} message - Parsed JSON-RPC message
+     * @returns {Promise<Object|null>} Response, or null for notifications
+     */
+    async handleMessage(message) {
+      const isObject = message !== null && typeof message === 'object' && !Array.isArray(message);
+      // Only a request without an id is a notification; id: null still gets a reply
+      const isNotification = isObject && !('id' in message);
+
+      if (!isObject || message.jsonrpc !== '2.0' || typeof message.method !== 'string' || !isValidId(message.id)) {
+        // Answered even without an id, which JSON-RPC says to report as null
+        const id = isObject && isValidId(message.id) ? message.id ?? null : null;
+        return errorResponse(id, INVALID_REQUEST, 'Invalid request');
+      }
+
+      // Notifications (e.g. notifications/initialized) need no reply
+      if (isNotification) return null;
+
+      const method = methods[message.method];
+      if (!method) {
+        return errorResponse(message.id, METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+      }
+
+      try {
+        return { jsonrpc: '2.0', id: message.id, result: await method(message.params) };
+      } catch (error) {
+        return errorResponse(message.id, error.code || INTERNAL_ERROR, error.message);
+      }
+    },
+  };
+}
+
+/**
+ * Whether a request id is one JSON-RPC allows (absent, string, number or null)
+ * @private
+ */
+function isValidId(id) {
+  return id === undefined || id === null || typeof id === 'string' || typeof id === 'number';
+}
+
+/**
+ * Build a JSON-RPC error response
+ * @private
+ */
+function errorResponse(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+/**
+ * Serve MCP over stdio (or any line-based streams)
+ * @param {Object} options - { input, output, userId }
+ * @returns {Promise<void>} Resolves when input closes
+ */
+export async function startStdioServer({
+  input = process.stdin,
+  output = process.stdout,
+  userId = process.env.BIGDECK_USER_ID || 'default',
+} = {}) {
+  // stdout carries the protocol, so send library logging to stderr
+  if (output === process.stdout) {
+    console.log = console.error;
+    console.info = console.error;
+  }
+
+  // Read the offline card database while the client connects; lookups wait for it
+  cardDatabase.open();
+
+  const server = createMcpServer({ userId });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const send = response => output.write(`${JSON.stringify(response)}\n`);
+
+  // One message at a time, so tool calls run and are answered in the order sent
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      send(errorResponse(null, PARSE_ERROR, 'Parse error'));
+      continue;
+    }
+
+    const response = await server.handleMessage(message);
+    if (response) send(response);
+  }
+}
+
+export default createMcpServer;
@@ -0,0 +1,199 @@
+/**
+ * Tool Format Converters
+ * Convert the OpenAI-style schemas in schemas.js to other providers' tool
+ * formats, and normalize provider tool calls back to { id, name, args }
+ */
+
+/**
+ * Convert tool schemas to Anthropic Messages API tools
+ * @param {Array} schemas - OpenAI-style tool schemas
+ * @returns {Array} [{ name, description, input_schema }]
+ */
+export function toAnthropicTools(schemas) {
+  return schemas.map(({ function: fn }) => ({
+    name: fn.name,
+    description: fn.description,
+    input_schema: structuredClone(fn.parameters),
+  }));
+}
+
+/**
+ * Convert a JSON schema fragment to Gemini's OpenAPI-style schema
+ * Gemini uses upper-case type names and only a subset of JSON schema keywords.
+ * @param {Object} schema - JSON schema fragment
+ * @returns {Object} Gemini schema
+ */
+function toGeminiSchema(schema) {
+  const converted = {};
+  if (schema.type) converted.type = schema.type.toUpperCase();
+  if (schema.description) converted.description = schema.description;
+  if (schema.enum) converted.enum = [...schema.enum];
+  if (schema.minimum !== undefined) converted.minimum = schema.minimum;
+  if (schema.maximum !== undefined) converted.maximum = schema.maximum;
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+  }
+  if (schema.required?.length) converted.required = [...schema.required];
+  return converted;
+}
+
+/**
+ * Convert tool schemas to Gemini-style function declarations
+ * @param {Array} schemas - OpenAI-style tool schemas
+ * @returns {Array} [{ functionDeclarations: [{ name, description, parameters }] }]
+ */
+export function toGeminiTools(schemas) {
+  return [{
+    functionDeclarations: schemas.map(({ function: fn }) => ({
+      name: fn.name,
+      description: fn.description,
+      // Gemini rejects empty OBJECT parameter schemas, so omit them
+      ...(Object.keys(fn.parameters.properties || {}).length && {
+        parameters: toGeminiSchema(fn.parameters),
+      }),
+    })),
+  }];
+}
+
+/**
+ * Convert tool schemas to Ollama chat API tools
+ * Ollama accepts the OpenAI shape; this returns a defensive copy.
+ * @param {Array} schemas - OpenAI-style tool schemas
+ * @returns {Array} [{ type: 'function', function: { name, description, parameters } }]
+ */
+export function toOllamaTools(schemas) {
+  return schemas.map(({ function: fn }) => ({
+    type: 'function',
+    function: {
+      name: fn.name,
+      description: fn.description,
+      parameters: structuredClone(fn.parameters),
+    },
+  }));
+}
+
+/**
+ * Tool call arguments parseToolArguments couldn't parse
+ * A class rather than a marker key, so no real argument object is mistaken for one.
+ */
+export class MalformedArguments {
+  /**
+   * @param {string} raw - The argument text the model sent
+   */
+  constructor(raw) {
+    this.raw = raw;
+  }
+}
+
+/**
+ * Parse tool call arguments that may arrive as a JSON string or an object
+ * @param {string|Object} raw - Raw arguments
+ * @returns {Object} Arguments object; malformed JSON comes back as
+ *   MalformedArguments, which argument validation rejects
+ */
+export function parseToolArguments(raw) {
+  if (!raw) return {};
+  if (typeof raw === 'object') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    // Leave malformed JSON for argument validation to report
+    return new MalformedArguments(raw);
+  }
+}
+
+/**
+ * Normalize OpenAI/Groq chat completion tool calls
+ * @param {Object} response - Chat completion response, or its message
+ * @returns {Array} [{ id, name, args }]
+ */
+export function normalizeOpenAIToolCalls(response) {
+  const message = response?.choices?.[0]?.message ?? response;
+  return (message?.tool_calls || []).map(call => ({
+    id: call.id,
+    name: call.function.name,
+    args: parseToolArguments(call.function.arguments),
+  }));
+}
+
+/**
+ * Normalize Anthropic tool_use blocks
+ * @param {Object|Array} response - Messages API response, or its content blocks
+ * @returns {Array} [{ id, name, args }]
+ */
+export function normalizeAnthropicToolCalls(response) {
+  const blocks = Array.isArray(response) ? response : response?.content || [];
+  return blocks
+    .filter(block => block.type === 'tool_use')
+    .map(block => ({
+      id: block.id,
+      name: block.name,
+      args: block.input || {},
+    }));
+}
+
+/**
+ * Normalize Gemini functionCall parts
+ * @param {Object} response - generateContent response, or a candidate content
+ * @returns {Array} [{ id, name, args }]
+ */
+export function normalizeGeminiToolCalls(response) {
+  const parts = response?.candidates?.[0]?.content?.parts ?? response?.parts ?? [];
+  return parts
+    .filter(part => part.functionCall)
+    .map((part, index) => ({
+      id: part.functionCall.id || `call_${index}`,
+      name: part.functionCall.name,
+      args: parseToolArguments(part.functionCall.args),
+    }));
+}
+
+/**
+ * Normalize Ollama chat tool calls
+ * Ollama doesn't assign ids, so positional ones are made up to pair results with calls.
+ * @param {Object} response - Chat response, or its message
+ * @returns {Array} [{ id, name, args }]
+ */
+export function normalizeOllamaToolCalls(response) {
+  const message = response?.message ?? response;
+  return (message?.tool_calls || []).map((call, index) => ({
+    id: call.id || `call_${index}`,
+    name: call.function.name,
+    args: parseToolArguments(call.function.arguments),
+  }));
+}
+
+/**
+ * Tool-call normalizers by provider name
+ */
+export const toolCallNormalizers = {
+  openai: normalizeOpenAIToolCalls,
+  groq: normalizeOpenAIToolCalls,
+  anthropic: normalizeAnthropicToolCalls,
+  gemini: normalizeGeminiToolCalls,
+  ollama: normalizeOllamaToolCalls,
+};
+
+/**
+ * Normalize a provider response's tool calls to what executeTool expects
+ * @param {string} provider - Provider name
+ * @param {Object} response - Provider response
+ * @returns {Array} [{ id, name, args }]
+ */
+export function normalizeToolCalls(provider, response) {
+  const normalize = toolCallNormalizers[provider];
+  if (!normalize) {
+    throw new Error(`Unknown tool format: ${provider}. Supported: ${Object.keys(toolCallNormalizers).join(', ')}`);
+  }
+  return normalize(response);
+}
+
+export default {
+  toAnthropicTools,
+  toGeminiTools,
+  toOllamaTools,
+  normalizeToolCalls,
+};
@@ -3,104 +3,498 @@
  * Implementation of tool functions that work with the schemas
  */
 
+import { randomUUID } from 'crypto';
 import { store } from '../data/store.js';
-import { scryfall } from '../integrations/scryfall.js';
+import { exportFormats, exportCollection, exportDeck } from '../data/exporters.js';
+import { importDeckFromUrl } from '../data/deckImport.js';
+import { cardIdentifier, lookupCards } from '../data/enrichment.js';
+import { validateCommanderDeck, checkBanImpact } from '../data/commanderValidation.js';
+import { banList } from '../data/banList.js';
+import { toCard } from '../utils/cardModel.js';
+import { canPairCommanders } from '../utils/commanderPairing.js';
+import { getCopyLimit } from '../utils/singletonExceptions.js';
+import { isBasicLand } from '../utils/deckValidator.js';
+import { formats, resolveFormatId } from '../knowledge/commanderRules.js';
+import { scryfall, searchScryfall, getCardPrice } from '../integrations/scryfall.js';
+import { NotFoundError, isUnavailable } from '../integrations/errors.js';
+import {
+  getCommanderData,
+  getThemes,
+  getPopularCards,
+  getSynergyScores,
+  getSaltScore
+} from '../integrations/edhrec.js';
+import { profileAnalyzer } from '../learning/profileAnalyzer.js';
+import { youtubeLearner } from '../learning/youtubeLearner.js';
+import { metaAnalyzer } from '../learning/metaAnalyzer.js';
+import { adaptRecommendations, suggestMetaCounters } from '../learning/playgroupMeta.js';
+import {
+  findSynergyPairs,
+  findInfiniteCombos,
+  calculateSynergyScore,
+  getDeckSynergyCategories
+} from '../knowledge/synergies.js';
+import { assessPowerLevel } from '../utils/powerLevel.js';
+import { suggestWithBudget, calculateDeckCost } from '../utils/budgetOptimizer.js';
+import { analyzeDeckBalance, suggestRatioImprovements } from '../utils/deckAnalysis.js';
+import { detectWinConditions, assessWinConRedundancy } from '../utils/winConditions.js';
+import { getInteractionReport } from '../utils/interactionAnalysis.js';
+import {
+  normalizePrinting,
+  matchesPrinting,
+  pickPrinting,
+  describePrinting,
+  cardPrice,
+  toInventoryCard,
+  valueInventory
+} from '../utils/printings.js';
+import { toolSchemasByName } from './schemas.js';
+import { validateToolArgs } from './validation.js';
 
 /**
- * Add card to inventory
+ * Context used when a handler is called without one
  */
-export async function addCardToInventory({ cardName, quantity = 1, folder = 'Unsorted' }) {
-  // Lookup card from Scryfall
-  let cardData;
+export const DEFAULT_CONTEXT = Object.freeze({ userId: 'default', roles: [] });
+
+/**
+ * Normalize and check the execution context passed to executeTool
+ * @param {Object} context - { userId, roles }
+ * @returns {Object} Context with defaults applied
+ */
+export function resolveToolContext(context = {}) {
+  const userId = context.userId ?? DEFAULT_CONTEXT.userId;
+  if (typeof userId !== 'string' || !/^[\w.@:-]{1,128}$/.test(userId) ||
+      ['__proto__', 'constructor', 'prototype'].includes(userId)) {
+    throw new Error(`Invalid userId: ${JSON.stringify(userId)}`);
+  }
+
+  return {
+    ...context,
+    userId,
+    roles: Array.isArray(context.roles) ? [...context.roles] : []
+  };
+}
+
+/**
+ * Result for a lookup that failed because the service is down or throttling us,
+ * so the model doesn't report the card as missing
+ * @private
+ */
+const unavailableResult = error => ({
+  success: false,
+  unavailable: true,
+  message: `${error.service || 'The card service'} is unavailable right now; try again shortly (${error.message})`
+});
+
+// ============ READ TOOLS ============
+
+/**
+ * Search Scryfall
+ */
+export async function searchScryfallTool({ query, limit = 10 }) {
+  let cards;
+  try {
+    cards = await searchScryfall(query);
+  } catch (e) {
+    return unavailableResult(e);
+  }
+  if (!cards.length) return { message: `No cards found for "${query}"` };
+
+  return {
+    count: cards.length,
+    cards: cards.slice(0, limit).map(c => ({
+      name: c.name,
+      manaCost: c.mana_cost,
+      cmc: c.cmc,
+      type: c.type_line,
+      oracleText: c.oracle_text,
+      colorIdentity: c.color_identity || [],
+      price: c.prices?.usd || null
+    }))
+  };
+}
+
+/**
+ * Get card price
+ */
+export async function getCardPriceTool({ cardName }) {
+  try {
+    return await getCardPrice(cardName);
+  } catch (e) {
+    if (isUnavailable(e)) return unavailableResult(e);
+    if (e instanceof NotFoundError) return { success: false, message: `Card "${cardName}" not found on Scryfall` };
+    return { success: false, message: e.message };
+  }
+}
+
+/**
+ * Validate deck (card count, singleton, color identity, legality and commander)
+ */
+export async function validateDeckTool({ commander, partner = null, signatureSpell = null, format = 'commander', decklist }) {
+  let result;
+  try {
+    result = await validateCommanderDeck({
+      commanders: [commander, partner, signatureSpell].filter(Boolean).map(name => ({ quantity: 1, name })),
+      mainboard: decklist.map(name => ({ quantity: 1, name }))
+    }, { format });
+  } catch (e) {
+    if (isUnavailable(e)) return unavailableResult(e);
+    throw e;
+  }
+
+  const ofType = type => result.violations.filter(v => v.type === type);
+  return {
+    format: result.format,
+    commander,
+    ...(partner ? { partner, pairing: result.pairing } : {}),
+    ...(signatureSpell ? { signatureSpell } : {}),
+    isValid: result.isValid,
+    totalCards: result.totalCards,
+    landCount: result.landCount,
+    colorIdentity: result.colorIdentity,
+    duplicates: ofType('singleton').map(v => v.card),
+    bannedCards: ofType('banned').map(v => v.card),
+    violations: result.violations,
+    errors: result.violations.map(v => `${v.message} [${v.rule}]`),
+    warnings: result.warnings,
+    ...(result.notFound.length ? { notFound: result.notFound } : {})
+  };
+}
+
+/**
+ * Check which saved decks the latest ban list change affects
+ */
+export async function checkBanImpactTool({ refresh = false }, { userId } = DEFAULT_CONTEXT) {
+  if (refresh) {
+    try {
+      await banList.refreshFromScryfall();
+    } catch (e) {
+      if (isUnavailable(e)) return unavailableResult(e);
+      throw e;
+    }
+  }
+  return checkBanImpact(userId);
+}
+
+/**
+ * Analyze Moxfield profile
+ */
+export async function analyzeMoxfieldProfileTool({ username }) {
+  return profileAnalyzer.analyzeMoxfieldProfile(username);
+}
+
+/**
+ * Analyze MTGGoldfish profile
+ */
+export async function analyzeMTGGoldfishProfileTool({ username }) {
+  return profileAnalyzer.analyzeMTGGoldfishProfile(username);
+}
+
+/**
+ * Learn from a YouTube deck tech
+ */
+export async function learnFromYoutubeTool({ url }) {
+  return youtubeLearner.learnFromVideo(url);
+}
+
+/**
+ * Suggest deck tech videos
+ */
+export async function suggestDeckTechsTool({ commander, strategy = null }) {
+  return youtubeLearner.suggestDeckTechs(strategy ? `${commander} ${strategy}` : commander);
+}
+
+/**
+ * Analyze format meta
+ */
+export async function analyzeFormatMetaTool({ format }) {
+  return metaAnalyzer.analyzeFormat(format);
+}
+
+/**
+ * Assess power level
+ */
+export async function assessPowerLevelTool({ decklist }) {
+  return assessPowerLevel(decklist);
+}
+
+/**
+ * Find synergies and combos
+ */
+export async function findSynergiesTool({ decklist }) {
+  return {
+    pairs: findSynergyPairs(decklist),
+    combos: findInfiniteCombos(decklist),
+    categories: getDeckSynergyCategories(decklist),
+    score: calculateSynergyScore(decklist)
+  };
+}
+
+/**
+ * Price decklist cards that came without prices, in one batched lookup
+ * Cards given only by set and collector number are looked up by printing.
+ * @private
+ */
+async function withPrices(decklist) {
+  const unpriced = decklist.filter(card => !card.prices && card.price == null);
+  if (!unpriced.length) return { cards: decklist, notFound: [] };
+
+  const found = await lookupCards(unpriced.map(cardIdentifier));
+  const byCard = new Map(unpriced.map((card, index) => [card, found[index]]));
+  const label = card => card.name || [card.set, card.collectorNumber ?? card.collector_number].filter(Boolean).join(' #') || 'unnamed card';
+  return {
+    cards: decklist.map(card => {
+      const cardData = byCard.get(card);
+      return cardData
+        ? { ...card, name: card.name || cardData.name, type: card.type || cardData.type_line, prices: cardData.prices }
+        : card;
+    }),
+    notFound: unpriced.filter((card, index) => !found[index]).map(label)
+  };
+}
+
+/**
+ * Budget-aware suggestions
+ */
+export async function suggestWithBudgetTool({ decklist, budgetTier = 'moderate' }) {
+  let priced;
+  try {
+    priced = await withPrices(decklist);
+  } catch (e) {
+    if (isUnavailable(e)) return unavailableResult(e);
+    throw e;
+  }
+  const { cards, notFound } = priced;
+  return {
+    cost: calculateDeckCost(cards),
+    ...suggestWithBudget(cards, budgetTier),
+    ...(notFound.length ? { notFound } : {})
+  };
+}
+
+/**
+ * Analyze draw/ramp ratios
+ */
+export async function analyzeDeckRatiosTool({ decklist, archetype = 'midrange', colors = [] }) {
+  return {
+    balance: analyzeDeckBalance(decklist, archetype),
+    improvements: suggestRatioImprovements(decklist, archetype, colors)
+  };
+}
+
+/**
+ * Detect win conditions
+ */
+export async function detectWinConditionsTool({ decklist }) {
+  return {
+    ...detectWinConditions(decklist),
+    redundancy: assessWinConRedundancy(decklist)
+  };
+}
+
+/**
+ * Get EDHREC data
+ */
+export async function getEdhrecDataTool({ commanderName, partnerName = null, category = 'all' }) {
+  // EDHREC keeps partnered commanders on one page
+  if (partnerName) return getCommanderData(commanderName, partnerName);
+
+  switch (category) {
+    case 'themes':
+      return { commander: commanderName, themes: await getThemes(commanderName) };
+    case 'topCards':
+      return { commander: commanderName, topCards: await getPopularCards(commanderName, 'all') };
+    case 'synergies':
+      return getSynergyScores(commanderName);
+    case 'saltScore':
+      return getSaltScore(commanderName);
+    default:
+      return getCommanderData(commanderName);
+  }
+}
+
+/**
+ * Adapt recommendations to playgroup meta
+ */
+export async function adaptToPlaygroupTool({ playgroupProfile, recommendations }) {
+  return {
+    recommendations: adaptRecommendations(recommendations, playgroupProfile),
+    metaCounters: suggestMetaCounters(playgroupProfile)
+  };
+}
+
+/**
+ * Analyze interaction package
+ */
+export async function analyzeInteractionTool({ decklist, colors = [] }) {
+  return getInteractionReport(decklist, colors);
+}
+
+// ============ WRITE TOOLS ============
+
+/**
+ * Look up the Scryfall printing for an inventory card
+ * set + collectorNumber pins an exact printing; set alone picks that set's printing.
+ * Returns null when Scryfall has no such card, and throws when it is unavailable.
+ * @private
+ */
+async function lookupPrinting(cardName, { set, collectorNumber, language }) {
+  const notFound = e => {
+    if (isUnavailable(e)) throw e;
+    return null;
+  };
+
+  if (set && collectorNumber) {
+    const lang = language !== 'en' ? language : null;
+    try {
+      return await scryfall.getCardBySetAndNumber(set, collectorNumber, lang);
+    } catch (e) {
+      // Scryfall only has some languages; fall back to the English printing
+      if (lang && !isUnavailable(e)) return scryfall.getCardBySetAndNumber(set, collectorNumber).catch(notFound);
+      return notFound(e);
+    }
+  }
+
   try {
-    cardData = await scryfall.getCard(cardName);
+    return await scryfall.getCard(cardName, set);
   } catch (e) {
+    if (isUnavailable(e)) throw e;
     // Try search if exact match fails
     try {
-      const results = await scryfall.searchCards(cardName);
-      cardData = results?.data?.[0];
+      const results = await scryfall.searchCards(set ? `${cardName} set:${set}` : cardName);
+      return results?.data?.[0] || null;
     } catch (e2) {
-      // Ignore search errors
+      return notFound(e2);
     }
   }
-  
+}
+
+/**
+ * Add card to inventory
+ */
+export async function addCardToInventory(args, { userId, signal } = DEFAULT_CONTEXT) {
+  const { cardName, quantity = 1, folder = 'Unsorted' } = args;
+  const printing = normalizePrinting(args);
+  let cardData;
+  try {
+    cardData = await lookupPrinting(cardName, printing);
+  } catch (e) {
+    return unavailableResult(e);
+  }
+
   if (!cardData) {
-    return { success: false, message: `Card "${cardName}" not found on Scryfall` };
+    const where = printing.set ? ` (${describePrinting(printing)})` : '';
+    return { success: false, message: `Card "${cardName}"${where} not found on Scryfall` };
   }
 
-  return store.addCard('default', {
-    name: cardData.name,
-    quantity,
-    folder,
-    manaCost: cardData.mana_cost,
-    type: cardData.type_line,
-    colors: cardData.colors || [],
-    colorIdentity: cardData.color_identity || [],
-    price: cardData.prices?.usd,
-    scryfallId: cardData.id
-  });
+  // A set/number lookup ignores the name, so make sure it's the card the user meant
+  const names = [cardData.name, ...(cardData.card_faces || []).map(face => face.name)];
+  if (printing.collectorNumber && !names.some(name => name.toLowerCase() === cardName.toLowerCase())) {
+    return {
+      success: false,
+      message: `${printing.set.toUpperCase()} #${printing.collectorNumber} is ${cardData.name}, not ${cardName}`
+    };
+  }
+
+  if (cardData.finishes && !cardData.finishes.includes(printing.finish)) {
+    return {
+      success: false,
+      message: `${cardData.name} (${cardData.set.toUpperCase()}) has no ${printing.finish} printing. Available: ${cardData.finishes.join(', ')}`
+    };
+  }
+
+  signal?.throwIfAborted();
+  return store.addCard(userId, toInventoryCard(cardData, printing, { quantity, folder }));
 }
 
 /**
  * Remove card from inventory
  */
-export async function removeCardFromInventory({ cardName, quantity = 1 }) {
-  return store.removeCard('default', cardName, quantity);
+export async function removeCardFromInventory({ cardName, quantity = 1, ...filters }, { userId } = DEFAULT_CONTEXT) {
+  return store.removeCard(userId, cardName, quantity, { printing: pickPrinting(filters) });
 }
 
 /**
  * Move card to folder
  */
-export async function moveCard({ cardName, targetFolder, quantity = null }) {
-  return store.moveCard('default', cardName, targetFolder, quantity);
+export async function moveCard({ cardName, targetFolder, quantity = null, ...filters }, { userId } = DEFAULT_CONTEXT) {
+  return store.moveCard(userId, cardName, targetFolder, quantity, { printing: pickPrinting(filters) });
 }
 
 /**
  * Search inventory
  */
-export async function searchInventory({ query }) {
+export async function searchInventory({ query, ...filters }, { userId } = DEFAULT_CONTEXT) {
+  const printing = pickPrinting(filters);
+
   if (query.toLowerCase() === 'all' || query === '') {
-    const cards = store.getInventory('default');
+    const cards = store.getInventory(userId).filter(c => matchesPrinting(c, printing));
     if (!cards.length) return { message: 'Inventory is empty' };
     return {
       count: cards.length,
       totalCards: cards.reduce((sum, c) => sum + (c.quantity || 1), 0),
+      totalValue: valueInventory(cards).total,
       cards: cards.map(c => ({
         name: c.name,
         quantity: c.quantity,
         type: c.type,
-        folder: c.folder
+        folder: c.folder,
+        printing: describePrinting(c) || undefined,
+        price: cardPrice(c) || null
       }))
     };
   }
 
-  const results = store.searchInventory('default', query);
+  const results = store.searchInventory(userId, query, printing);
   if (!results.length) return { message: `No cards matching "${query}"` };
-  return { count: results.length, cards: results };
+  return { count: results.length, totalValue: valueInventory(results).total, cards: results };
 }
 
 /**
  * Create deck
  */
-export async function createDeck({ name, commander = null, format = 'commander' }) {
-  return store.createDeck('default', { name, commander, format });
+export async function createDeck({ name, commander = null, partner = null, format = 'commander' }, { userId, signal } = DEFAULT_CONTEXT) {
+  if (!partner) return store.createDeck(userId, { name, commander, format });
+  if (!commander) return { success: false, message: 'A partner needs a commander to pair with' };
+  const variant = formats[resolveFormatId(format)];
+  if (variant && !variant.commander.pairings) {
+    return { success: false, message: `${variant.name} decks have a single commander` };
+  }
+
+  // Two commanders must share a pairing ability
+  let found;
+  try {
+    found = await lookupCards([{ name: commander }, { name: partner }]);
+  } catch (e) {
+    if (isUnavailable(e)) return unavailableResult(e);
+    throw e;
+  }
+  const missing = [commander, partner].find((cardName, index) => !found[index]);
+  if (missing) return { success: false, message: `Card "${missing}" not found on Scryfall` };
+
+  const pairing = canPairCommanders(toCard(found[0]), toCard(found[1]));
+  if (!pairing.valid) return { success: false, message: pairing.reason };
+  signal?.throwIfAborted();
+  return store.createDeck(userId, { name, commanders: found.map(card => card.name), format });
+}
+
+/**
+ * Import deck from URL
+ */
+export async function importDeckFromUrlTool({ url, name = null }, { userId, signal } = DEFAULT_CONTEXT) {
+  return importDeckFromUrl(url, { userId, name, signal });
 }
 
 /**
  * Add card to deck
  */
-export async function addCardToDeck({ deckName, cardName, quantity = 1 }) {
+export async function addCardToDeck({ deckName, cardName, quantity = 1 }, { userId, signal } = DEFAULT_CONTEXT) {
   // Lookup card from Scryfall
   let cardData;
   try {
-    cardData = await scryfall.getCard(cardName);
+    cardData = await lookupPrinting(cardName, {});
   } catch (e) {
-    try {
-      const results = await scryfall.searchCards(cardName);
-      cardData = results?.data?.[0];
-    } catch (e2) {
-      // Ignore
-    }
+    return unavailableResult(e);
   }
   
   if (!cardData) {
@@ -108,10 +502,10 @@ export async function addCardToDeck({ deckName, cardName, quantity = 1 }) {
   }
 
   // Get deck to check format and existing cards
-  const decks = store.getDecks('default');
-  const deck = decks.find(d => d.name.toLowerCase() === deckName.toLowerCase());
+  const deck = store.getDeck(userId, deckName);
+  const format = deck && formats[resolveFormatId(deck.format)];
   
-  if (deck && deck.format === 'commander') {
+  if (format?.singleton && !format.singletonExceptions.some(name => name.toLowerCase() === cardData.name.toLowerCase())) {
     // CHECK FOR DUPLICATES (Commander singleton rule)
     const cardNameLower = cardData.name.toLowerCase();
     const existingCard = deck.cards?.find(c => 
@@ -119,19 +513,23 @@ export async function addCardToDeck({ deckName, cardName, quantity = 1 }) {
     );
     
     // Allow basic lands, reject other duplicates
-    const basicLands = ['plains', 'island', 'swamp', 'mountain', 'forest', 'wastes'];
-    if (existingCard && !basicLands.includes(cardNameLower)) {
+    const limit = isBasicLand(cardData.name) ? Infinity : getCopyLimit(cardData);
+    const inDeck = existingCard ? (typeof existingCard === 'string' ? 1 : existingCard.quantity || 1) : 0;
+    if (inDeck >= limit) {
       return { 
         success: false, 
-        message: `Cannot add ${cardData.name} - already in deck (Commander is singleton format)` 
+        message: limit === 1
+          ? `Cannot add ${cardData.name} - already in deck (${format.name} is singleton format)`
+          : `Cannot add ${cardData.name} - deck already has ${inDeck} (a deck can have up to ${limit})`
       };
     }
     
-    // Only add 1 copy for Commander (except basic lands)
-    quantity = basicLands.includes(cardNameLower) ? quantity : 1;
+    // Only add 1 copy for Commander (except basic lands and cards that say otherwise)
+    quantity = Math.min(quantity, limit - inDeck);
   }
 
-  return store.addCardToDeck('default', deckName, {
+  signal?.throwIfAborted();
+  return store.addCardToDeck(userId, deckName, {
     name: cardData.name,
     quantity,
     manaCost: cardData.mana_cost,
@@ -142,29 +540,30 @@ export async function addCardToDeck({ deckName, cardName, quantity = 1 }) {
 /**
  * Remove card from deck
  */
-export async function removeCardFromDeck({ deckName, cardName, quantity = 1 }) {
-  return store.removeCardFromDeck('default', deckName, cardName, quantity);
+export async function removeCardFromDeck({ deckName, cardName, quantity = 1 }, { userId } = DEFAULT_CONTEXT) {
+  return store.removeCardFromDeck(userId, deckName, cardName, quantity);
 }
 
 /**
  * Get decks
  */
-export async function getDecks({ deckName = 'all' }) {
+export async function getDecks({ deckName = 'all' }, { userId } = DEFAULT_CONTEXT) {
   if (!deckName || deckName.toLowerCase() === 'all') {
-    const decks = store.getDecks('default');
+    const decks = store.getDecks(userId);
     if (!decks.length) return { message: 'No decks found' };
     return {
       count: decks.length,
       decks: decks.map(d => ({
         name: d.name,
         commander: d.commander,
+        ...(d.commanders?.length > 1 ? { commanders: d.commanders } : {}),
         format: d.format,
         cardCount: d.cards?.length || 0
       }))
     };
   }
 
-  const deck = store.getDeck('default', deckName);
+  const deck = store.getDeck(userId, deckName);
   if (!deck) return { success: false, message: `Deck "${deckName}" not found` };
   return deck;
 }
@@ -172,22 +571,22 @@ export async function getDecks({ deckName = 'all' }) {
 /**
  * Delete deck
  */
-export async function deleteDeck({ deckName }) {
-  return store.deleteDeck('default', deckName);
+export async function deleteDeck({ deckName }, { userId } = DEFAULT_CONTEXT) {
+  return store.deleteDeck(userId, deckName);
 }
 
 /**
  * Record sale
  */
-export async function recordSale({ cardName, price, quantity = 1 }) {
-  return store.recordSale('default', { cardName, price, quantity });
+export async function recordSale({ cardName, price, quantity = 1, ...filters }, { userId } = DEFAULT_CONTEXT) {
+  return store.recordSale(userId, { cardName, price, quantity, ...pickPrinting(filters) });
 }
 
 /**
  * Get sales history
  */
-export async function getSales() {
-  const sales = store.getSales('default');
+export async function getSales(args = {}, { userId } = DEFAULT_CONTEXT) {
+  const sales = store.getSales(userId);
   if (!sales.length) return { message: 'No sales recorded' };
   
   const totalRevenue = sales.reduce((sum, s) => sum + s.price, 0);
@@ -203,32 +602,257 @@ export async function getSales() {
   };
 }
 
+/**
+ * Export collection
+ */
+export async function exportCollectionTool({ format = 'moxfield' }, { userId } = DEFAULT_CONTEXT) {
+  if (!store.getInventory(userId).length) return { success: false, message: 'Inventory is empty' };
+  const { name, extension } = exportFormats[format];
+  return {
+    success: true,
+    format: name,
+    filename: `collection.${extension}`,
+    content: exportCollection(userId, format)
+  };
+}
+
+/**
+ * Export deck
+ */
+export async function exportDeckTool({ deckName, format = 'text' }, { userId } = DEFAULT_CONTEXT) {
+  const deck = store.getDeck(userId, deckName);
+  if (!deck) return { success: false, message: `Deck "${deckName}" not found` };
+  const { name, extension } = exportFormats[format];
+  return {
+    success: true,
+    format: name,
+    filename: `${deck.name.replace(/[^\w\- ]+/g, '').trim() || 'deck'}.${extension}`,
+    content: exportDeck(deck.id, format, { userId })
+  };
+}
+
+/**
+ * Undo last action
+ */
+export async function undoLastAction(args = {}, { userId } = DEFAULT_CONTEXT) {
+  return store.undo(userId);
+}
+
+/**
+ * Redo last undone action
+ */
+export async function redoLastAction(args = {}, { userId } = DEFAULT_CONTEXT) {
+  return store.redo(userId);
+}
+
+// ============ CONFIRMATION ============
+
+/**
+ * Write tools that destroy or move data, and how to preview each one
+ * Previews run the store mutation with dryRun, so nothing is written.
+ */
+const destructivePreviews = {
+  delete_deck: ({ deckName }, { userId }) =>
+    store.deleteDeck(userId, deckName, { dryRun: true }),
+  remove_card_from_inventory: ({ cardName, quantity = 1, ...filters }, { userId }) =>
+    store.removeCard(userId, cardName, quantity, { dryRun: true, printing: pickPrinting(filters) }),
+  record_sale: ({ cardName, price, quantity = 1, ...filters }, { userId }) =>
+    store.recordSale(userId, { cardName, price, quantity, ...pickPrinting(filters) }, { dryRun: true }),
+  move_card: ({ cardName, targetFolder, quantity = null, ...filters }, { userId }) =>
+    store.moveCard(userId, cardName, targetFolder, quantity, { dryRun: true, printing: pickPrinting(filters) })
+};
+
+export const DESTRUCTIVE_TOOLS = Object.keys(destructivePreviews);
+
+// How long a confirmation token stays valid
+const CONFIRMATION_TTL = 5 * 60 * 1000;
+
+// Previewed actions awaiting confirm_action, keyed by token
+const pendingActions = new Map();
+
+/**
+ * Fingerprint the records a preview would touch, to detect changes before confirming
+ * @private
+ */
+function previewFingerprint(changes = []) {
+  return JSON.stringify(changes.map(c => c.before));
+}
+
+/**
+ * Report a preview as a dry run
+ * @private
+ */
+function dryRunResult(preview) {
+  return {
+    success: true,
+    dryRun: true,
+    message: `Dry run, nothing changed: ${preview.message}`,
+    changes: preview.changes
+  };
+}
+
+/**
+ * Preview a destructive tool call instead of running it
+ * @param {string} toolName - Tool name
+ * @param {Object} args - Validated arguments
+ * @param {Object} context - Tool context ({ userId, dryRun, requireConfirmation })
+ * @returns {Object} Preview, with a confirmation token unless this is a dry run
+ */
+function previewDestructiveTool(toolName, args, context) {
+  const preview = destructivePreviews[toolName](args, context);
+  if (!preview.success) return preview;
+
+  if (context.dryRun) return dryRunResult(preview);
+
+  // Drop expired tokens while we're here
+  const now = Date.now();
+  for (const [token, action] of pendingActions) {
+    if (action.expiresAt <= now) pendingActions.delete(token);
+  }
+
+  const token = randomUUID();
+  const expiresAt = now + CONFIRMATION_TTL;
+  pendingActions.set(token, {
+    toolName,
+    args,
+    userId: context.userId,
+    fingerprint: previewFingerprint(preview.changes),
+    expiresAt
+  });
+
+  return {
+    success: true,
+    requiresConfirmation: true,
+    confirmationToken: token,
+    expiresAt: new Date(expiresAt).toISOString(),
+    message: `Awaiting confirmation: ${preview.message}. Call confirm_action with the token to apply.`,
+    changes: preview.changes
+  };
+}
+
+/**
+ * Confirm a previewed action
+ * With dryRun, only shows what confirming would do and leaves the token usable.
+ */
+export async function confirmAction({ token }, context = DEFAULT_CONTEXT) {
+  const action = pendingActions.get(token);
+  if (!action || action.userId !== context.userId) {
+    return { success: false, message: 'Unknown or already used confirmation token' };
+  }
+
+  if (action.expiresAt <= Date.now()) {
+    pendingActions.delete(token);
+    return { success: false, message: 'Confirmation token expired, preview the action again' };
+  }
+
+  // Refuse if the affected records changed since the preview was shown
+  const preview = destructivePreviews[action.toolName](action.args, context);
+  if (!preview.success || previewFingerprint(preview.changes) !== action.fingerprint) {
+    pendingActions.delete(token);
+    return { success: false, message: 'Data changed since the preview, preview the action again' };
+  }
+
+  if (context.dryRun) return dryRunResult(preview);
+
+  pendingActions.delete(token);
+  return toolHandlers[action.toolName](action.args, context);
+}
+
 /**
  * Handler map for easy lookup
  */
 export const toolHandlers = {
+  // Read tools
+  search_scryfall: searchScryfallTool,
+  get_card_price: getCardPriceTool,
+  validate_deck: validateDeckTool,
+  check_ban_impact: checkBanImpactTool,
+  analyze_moxfield_profile: analyzeMoxfieldProfileTool,
+  analyze_mtggoldfish_profile: analyzeMTGGoldfishProfileTool,
+  learn_from_youtube: learnFromYoutubeTool,
+  suggest_deck_techs: suggestDeckTechsTool,
+  analyze_format_meta: analyzeFormatMetaTool,
+  assess_power_level: assessPowerLevelTool,
+  find_synergies: findSynergiesTool,
+  suggest_with_budget: suggestWithBudgetTool,
+  analyze_deck_ratios: analyzeDeckRatiosTool,
+  detect_win_conditions: detectWinConditionsTool,
+  get_edhrec_data: getEdhrecDataTool,
+  adapt_to_playgroup: adaptToPlaygroupTool,
+  analyze_interaction: analyzeInteractionTool,
+  // Write tools
   add_card_to_inventory: addCardToInventory,
   remove_card_from_inventory: removeCardFromInventory,
   move_card: moveCard,
   search_inventory: searchInventory,
   create_deck: createDeck,
+  import_deck_from_url: importDeckFromUrlTool,
   add_card_to_deck: addCardToDeck,
   remove_card_from_deck: removeCardFromDeck,
   get_decks: getDecks,
   delete_deck: deleteDeck,
   record_sale: recordSale,
-  get_sales: getSales
+  get_sales: getSales,
+  export_collection: exportCollectionTool,
+  export_deck: exportDeckTool,
+  confirm_action: confirmAction,
+  undo_last_action: undoLastAction,
+  redo_last_action: redoLastAction
 };
 
+/**
+ * Find advertised tool schemas that have no handler
+ * @returns {Array<string>} Tool names missing from toolHandlers
+ */
+export function findUnhandledTools() {
+  return Object.keys(toolSchemasByName).filter(name => typeof toolHandlers[name] !== 'function');
+}
+
+// Startup self-check: every advertised schema must be executable
+const unhandledTools = findUnhandledTools();
+if (unhandledTools.length) {
+  throw new Error(`Tool schemas without handlers: ${unhandledTools.join(', ')}`);
+}
+
 /**
  * Execute a tool by name
+ * Arguments are validated against the tool's schema first; invalid calls
+ * return an INVALID_ARGUMENTS result the model can read and retry from.
+ * @param {string} toolName - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {Object} context - Caller context: { userId, roles, dryRun, requireConfirmation, signal }
+ *   userId selects whose data is used. With dryRun, destructive tools only return a
+ *   preview of the records they would change; with requireConfirmation the preview
+ *   comes with a token that confirm_action applies. Once signal aborts, no tool
+ *   starts and write tools waiting on a lookup throw instead of saving.
+ * @returns {Promise<Object>} Tool result
  */
-export async function executeTool(toolName, args) {
+export async function executeTool(toolName, args, context = {}) {
   const handler = toolHandlers[toolName];
   if (!handler) {
     throw new Error(`Unknown tool: ${toolName}`);
   }
-  return handler(args);
+
+  const toolContext = resolveToolContext(context);
+
+  const validation = validateToolArgs(toolName, args);
+  if (!validation.success) {
+    return {
+      success: false,
+      error: {
+        code: 'INVALID_ARGUMENTS',
+        message: `Invalid arguments for ${toolName}`,
+        issues: validation.issues
+      }
+    };
+  }
+
+  toolContext.signal?.throwIfAborted();
+  if ((toolContext.dryRun || toolContext.requireConfirmation) && destructivePreviews[toolName]) {
+    return previewDestructiveTool(toolName, validation.data, toolContext);
+  }
+
+  return handler(validation.data, toolContext);
 }
 
 export default toolHandlers;
@@ -19,7 +19,8 @@ export const searchScryfallSchema = {
           description: "Scryfall search query (e.g., 'c:red type:creature cmc<=3', 'commander:WUB', 'o:draw o:card')"
         },
         limit: {
-          type: "number",
+          type: "integer",
+          minimum: 1,
           description: "Maximum number of results to return (default: 10)"
         }
       },
@@ -56,7 +57,7 @@ export const validateDeckSchema = {
   type: "function",
   function: {
     name: "validate_deck",
-    description: "Validate a Commander/EDH deck for format legality, including card count, singleton rule, color identity, and ban list compliance.",
+    description: "Validate a Commander/EDH deck, or one for a Commander variant (Brawl, Pauper Commander, Oathbreaker, Duel Commander), for format legality using Scryfall card data: deck size including the commander, singleton rule, color identity (hybrid and Phyrexian symbols included), ban list and the format's legality, and whether the commander can be one. Each violation names the card and the rule it breaks.",
     parameters: {
       type: "object",
       properties: {
@@ -64,12 +65,25 @@ export const validateDeckSchema = {
           type: "string",
           description: "Commander card name"
         },
+        partner: {
+          type: "string",
+          description: "Second commander, for Partner, Background, Friends Forever or Doctor's Companion pairs"
+        },
+        signatureSpell: {
+          type: "string",
+          description: "Oathbreaker signature spell (an instant or sorcery)"
+        },
+        format: {
+          type: "string",
+          description: "Format to validate against (default: 'commander')",
+          enum: ["commander", "brawl", "standardbrawl", "paupercommander", "oathbreaker", "duel"]
+        },
         decklist: {
           type: "array",
           items: {
             type: "string"
           },
-          description: "Array of card names in the deck (excluding commander)"
+          description: "Array of card names in the deck (excluding commanders and the signature spell)"
         }
       },
       required: ["commander", "decklist"]
@@ -77,6 +91,27 @@ export const validateDeckSchema = {
   }
 };
 
+/**
+ * Check which saved decks the latest ban list change affects
+ */
+export const checkBanImpactSchema = {
+  type: "function",
+  function: {
+    name: "check_ban_impact",
+    description: "Check which of the user's saved decks are affected by the latest ban list change for their format (cards that were just banned). Use when the user asks about a ban announcement or whether their decks are still legal.",
+    parameters: {
+      type: "object",
+      properties: {
+        refresh: {
+          type: "boolean",
+          description: "Refresh the ban lists from Scryfall first, recording any new bans or unbans (default: false)"
+        }
+      },
+      required: []
+    }
+  }
+};
+
 /**
  * Analyze Moxfield user profile
  */
@@ -189,6 +224,34 @@ export const analyzeFormatMetaSchema = {
 
 // ============ WRITE TOOL SCHEMAS ============
 
+/**
+ * Printing fields shared by the inventory tools
+ */
+const printingProperties = {
+  set: {
+    type: "string",
+    description: "Set code of the printing (e.g., 'sta', '2xm')"
+  },
+  collectorNumber: {
+    type: "string",
+    description: "Collector number of the printing within its set (e.g., '27')"
+  },
+  finish: {
+    type: "string",
+    enum: ["nonfoil", "foil", "etched"],
+    description: "Card finish (default: nonfoil)"
+  },
+  condition: {
+    type: "string",
+    enum: ["NM", "LP", "MP", "HP", "DMG"],
+    description: "Card condition (default: NM)"
+  },
+  language: {
+    type: "string",
+    description: "Language code (e.g., 'en', 'ja'; default: 'en')"
+  }
+};
+
 /**
  * Add card to inventory
  */
@@ -196,7 +259,7 @@ export const addCardToInventorySchema = {
   type: "function",
   function: {
     name: "add_card_to_inventory",
-    description: "Add a Magic card to the user's inventory. Looks up card details from Scryfall automatically.",
+    description: "Add a Magic card to the user's inventory. Looks up card details from Scryfall automatically. Give set and collectorNumber to add a specific printing; copies of different printings, finishes, conditions or languages are kept apart.",
     parameters: {
       type: "object",
       properties: {
@@ -205,13 +268,15 @@ export const addCardToInventorySchema = {
           description: "Name of the card to add (e.g., 'Sol Ring', 'Lightning Bolt')"
         },
         quantity: {
-          type: "number",
+          type: "integer",
+          minimum: 1,
           description: "Number of copies to add (default: 1)"
         },
         folder: {
           type: "string",
           description: "Folder/category to put the card in (default: 'Unsorted')"
-        }
+        },
+        ...printingProperties
       },
       required: ["cardName"]
     }
@@ -225,7 +290,7 @@ export const removeCardFromInventorySchema = {
   type: "function",
   function: {
     name: "remove_card_from_inventory",
-    description: "Remove a card from the user's inventory.",
+    description: "Remove a card from the user's inventory. Printing fields (set, finish, condition...) limit which copies are removed.",
     parameters: {
       type: "object",
       properties: {
@@ -234,9 +299,11 @@ export const removeCardFromInventorySchema = {
           description: "Name of the card to remove"
         },
         quantity: {
-          type: "number",
+          type: "integer",
+          minimum: 1,
           description: "Number of copies to remove (default: 1)"
-        }
+        },
+        ...printingProperties
       },
       required: ["cardName"]
     }
@@ -250,22 +317,24 @@ export const moveCardSchema = {
   type: "function",
   function: {
     name: "move_card",
-    description: "Move cards to a different folder/category in the inventory.",
+    description: "Move cards to a different folder/category in the inventory. Printing fields (set, finish, condition...) limit which copies are moved.",
     parameters: {
       type: "object",
       properties: {
         cardName: {
           type: "string",
-          description: "Name of the card(s) to move (supports partial matching)"
+          description: "Name of the card(s) to move (exact name preferred; falls back to partial matching)"
         },
         targetFolder: {
           type: "string",
           description: "Destination folder name (e.g., 'Unsorted', 'Commander Staples', 'For Sale')"
         },
         quantity: {
-          type: "number",
+          type: "integer",
+          minimum: 1,
           description: "Number of copies to move (omit to move all matching cards)"
-        }
+        },
+        ...printingProperties
       },
       required: ["cardName", "targetFolder"]
     }
@@ -279,14 +348,15 @@ export const searchInventorySchema = {
   type: "function",
   function: {
     name: "search_inventory",
-    description: "Search the user's card inventory by name, type, color, or folder.",
+    description: "Search the user's card inventory by name, type, color, set, or folder. Printing fields (set, finish, condition...) filter the results. Results include each copy's finish-specific value.",
     parameters: {
       type: "object",
       properties: {
         query: {
           type: "string",
-          description: "Search query - card name, type, color, or folder. Use 'all' to list entire inventory."
-        }
+          description: "Search query - card name, type, color, set, or folder. Use 'all' to list entire inventory."
+        },
+        ...printingProperties
       },
       required: ["query"]
     }
@@ -312,10 +382,14 @@ export const createDeckSchema = {
           type: "string",
           description: "Commander card name (for Commander format)"
         },
+        partner: {
+          type: "string",
+          description: "Second commander, if the commander pairs with one (Partner, Partner with, Friends Forever, Choose a Background or Doctor's Companion)"
+        },
         format: {
           type: "string",
-          description: "Deck format (default: 'commander')",
-          enum: ["commander", "modern", "standard", "pioneer", "legacy", "vintage", "pauper"]
+          description: "Deck format (default: 'commander'). Brawl is Historic Brawl; duel is Duel Commander",
+          enum: ["commander", "brawl", "standardbrawl", "paupercommander", "oathbreaker", "duel", "modern", "standard", "pioneer", "legacy", "vintage", "pauper"]
         }
       },
       required: ["name"]
@@ -323,6 +397,31 @@ export const createDeckSchema = {
   }
 };
 
+/**
+ * Import deck from URL
+ */
+export const importDeckFromUrlSchema = {
+  type: "function",
+  function: {
+    name: "import_deck_from_url",
+    description: "Import and save a deck from a Moxfield, Archidekt, MTGGoldfish, TappedOut or Deckstats link, with its commander(s) and sideboard.",
+    parameters: {
+      type: "object",
+      properties: {
+        url: {
+          type: "string",
+          description: "Deck URL, e.g. https://www.moxfield.com/decks/abc123"
+        },
+        name: {
+          type: "string",
+          description: "Name to save the deck under (default: the deck's name on the site)"
+        }
+      },
+      required: ["url"]
+    }
+  }
+};
+
 /**
  * Add card to deck
  */
@@ -343,7 +442,8 @@ export const addCardToDeckSchema = {
           description: "Name of the card to add"
         },
         quantity: {
-          type: "number",
+          type: "integer",
+          minimum: 1,
           description: "Number of copies to add (default: 1). Note: Commander/EDH format is singleton - only 1 copy allowed except basic lands. Other formats may allow up to 4 copies."
         }
       },
@@ -372,7 +472,8 @@ export const removeCardFromDeckSchema = {
           description: "Name of the card to remove"
         },
         quantity: {
-          type: "number",
+          type: "integer",
+          minimum: 1,
           description: "Number of copies to remove (default: 1)"
         }
       },
@@ -430,7 +531,7 @@ export const recordSaleSchema = {
   type: "function",
   function: {
     name: "record_sale",
-    description: "Record a card sale. This removes the card from inventory and logs the sale.",
+    description: "Record a card sale. This removes the card from inventory and logs the sale; the copies sold must be in inventory. Printing fields (set, finish, condition...) say which copies were sold.",
     parameters: {
       type: "object",
       properties: {
@@ -440,12 +541,15 @@ export const recordSaleSchema = {
         },
         price: {
           type: "number",
+          minimum: 0,
           description: "Sale price in dollars"
         },
         quantity: {
-          type: "number",
+          type: "integer",
+          minimum: 1,
           description: "Number of copies sold (default: 1)"
-        }
+        },
+        ...printingProperties
       },
       required: ["cardName", "price"]
     }
@@ -468,6 +572,106 @@ export const getSalesSchema = {
   }
 };
 
+// Formats export_collection and export_deck can write (see data/exporters.js)
+const exportFormatProperty = {
+  type: "string",
+  enum: ["moxfield", "deckbox", "text", "arena", "mtgo", "cockatrice"],
+  description: "File format: moxfield or deckbox (CSV), text, arena (MTG Arena), mtgo (.dek) or cockatrice (.cod)"
+};
+
+/**
+ * Export collection
+ */
+export const exportCollectionSchema = {
+  type: "function",
+  function: {
+    name: "export_collection",
+    description: "Export the user's whole inventory as a file other apps can import. Defaults to Moxfield CSV.",
+    parameters: {
+      type: "object",
+      properties: {
+        format: exportFormatProperty
+      },
+      required: []
+    }
+  }
+};
+
+/**
+ * Export deck
+ */
+export const exportDeckSchema = {
+  type: "function",
+  function: {
+    name: "export_deck",
+    description: "Export a saved deck as a deck list or deck file, with commander and sideboard. Defaults to plain text.",
+    parameters: {
+      type: "object",
+      properties: {
+        deckName: {
+          type: "string",
+          description: "Name of the deck to export"
+        },
+        format: exportFormatProperty
+      },
+      required: ["deckName"]
+    }
+  }
+};
+
+/**
+ * Confirm a previewed action
+ */
+export const confirmActionSchema = {
+  type: "function",
+  function: {
+    name: "confirm_action",
+    description: "Apply a destructive action (delete, remove, sale or move) that was previewed and is awaiting confirmation. Only call this after the user has approved the preview. Tokens live in this server process only: they are lost on restart and don't carry over to another MCP server process.",
+    parameters: {
+      type: "object",
+      properties: {
+        token: {
+          type: "string",
+          description: "Confirmation token returned with the preview"
+        }
+      },
+      required: ["token"]
+    }
+  }
+};
+
+/**
+ * Undo last action
+ */
+export const undoLastActionSchema = {
+  type: "function",
+  function: {
+    name: "undo_last_action",
+    description: "Undo the user's most recent change to their inventory, decks or sales (e.g. a deleted deck or a sale recorded twice). Call repeatedly to step further back.",
+    parameters: {
+      type: "object",
+      properties: {},
+      required: []
+    }
+  }
+};
+
+/**
+ * Redo last undone action
+ */
+export const redoLastActionSchema = {
+  type: "function",
+  function: {
+    name: "redo_last_action",
+    description: "Re-apply the change most recently reverted with undo_last_action.",
+    parameters: {
+      type: "object",
+      properties: {},
+      required: []
+    }
+  }
+};
+
 // ============ NEW TOOL SCHEMAS ============
 
 /**
@@ -543,10 +747,12 @@ export const suggestWithBudgetSchema = {
             type: "object",
             properties: {
               name: { type: "string" },
+              set: { type: "string" },
+              collectorNumber: { type: "string" },
               prices: { type: "object" },
             },
           },
-          description: "Array of card objects with name and price data"
+          description: "Array of card objects with name and price data; cards without prices are priced from Scryfall, by set and collector number when given"
         },
         budgetTier: {
           type: "string",
@@ -641,6 +847,10 @@ export const getEdhrecDataSchema = {
           type: "string",
           description: "Name of the commander to look up"
         },
+        partnerName: {
+          type: "string",
+          description: "Second commander, for partnered commanders (Partner, Background, Friends Forever, Doctor's Companion)"
+        },
         category: {
           type: "string",
           enum: ["all", "themes", "topCards", "synergies", "saltScore"],
@@ -726,6 +936,7 @@ export const allToolSchemas = [
   searchScryfallSchema,
   getCardPriceSchema,
   validateDeckSchema,
+  checkBanImpactSchema,
   analyzeMoxfieldProfileSchema,
   analyzeMTGGoldfishProfileSchema,
   learnFromYoutubeSchema,
@@ -746,12 +957,18 @@ export const allToolSchemas = [
   moveCardSchema,
   searchInventorySchema,
   createDeckSchema,
+  importDeckFromUrlSchema,
   addCardToDeckSchema,
   removeCardFromDeckSchema,
   getDecksSchema,
   deleteDeckSchema,
   recordSaleSchema,
-  getSalesSchema
+  getSalesSchema,
+  exportCollectionSchema,
+  exportDeckSchema,
+  confirmActionSchema,
+  undoLastActionSchema,
+  redoLastActionSchema
 ];
 
 /**
@@ -761,6 +978,7 @@ export const readToolSchemas = [
   searchScryfallSchema,
   getCardPriceSchema,
   validateDeckSchema,
+  checkBanImpactSchema,
   analyzeMoxfieldProfileSchema,
   analyzeMTGGoldfishProfileSchema,
   learnFromYoutubeSchema,
@@ -776,7 +994,9 @@ export const readToolSchemas = [
   analyzeInteractionSchema,
   searchInventorySchema,
   getDecksSchema,
-  getSalesSchema
+  getSalesSchema,
+  exportCollectionSchema,
+  exportDeckSchema
 ];
 
 /**
@@ -787,10 +1007,14 @@ export const writeToolSchemas = [
   removeCardFromInventorySchema,
   moveCardSchema,
   createDeckSchema,
+  importDeckFromUrlSchema,
   addCardToDeckSchema,
   removeCardFromDeckSchema,
   deleteDeckSchema,
-  recordSaleSchema
+  recordSaleSchema,
+  confirmActionSchema,
+  undoLastActionSchema,
+  redoLastActionSchema
 ];
 
 /**
@@ -801,6 +1025,7 @@ export const toolSchemasByName = {
   search_scryfall: searchScryfallSchema,
   get_card_price: getCardPriceSchema,
   validate_deck: validateDeckSchema,
+  check_ban_impact: checkBanImpactSchema,
   analyze_moxfield_profile: analyzeMoxfieldProfileSchema,
   analyze_mtggoldfish_profile: analyzeMTGGoldfishProfileSchema,
   learn_from_youtube: learnFromYoutubeSchema,
@@ -821,12 +1046,18 @@ export const toolSchemasByName = {
   move_card: moveCardSchema,
   search_inventory: searchInventorySchema,
   create_deck: createDeckSchema,
+  import_deck_from_url: importDeckFromUrlSchema,
   add_card_to_deck: addCardToDeckSchema,
   remove_card_from_deck: removeCardFromDeckSchema,
   get_decks: getDecksSchema,
   delete_deck: deleteDeckSchema,
   record_sale: recordSaleSchema,
-  get_sales: getSalesSchema
+  get_sales: getSalesSchema,
+  export_collection: exportCollectionSchema,
+  export_deck: exportDeckSchema,
+  confirm_action: confirmActionSchema,
+  undo_last_action: undoLastActionSchema,
+  redo_last_action: redoLastActionSchema
 };
 
 export default allToolSchemas;
@@ -0,0 +1,105 @@
+/**
+ * Tool Argument Validation
+ * Builds zod validators from the JSON schemas in schemas.js so LLM-produced
+ * arguments are checked before they reach a handler
+ */
+
+import { z } from 'zod';
+import { toolSchemasByName } from './schemas.js';
+import { MalformedArguments } from './formats.js';
+
+/**
+ * Convert a JSON schema fragment to a zod schema
+ * Supports the subset used by our tool schemas: string (with enum), number,
+ * integer (with minimum/maximum), boolean, array and object.
+ * @param {Object} schema - JSON schema fragment
+ * @param {Object} options - { strict } - reject keys the top-level object
+ *   doesn't list; nested objects always keep them
+ * @returns {import('zod').ZodTypeAny} Equivalent zod schema
+ */
+export function jsonSchemaToZod(schema = {}, { strict = false } = {}) {
+  switch (schema.type) {
+    case 'string':
+      return schema.enum ? z.enum(schema.enum) : z.string();
+
+    case 'number':
+    case 'integer': {
+      let number = schema.type === 'integer' ? z.number().int() : z.number();
+      if (schema.minimum !== undefined) number = number.min(schema.minimum);
+      if (schema.maximum !== undefined) number = number.max(schema.maximum);
+      return number;
+    }
+
+    case 'boolean':
+      return z.boolean();
+
+    case 'array':
+      return z.array(schema.items ? jsonSchemaToZod(schema.items) : z.any());
+
+    case 'object': {
+      const required = new Set(schema.required || []);
+      const shape = {};
+
+      for (const [key, property] of Object.entries(schema.properties || {})) {
+        const field = jsonSchemaToZod(property);
+        // LLMs often send null for fields they mean to omit
+        shape[key] = required.has(key)
+          ? field
+          : z.preprocess(value => (value === null ? undefined : value), field.optional());
+      }
+
+      // Card objects carry more fields than the schema lists, keep them;
+      // a misspelled tool argument should fail rather than be ignored
+      return strict ? z.object(shape).strict() : z.object(shape).passthrough();
+    }
+
+    default:
+      return z.any();
+  }
+}
+
+/**
+ * Zod validators for every tool, keyed by tool name
+ */
+export const toolArgValidators = Object.fromEntries(
+  Object.entries(toolSchemasByName).map(([name, schema]) => [
+    name,
+    jsonSchemaToZod(schema.function.parameters, { strict: true })
+  ])
+);
+
+/**
+ * Validate tool call arguments
+ * @param {string} toolName - Tool name
+ * @param {Object} args - Raw arguments from the model
+ * @returns {Object} { success: true, data } or { success: false, issues }
+ */
+export function validateToolArgs(toolName, args) {
+  if (args instanceof MalformedArguments) {
+    return {
+      success: false,
+      issues: [{ path: '', code: 'invalid_json', message: `Arguments are not valid JSON: ${args.raw}` }]
+    };
+  }
+
+  const validator = toolArgValidators[toolName];
+  if (!validator) {
+    return { success: true, data: args };
+  }
+
+  const result = validator.safeParse(args ?? {});
+  if (result.success) {
+    return { success: true, data: result.data };
+  }
+
+  return {
+    success: false,
+    issues: result.error.issues.map(issue => ({
+      path: issue.path.join('.'),
+      code: issue.code,
+      message: issue.message
+    }))
+  };
+}
+
+export default validateToolArgs;
@@ -32,15 +32,33 @@ export const statusMessages = {
     add_card_to_inventory: "Adding to inventory...",
     remove_card_from_inventory: "Removing from inventory...",
     create_deck: "Creating deck...",
+    import_deck_from_url: "Importing deck...",
     add_card_to_deck: "Adding card to deck...",
     remove_card_from_deck: "Removing card from deck...",
     get_decks: "Fetching your decks...",
     delete_deck: "Deleting deck...",
     record_sale: "Recording sale...",
     get_sales: "Fetching sales history...",
+    export_collection: "Exporting your collection...",
+    export_deck: "Exporting deck...",
+    confirm_action: "Applying confirmed changes...",
+    undo_last_action: "Undoing last change...",
+    redo_last_action: "Redoing change...",
     validate_deck: "Validating deck legality...",
+    check_ban_impact: "Checking the ban list...",
     analyze_moxfield_profile: "Analyzing Moxfield profile...",
     analyze_mtggoldfish_profile: "Analyzing MTGGoldfish profile...",
+    learn_from_youtube: "Watching the deck tech...",
+    suggest_deck_techs: "Finding deck techs...",
+    analyze_format_meta: "Reading the meta...",
+    assess_power_level: "Assessing power level...",
+    find_synergies: "Looking for synergies...",
+    suggest_with_budget: "Crunching the budget...",
+    analyze_deck_ratios: "Checking deck ratios...",
+    detect_win_conditions: "Finding win conditions...",
+    get_edhrec_data: "Consulting EDHREC...",
+    adapt_to_playgroup: "Reading your playgroup...",
+    analyze_interaction: "Evaluating interaction...",
   },
   
   // Success/Error messages
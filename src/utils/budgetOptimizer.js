@@ -3,6 +3,9 @@
  * Provides budget-conscious card recommendations and alternatives
  */
 
+import { cardPrice } from './printings.js';
+import { copiesOf, countCopies } from './cardModel.js';
+
 /**
  * Budget tiers with spending limits
  */
@@ -122,6 +125,7 @@ export const budgetAlternatives = {
 
 /**
  * Calculate total cost of a decklist using Scryfall prices
+ * Each card costs its price times its quantity.
  * @param {Array} decklist - Array of card objects with price data
  * @returns {Object} Cost breakdown
  */
@@ -148,19 +152,20 @@ export function calculateDeckCost(decklist) {
   };
 
   const cardPrices = decklist.map(card => {
-    const price = parseFloat(card.prices?.usd || card.price || 0);
-    total += price;
+    const price = cardPrice(card);
+    const cost = price * copiesOf(card);
+    total += cost;
 
     // Categorize by type
     const type = card.type?.toLowerCase() || '';
-    if (type.includes('land')) breakdown.lands += price;
-    else if (type.includes('creature')) breakdown.creatures += price;
-    else if (type.includes('instant')) breakdown.instants += price;
-    else if (type.includes('sorcery')) breakdown.sorceries += price;
-    else if (type.includes('artifact')) breakdown.artifacts += price;
-    else if (type.includes('enchantment')) breakdown.enchantments += price;
-    else if (type.includes('planeswalker')) breakdown.planeswalkers += price;
-    else breakdown.other += price;
+    if (type.includes('land')) breakdown.lands += cost;
+    else if (type.includes('creature')) breakdown.creatures += cost;
+    else if (type.includes('instant')) breakdown.instants += cost;
+    else if (type.includes('sorcery')) breakdown.sorceries += cost;
+    else if (type.includes('artifact')) breakdown.artifacts += cost;
+    else if (type.includes('enchantment')) breakdown.enchantments += cost;
+    else if (type.includes('planeswalker')) breakdown.planeswalkers += cost;
+    else breakdown.other += cost;
 
     return {
       name: card.name,
@@ -179,7 +184,7 @@ export function calculateDeckCost(decklist) {
     currency: 'USD',
     breakdown,
     mostExpensive,
-    averageCardPrice: parseFloat((total / decklist.length).toFixed(2)),
+    averageCardPrice: parseFloat((total / countCopies(decklist)).toFixed(2)),
   };
 }
 
@@ -251,12 +256,13 @@ export function suggestWithBudget(decklist, budgetTier = 'moderate', maxReplacem
   // Find cards over the per-card budget
   const expensiveCards = decklist
     .filter(card => {
-      const price = parseFloat(card.prices?.usd || card.price || 0);
+      const price = cardPrice(card);
       return price > tier.maxCardPrice;
     })
     .map(card => ({
       name: card.name,
-      price: parseFloat(card.prices?.usd || card.price || 0),
+      quantity: copiesOf(card),
+      price: cardPrice(card),
       type: card.type,
     }))
     .sort((a, b) => b.price - a.price);
@@ -269,7 +275,7 @@ export function suggestWithBudget(decklist, budgetTier = 'moderate', maxReplacem
       currentPrice: card.price,
       alternatives,
       savings: alternatives.length > 0 
-        ? card.price - tier.maxCardPrice 
+        ? (card.price - tier.maxCardPrice) * card.quantity
         : 0,
     };
   });
@@ -312,7 +318,8 @@ export function optimizeDeckForBudget(decklist, targetBudget) {
   const sortedCards = decklist
     .map(card => ({
       name: card.name,
-      price: parseFloat(card.prices?.usd || card.price || 0),
+      quantity: copiesOf(card),
+      price: cardPrice(card),
       type: card.type,
     }))
     .sort((a, b) => b.price - a.price);
@@ -329,7 +336,7 @@ export function optimizeDeckForBudget(decklist, targetBudget) {
     if (alternatives.length > 0) {
       const bestAlt = alternatives[0];
       const altPrice = parseFloat(bestAlt.price || 5); // Use actual price, fallback to $5
-      const savings = card.price - altPrice;
+      const savings = (card.price - altPrice) * card.quantity;
 
       swaps.push({
         remove: card.name,
@@ -0,0 +1,127 @@
+/**
+ * Card Model
+ * The one card shape every analyzer in src/utils reads. Scryfall data keeps
+ * Scryfall's field names (type_line, cmc, oracle_text, ...); the deck entry's
+ * quantity, zone and printing ride along with it. Analyzers count each card
+ * quantity times, so "30 Forest" is thirty lands.
+ */
+
+import { finishPrice, normalizePrinting } from './printings.js';
+
+/**
+ * All names a card answers to: its full name and each face's name
+ * @param {Object} cardData - Scryfall card object
+ * @returns {Array<string>} Lowercased names
+ */
+export function cardNames(cardData) {
+  return [cardData.name, ...cardData.name.split(' // '), ...(cardData.card_faces || []).map(face => face.name)]
+    .map(name => name.toLowerCase().trim());
+}
+
+/**
+ * Read a field from the card, or join it from the faces of a double-faced card
+ * @private
+ */
+function faceField(cardData, field, separator) {
+  if (cardData[field] !== undefined) return cardData[field];
+  const values = (cardData.card_faces || []).map(face => face[field]).filter(Boolean);
+  return values.length ? values.join(separator) : null;
+}
+
+/**
+ * Build a Card from Scryfall card data and a deck entry
+ * type mirrors type_line, since inventory cards and tool arguments call it
+ * type. The set is only recorded when the entry names one.
+ * @param {Object} cardData - Scryfall card object
+ * @param {Object} entry - Deck entry ({ quantity, zone, set, collectorNumber, finish })
+ * @returns {Object} Card
+ */
+export function toCard(cardData, entry = {}) {
+  const { set, finish } = normalizePrinting(entry);
+  const typeLine = faceField(cardData, 'type_line', ' // ') || '';
+  const colors = cardData.colors
+    ?? [...new Set((cardData.card_faces || []).flatMap(face => face.colors || []))];
+
+  return {
+    name: cardData.name,
+    quantity: entry.quantity || 1,
+    ...(entry.zone ? { zone: entry.zone } : {}),
+    mana_cost: faceField(cardData, 'mana_cost', ' // ') || '',
+    cmc: cardData.cmc || 0,
+    type_line: typeLine,
+    type: typeLine,
+    oracle_text: faceField(cardData, 'oracle_text', '\n//\n') || '',
+    colors,
+    color_identity: cardData.color_identity || [],
+    keywords: cardData.keywords || [],
+    power: faceField(cardData, 'power', ' // '),
+    toughness: faceField(cardData, 'toughness', ' // '),
+    loyalty: faceField(cardData, 'loyalty', ' // '),
+    rarity: cardData.rarity || null,
+    legalities: cardData.legalities || {},
+    set: set ? cardData.set : null,
+    setName: set ? cardData.set_name : null,
+    collectorNumber: set ? cardData.collector_number : null,
+    finish,
+    prices: cardData.prices || {},
+    price: finishPrice(cardData.prices, finish),
+    scryfallId: cardData.id,
+  };
+}
+
+/**
+ * Build a Card for a name Scryfall doesn't know
+ * It has the same fields as toCard's, empty, so analyzers can still read it.
+ * @param {Object} entry - Deck entry
+ * @returns {Object} Card with notFound: true
+ */
+export function unknownCard(entry) {
+  const { set, collectorNumber } = normalizePrinting(entry);
+  return {
+    ...toCard({ name: entry.name }, entry),
+    set,
+    setName: null,
+    collectorNumber,
+    scryfallId: null,
+    notFound: true,
+  };
+}
+
+/**
+ * Number of copies a card stands for
+ * @param {Object} card - Card, or any deck entry
+ * @returns {number} card.quantity, or 1 without one
+ */
+export function copiesOf(card) {
+  return card.quantity || 1;
+}
+
+/**
+ * Number of copies in a list of cards
+ * @param {Array} cards - Cards with quantity
+ * @returns {number} Sum of each card's copies
+ */
+export function countCopies(cards) {
+  return cards.reduce((sum, card) => sum + copiesOf(card), 0);
+}
+
+/**
+ * Repeat each card once per copy
+ * For callers that want one entry per copy rather than reading quantity.
+ * @param {Array} cards - Cards with quantity
+ * @returns {Array} One card per copy, each with quantity 1
+ */
+export function expandCopies(cards) {
+  return cards.flatMap(card =>
+    Array.from({ length: copiesOf(card) }, () => ({ ...card, quantity: 1 }))
+  );
+}
+
+export default {
+  cardNames,
+  toCard,
+  unknownCard,
+  copiesOf,
+  countCopies,
+  expandCopies,
+};
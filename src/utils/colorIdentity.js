@@ -3,6 +3,8 @@
  * Helper functions for working with MTG color identity
  */
 
+import { copiesOf } from './cardModel.js';
+
 /**
  * Color constants
  */
@@ -63,6 +65,41 @@ export function isValidForCommander(cardColors, commanderColors) {
   return card.every(color => commander.includes(color));
 }
 
+/**
+ * Colors of the mana symbols in a piece of text
+ * Hybrid ({W/U}, {2/W}) and Phyrexian ({W/P}, {G/U/P}) symbols count every
+ * color they show.
+ * @param {string} text - Mana cost or rules text
+ * @returns {Array} Sorted array of color symbols
+ */
+export function getManaSymbolColors(text = '') {
+  const found = new Set();
+  for (const [, symbol] of (text || '').matchAll(/\{([^}]+)\}/g)) {
+    symbol.toUpperCase().split('/').forEach(part => {
+      if (COLOR_SYMBOLS.includes(part)) found.add(part);
+    });
+  }
+  return parseColorIdentity([...found]);
+}
+
+/**
+ * Work out a card's color identity (rule 903.4)
+ * Scryfall's color_identity is used when present, along with its colors
+ * (which cover color indicators), mana cost and rules text. Reminder text
+ * doesn't count, so it is left out.
+ * @param {Object} card - Card with color_identity, colors, mana_cost and oracle_text
+ * @returns {Array} Sorted array of color symbols
+ */
+export function getCardColorIdentity(card) {
+  const rulesText = (card.oracle_text || '').replace(/\([^)]*\)/g, '');
+  return parseColorIdentity([...new Set([
+    ...(card.color_identity || []),
+    ...(card.colors || []),
+    ...getManaSymbolColors(card.mana_cost),
+    ...getManaSymbolColors(rulesText),
+  ])]);
+}
+
 /**
  * Get color combination name
  * @param {string|Array} colors - Color identity
@@ -126,17 +163,18 @@ export function calculateColorDistribution(deck) {
 
   deck.forEach(card => {
     if (card.mana_cost) {
+      const copies = copiesOf(card);
       for (const symbol of COLOR_SYMBOLS) {
         const regex = new RegExp(`\\{${symbol}\\}`, 'g');
         const matches = card.mana_cost.match(regex);
         if (matches) {
-          distribution[symbol] += matches.length;
+          distribution[symbol] += matches.length * copies;
         }
       }
       // Count generic/colorless mana
       const colorlessMatches = card.mana_cost.match(/\{[0-9]+\}/g);
       if (colorlessMatches) {
-        distribution.C += colorlessMatches.length;
+        distribution.C += colorlessMatches.length * copies;
       }
     }
   });
@@ -177,6 +215,8 @@ export function getRecommendedManaBase(distribution) {
 
 /**
  * Validate color identity of a deck
+ * Each card's identity comes from getCardColorIdentity, so hybrid and
+ * Phyrexian symbols count.
  * @param {Array} deck - Deck list
  * @param {Array|string} commanderColors - Commander's color identity
  * @returns {Object} Validation result
@@ -186,12 +226,13 @@ export function validateDeckColorIdentity(deck, commanderColors) {
   const invalid = [];
 
   deck.forEach(card => {
-    if (card.color_identity && card.color_identity.length > 0) {
-      if (!isValidForCommander(card.color_identity, commander)) {
+    const identity = getCardColorIdentity(card);
+    if (identity.length > 0) {
+      if (!isValidForCommander(identity, commander)) {
         invalid.push({
           name: card.name,
-          colors: card.color_identity,
-          reason: `Color identity ${card.color_identity.join('')} not valid for commander ${commander.join('')}`,
+          colors: identity,
+          reason: `Color identity ${identity.join('')} not valid for commander ${commander.join('')}`,
         });
       }
     }
@@ -209,6 +250,8 @@ export default {
   parseColorIdentity,
   getColorIdentityString,
   isValidForCommander,
+  getManaSymbolColors,
+  getCardColorIdentity,
   getColorCombinationName,
   getColorName,
   calculateColorDistribution,
@@ -0,0 +1,109 @@
+/**
+ * Commander Pairings
+ * Two commanders can lead a deck when their abilities allow it: Partner,
+ * Partner with [name], Friends forever, Choose a Background and Doctor's
+ * companion (rule 702.124). Abilities are read from oracle text, falling back
+ * to Scryfall keywords.
+ */
+
+import { cardNames } from './cardModel.js';
+import { getCardColorIdentity, parseColorIdentity } from './colorIdentity.js';
+
+/**
+ * Pairing mechanics and how rules text and messages name them
+ */
+export const PAIRING_MECHANICS = {
+  partner: 'Partner',
+  partnerWith: 'Partner with',
+  friendsForever: 'Friends forever',
+  chooseBackground: 'Choose a Background',
+  doctorsCompanion: 'Doctor\'s companion',
+};
+
+/**
+ * Read a card's pairing abilities
+ * Partner variants such as "Partner—Survivors" only pair within the same
+ * group, so partner is true for plain Partner and the group name otherwise.
+ * @param {Object} card - Card with oracle_text, keywords and type_line
+ * @returns {Object} { partner, partnerWith, friendsForever, chooseBackground,
+ *   doctorsCompanion, background, timeLordDoctor } - partnerWith is the named
+ *   card; background and timeLordDoctor say what the card can be paired as
+ */
+export function getPairingAbilities(card) {
+  const keywords = (card.keywords || []).map(keyword => keyword.toLowerCase());
+  const lines = (card.oracle_text || '').split('\n')
+    .map(line => line.replace(/\s*\([^)]*\)/g, '').trim());
+  const line = pattern => lines.map(text => text.match(pattern)).find(Boolean) || null;
+
+  const partnerWith = line(/^Partner with (.+)$/i);
+  const partner = line(/^Partner(?:\s*[—–-]\s*(.+))?$/i);
+  const front = (card.type_line || '').split(' // ')[0];
+
+  return {
+    partner: partner ? (partner[1] || true) : (!card.oracle_text && keywords.includes('partner')),
+    partnerWith: partnerWith ? partnerWith[1].trim() : null,
+    friendsForever: Boolean(line(/^Friends forever$/i)) || keywords.includes('friends forever'),
+    chooseBackground: Boolean(line(/^Choose a Background$/i)) || keywords.includes('choose a background'),
+    doctorsCompanion: Boolean(line(/^Doctor's companion$/i)) || keywords.includes('doctor\'s companion'),
+    background: /\bLegendary\b.*\bEnchantment\b.*—.*\bBackground\b/.test(front),
+    timeLordDoctor: /\bLegendary\b.*\bCreature\b\s*—\s*Time Lord Doctor$/.test(front),
+  };
+}
+
+/**
+ * Check whether two cards can be commanders together
+ * @param {Object} first - Card
+ * @param {Object} second - Card
+ * @returns {Object} { valid, mechanic, background, reason } - mechanic is a key
+ *   of PAIRING_MECHANICS; background is the Background's name for Choose a
+ *   Background pairs; reason explains an invalid pair
+ */
+export function canPairCommanders(first, second) {
+  const a = getPairingAbilities(first);
+  const b = getPairingAbilities(second);
+  const invalid = reason => ({ valid: false, mechanic: null, background: null, reason });
+
+  // Partner with [name] only pairs the two named cards
+  if (a.partnerWith || b.partnerWith) {
+    if (a.partnerWith && b.partnerWith
+      && cardNames(second).includes(a.partnerWith.toLowerCase())
+      && cardNames(first).includes(b.partnerWith.toLowerCase())) {
+      return { valid: true, mechanic: 'partnerWith', background: null, reason: null };
+    }
+    const [card, named] = a.partnerWith ? [first, a.partnerWith] : [second, b.partnerWith];
+    return invalid(`${card.name} can only partner with ${named}`);
+  }
+
+  if (a.partner && b.partner) {
+    if (a.partner === b.partner) return { valid: true, mechanic: 'partner', background: null, reason: null };
+    return invalid(`${first.name} and ${second.name} have different kinds of Partner`);
+  }
+  if (a.friendsForever && b.friendsForever) {
+    return { valid: true, mechanic: 'friendsForever', background: null, reason: null };
+  }
+  if ((a.chooseBackground && b.background) || (b.chooseBackground && a.background)) {
+    return { valid: true, mechanic: 'chooseBackground', background: a.background ? first.name : second.name, reason: null };
+  }
+  if ((a.doctorsCompanion && b.timeLordDoctor) || (b.doctorsCompanion && a.timeLordDoctor)) {
+    return { valid: true, mechanic: 'doctorsCompanion', background: null, reason: null };
+  }
+
+  return invalid(`${first.name} and ${second.name} can't be paired: they need matching Partner, ` +
+    'Partner with, Friends forever, Choose a Background + Background, or Doctor\'s companion + Time Lord Doctor abilities');
+}
+
+/**
+ * Combined color identity of a deck's commanders
+ * @param {Array} commanders - One or two Cards
+ * @returns {Array} Sorted array of color symbols
+ */
+export function getCommanderColorIdentity(commanders) {
+  return parseColorIdentity([...new Set(commanders.flatMap(getCardColorIdentity))]);
+}
+
+export default {
+  PAIRING_MECHANICS,
+  getPairingAbilities,
+  canPairCommanders,
+  getCommanderColorIdentity,
+};
@@ -0,0 +1,85 @@
+/**
+ * CSV Utilities
+ * Minimal RFC 4180 parsing and formatting for collection files shared with other apps
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * Handles quoted fields with embedded commas, quotes and newlines, CRLF line
+ * endings and a leading byte order mark. Blank lines are skipped.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(value => value !== '')) rows.push(row);
+  return rows;
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * @param {string} text - CSV text
+ * @returns {Object} { headers, records: [{ row, values }] } - row counts the header as row 1
+ */
+export function parseCSVRecords(text) {
+  const [headers = [], ...rows] = parseCSV(text);
+  const trimmed = headers.map(header => header.trim());
+
+  return {
+    headers: trimmed,
+    records: rows.map((row, index) => ({
+      row: index + 2,
+      values: Object.fromEntries(trimmed.map((header, column) => [header, (row[column] ?? '').trim()]))
+    }))
+  };
+}
+
+/**
+ * Format rows of fields as CSV text
+ * Fields containing commas, quotes or line breaks are quoted.
+ * @param {Array<Array>} rows - Rows of fields; null and undefined become empty
+ * @returns {string} CSV text
+ */
+export function formatCSV(rows) {
+  const formatField = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map(row => row.map(formatField).join(',')).join('\n') + '\n';
+}
+
+export default parseCSV;
@@ -3,6 +3,8 @@
  * Analyzes and visualizes the converted mana cost distribution
  */
 
+import { copiesOf, countCopies } from './cardModel.js';
+
 /**
  * Calculate mana curve from deck list
  * @param {Array} deck - Deck list
@@ -30,13 +32,14 @@ export function calculateManaCurve(deck) {
     }
 
     const cmc = card.cmc || 0;
-    cardCount++;
-    totalCMC += cmc;
+    const copies = copiesOf(card);
+    cardCount += copies;
+    totalCMC += cmc * copies;
 
     if (cmc >= 7) {
-      curve['7+']++;
+      curve['7+'] += copies;
     } else {
-      curve[cmc]++;
+      curve[cmc] += copies;
     }
   });
 
@@ -225,7 +228,7 @@ export function getIdealCurve(strategy = 'midrange', totalCards = 63) {
  */
 export function compareCurveToIdeal(deck, strategy = 'midrange') {
   const { curve, avgCMC } = calculateManaCurve(deck);
-  const nonLandCount = deck.filter(c => !c.type_line?.includes('Land')).length;
+  const nonLandCount = countCopies(deck.filter(c => !c.type_line?.includes('Land')));
   const ideal = getIdealCurve(strategy, nonLandCount);
 
   const comparison = {};
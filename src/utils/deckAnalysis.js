@@ -3,6 +3,8 @@
  * Analyzes card draw, ramp, and other deck ratios
  */
 
+import { copiesOf, countCopies } from './cardModel.js';
+
 /**
  * Ideal ratios by archetype
  */
@@ -105,6 +107,7 @@ export function analyzeCardAdvantage(decklist) {
         (text.includes('draw') && (text.includes('card') || text.includes('cards')))) {
       cardDrawCards.push({
         name: card.name,
+        quantity: copiesOf(card),
         type: card.type,
         quality: cardDrawSpells.some(s => name.includes(s.toLowerCase())) ? 'high' : 'medium',
       });
@@ -114,6 +117,7 @@ export function analyzeCardAdvantage(decklist) {
     if (text.includes('exile') && (text.includes('may play') || text.includes('may cast'))) {
       impulseDrawCards.push({
         name: card.name,
+        quantity: copiesOf(card),
         type: card.type,
         quality: 'medium',
       });
@@ -124,13 +128,14 @@ export function analyzeCardAdvantage(decklist) {
         (text.includes('graveyard') || text.includes('from your graveyard'))) {
       recursionCards.push({
         name: card.name,
+        quantity: copiesOf(card),
         type: card.type,
         quality: 'medium',
       });
     }
   }
 
-  const totalCount = cardDrawCards.length + impulseDrawCards.length + recursionCards.length;
+  const totalCount = countCopies(cardDrawCards) + countCopies(impulseDrawCards) + countCopies(recursionCards);
   const quality = 
     totalCount >= 12 ? 'excellent' :
     totalCount >= 10 ? 'good' :
@@ -141,9 +146,9 @@ export function analyzeCardAdvantage(decklist) {
 
   return {
     count: totalCount,
-    cardDraw: cardDrawCards.length,
-    impulseDraw: impulseDrawCards.length,
-    recursion: recursionCards.length,
+    cardDraw: countCopies(cardDrawCards),
+    impulseDraw: countCopies(impulseDrawCards),
+    recursion: countCopies(recursionCards),
     cards: {
       cardDraw: cardDrawCards,
       impulseDraw: impulseDrawCards,
@@ -151,7 +156,7 @@ export function analyzeCardAdvantage(decklist) {
     },
     quality,
     rating,
-    percentage: parseFloat((totalCount / decklist.length * 100).toFixed(1)),
+    percentage: parseFloat((totalCount / countCopies(decklist) * 100).toFixed(1)),
   };
 }
 
@@ -185,6 +190,7 @@ export function analyzeRampPackage(decklist) {
         rampSpells.some(spell => name.includes(spell.toLowerCase())) && type.includes('artifact')) {
       manaRocks.push({
         name: card.name,
+        quantity: copiesOf(card),
         cmc: card.cmc,
         quality: card.cmc <= 2 ? 'high' : 'medium',
       });
@@ -194,6 +200,7 @@ export function analyzeRampPackage(decklist) {
     if (type.includes('creature') && text.includes('add') && text.includes('mana')) {
       manaDorks.push({
         name: card.name,
+        quantity: copiesOf(card),
         cmc: card.cmc,
         quality: card.cmc === 1 ? 'high' : 'medium',
       });
@@ -204,6 +211,7 @@ export function analyzeRampPackage(decklist) {
         (text.includes('put') && text.includes('land') && text.includes('battlefield'))) {
       landRamp.push({
         name: card.name,
+        quantity: copiesOf(card),
         cmc: card.cmc,
         quality: card.cmc <= 3 ? 'high' : 'medium',
       });
@@ -213,13 +221,14 @@ export function analyzeRampPackage(decklist) {
     if (text.includes('cost') && (text.includes('less') || text.includes('reduce'))) {
       costReducers.push({
         name: card.name,
+        quantity: copiesOf(card),
         type: card.type,
         quality: 'medium',
       });
     }
   }
 
-  const totalCount = manaRocks.length + manaDorks.length + landRamp.length + costReducers.length;
+  const totalCount = countCopies(manaRocks) + countCopies(manaDorks) + countCopies(landRamp) + countCopies(costReducers);
   const quality = 
     totalCount >= 12 ? 'excellent' :
     totalCount >= 10 ? 'good' :
@@ -230,10 +239,10 @@ export function analyzeRampPackage(decklist) {
 
   return {
     count: totalCount,
-    manaRocks: manaRocks.length,
-    manaDorks: manaDorks.length,
-    landRamp: landRamp.length,
-    costReducers: costReducers.length,
+    manaRocks: countCopies(manaRocks),
+    manaDorks: countCopies(manaDorks),
+    landRamp: countCopies(landRamp),
+    costReducers: countCopies(costReducers),
     cards: {
       manaRocks,
       manaDorks,
@@ -242,7 +251,7 @@ export function analyzeRampPackage(decklist) {
     },
     quality,
     rating,
-    percentage: parseFloat((totalCount / decklist.length * 100).toFixed(1)),
+    percentage: parseFloat((totalCount / countCopies(decklist) * 100).toFixed(1)),
   };
 }
 
@@ -361,18 +370,20 @@ export function analyzeDeckBalance(decklist, archetype = 'midrange') {
   const draw = analyzeCardAdvantage(decklist);
   const ramp = analyzeRampPackage(decklist);
 
+  const deckSize = countCopies(decklist);
+
   // Count lands
-  const lands = decklist.filter(card => card.type?.includes('Land')).length;
+  const lands = countCopies(decklist.filter(card => card.type?.includes('Land')));
 
   // Count creatures
-  const creatures = decklist.filter(card => card.type?.includes('Creature')).length;
+  const creatures = countCopies(decklist.filter(card => card.type?.includes('Creature')));
 
   // Count instants and sorceries
-  const instants = decklist.filter(card => card.type?.includes('Instant')).length;
-  const sorceries = decklist.filter(card => card.type?.includes('Sorcery')).length;
+  const instants = countCopies(decklist.filter(card => card.type?.includes('Instant')));
+  const sorceries = countCopies(decklist.filter(card => card.type?.includes('Sorcery')));
 
   return {
-    deckSize: decklist.length,
+    deckSize,
     lands,
     creatures,
     instants,
@@ -380,9 +391,9 @@ export function analyzeDeckBalance(decklist, archetype = 'midrange') {
     cardDraw: draw,
     ramp,
     balance: {
-      landsPercentage: parseFloat((lands / decklist.length * 100).toFixed(1)),
-      creaturesPercentage: parseFloat((creatures / decklist.length * 100).toFixed(1)),
-      spellsPercentage: parseFloat(((instants + sorceries) / decklist.length * 100).toFixed(1)),
+      landsPercentage: parseFloat((lands / deckSize * 100).toFixed(1)),
+      creaturesPercentage: parseFloat((creatures / deckSize * 100).toFixed(1)),
+      spellsPercentage: parseFloat(((instants + sorceries) / deckSize * 100).toFixed(1)),
     },
     overallRating: Math.round((draw.rating + ramp.rating) / 2),
   };
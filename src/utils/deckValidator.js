@@ -3,51 +3,292 @@
  * Parses and validates Commander deck lists for format legality
  */
 
+import { getFormat } from '../knowledge/commanderRules.js';
+import { getCopyLimit } from './singletonExceptions.js';
+
 /**
- * Parse a deck list from text format
- * Supports formats like "1x Card Name", "1 Card Name", "Card Name"
+ * Deck zones, in the order deck lists print them
+ */
+export const DECK_ZONES = ['commander', 'companion', 'mainboard', 'sideboard', 'maybeboard'];
+
+// parseDeckSections result key for each zone
+const ZONE_SECTIONS = {
+  commander: 'commanders',
+  companion: 'companions',
+  mainboard: 'mainboard',
+  sideboard: 'sideboard',
+  maybeboard: 'maybeboard',
+};
+
+// Section headers as Moxfield, Arena, Archidekt and MTGO write them. Card type
+// and category headings ("Creatures (30)", "Ramp") belong to the main deck.
+const SECTION_HEADERS = {
+  commander: 'commander',
+  commanders: 'commander',
+  'signature spell': 'commander', // Oathbreaker
+  companion: 'companion',
+  companions: 'companion',
+  deck: 'mainboard',
+  main: 'mainboard',
+  'main deck': 'mainboard',
+  mainboard: 'mainboard',
+  creature: 'mainboard',
+  creatures: 'mainboard',
+  land: 'mainboard',
+  lands: 'mainboard',
+  artifact: 'mainboard',
+  artifacts: 'mainboard',
+  enchantment: 'mainboard',
+  enchantments: 'mainboard',
+  instant: 'mainboard',
+  instants: 'mainboard',
+  sorcery: 'mainboard',
+  sorceries: 'mainboard',
+  planeswalker: 'mainboard',
+  planeswalkers: 'mainboard',
+  battle: 'mainboard',
+  battles: 'mainboard',
+  spells: 'mainboard',
+  other: 'mainboard',
+  sideboard: 'sideboard',
+  side: 'sideboard',
+  maybeboard: 'maybeboard',
+  maybe: 'maybeboard',
+  considering: 'maybeboard',
+  about: 'about',
+};
+
+// Prefixes that put a single line in a zone: "Commander: Atraxa", "SB: 2 Duress"
+const INLINE_ZONES = {
+  commander: 'commander',
+  'signature spell': 'commander',
+  companion: 'companion',
+  sideboard: 'sideboard',
+  sb: 'sideboard',
+  maybeboard: 'maybeboard',
+};
+
+// "Label: text" lines in written-up deck lists that aren't cards
+const NOTE_LABELS = [
+  'strategy', 'win condition', 'win conditions', 'wincon', 'wincons', 'notes', 'note',
+  'description', 'name', 'deck name', 'format', 'author', 'budget', 'power level',
+  'bracket', 'theme', 'themes', 'combo', 'combos', 'game plan', 'total', 'price', 'cost', 'colors'
+];
+
+// Words card names leave in lower case ("Ashes of the Abhorrent")
+const NAME_SMALL_WORDS = ['a', 'an', 'and', 'as', 'at', 'by', 'for', 'from', 'in', 'into', 'of', 'on', 'or', 'the', 'to', 'with'];
+
+/**
+ * Whether an uncounted line reads as prose rather than a card name
+ * Ending in "." or "?" isn't enough: a few card names end in "?" ("Question
+ * Elemental?"), but they are title case, so a sentence also needs a word in
+ * lower case that names don't keep lower case.
+ * @private
+ */
+function isSentence(text) {
+  if (!/[.?]$/.test(text)) return false;
+  return text.split(/\s+/).some(word => /^[a-z]/.test(word) && !NAME_SMALL_WORDS.includes(word.replace(/[^a-z]/g, '')));
+}
+
+// Archidekt category tags: "[Commander{top}]", "[Maybeboard{noDeck}{noPrice}]"
+const CATEGORY_ZONES = {
+  commander: 'commander',
+  companion: 'companion',
+  sideboard: 'sideboard',
+  maybeboard: 'maybeboard',
+};
+
+// Headers formatDeckList writes for each zone
+const ZONE_TITLES = {
+  commander: 'Commander',
+  companion: 'Companion',
+  mainboard: 'Deck',
+  sideboard: 'Sideboard',
+  maybeboard: 'Maybeboard',
+};
+
+/**
+ * Recognise a section header line
+ * Headers may be marked up ("## Creatures", "**Lands (36)**", "// Sideboard"),
+ * end in a colon or carry a card count.
+ * @private
+ * @returns {string|null} Zone (or 'about'), or null if the line isn't a header
+ */
+function readHeader(line) {
+  const comment = line.startsWith('//');
+  const markedUp = comment || /^(#+|\*\*)/.test(line) || /:$/.test(line) || /[([]\d+[)\]]\**:?$/.test(line);
+  const text = line
+    .replace(/^(\/\/|#+|\*\*)\s*/, '')
+    .replace(/\**:?$/, '')
+    .replace(/\s*[([]\d+[)\]]$/, '')
+    .replace(/:$/, '')
+    .trim()
+    .toLowerCase();
+
+  if (SECTION_HEADERS[text]) return SECTION_HEADERS[text];
+  // Other marked-up headings are main deck categories; other comments are just comments
+  if (markedUp && !comment && !/^\d/.test(text)) return 'mainboard';
+  return null;
+}
+
+/**
+ * Parse one card line
+ * Understands "4 Name", "4x Name", "Name", printing annotations ("(C21) 263"),
+ * *F*, *E* and *CMDR* markers, Archidekt's [Category] and ^colour^ tags and
+ * Deckstats' "# !Commander" comments.
+ * @private
+ * @returns {Object} { card, zone } or { error }
+ */
+function readCardLine(line) {
+  let text = line.replace(/^[-*•]\s+/, '');
+  let zone = null;
+
+  const inline = text.match(/^([A-Za-z ]+):\s*(.+)$/);
+  if (inline && INLINE_ZONES[inline[1].trim().toLowerCase()]) {
+    zone = INLINE_ZONES[inline[1].trim().toLowerCase()];
+    text = inline[2];
+  }
+
+  const counted = text.match(/^(\d+)\s*x?\s+(.+)$/i);
+  const quantity = counted ? parseInt(counted[1], 10) : 1;
+  let name = counted ? counted[2] : text;
+
+  if (!counted) {
+    const label = name.match(/^([A-Za-z ]+):/);
+    if (label && NOTE_LABELS.includes(label[1].trim().toLowerCase())) {
+      return { error: 'Not a card (note)' };
+    }
+    if (isSentence(name)) return { error: 'Not a card (sentence)' };
+  }
+  if (quantity === 0) return { error: 'Quantity is 0' };
+
+  // Deckstats comments: "Atraxa, Praetors' Voice # !Commander"
+  const comment = name.match(/\s+#(.*)$/);
+  if (comment) {
+    if (/!commander/i.test(comment[1])) zone = zone || 'commander';
+    name = name.slice(0, comment.index);
+  }
+
+  // Archidekt tags: "^Have,#37d67a^" colour tags and "[Category{flags}]"
+  name = name.replace(/\s*\^[^^]*\^/g, '');
+  const category = name.match(/\s*\[([^\]]*)\]\s*$/);
+  if (category) {
+    const first = category[1].split(',')[0].replace(/\{[^}]*\}/g, '').trim().toLowerCase();
+    zone = zone || CATEGORY_ZONES[first] || null;
+    name = name.slice(0, category.index);
+  }
+
+  const card = { quantity, name };
+
+  // Markers: *F* foil and *E* etched (Moxfield, TappedOut), *CMDR* commander (TappedOut)
+  let marker;
+  while ((marker = name.match(/\s*\*([A-Za-z]+)\*\s*$/))) {
+    const flag = marker[1].toUpperCase();
+    if (flag === 'F') card.finish = 'foil';
+    if (flag === 'E') card.finish = 'etched';
+    if (flag === 'CMDR') zone = zone || 'commander';
+    name = name.slice(0, marker.index);
+  }
+
+  const printing = name.match(/^(.+?)\s+\(([A-Za-z0-9]{2,6})\)(?:\s+(\S+))?$/);
+  if (printing) {
+    name = printing[1];
+    card.set = printing[2].toLowerCase();
+    if (printing[3]) card.collectorNumber = printing[3];
+  }
+
+  card.name = name.trim();
+  if (card.name.length < 2 || !/[A-Za-z]/.test(card.name)) return { error: 'Not a card name' };
+  return { card, zone };
+}
+
+/**
+ * Parse a deck list into its sections
+ * Reads Moxfield, Arena, Archidekt, MTGO, TappedOut and Deckstats text exports as well as lists
+ * typed or written up by hand: section headers, "Commander: Name" lines,
+ * MTGO's "SB:" prefix, and printing annotations such as
+ * "1 Sol Ring (C21) 263 *F*". An MTGO list with no headers, whose last
+ * block after a blank line has 15 cards or fewer, has that block read as
+ * the sideboard.
  * @param {string} deckText - Raw deck list text
- * @returns {Array} Array of { quantity, name } objects
+ * @returns {Object} { name, commanders, companions, mainboard, sideboard, maybeboard,
+ *   diagnostics } - cards are { quantity, name } plus set, collectorNumber and
+ *   finish where given; diagnostics are { line, text, message } for lines that
+ *   were skipped
  */
-export function parseDeckList(deckText) {
-  const lines = deckText.split('\n');
-  const cards = [];
-  
-  for (const line of lines) {
-    const trimmed = line.trim();
-    if (!trimmed) continue;
-    
-    // Skip section headers and non-card lines
-    if (trimmed.startsWith('#') || trimmed.startsWith('**') || trimmed.startsWith('###')) continue;
-    if (trimmed.toLowerCase().includes('commander') && !trimmed.match(/^\d/)) continue;
-    if (trimmed.toLowerCase().includes('creatures') && !trimmed.match(/^\d/)) continue;
-    if (trimmed.toLowerCase().includes('lands') && !trimmed.match(/^\d/)) continue;
-    if (trimmed.toLowerCase().includes('artifacts') && !trimmed.match(/^\d/)) continue;
-    if (trimmed.toLowerCase().includes('enchantments') && !trimmed.match(/^\d/)) continue;
-    if (trimmed.toLowerCase().includes('instants') && !trimmed.match(/^\d/)) continue;
-    if (trimmed.toLowerCase().includes('sorceries') && !trimmed.match(/^\d/)) continue;
-    if (trimmed.toLowerCase().includes('planeswalkers') && !trimmed.match(/^\d/)) continue;
-    if (trimmed.toLowerCase().includes('strategy') && !trimmed.match(/^\d/)) continue;
-    if (trimmed.toLowerCase().includes('win condition') && !trimmed.match(/^\d/)) continue;
-    
-    // Match patterns: "1x Card Name", "1 Card Name", "Card Name"
-    const match = trimmed.match(/^(\d+)x?\s+(.+)$/i);
-    
-    if (match) {
-      cards.push({
-        quantity: parseInt(match[1], 10),
-        name: match[2].trim()
-      });
-    } else if (trimmed && !trimmed.includes(':') && trimmed.length > 2) {
-      // Assume it's a card name without quantity
-      cards.push({
-        quantity: 1,
-        name: trimmed
-      });
+export function parseDeckSections(deckText) {
+  const result = {
+    name: null,
+    commanders: [],
+    companions: [],
+    mainboard: [],
+    sideboard: [],
+    maybeboard: [],
+    diagnostics: []
+  };
+  let zone = 'mainboard';
+  let sawHeader = false;
+  let block = 0;
+  const blocks = [];
+
+  deckText.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) {
+      if (blocks[block]?.length) block++;
+      return;
+    }
+
+    const header = readHeader(line);
+    if (header) {
+      zone = header;
+      sawHeader = true;
+      return;
+    }
+    if (line.startsWith('//')) return;
+
+    if (zone === 'about') {
+      const name = line.match(/^name\s+(.+)$/i);
+      if (name) result.name = name[1].trim();
+      return;
+    }
+
+    const { card, zone: lineZone, error } = readCardLine(line);
+    if (error) {
+      result.diagnostics.push({ line: index + 1, text: line, message: error });
+      return;
+    }
+    const cardZone = lineZone || zone;
+    result[ZONE_SECTIONS[cardZone]].push(card);
+    if (cardZone === 'mainboard' && !lineZone) (blocks[block] ??= []).push(card);
+  });
+
+  // MTGO .txt: main deck, blank line, sideboard, with no headers
+  const filled = blocks.filter(Boolean);
+  if (!sawHeader && !result.sideboard.length && filled.length === 2) {
+    const count = cards => cards.reduce((sum, c) => sum + c.quantity, 0);
+    const [main, side] = filled;
+    if (count(side) <= 15 && count(main) >= 40) {
+      result.mainboard = main;
+      result.sideboard = side;
     }
   }
-  
-  return cards;
+
+  return result;
+}
+
+/**
+ * Parse a deck list from text format
+ * A flat view of parseDeckSections: cards outside the main deck carry a
+ * zone ('commander', 'companion', 'sideboard' or 'maybeboard').
+ * @param {string} deckText - Raw deck list text
+ * @returns {Array} Array of { quantity, name } objects, plus zone, set,
+ *   collectorNumber and finish where the list gives them
+ */
+export function parseDeckList(deckText) {
+  const sections = parseDeckSections(deckText);
+  return DECK_ZONES.flatMap(zone => sections[ZONE_SECTIONS[zone]].map(card =>
+    zone === 'mainboard' ? card : { ...card, zone }
+  ));
 }
 
 /**
@@ -72,21 +313,30 @@ const BASIC_LANDS = [
  * @param {string} cardName - Card name to check
  * @returns {boolean}
  */
-function isBasicLand(cardName) {
+export function isBasicLand(cardName) {
   return BASIC_LANDS.includes(cardName.toLowerCase());
 }
 
+// Zones that count toward the deck size; cards with no zone are main deck
+const COUNTED_ZONES = ['commander', 'mainboard'];
+
 /**
  * Validate a parsed deck list for Commander format
- * @param {Array} cards - Parsed card list from parseDeckList()
- * @param {Object} options - Validation options
- * @returns {Object} Validation result
+ * Sideboard, maybeboard and companion cards from parseDeckList() are left
+ * out; only the commanders and main deck are checked.
+ * @param {Array} parsedCards - Parsed card list from parseDeckList()
+ * @param {Object} options - Validation options: { format, expectedSize, isMonoColor } -
+ *   format (default 'commander') sets the deck size and singleton rules
+ * @returns {Object} Validation result; cards are the ones that were counted
  */
-export function validateParsedDeck(cards, options = {}) {
+export function validateParsedDeck(parsedCards, options = {}) {
+  const cards = parsedCards.filter(card => COUNTED_ZONES.includes(card.zone || 'mainboard'));
+  const format = getFormat(options.format);
   const { 
-    expectedSize = 100,
+    expectedSize = format.deckSize,
     isMonoColor = false 
   } = options;
+  const exceptions = format.singletonExceptions.map(name => name.toLowerCase());
   
   const errors = [];
   const warnings = [];
@@ -94,6 +344,7 @@ export function validateParsedDeck(cards, options = {}) {
   
   // Track card names (lowercase for comparison)
   const cardCounts = {};
+  const firstCards = {};
   let totalCards = 0;
   let landCount = 0;
   
@@ -107,11 +358,14 @@ export function validateParsedDeck(cards, options = {}) {
         cardCounts[nameLower] += card.quantity;
       } else {
         cardCounts[nameLower] = card.quantity;
+        firstCards[nameLower] = card;
       }
     }
     
-    // Rough land detection (imperfect without Scryfall lookup)
-    if (nameLower.includes('land') || 
+    // Enriched cards know their type; otherwise guess from the name
+    if (card.type_line !== undefined) {
+      if (/\bLand\b/.test(card.type_line.split(' // ')[0])) landCount += card.quantity;
+    } else if (nameLower.includes('land') || 
         BASIC_LANDS.includes(nameLower) ||
         nameLower.includes('temple') ||
         nameLower.includes('fountain') ||
@@ -121,12 +375,16 @@ export function validateParsedDeck(cards, options = {}) {
     }
   }
   
-  // Find duplicates
+  // Find duplicates, past what the card's own text allows (see singletonExceptions.js)
   for (const [name, count] of Object.entries(cardCounts)) {
-    if (count > 1) {
-      duplicates.push({ name, count });
-      errors.push(`Duplicate card: "${name}" appears ${count} times (singleton format allows only 1)`);
-    }
+    if (count <= 1 || !format.singleton || exceptions.includes(name)) continue;
+    const limit = getCopyLimit(firstCards[name]);
+    if (count <= limit) continue;
+
+    duplicates.push({ name, count, limit });
+    errors.push(limit === 1
+      ? `Duplicate card: "${name}" appears ${count} times (singleton format allows only 1)`
+      : `Too many copies: "${name}" appears ${count} times (a deck can have up to ${limit})`);
   }
   
   // Check total card count
@@ -138,8 +396,8 @@ export function validateParsedDeck(cards, options = {}) {
     }
   }
   
-  // Check land count
-  const expectedLands = isMonoColor ? 32 : 36;
+  // Check land count (recommendations are for 100 cards)
+  const expectedLands = Math.round((isMonoColor ? 32 : 36) * expectedSize / 100);
   if (landCount < expectedLands - 5) {
     warnings.push(`Deck may have too few lands: ~${landCount} detected (recommended: ${expectedLands})`);
   }
@@ -159,22 +417,26 @@ export function validateParsedDeck(cards, options = {}) {
 
 /**
  * Validate a deck list from raw text
+ * Only the commanders and main deck count; sideboard, maybeboard and
+ * companion cards are outside the 100.
  * @param {string} deckText - Raw deck list text
  * @param {Object} options - Validation options
  * @returns {Object} Validation result
  */
 export function validateDeckList(deckText, options = {}) {
-  const cards = parseDeckList(deckText);
-  return validateParsedDeck(cards, options);
+  const { commanders, mainboard } = parseDeckSections(deckText);
+  return validateParsedDeck([...commanders, ...mainboard], options);
 }
 
 /**
  * Remove duplicates from a card list, keeping first occurrence
+ * Cards whose text allows more copies (Relentless Rats, Seven Dwarves) keep
+ * them, up to their limit, on the first occurrence.
  * @param {Array} cards - Parsed card list
  * @returns {Array} Deduplicated card list
  */
 export function removeDuplicates(cards) {
-  const seen = new Set();
+  const seen = new Map();
   const result = [];
   
   for (const card of cards) {
@@ -187,9 +449,14 @@ export function removeDuplicates(cards) {
     }
     
     // Only keep first occurrence of non-basic cards
-    if (!seen.has(nameLower)) {
-      seen.add(nameLower);
-      result.push({ ...card, quantity: 1 }); // Force quantity to 1
+    const kept = seen.get(nameLower);
+    if (!kept) {
+      const limit = getCopyLimit(card);
+      const first = { ...card, quantity: Math.min(card.quantity || 1, limit) }; // Force quantity to the limit
+      seen.set(nameLower, { card: first, limit });
+      result.push(first);
+    } else {
+      kept.card.quantity = Math.min(kept.card.quantity + (card.quantity || 1), kept.limit);
     }
   }
   
@@ -198,18 +465,40 @@ export function removeDuplicates(cards) {
 
 /**
  * Format a card list back to text
- * @param {Array} cards - Card list
+ * Cards are grouped by zone under Commander, Deck, Sideboard and Maybeboard
+ * headers; a list with only main deck cards is printed without headers.
+ * @param {Array} cards - Card list of { quantity, name, zone, set, collectorNumber }
+ * @param {Object} options - { format } - 'text' ("4x Name") or 'arena'
+ *   ("4 Name (SET) 123"; Arena has no maybeboard, so those cards are left out)
  * @returns {string} Formatted deck list
  */
-export function formatDeckList(cards) {
-  return cards.map(c => `1x ${c.name}`).join('\n');
+export function formatDeckList(cards, { format = 'text' } = {}) {
+  const arena = format === 'arena';
+  const zones = DECK_ZONES
+    .filter(zone => !(arena && zone === 'maybeboard'))
+    .map(zone => [zone, cards.filter(c => (c.zone || 'mainboard') === zone)])
+    .filter(([, zoneCards]) => zoneCards.length);
+
+  const formatCard = c => arena
+    ? `${c.quantity || 1} ${c.name}${c.set && c.collectorNumber ? ` (${c.set.toUpperCase()}) ${c.collectorNumber}` : ''}`
+    : `${c.quantity || 1}x ${c.name}`;
+
+  if (!arena && zones.length === 1 && zones[0][0] === 'mainboard') {
+    return zones[0][1].map(formatCard).join('\n');
+  }
+  return zones
+    .map(([zone, zoneCards]) => [ZONE_TITLES[zone], ...zoneCards.map(formatCard)].join('\n'))
+    .join('\n\n');
 }
 
 export default {
   parseDeckList,
+  parseDeckSections,
   validateParsedDeck,
   validateDeckList,
   removeDuplicates,
   formatDeckList,
-  BASIC_LANDS
+  isBasicLand,
+  BASIC_LANDS,
+  DECK_ZONES
 };
@@ -3,6 +3,8 @@
  * Evaluates removal, counterspells, and protection in Commander decks
  */
 
+import { copiesOf, countCopies } from './cardModel.js';
+
 /**
  * Interaction categories with targets and examples
  */
@@ -175,6 +177,7 @@ export function analyzeInteraction(decklist) {
          !text.includes('destroy all') && !text.includes('exile all'))) {
       breakdown.spotRemoval.push({
         name: card.name,
+        quantity: copiesOf(card),
         cmc: card.cmc,
         quality: card.cmc <= 2 ? 'high' : 'medium',
       });
@@ -186,6 +189,7 @@ export function analyzeInteraction(decklist) {
          text.includes('creature'))) {
       breakdown.boardWipes.push({
         name: card.name,
+        quantity: copiesOf(card),
         cmc: card.cmc,
         quality: card.cmc <= 4 ? 'high' : 'medium',
       });
@@ -196,6 +200,7 @@ export function analyzeInteraction(decklist) {
         (type.includes('instant') && text.includes('counter target'))) {
       breakdown.counterspells.push({
         name: card.name,
+        quantity: copiesOf(card),
         cmc: card.cmc,
         quality: card.cmc <= 2 ? 'high' : 'medium',
       });
@@ -207,6 +212,7 @@ export function analyzeInteraction(decklist) {
         (text.includes('hexproof') && text.includes('you control'))) {
       breakdown.protection.push({
         name: card.name,
+        quantity: copiesOf(card),
         cmc: card.cmc,
         quality: card.cmc <= 2 ? 'high' : 'medium',
       });
@@ -217,6 +223,7 @@ export function analyzeInteraction(decklist) {
         (text.includes('exile') && text.includes('graveyard'))) {
       breakdown.graveyardHate.push({
         name: card.name,
+        quantity: copiesOf(card),
         cmc: card.cmc,
         quality: 'medium',
       });
@@ -228,26 +235,27 @@ export function analyzeInteraction(decklist) {
         text.includes('target')) {
       breakdown.artifactEnchantmentRemoval.push({
         name: card.name,
+        quantity: copiesOf(card),
         cmc: card.cmc,
         quality: card.cmc <= 2 ? 'high' : 'medium',
       });
     }
   }
 
-  const total = Object.values(breakdown).reduce((sum, arr) => sum + arr.length, 0);
+  const total = Object.values(breakdown).reduce((sum, arr) => sum + countCopies(arr), 0);
 
   return {
     total,
     breakdown: {
-      spotRemoval: breakdown.spotRemoval.length,
-      boardWipes: breakdown.boardWipes.length,
-      counterspells: breakdown.counterspells.length,
-      protection: breakdown.protection.length,
-      graveyardHate: breakdown.graveyardHate.length,
-      artifactEnchantmentRemoval: breakdown.artifactEnchantmentRemoval.length,
+      spotRemoval: countCopies(breakdown.spotRemoval),
+      boardWipes: countCopies(breakdown.boardWipes),
+      counterspells: countCopies(breakdown.counterspells),
+      protection: countCopies(breakdown.protection),
+      graveyardHate: countCopies(breakdown.graveyardHate),
+      artifactEnchantmentRemoval: countCopies(breakdown.artifactEnchantmentRemoval),
     },
     cards: breakdown,
-    percentage: parseFloat((total / decklist.length * 100).toFixed(1)),
+    percentage: parseFloat((total / countCopies(decklist) * 100).toFixed(1)),
   };
 }
 
@@ -408,50 +416,47 @@ export function suggestInteraction(decklist, colors = [], budget = 'moderate') {
  */
 export function evaluateRemovalQuality(decklist) {
   const analysis = analyzeInteraction(decklist);
+  const averageCMC = cards => cards.length > 0
+    ? cards.reduce((sum, card) => sum + card.cmc * copiesOf(card), 0) / countCopies(cards)
+    : 0;
   
   // Analyze spot removal efficiency
   const spotRemoval = analysis.cards.spotRemoval || [];
-  const avgSpotRemovalCMC = spotRemoval.length > 0
-    ? spotRemoval.reduce((sum, card) => sum + card.cmc, 0) / spotRemoval.length
-    : 0;
+  const avgSpotRemovalCMC = averageCMC(spotRemoval);
   
-  const efficientSpotRemoval = spotRemoval.filter(card => card.cmc <= 2).length;
+  const efficientSpotRemoval = countCopies(spotRemoval.filter(card => card.cmc <= 2));
   
   // Analyze board wipe efficiency
   const boardWipes = analysis.cards.boardWipes || [];
-  const avgBoardWipeCMC = boardWipes.length > 0
-    ? boardWipes.reduce((sum, card) => sum + card.cmc, 0) / boardWipes.length
-    : 0;
+  const avgBoardWipeCMC = averageCMC(boardWipes);
   
-  const efficientBoardWipes = boardWipes.filter(card => card.cmc <= 4).length;
+  const efficientBoardWipes = countCopies(boardWipes.filter(card => card.cmc <= 4));
 
   // Analyze counterspells
   const counterspells = analysis.cards.counterspells || [];
-  const avgCounterCMC = counterspells.length > 0
-    ? counterspells.reduce((sum, card) => sum + card.cmc, 0) / counterspells.length
-    : 0;
+  const avgCounterCMC = averageCMC(counterspells);
   
-  const efficientCounters = counterspells.filter(card => card.cmc <= 2).length;
+  const efficientCounters = countCopies(counterspells.filter(card => card.cmc <= 2));
 
   const overallEfficiency = 
     (efficientSpotRemoval + efficientBoardWipes + efficientCounters) /
-    Math.max(spotRemoval.length + boardWipes.length + counterspells.length, 1);
+    Math.max(countCopies(spotRemoval) + countCopies(boardWipes) + countCopies(counterspells), 1);
 
   return {
     spotRemoval: {
-      count: spotRemoval.length,
+      count: countCopies(spotRemoval),
       avgCMC: parseFloat(avgSpotRemovalCMC.toFixed(2)),
       efficient: efficientSpotRemoval,
       quality: avgSpotRemovalCMC <= 2.5 ? 'excellent' : avgSpotRemovalCMC <= 3.5 ? 'good' : 'poor',
     },
     boardWipes: {
-      count: boardWipes.length,
+      count: countCopies(boardWipes),
       avgCMC: parseFloat(avgBoardWipeCMC.toFixed(2)),
       efficient: efficientBoardWipes,
       quality: avgBoardWipeCMC <= 4 ? 'excellent' : avgBoardWipeCMC <= 5 ? 'good' : 'poor',
     },
     counterspells: {
-      count: counterspells.length,
+      count: countCopies(counterspells),
       avgCMC: parseFloat(avgCounterCMC.toFixed(2)),
       efficient: efficientCounters,
       quality: avgCounterCMC <= 2 ? 'excellent' : avgCounterCMC <= 3 ? 'good' : 'poor',
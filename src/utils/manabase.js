@@ -4,6 +4,8 @@
  */
 
 import { calculateColorDistribution } from './colorIdentity.js';
+import { getCommanderColorIdentity } from './commanderPairing.js';
+import { copiesOf, countCopies } from './cardModel.js';
 
 /**
  * Calculate recommended land count based on deck strategy
@@ -62,7 +64,8 @@ export function calculateColorSources(deck, totalLands = 37) {
 /**
  * Generate mana base recommendations
  * @param {Array} deck - Deck list (non-land cards)
- * @param {Array|string} colorIdentity - Commander's color identity
+ * @param {Array|string} colorIdentity - Commander's color identity, or the
+ *   commander Cards themselves, whose identities are combined for partners
  * @param {Object} options - Options (budget, strategy)
  * @returns {Object} Mana base recommendations
  */
@@ -73,7 +76,9 @@ export function generateManaBase(deck, colorIdentity, options = {}) {
     includeUtility = true,
   } = options;
 
-  const colors = Array.isArray(colorIdentity) ? colorIdentity : colorIdentity.split('');
+  const colors = !Array.isArray(colorIdentity) ? colorIdentity.split('')
+    : typeof colorIdentity[0] === 'object' ? getCommanderColorIdentity(colorIdentity)
+    : colorIdentity;
   const colorCount = colors.length;
   const sources = calculateColorSources(deck, totalLands);
 
@@ -234,7 +239,7 @@ export function analyzeManaRequirements(deck) {
   // Check for color-intensive cards (multiple symbols of same color)
   for (const [color, count] of Object.entries(distribution)) {
     if (color !== 'C') {
-      const intensity = count / deck.length;
+      const intensity = count / countCopies(deck);
       analysis.colorIntensity[color] = intensity;
 
       if (intensity > 0.4) {
@@ -265,19 +270,20 @@ export function calculateTotalManaSources(deck) {
 
   deck.forEach(card => {
     if (!card.type_line) return;
+    const copies = copiesOf(card);
 
     if (card.type_line.includes('Land')) {
-      sources.lands++;
+      sources.lands += copies;
     } else if (card.type_line.includes('Artifact') && 
                (card.oracle_text?.includes('Add') || card.oracle_text?.includes('mana'))) {
-      sources.rocks++;
+      sources.rocks += copies;
     } else if (card.type_line.includes('Creature') && 
                card.oracle_text?.includes('{T}: Add')) {
-      sources.dorks++;
+      sources.dorks += copies;
     } else if ((card.type_line.includes('Sorcery') || card.type_line.includes('Instant')) &&
                (card.oracle_text?.includes('Search your library for a land') ||
                 card.oracle_text?.includes('search your library for up to two basic land'))) {
-      sources.rampSpells++;
+      sources.rampSpells += copies;
     }
   });
 
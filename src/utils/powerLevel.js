@@ -3,6 +3,8 @@
  * Categorizes decks by power level and provides adjustment suggestions
  */
 
+import { copiesOf, countCopies } from './cardModel.js';
+
 /**
  * Power level tiers with descriptions
  */
@@ -195,8 +197,8 @@ export function calculateAverageCMC(decklist) {
   const nonLandCards = decklist.filter(card => !card.type?.includes('Land'));
   if (nonLandCards.length === 0) return 0;
   
-  const totalCMC = nonLandCards.reduce((sum, card) => sum + (card.cmc || 0), 0);
-  return totalCMC / nonLandCards.length;
+  const totalCMC = nonLandCards.reduce((sum, card) => sum + (card.cmc || 0) * copiesOf(card), 0);
+  return totalCMC / countCopies(nonLandCards);
 }
 
 /**
@@ -206,9 +208,9 @@ export function calculateAverageCMC(decklist) {
  * @returns {number} Count of matching cards
  */
 function countMatchingCards(decklist, cardNames) {
-  return decklist.filter(card => 
+  return countCopies(decklist.filter(card => 
     cardNames.some(name => card.name?.toLowerCase() === name.toLowerCase())
-  ).length;
+  ));
 }
 
 /**
@@ -219,7 +221,7 @@ function countMatchingCards(decklist, cardNames) {
 function assessManaBase(decklist) {
   const lands = decklist.filter(card => card.type?.includes('Land'));
   const premiumCount = countMatchingCards(lands, premiumLands);
-  const totalLands = lands.length;
+  const totalLands = countCopies(lands);
   
   let quality;
   let score = 0;
@@ -327,7 +329,7 @@ export function assessPowerLevel(decklist) {
     score: normalizedScore,
     tier,
     tierInfo: powerLevelTiers[tier],
-    confidence: decklist.length >= 70 ? 'high' : decklist.length >= 40 ? 'medium' : 'low',
+    confidence: factors.deckSize >= 70 ? 'high' : factors.deckSize >= 40 ? 'medium' : 'low',
     factors,
     breakdown: generateBreakdown(normalizedScore, factors, tier),
   };
@@ -353,7 +355,7 @@ export function getPowerLevelFactors(decklist) {
     interactionCount,
     comboCount,
     manaBase,
-    deckSize: decklist.length,
+    deckSize: countCopies(decklist),
   };
 }
 
@@ -0,0 +1,209 @@
+/**
+ * Printing Utilities
+ * Helpers for printing-level inventory: which set, collector number, finish,
+ * condition and language a copy is, and what that exact copy is worth
+ */
+
+/**
+ * Card finishes, matching Scryfall's finishes field
+ */
+export const FINISHES = ['nonfoil', 'foil', 'etched'];
+
+/**
+ * Card conditions, best to worst
+ */
+export const CONDITIONS = ['NM', 'LP', 'MP', 'HP', 'DMG'];
+
+/**
+ * Scryfall language codes and their names
+ */
+export const LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  ja: 'Japanese',
+  ko: 'Korean',
+  ru: 'Russian',
+  zhs: 'Chinese Simplified',
+  zht: 'Chinese Traditional',
+  he: 'Hebrew',
+  la: 'Latin',
+  grc: 'Ancient Greek',
+  ar: 'Arabic',
+  sa: 'Sanskrit',
+  ph: 'Phyrexian',
+};
+
+/**
+ * Printing fields that tell copies of a card apart
+ */
+export const PRINTING_FIELDS = ['set', 'collectorNumber', 'finish', 'condition', 'language'];
+
+// Scryfall price field for each finish
+const FINISH_PRICE_FIELDS = {
+  nonfoil: 'usd',
+  foil: 'usd_foil',
+  etched: 'usd_etched',
+};
+
+/**
+ * Fill in printing defaults
+ * Records saved before printings were tracked have no finish, condition or
+ * language; they are treated as English nonfoil Near Mint copies.
+ * @param {Object} card - Inventory card or printing filter
+ * @returns {Object} { set, collectorNumber, finish, condition, language }
+ */
+export function normalizePrinting(card = {}) {
+  return {
+    set: card.set ? card.set.toLowerCase() : null,
+    collectorNumber: card.collectorNumber ? String(card.collectorNumber) : null,
+    finish: card.finish || 'nonfoil',
+    condition: card.condition ? card.condition.toUpperCase() : 'NM',
+    language: card.language ? card.language.toLowerCase() : 'en',
+  };
+}
+
+/**
+ * Key identifying a printing of a card; copies with the same key stack
+ * @param {Object} card - Inventory card
+ * @returns {string} Printing key
+ */
+export function printingKey(card) {
+  const printing = normalizePrinting(card);
+  return [card.name.toLowerCase(), ...PRINTING_FIELDS.map(field => printing[field] ?? '')].join('|');
+}
+
+/**
+ * Check a card against printing filters
+ * Only the filters that are given are compared, so { finish: 'foil' }
+ * matches every foil copy regardless of set.
+ * @param {Object} card - Inventory card
+ * @param {Object} filters - Any of set, collectorNumber, finish, condition, language
+ * @returns {boolean} True if the card matches every given filter
+ */
+export function matchesPrinting(card, filters = {}) {
+  const printing = normalizePrinting(card);
+  const wanted = normalizePrinting(filters);
+
+  return PRINTING_FIELDS.every(field =>
+    filters[field] === undefined || filters[field] === null || printing[field] === wanted[field]
+  );
+}
+
+/**
+ * Pick the printing filters out of an object (e.g. tool arguments)
+ * @param {Object} source - Object that may carry printing fields
+ * @returns {Object} Only the printing fields that are set
+ */
+export function pickPrinting(source = {}) {
+  return Object.fromEntries(
+    PRINTING_FIELDS
+      .filter(field => source[field] !== undefined && source[field] !== null)
+      .map(field => [field, source[field]])
+  );
+}
+
+/**
+ * Describe a printing for messages, e.g. "MUL #8 foil, LP, ja"
+ * @param {Object} card - Inventory card
+ * @returns {string} Printing description
+ */
+export function describePrinting(card) {
+  const printing = normalizePrinting(card);
+  const parts = [];
+  if (printing.set) {
+    parts.push(`${printing.set.toUpperCase()}${printing.collectorNumber ? ` #${printing.collectorNumber}` : ''}`);
+  }
+  if (printing.finish !== 'nonfoil') parts.push(printing.finish);
+  if (printing.condition !== 'NM') parts.push(printing.condition);
+  if (printing.language !== 'en') parts.push(printing.language);
+  return parts.join(', ');
+}
+
+/**
+ * Get the price for a finish from a Scryfall prices object
+ * @param {Object} prices - Scryfall prices ({ usd, usd_foil, usd_etched, ... })
+ * @param {string} finish - 'nonfoil', 'foil' or 'etched'
+ * @returns {number|null} Price in USD, or null if unknown
+ */
+export function finishPrice(prices, finish = 'nonfoil') {
+  const value = prices?.[FINISH_PRICE_FIELDS[finish] || 'usd'];
+  return value === undefined || value === null ? null : parseFloat(value);
+}
+
+/**
+ * Get the USD price of one copy of a card, honouring its finish
+ * @param {Object} card - Card with prices and/or price, and optionally finish
+ * @returns {number} Price in USD (0 if unknown)
+ */
+export function cardPrice(card) {
+  const price = finishPrice(card.prices, card.finish) ?? card.price;
+  return parseFloat(price || 0) || 0;
+}
+
+/**
+ * Build an inventory card from Scryfall card data
+ * The set is only recorded when the printing names one; without it the card
+ * data is just Scryfall's default printing of that name.
+ * @param {Object} cardData - Scryfall card object
+ * @param {Object} printing - Printing fields (see normalizePrinting)
+ * @param {Object} extra - Other fields to set, e.g. { quantity, folder }
+ * @returns {Object} Inventory card for DataStore.addCard
+ */
+export function toInventoryCard(cardData, printing = {}, extra = {}) {
+  const { set, finish, condition, language } = normalizePrinting(printing);
+
+  return {
+    name: cardData.name,
+    ...extra,
+    manaCost: cardData.mana_cost,
+    type: cardData.type_line,
+    colors: cardData.colors || [],
+    colorIdentity: cardData.color_identity || [],
+    set: set ? cardData.set : null,
+    setName: set ? cardData.set_name : null,
+    collectorNumber: set ? cardData.collector_number : null,
+    finish,
+    condition,
+    language,
+    prices: {
+      usd: cardData.prices?.usd || null,
+      usd_foil: cardData.prices?.usd_foil || null,
+      usd_etched: cardData.prices?.usd_etched || null,
+    },
+    price: finishPrice(cardData.prices, finish),
+    scryfallId: cardData.id,
+  };
+}
+
+/**
+ * Value a set of inventory cards at their finish-specific prices
+ * @param {Array} cards - Inventory cards
+ * @returns {Object} { total, unpriced } - unpriced counts copies with no known price
+ */
+export function valueInventory(cards) {
+  let total = 0;
+  let unpriced = 0;
+
+  for (const card of cards) {
+    const quantity = card.quantity || 1;
+    const price = cardPrice(card);
+    if (price) total += price * quantity;
+    else unpriced += quantity;
+  }
+
+  return { total: parseFloat(total.toFixed(2)), unpriced };
+}
+
+export default {
+  normalizePrinting,
+  printingKey,
+  matchesPrinting,
+  finishPrice,
+  cardPrice,
+  toInventoryCard,
+  valueInventory,
+};
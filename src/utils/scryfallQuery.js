@@ -0,0 +1,324 @@
+/**
+ * Scryfall Query Syntax
+ * Parse the common subset of Scryfall's search syntax and match Scryfall
+ * card objects against it, for searching a local card database. Supports
+ * names, c:, id:, commander:, t:, o:, kw:, cmc/mv, pow, tou, loy, r:, s:,
+ * legal:/f:, banned:, is:commander/permanent/spell, usd/eur/tix, negation
+ * with -, "or" and parentheses, plus order:, dir: and unique:.
+ * Docs: https://scryfall.com/docs/syntax
+ */
+
+const COLOR_NAMES = {
+  white: 'W', blue: 'U', black: 'B', red: 'R', green: 'G',
+  azorius: 'WU', dimir: 'UB', rakdos: 'BR', gruul: 'RG', selesnya: 'GW',
+  orzhov: 'WB', izzet: 'UR', golgari: 'BG', boros: 'RW', simic: 'GU',
+  esper: 'WUB', grixis: 'UBR', jund: 'BRG', naya: 'RGW', bant: 'GWU',
+  abzan: 'WBG', jeskai: 'URW', sultai: 'BGU', mardu: 'RWB', temur: 'GUR',
+};
+
+const RARITIES = ['common', 'uncommon', 'rare', 'special', 'mythic', 'bonus'];
+const RARITY_ALIASES = { c: 'common', u: 'uncommon', r: 'rare', s: 'special', m: 'mythic', b: 'bonus' };
+
+const NUMERIC_FIELDS = {
+  cmc: card => card.cmc,
+  mv: card => card.cmc,
+  manavalue: card => card.cmc,
+  pow: card => parseFloat(faceValue(card, 'power')),
+  power: card => parseFloat(faceValue(card, 'power')),
+  tou: card => parseFloat(faceValue(card, 'toughness')),
+  toughness: card => parseFloat(faceValue(card, 'toughness')),
+  loy: card => parseFloat(faceValue(card, 'loyalty')),
+  loyalty: card => parseFloat(faceValue(card, 'loyalty')),
+  usd: card => parseFloat(card.prices?.usd),
+  eur: card => parseFloat(card.prices?.eur),
+  tix: card => parseFloat(card.prices?.tix),
+};
+
+// Sort keys for order:, with the direction "auto" uses
+const ORDERS = {
+  name: { key: card => card.name.toLowerCase(), dir: 'asc' },
+  cmc: { key: card => card.cmc ?? 0, dir: 'asc' },
+  power: { key: card => parseFloat(faceValue(card, 'power')) || 0, dir: 'desc' },
+  toughness: { key: card => parseFloat(faceValue(card, 'toughness')) || 0, dir: 'desc' },
+  rarity: { key: card => RARITIES.indexOf(card.rarity), dir: 'asc' },
+  usd: { key: card => parseFloat(card.prices?.usd ?? Infinity), dir: 'asc' },
+  eur: { key: card => parseFloat(card.prices?.eur ?? Infinity), dir: 'asc' },
+  tix: { key: card => parseFloat(card.prices?.tix ?? Infinity), dir: 'asc' },
+  edhrec: { key: card => card.edhrec_rank ?? Infinity, dir: 'asc' },
+  released: { key: card => card.released_at || '', dir: 'desc' },
+  set: { key: card => `${card.set}|${String(card.collector_number).padStart(6, '0')}`, dir: 'asc' },
+  color: { key: card => `${(card.colors || []).length}|${(card.colors || []).join('')}`, dir: 'asc' },
+};
+
+/**
+ * A text field of the card, or of its faces joined together
+ * @private
+ */
+function faceValue(card, field) {
+  if (card[field] !== undefined) return card[field];
+  const values = (card.card_faces || []).map(face => face[field]).filter(value => value !== undefined);
+  return values.length ? values.join('\n') : undefined;
+}
+
+const cardColors = card => card.colors
+  ?? [...new Set((card.card_faces || []).flatMap(face => face.colors || []))];
+
+/**
+ * Split a query into tokens: '(', ')', 'or', '-' and terms
+ * @private
+ */
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+    if (/\s/.test(char)) { i++; continue; }
+    if (char === '(' || char === ')') { tokens.push(char); i++; continue; }
+    if (char === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) { tokens.push('-'); i++; continue; }
+
+    let term = '';
+    let quoted = false;
+    while (i < query.length && (quoted || !/[\s)]/.test(query[i]))) {
+      if (query[i] === '"') quoted = !quoted;
+      term += query[i++];
+    }
+    if (/^or$/i.test(term)) tokens.push('or');
+    else if (!/^and$/i.test(term)) tokens.push(term);
+  }
+
+  return tokens;
+}
+
+const unquote = value => value.replace(/^"(.*)"$/, '$1');
+
+/**
+ * Read a set of colors from a value such as "wub", "esper" or "colorless"
+ * @private
+ */
+function parseColors(value) {
+  const lower = value.toLowerCase();
+  if (lower === 'c' || lower === 'colorless') return { colors: [] };
+  if (lower === 'm' || lower === 'multicolor') return { multicolor: true };
+  const letters = COLOR_NAMES[lower] || value.toUpperCase();
+  if (!/^[WUBRG]+$/.test(letters)) throw new Error(`Unknown colors: ${value}`);
+  return { colors: [...new Set(letters)] };
+}
+
+/**
+ * Compare a card's colors to a query's with Scryfall's set operators
+ * @private
+ */
+function compareColors(cardSet, querySet, op) {
+  const card = new Set(cardSet);
+  const subset = querySet.every(color => card.has(color)); // card ⊇ query
+  const superset = [...card].every(color => querySet.includes(color)); // card ⊆ query
+  switch (op) {
+    case '=': return subset && superset;
+    case '!=': return !(subset && superset);
+    case '>=': return subset;
+    case '>': return subset && card.size > querySet.length;
+    case '<=': return superset;
+    case '<': return superset && card.size < querySet.length;
+    default: throw new Error(`Unsupported color comparison: ${op}`);
+  }
+}
+
+const compareNumbers = (a, b, op) => {
+  if (Number.isNaN(a) || a === undefined || a === null) return false;
+  switch (op) {
+    case ':': case '=': return a === b;
+    case '!=': return a !== b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    case '<': return a < b;
+    case '<=': return a <= b;
+    default: return false;
+  }
+};
+
+/**
+ * Build the matcher for one keyword term
+ * @private
+ */
+function keywordMatcher(key, op, rawValue) {
+  const value = unquote(rawValue);
+  const lower = value.toLowerCase();
+
+  switch (key) {
+    case 'c':
+    case 'color': {
+      const { colors, multicolor } = parseColors(value);
+      if (multicolor) return card => cardColors(card).length > 1;
+      // c:u means at least blue, but c:c means colorless
+      const defaultOp = colors.length ? '>=' : '=';
+      return card => compareColors(cardColors(card), colors, op === ':' ? defaultOp : op);
+    }
+    case 'id':
+    case 'identity':
+    case 'ci': {
+      const { colors, multicolor } = parseColors(value);
+      if (multicolor) return card => (card.color_identity || []).length > 1;
+      return card => compareColors(card.color_identity || [], colors, op === ':' ? '<=' : op);
+    }
+    case 'commander': {
+      const { colors } = parseColors(value);
+      return card => card.legalities?.commander === 'legal' && compareColors(card.color_identity || [], colors, '<=');
+    }
+    case 't':
+    case 'type':
+      return card => (faceValue(card, 'type_line') || '').toLowerCase().includes(lower);
+    case 'o':
+    case 'oracle':
+    case 'fo':
+    case 'fulloracle':
+      return card => (faceValue(card, 'oracle_text') || '').toLowerCase()
+        .includes(lower.replace(/~/g, card.name.split(' // ')[0].toLowerCase()));
+    case 'name':
+      return card => card.name.toLowerCase().includes(lower);
+    case 'kw':
+    case 'keyword':
+      return card => (card.keywords || []).some(keyword => keyword.toLowerCase() === lower);
+    case 'r':
+    case 'rarity': {
+      const wanted = RARITIES.indexOf(RARITY_ALIASES[lower] || lower);
+      if (wanted === -1) throw new Error(`Unknown rarity: ${value}`);
+      return card => compareNumbers(RARITIES.indexOf(card.rarity), wanted, op);
+    }
+    case 's':
+    case 'set':
+    case 'e':
+    case 'edition':
+      return card => card.set === lower;
+    case 'f':
+    case 'format':
+    case 'legal':
+      return card => card.legalities?.[lower] === 'legal';
+    case 'banned':
+      return card => card.legalities?.[lower] === 'banned';
+    case 'restricted':
+      return card => card.legalities?.[lower] === 'restricted';
+    case 'is':
+      switch (lower) {
+        case 'commander':
+          return card => {
+            const type = (faceValue(card, 'type_line') || '').toLowerCase();
+            return (type.includes('legendary') && type.includes('creature')) ||
+              (faceValue(card, 'oracle_text') || '').toLowerCase().includes('can be your commander');
+          };
+        case 'permanent':
+          return card => !/\b(instant|sorcery)\b/i.test(faceValue(card, 'type_line') || '');
+        case 'spell':
+          return card => !/\bland\b/i.test(faceValue(card, 'type_line') || '');
+        case 'dfc':
+          return card => (card.card_faces || []).length > 1;
+        default:
+          throw new Error(`Unsupported search: is:${value}`);
+      }
+    default:
+      if (NUMERIC_FIELDS[key]) {
+        const number = parseFloat(value);
+        if (Number.isNaN(number)) throw new Error(`${key} needs a number, got "${value}"`);
+        return card => compareNumbers(NUMERIC_FIELDS[key](card), number, op);
+      }
+      throw new Error(`Unsupported search keyword: ${key}`);
+  }
+}
+
+/**
+ * Build the matcher for a term: keyword:value, !"exact name" or a name word
+ * @private
+ */
+function termMatcher(term, options) {
+  const keyword = term.match(/^([a-zA-Z]+)(!=|<=|>=|:|=|<|>)(.+)$/);
+  if (keyword) {
+    const key = keyword[1].toLowerCase();
+    if (key === 'order' || key === 'dir' || key === 'unique') {
+      options[key] = unquote(keyword[3]).toLowerCase();
+      return () => true;
+    }
+    return keywordMatcher(key, keyword[2], keyword[3]);
+  }
+
+  if (term.startsWith('!')) {
+    const name = unquote(term.slice(1)).toLowerCase();
+    return card => card.name.toLowerCase() === name ||
+      (card.card_faces || []).some(face => face.name.toLowerCase() === name);
+  }
+
+  const text = unquote(term).toLowerCase();
+  return card => card.name.toLowerCase().includes(text);
+}
+
+/**
+ * Parse a Scryfall query
+ * @param {string} query - Scryfall search query
+ * @returns {Object} { match(card), options: { order, dir, unique } } - options
+ *   holds any order:, dir: and unique: given in the query
+ * @throws {Error} On keywords this implementation doesn't support
+ */
+export function parseScryfallQuery(query) {
+  const tokens = tokenize(query);
+  const options = {};
+  let position = 0;
+
+  const parseOr = () => {
+    const alternatives = [parseAnd()];
+    while (tokens[position] === 'or') {
+      position++;
+      alternatives.push(parseAnd());
+    }
+    return alternatives.length === 1 ? alternatives[0] : card => alternatives.some(match => match(card));
+  };
+
+  const parseAnd = () => {
+    const terms = [];
+    while (position < tokens.length && tokens[position] !== ')' && tokens[position] !== 'or') {
+      terms.push(parseUnary());
+    }
+    return card => terms.every(match => match(card));
+  };
+
+  const parseUnary = () => {
+    const token = tokens[position++];
+    if (token === undefined) throw new Error('Incomplete search');
+    if (token === '-') {
+      const inner = parseUnary();
+      return card => !inner(card);
+    }
+    if (token === '(') {
+      const inner = parseOr();
+      if (tokens[position++] !== ')') throw new Error('Unbalanced parentheses in search');
+      return inner;
+    }
+    return termMatcher(token, options);
+  };
+
+  const match = parseOr();
+  if (position < tokens.length) throw new Error('Unbalanced parentheses in search');
+  return { match, options };
+}
+
+/**
+ * Sort cards the way Scryfall's order and dir parameters do
+ * @param {Array} cards - Scryfall card objects
+ * @param {string} order - Key in ORDERS (name, cmc, edhrec, usd, released, ...)
+ * @param {string} dir - 'auto', 'asc' or 'desc'
+ * @returns {Array} Sorted copy
+ */
+export function sortCards(cards, order = 'name', dir = 'auto') {
+  const sort = ORDERS[order] || ORDERS.name;
+  const direction = (dir === 'auto' ? sort.dir : dir) === 'desc' ? -1 : 1;
+
+  return [...cards].sort((a, b) => {
+    const keyA = sort.key(a);
+    const keyB = sort.key(b);
+    if (keyA === keyB) return a.name.localeCompare(b.name);
+    return (keyA < keyB ? -1 : 1) * direction;
+  });
+}
+
+export default {
+  parseScryfallQuery,
+  sortCards,
+};
@@ -0,0 +1,76 @@
+/**
+ * Singleton Exceptions
+ * Cards whose rules text lets a deck break the singleton rule: "A deck can
+ * have any number of cards named Relentless Rats." or "A deck can have up to
+ * seven cards named Seven Dwarves." Limits are read from a card's oracle
+ * text; bare names are looked up in a fixed table of the known exceptions.
+ */
+
+// Number words the "up to N cards named" text uses
+const NUMBER_WORDS = {
+  two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+};
+
+/**
+ * Table key for a card name: case and accents ignored, so "Nazgul" finds Nazgûl
+ * @private
+ */
+const nameKey = name => name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+/**
+ * Read the copy limit from a card's rules text
+ * @param {string} oracleText - Oracle text
+ * @returns {number|null} Infinity for "any number", N for "up to N", or null
+ *   if the text doesn't lift the singleton rule
+ */
+export function readCopyLimit(oracleText) {
+  const text = oracleText || '';
+  if (/A deck can have any number of cards named /i.test(text)) return Infinity;
+  const upTo = text.match(/A deck can have up to (\w+) cards named /i);
+  if (!upTo) return null;
+  return NUMBER_WORDS[upTo[1].toLowerCase()] || parseInt(upTo[1], 10) || null;
+}
+
+/**
+ * The known exceptions, by name key: { name, limit }, so lists of names work
+ * without lookups. Frozen; cards outside it are only recognised by their text.
+ */
+export const singletonExceptions = Object.freeze(Object.fromEntries([
+  ...[
+    'Relentless Rats',
+    'Shadowborn Apostle',
+    'Persistent Petitioners',
+    'Dragon\'s Approach',
+    'Rat Colony',
+    'Templar Knight',
+    'Slime Against Humanity',
+    'Hare Apparent',
+    'Tempest Hawk',
+  ].map(name => ({ name, limit: Infinity })),
+  { name: 'Seven Dwarves', limit: 7 },
+  { name: 'Nazgûl', limit: 9 },
+].map(entry => [nameKey(entry.name), Object.freeze(entry)])));
+
+/**
+ * How many copies of a card a singleton deck may run (basic lands aside)
+ * A card with oracle text is read (either face of a double-faced card
+ * counts); a name, or a card whose text says nothing, is looked up in
+ * singletonExceptions.
+ * @param {Object|string} card - Card, or card name
+ * @returns {number} 1, the card's cap, or Infinity
+ */
+export function getCopyLimit(card) {
+  if (typeof card !== 'string') {
+    const text = [card.oracle_text, ...(card.card_faces || []).map(face => face.oracle_text)].join('\n');
+    const limit = readCopyLimit(text);
+    if (limit !== null) return limit;
+  }
+  const name = typeof card === 'string' ? card : card.name;
+  return singletonExceptions[nameKey(name || '')]?.limit ?? 1;
+}
+
+export default {
+  singletonExceptions,
+  readCopyLimit,
+  getCopyLimit,
+};
@@ -3,6 +3,8 @@
  * Identifies and categorizes win conditions in Commander decks
  */
 
+import { countCopies } from './cardModel.js';
+
 /**
  * Win condition types and examples
  */
@@ -255,9 +257,9 @@ export function detectWinConditions(decklist) {
   }
 
   // Check for voltron indicators (equipment/auras)
-  const equipment = decklist.filter(card => 
+  const equipment = countCopies(decklist.filter(card => 
     card.type?.includes('Equipment') || card.type?.includes('Aura')
-  ).length;
+  ));
   if (equipment >= 10) {
     found.push({
       type: 'commander',
@@ -0,0 +1,112 @@
+import './setup.js';
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { config } from '../src/integrations/config.js';
+import { scryfall } from '../src/integrations/scryfall.js';
+import { banList, isCardBanned, getBannedCards } from '../src/data/banList.js';
+import { checkBanImpact } from '../src/data/commanderValidation.js';
+import { store } from '../src/data/store.js';
+import { MemoryAdapter } from '../src/data/storage.js';
+import { commanderRules, getFormattedRules } from '../src/knowledge/commanderRules.js';
+
+describe('ban list', () => {
+  beforeEach(() => {
+    fs.rmSync(config.banList.file, { force: true });
+    banList.unload();
+  });
+
+  test('tracks every registered format', () => {
+    assert.deepEqual(
+      banList.getFormats().sort(),
+      ['brawl', 'commander', 'duel', 'oathbreaker', 'paupercommander', 'standardbrawl']
+    );
+  });
+
+  test('knows Commander from its built-in list before any refresh', () => {
+    assert.equal(banList.isKnown('commander'), true);
+    assert.equal(isCardBanned('Black Lotus'), true);
+    assert.equal(isCardBanned('Sol Ring'), false);
+    assert.equal(getBannedCards().length, commanderRules.bannedCards.length);
+  });
+
+  test('is still exported from the commanderRules subpath', async () => {
+    const rules = await import('bigdeck-ai/knowledge/commanderRules');
+    assert.equal(rules.isCardBanned, isCardBanned);
+    assert.equal(rules.isCardBanned('Flash'), true);
+    assert.equal(rules.commanderRules.commander.canBePartner, true);
+    assert.equal(rules.commanderRules.commander.canBeBackground, true);
+  });
+
+  test('reports the other formats\' ban lists as unknown until refreshed', () => {
+    assert.equal(banList.isKnown('paupercommander'), false);
+    assert.equal(isCardBanned('Sol Ring', { format: 'pauper commander' }), null);
+    assert.equal(getBannedCards('paupercommander'), null);
+    assert.match(getFormattedRules('pdh', { bannedCards: getBannedCards('pdh') }), /ban list unknown until refreshed/);
+
+    banList.record('paupercommander', ['Rhystic Study'], { source: 'scryfall' });
+
+    assert.equal(banList.isKnown('paupercommander'), true);
+    assert.equal(isCardBanned('Rhystic Study', { format: 'pdh' }), true);
+    assert.equal(isCardBanned('Sol Ring', { format: 'pdh' }), false);
+    assert.deepEqual(getBannedCards('pdh'), ['Rhystic Study']);
+    assert.match(getFormattedRules('pdh', { bannedCards: getBannedCards('pdh') }), /ban list: 1 cards banned/);
+  });
+
+  describe('refreshes', () => {
+    const request = scryfall.request;
+    let bannedNow;
+
+    beforeEach(() => {
+      store.useAdapter(new MemoryAdapter());
+      store.createDeck('alice', {
+        name: 'Lotus deck',
+        format: 'commander',
+        commanders: ['Kenrith, the Returned King'],
+        cards: [{ name: 'Black Lotus', quantity: 1 }, { name: 'Jeweled Lotus', quantity: 1 }],
+      });
+      // banned:<format> searches answer with bannedNow for Commander, nothing elsewhere
+      scryfall.request = async (endpoint, { q }) => ({
+        data: q === 'banned:commander' ? bannedNow.map(name => ({ name })) : [],
+        has_more: false,
+      });
+    });
+
+    afterEach(() => {
+      scryfall.request = request;
+    });
+
+    test('takes the first refresh as the baseline, without dated changes', async () => {
+      // Out of date against the built-in list: one card more, one card fewer
+      bannedNow = [...commanderRules.bannedCards.filter(name => name !== 'Braids, Cabal Minion'), 'Jeweled Lotus'];
+      const [result] = await banList.refreshFromScryfall({ formats: ['commander'], date: '2024-09-23' });
+
+      assert.deepEqual(result, { format: 'commander', date: '2024-09-23', banned: [], unbanned: [], baseline: true });
+      assert.equal(banList.getLatestChange('commander'), null);
+      assert.equal(isCardBanned('Jeweled Lotus', { asOf: '2020-01-01' }), true);
+      assert.equal(isCardBanned('Braids, Cabal Minion'), false);
+
+      const impact = checkBanImpact('alice');
+      assert.deepEqual(impact.affectedDecks, []);
+      assert.match(impact.message, /No ban list changes recorded/);
+    });
+
+    test('records later differences as dated changes', async () => {
+      bannedNow = [...commanderRules.bannedCards];
+      await banList.refreshFromScryfall({ formats: ['commander'] });
+
+      bannedNow = [...commanderRules.bannedCards.filter(name => name !== 'Braids, Cabal Minion'), 'Jeweled Lotus'];
+      const [result] = await banList.refreshFromScryfall({ formats: ['commander'], date: '2024-09-23' });
+
+      assert.deepEqual(result, {
+        format: 'commander', date: '2024-09-23', banned: ['Jeweled Lotus'], unbanned: ['Braids, Cabal Minion'], baseline: false,
+      });
+      assert.equal(isCardBanned('Jeweled Lotus', { asOf: '2024-01-01' }), false);
+      assert.equal(isCardBanned('Jeweled Lotus', { asOf: '2024-09-23' }), true);
+
+      // Only the new ban flags the deck, not Black Lotus's long-standing one
+      const [affected] = checkBanImpact('alice').affectedDecks;
+      assert.deepEqual(affected.bannedCards, ['Jeweled Lotus']);
+    });
+  });
+});
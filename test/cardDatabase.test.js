@@ -0,0 +1,182 @@
+import { testDataDir } from './setup.js';
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { config } from '../src/integrations/config.js';
+import { CardDatabase } from '../src/integrations/cardDatabase.js';
+import { startMockServer } from './helpers.js';
+
+// Enough cards that the file is read in several chunks, with text that
+// looks like JSON structure inside strings
+const bulkCards = Array.from({ length: 600 }, (_, index) => ({
+  object: 'card',
+  id: `card-${index}`,
+  name: `Test Card ${index}`,
+  set: 'tst',
+  collector_number: String(index),
+  oracle_text: `{T}: Add {C}. Say "}],[{" and \\"escape\\" ${'x'.repeat(100)}`,
+}));
+
+describe('CardDatabase', () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(testDataDir, 'cards-'));
+  });
+
+  describe('loadFile', () => {
+    test('streams a bulk-data file into the database', async () => {
+      const file = path.join(dir, 'cards.json');
+      fs.writeFileSync(file, `[\n${bulkCards.map(card => JSON.stringify(card)).join(',\n')}\n]\n`);
+      const database = new CardDatabase(file);
+
+      assert.equal(await database.loadFile(), 600);
+      assert.equal(database.getCard('Test Card 599').oracle_text, bulkCards[599].oracle_text);
+      assert.equal(database.getCardBySetAndNumber('tst', '42').name, 'Test Card 42');
+    });
+
+    test('rejects a file that is not an array of cards', async () => {
+      for (const text of ['{"object":"error"}', '["Sol Ring"]', '[{"name":"Sol Ring"']) {
+        const file = path.join(dir, 'bad.json');
+        fs.writeFileSync(file, text);
+        await assert.rejects(new CardDatabase(file).loadFile(), /not a Scryfall bulk-data file/, text);
+      }
+    });
+  });
+
+  describe('open', () => {
+    test('loads the configured file once, only when asked', async () => {
+      const file = path.join(dir, 'cards.json');
+      fs.writeFileSync(file, JSON.stringify(bulkCards.slice(0, 3)));
+      const database = new CardDatabase(file);
+
+      assert.equal(database.isAvailable(), false);
+      const [first, second] = await Promise.all([database.open(), database.open()]);
+      assert.equal(first, true);
+      assert.equal(second, true);
+      assert.equal(database.cards.length, 3);
+    });
+
+    test('is unavailable without a file', async () => {
+      assert.equal(await new CardDatabase(path.join(dir, 'missing.json')).open(), false);
+    });
+  });
+
+  describe('search', () => {
+    // 200 cards with one printing each, and Sol Ring printed three times
+    const printings = [
+      ...Array.from({ length: 200 }, (_, index) => ({
+        id: `bear-${index}`, oracle_id: `bear-${index}`, name: `Bear ${String(index).padStart(3, '0')}`,
+        set: 'tst', collector_number: String(index), cmc: 2, type_line: 'Creature — Bear',
+        colors: ['G'], color_identity: ['G'], legalities: { commander: 'legal' },
+      })),
+      ...['c21', 'cmm', 'lea'].map((set, index) => ({
+        id: `sol-ring-${set}`, oracle_id: 'sol-ring', name: 'Sol Ring', set, collector_number: String(index + 1),
+        cmc: 1, type_line: 'Artifact', colors: [], color_identity: [], legalities: { commander: 'legal' },
+      })),
+    ];
+    let database;
+
+    beforeEach(() => {
+      database = new CardDatabase(null);
+      database.load(printings);
+    });
+
+    test('returns one printing per card unless unique is prints', () => {
+      assert.deepEqual(database.search('sol ring').data.map(card => card.set), ['c21']);
+      assert.equal(database.search('sol ring', { unique: 'prints' }).total_cards, 3);
+      assert.equal(database.search('sol ring unique:prints').total_cards, 3);
+    });
+
+    test('pages results 175 at a time', () => {
+      const first = database.search('t:creature');
+      assert.equal(first.object, 'list');
+      assert.equal(first.total_cards, 200);
+      assert.equal(first.has_more, true);
+      assert.equal(first.data.length, 175);
+      assert.equal(first.data[0].name, 'Bear 000');
+
+      const second = database.search('t:creature', { page: 2 });
+      assert.equal(second.has_more, false);
+      assert.deepEqual(second.data.map(card => card.name), Array.from({ length: 25 }, (_, index) => `Bear ${175 + index}`));
+    });
+
+    test('sorts by the order in the query over the options', () => {
+      const { data } = database.search('cmc<=2 order:cmc', { order: 'name' });
+      assert.equal(data[0].name, 'Sol Ring');
+      assert.equal(database.search('t:bear order:name dir:desc').data[0].name, 'Bear 199');
+    });
+
+    test('rejects syntax it doesn\'t support, so scryfall.js can ask the API', () => {
+      assert.throws(() => database.search('art:squirrel'), /Unsupported search keyword/);
+      assert.throws(() => database.random('is:funny'), /Unsupported search/);
+    });
+
+    test('picks a random card matching a query', () => {
+      assert.equal(database.random('t:artifact').name, 'Sol Ring');
+      assert.equal(database.random('t:dragon'), null);
+    });
+
+    test('suggests names starting with, then containing, the text', () => {
+      assert.deepEqual(database.autocomplete('sol'), ['Sol Ring']);
+      assert.deepEqual(database.autocomplete('ring'), ['Sol Ring']);
+      assert.equal(database.autocomplete('bear').length, 20);
+      assert.deepEqual(database.autocomplete('b'), []);
+    });
+  });
+
+  describe('download', () => {
+    const { baseUrl } = config.scryfall;
+    const { timeout } = config.http;
+    let server;
+
+    afterEach(async () => {
+      config.scryfall.baseUrl = baseUrl;
+      config.http.timeout = timeout;
+      await server?.close();
+      server = null;
+    });
+
+    test('streams the bulk file to disk and loads it', async () => {
+      server = await startMockServer([
+        () => ({ body: { download_uri: `${server.baseUrl}/file/oracle-cards.json` } }),
+        bulkCards,
+      ]);
+      config.scryfall.baseUrl = server.baseUrl;
+      const file = path.join(dir, 'cards.json');
+
+      assert.equal(await new CardDatabase(file).download('oracle_cards', file), 600);
+      assert.equal(server.requests[0].url, '/bulk-data/oracle_cards');
+      assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).length, 600);
+      assert.deepEqual(fs.readdirSync(dir), ['cards.json']);
+    });
+
+    test('keeps the old file when the download stalls', async () => {
+      // Sends the bulk-data info, then part of the file and nothing more
+      const stalled = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        if (req.url.startsWith('/bulk-data/')) {
+          res.end(JSON.stringify({ download_uri: `http://127.0.0.1:${stalled.address().port}/file` }));
+        } else {
+          res.write('[{"object":"card",');
+        }
+      });
+      await new Promise(resolve => stalled.listen(0, '127.0.0.1', resolve));
+      server = {
+        close: () => {
+          stalled.closeAllConnections();
+          return new Promise(resolve => stalled.close(resolve));
+        },
+      };
+      config.scryfall.baseUrl = `http://127.0.0.1:${stalled.address().port}`;
+      config.http.timeout = 200;
+
+      const file = path.join(dir, 'cards.json');
+      fs.writeFileSync(file, '[]');
+      await assert.rejects(new CardDatabase(file).download('oracle_cards', file), /no data for 200 ms/);
+      assert.equal(fs.readFileSync(file, 'utf8'), '[]');
+      assert.deepEqual(fs.readdirSync(dir), ['cards.json']);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createChatSession } from '../src/llm/chatSession.js';
+import { toolHandlers } from '../src/tools/handlers.js';
+import { scryfall } from '../src/integrations/scryfall.js';
+import { store } from '../src/data/store.js';
+import { MemoryAdapter } from '../src/data/storage.js';
+import { startMockServer } from './helpers.js';
+
+const toolArgs = { deckName: 'all' };
+
+/**
+ * Run one message against a mock provider that asks for get_decks, then answers
+ */
+async function runSession(provider, replies) {
+  const server = await startMockServer(replies);
+  try {
+    const session = createChatSession({
+      provider,
+      providerOptions: { baseUrl: server.baseUrl, apiKey: 'test-key', model: 'test-model' },
+    });
+    const result = await session.send('What decks do I have?');
+    return { result, requests: server.requests };
+  } finally {
+    await server.close();
+  }
+}
+
+for (const provider of ['groq', 'openai']) {
+  test(`${provider}: runs a tool call through chat completions`, async () => {
+    const { result, requests } = await runSession(provider, [
+      { choices: [{ message: { content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_decks', arguments: JSON.stringify(toolArgs) } }] } }] },
+      { choices: [{ message: { content: 'You have no decks yet.' } }] },
+    ]);
+
+    assert.equal(result.content, 'You have no decks yet.');
+    assert.equal(result.iterations, 2);
+    assert.deepEqual(result.toolCalls.map(call => [call.name, call.args]), [['get_decks', toolArgs]]);
+
+    assert.equal(requests[0].url, '/chat/completions');
+    assert.equal(requests[0].headers.authorization, 'Bearer test-key');
+    assert.equal(requests[0].body.model, 'test-model');
+    assert.equal(requests[0].body.messages[0].role, 'system');
+    assert.ok(requests[0].body.tools.some(tool => tool.function.name === 'get_decks'));
+
+    const toolMessage = requests[1].body.messages.at(-1);
+    assert.equal(toolMessage.role, 'tool');
+    assert.equal(toolMessage.tool_call_id, 'call_1');
+    assert.deepEqual(JSON.parse(toolMessage.content), result.toolCalls[0].result);
+  });
+}
+
+test('anthropic: runs a tool call through the Messages API', async () => {
+  const { result, requests } = await runSession('anthropic', [
+    { content: [{ type: 'text', text: 'Checking.' }, { type: 'tool_use', id: 'toolu_1', name: 'get_decks', input: toolArgs }] },
+    { content: [{ type: 'text', text: 'You have no decks yet.' }] },
+  ]);
+
+  assert.equal(result.content, 'You have no decks yet.');
+  assert.deepEqual(result.toolCalls.map(call => [call.name, call.args]), [['get_decks', toolArgs]]);
+
+  assert.equal(requests[0].url, '/v1/messages');
+  assert.equal(requests[0].headers['x-api-key'], 'test-key');
+  assert.equal(typeof requests[0].body.system, 'string');
+  assert.ok(requests[0].body.tools.some(tool => tool.name === 'get_decks' && tool.input_schema));
+
+  const [assistant, toolTurn] = requests[1].body.messages.slice(-2);
+  assert.deepEqual(assistant.content.map(block => block.type), ['text', 'tool_use']);
+  assert.equal(toolTurn.role, 'user');
+  assert.equal(toolTurn.content[0].type, 'tool_result');
+  assert.equal(toolTurn.content[0].tool_use_id, 'toolu_1');
+  assert.deepEqual(JSON.parse(toolTurn.content[0].content), result.toolCalls[0].result);
+});
+
+test('ollama: runs a tool call through the chat API', async () => {
+  const { result, requests } = await runSession('ollama', [
+    { message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'get_decks', arguments: toolArgs } }] } },
+    { message: { role: 'assistant', content: 'You have no decks yet.' } },
+  ]);
+
+  assert.equal(result.content, 'You have no decks yet.');
+  assert.deepEqual(result.toolCalls.map(call => [call.name, call.args]), [['get_decks', toolArgs]]);
+
+  assert.equal(requests[0].url, '/api/chat');
+  assert.equal(requests[0].body.stream, false);
+  assert.ok(requests[0].body.tools.some(tool => tool.function.name === 'get_decks'));
+
+  const toolMessage = requests[1].body.messages.at(-1);
+  assert.equal(toolMessage.role, 'tool');
+  assert.deepEqual(JSON.parse(toolMessage.content), result.toolCalls[0].result);
+});
+
+test('provider errors are reported with the status', async () => {
+  const server = await startMockServer([() => ({ status: 500, body: { error: 'boom' } })]);
+  try {
+    const session = createChatSession({ provider: 'openai', providerOptions: { baseUrl: server.baseUrl, apiKey: 'test-key' } });
+    await assert.rejects(session.send('Hi'), /OpenAI API error: 500/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('the timeout also stops a tool that never finishes', async () => {
+  const getDecks = toolHandlers.get_decks;
+  toolHandlers.get_decks = () => new Promise(() => {});
+  const server = await startMockServer([
+    { choices: [{ message: { tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_decks', arguments: '{}' } }] } }] },
+  ]);
+
+  try {
+    const session = createChatSession({
+      provider: 'openai',
+      providerOptions: { baseUrl: server.baseUrl, apiKey: 'test-key' },
+      timeout: 200,
+    });
+    await assert.rejects(session.send('What decks do I have?'), /timed out after 200ms/);
+    assert.equal(server.requests.length, 1);
+    assert.deepEqual(session.getHistory(), []);
+  } finally {
+    toolHandlers.get_decks = getDecks;
+    await server.close();
+  }
+});
+
+test('a write tool abandoned by the timeout doesn\'t save afterwards', async () => {
+  const getCard = scryfall.getCard;
+  let lookupDone;
+  const lookup = new Promise(resolve => { lookupDone = resolve; });
+  scryfall.getCard = async name => {
+    await new Promise(resolve => setTimeout(resolve, 300));
+    lookupDone();
+    return { id: 'sol-ring', name, type_line: 'Artifact', mana_cost: '{1}', colors: [], color_identity: [], prices: { usd: '1.50' } };
+  };
+  store.useAdapter(new MemoryAdapter());
+  const server = await startMockServer([
+    { choices: [{ message: { tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'add_card_to_inventory', arguments: '{"cardName":"Sol Ring"}' } }] } }] },
+  ]);
+
+  try {
+    const session = createChatSession({
+      provider: 'openai',
+      providerOptions: { baseUrl: server.baseUrl, apiKey: 'test-key' },
+      timeout: 100,
+    });
+    await assert.rejects(session.send('Add a Sol Ring'), /timed out after 100ms/);
+    await lookup;
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(store.getInventory('default'), []);
+  } finally {
+    scryfall.getCard = getCard;
+    await server.close();
+  }
+});
@@ -0,0 +1,107 @@
+import './setup.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPairingAbilities, canPairCommanders, getCommanderColorIdentity } from '../src/utils/commanderPairing.js';
+
+const legend = (name, oracleText, fields = {}) => ({
+  name,
+  type_line: 'Legendary Creature — Human',
+  oracle_text: oracleText,
+  ...fields,
+});
+
+const thrasios = legend('Thrasios, Triton Hero', '{4}: Scry 1, then reveal the top card of your library.\nPartner (You can have two commanders if both have partner.)', { color_identity: ['G', 'U'] });
+const tymna = legend('Tymna the Weaver', 'Lifelink\nPartner (You can have two commanders if both have partner.)', { color_identity: ['W', 'B'] });
+const survivor = name => legend(name, 'Partner—Survivors (You can have two commanders if both have this ability.)');
+const fatherFigure = legend('Father Figure', 'Partner—Father & Son (You can have two commanders if both have this ability.)');
+const pir = legend('Pir, Imaginative Rascal', 'Partner with Toothy, Imaginary Friend (When this creature enters, target player may put Toothy into their hand from their library, then shuffle.)');
+const toothy = legend('Toothy, Imaginary Friend', 'Partner with Pir, Imaginative Rascal (When this creature enters, target player may put Pir into their hand from their library, then shuffle.)');
+const friend = name => legend(name, 'Friends forever (You can have two commanders if both have friends forever.)');
+const wilson = legend('Wilson, Refined Grizzly', 'Choose a Background (You can have a Background as a second commander.)');
+const background = {
+  name: 'Raised by Giants',
+  type_line: 'Legendary Enchantment — Background',
+  oracle_text: 'Commander creatures you own have base power and toughness 10/10.',
+};
+const doctor = legend('The Tenth Doctor', 'Allons-y! — Whenever you cast a spell, ...', { type_line: 'Legendary Creature — Time Lord Doctor' });
+const companion = legend('Rose Tyler', 'Doctor\'s companion (You can have two commanders if the other is the Doctor.)');
+
+describe('getPairingAbilities', () => {
+  test('reads each ability from oracle text, ignoring reminder text', () => {
+    assert.equal(getPairingAbilities(thrasios).partner, true);
+    assert.equal(getPairingAbilities(survivor('Elaine')).partner, 'Survivors');
+    assert.equal(getPairingAbilities(pir).partnerWith, 'Toothy, Imaginary Friend');
+    assert.equal(getPairingAbilities(pir).partner, false);
+    assert.equal(getPairingAbilities(friend('Will the Wise')).friendsForever, true);
+    assert.equal(getPairingAbilities(wilson).chooseBackground, true);
+    assert.equal(getPairingAbilities(background).background, true);
+    assert.equal(getPairingAbilities(doctor).timeLordDoctor, true);
+    assert.equal(getPairingAbilities(companion).doctorsCompanion, true);
+  });
+
+  test('falls back to Scryfall keywords without oracle text', () => {
+    assert.equal(getPairingAbilities({ name: 'Kraum', keywords: ['Partner', 'Flying'] }).partner, true);
+  });
+
+  test('gives an ordinary legend no pairing ability', () => {
+    const abilities = getPairingAbilities(legend('Omnath, Locus of Mana', 'Green mana doesn\'t empty from your mana pool.'));
+    assert.deepEqual(Object.values(abilities).filter(Boolean), []);
+  });
+});
+
+describe('canPairCommanders', () => {
+  test('pairs two cards with plain Partner', () => {
+    assert.deepEqual(canPairCommanders(thrasios, tymna), { valid: true, mechanic: 'partner', background: null, reason: null });
+  });
+
+  test('pairs Partner variants only within the same group', () => {
+    assert.equal(canPairCommanders(survivor('Elaine'), survivor('Aloy')).mechanic, 'partner');
+
+    const mismatched = canPairCommanders(survivor('Elaine'), fatherFigure);
+    assert.equal(mismatched.valid, false);
+    assert.match(mismatched.reason, /different kinds of Partner/);
+    assert.equal(canPairCommanders(survivor('Elaine'), thrasios).valid, false);
+  });
+
+  test('pairs a "Partner with" card only with the card it names', () => {
+    assert.equal(canPairCommanders(pir, toothy).mechanic, 'partnerWith');
+    assert.equal(canPairCommanders(toothy, pir).mechanic, 'partnerWith');
+
+    for (const other of [thrasios, friend('Will the Wise')]) {
+      const result = canPairCommanders(pir, other);
+      assert.equal(result.valid, false);
+      assert.equal(result.reason, 'Pir, Imaginative Rascal can only partner with Toothy, Imaginary Friend');
+    }
+  });
+
+  test('pairs two Friends forever cards', () => {
+    assert.equal(canPairCommanders(friend('Will the Wise'), friend('Lucas the Sharpshooter')).mechanic, 'friendsForever');
+  });
+
+  test('pairs Choose a Background with a Background, either way round', () => {
+    assert.deepEqual(canPairCommanders(wilson, background), {
+      valid: true, mechanic: 'chooseBackground', background: 'Raised by Giants', reason: null,
+    });
+    assert.equal(canPairCommanders(background, wilson).background, 'Raised by Giants');
+    assert.equal(canPairCommanders(wilson, thrasios).valid, false);
+  });
+
+  test('pairs Doctor\'s companion with a Time Lord Doctor', () => {
+    assert.equal(canPairCommanders(companion, doctor).mechanic, 'doctorsCompanion');
+    assert.equal(canPairCommanders(doctor, companion).mechanic, 'doctorsCompanion');
+    assert.equal(canPairCommanders(companion, thrasios).valid, false);
+  });
+
+  test('rejects mixing different mechanics', () => {
+    const result = canPairCommanders(thrasios, friend('Will the Wise'));
+    assert.equal(result.valid, false);
+    assert.equal(result.mechanic, null);
+    assert.match(result.reason, /can't be paired/);
+  });
+});
+
+describe('getCommanderColorIdentity', () => {
+  test('combines both commanders\' identities', () => {
+    assert.deepEqual(getCommanderColorIdentity([thrasios, tymna]), ['W', 'U', 'B', 'G']);
+  });
+});
@@ -0,0 +1,171 @@
+import './setup.js';
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { scryfallCard as card, stubScryfallCollection } from './helpers.js';
+import { validateCommanderDeck, canBeCommander } from '../src/data/commanderValidation.js';
+import { getCardColorIdentity, getManaSymbolColors } from '../src/utils/colorIdentity.js';
+
+const commander = card('Omnath, Locus of Mana', {
+  type_line: 'Legendary Creature — Elemental',
+  mana_cost: '{2}{G}',
+  color_identity: ['G'],
+});
+
+const cards = [
+  commander,
+  card('Forest', { type_line: 'Basic Land — Forest', mana_cost: '', oracle_text: '({T}: Add {G}.)', color_identity: ['G'] }),
+  ...Array.from({ length: 62 }, (_, index) => card(`Test Card ${index + 1}`)),
+  card('Tamiyo\'s Test', { mana_cost: '{1}{G/U/P}', type_line: 'Sorcery', color_identity: ['G', 'U'] }),
+  card('Extort Test', {
+    mana_cost: '{1}{G}',
+    type_line: 'Creature — Elf',
+    oracle_text: 'Extort (Whenever you cast a spell, you may pay {W/B}. If you do, each opponent loses 1 life and you gain that much life.)',
+    color_identity: ['G'],
+  }),
+  card('Black Lotus', { mana_cost: '{0}', legalities: { commander: 'banned' } }),
+  card('Banned By Scryfall', { legalities: { commander: 'banned' } }),
+  card('Un-Card', { legalities: { commander: 'not_legal' } }),
+];
+
+/**
+ * A 100-card list led by Omnath: 62 other cards and 37 Forests, plus extra entries
+ */
+const deck = (extra = [], { forests = 37 } = {}) => ({
+  commanders: [{ name: commander.name, quantity: 1 }],
+  mainboard: [
+    ...Array.from({ length: 62 }, (_, index) => ({ name: `Test Card ${index + 1}`, quantity: 1 })),
+    { name: 'Forest', quantity: forests },
+    ...extra.map(name => ({ name, quantity: 1 })),
+  ],
+});
+
+describe('color identity', () => {
+  test('counts every color of hybrid and Phyrexian symbols', () => {
+    assert.deepEqual(getManaSymbolColors('{G/U/P}'), ['U', 'G']);
+    assert.deepEqual(getManaSymbolColors('{2/W}{B/P}{R/G}'), ['W', 'B', 'R', 'G']);
+    assert.deepEqual(getManaSymbolColors('{2}{C}{X}'), []);
+    assert.deepEqual(getCardColorIdentity({ mana_cost: '{1}{G/U/P}' }), ['U', 'G']);
+  });
+
+  test('reads rules text and color indicators, but not reminder text', () => {
+    assert.deepEqual(getCardColorIdentity({ mana_cost: '{G}', oracle_text: '{T}: Add {U}.' }), ['U', 'G']);
+    assert.deepEqual(getCardColorIdentity({ mana_cost: '', colors: ['R'] }), ['R']);
+    assert.deepEqual(getCardColorIdentity({
+      mana_cost: '{1}{G}',
+      oracle_text: 'Extort (Whenever you cast a spell, you may pay {W/B}.)',
+    }), ['G']);
+    assert.deepEqual(getCardColorIdentity({ type_line: 'Basic Land — Forest', oracle_text: '({T}: Add {G}.)' }), []);
+  });
+});
+
+describe('canBeCommander', () => {
+  test('accepts legendary creatures and "can be your commander" cards', () => {
+    assert.equal(canBeCommander(commander), true);
+    assert.equal(canBeCommander({
+      type_line: 'Legendary Planeswalker — Teferi',
+      oracle_text: 'Teferi, Master of Time can be your commander.',
+    }), true);
+  });
+
+  test('rejects other cards', () => {
+    assert.equal(canBeCommander({ type_line: 'Creature — Elf' }), false);
+    assert.equal(canBeCommander({ type_line: 'Legendary Enchantment' }), false);
+    assert.equal(canBeCommander({ type_line: 'Legendary Planeswalker — Teferi' }), false);
+  });
+
+  test('only reads the front face of a double-faced card', () => {
+    assert.equal(canBeCommander({ type_line: 'Legendary Creature — Human // Legendary Planeswalker — Jace' }), true);
+    assert.equal(canBeCommander({ type_line: 'Legendary Enchantment // Legendary Creature — God' }), false);
+  });
+
+  test('follows the format\'s commander rules', () => {
+    const uncommon = { type_line: 'Creature — Elf', rarity: 'uncommon' };
+    assert.equal(canBeCommander(uncommon, 'pdh'), true);
+    assert.equal(canBeCommander({ ...uncommon, rarity: 'rare' }, 'pdh'), false);
+    assert.equal(canBeCommander({ type_line: 'Sorcery', rarity: 'common', legalities: { paupercommander: 'restricted' } }, 'pdh'), true);
+    assert.equal(canBeCommander({ type_line: 'Legendary Planeswalker — Nissa' }, 'brawl'), true);
+  });
+});
+
+describe('validateCommanderDeck', () => {
+  let restore;
+
+  beforeEach(() => {
+    restore = stubScryfallCollection(cards);
+  });
+
+  afterEach(() => {
+    restore();
+  });
+
+  const violationsOf = result => result.violations.map(({ card: name, type }) => [name, type]);
+
+  test('accepts a legal 100-card deck', async () => {
+    const result = await validateCommanderDeck(deck());
+
+    assert.equal(result.isValid, true);
+    assert.equal(result.totalCards, 100);
+    assert.equal(result.landCount, 37);
+    assert.deepEqual(result.commanders, [commander.name]);
+    assert.deepEqual(result.colorIdentity, ['G']);
+    assert.deepEqual(result.violations, []);
+  });
+
+  test('needs exactly 100 cards, the commander included', async () => {
+    for (const forests of [36, 38]) {
+      const result = await validateCommanderDeck(deck([], { forests }));
+      assert.equal(result.totalCards, 63 + forests);
+      assert.deepEqual(violationsOf(result), [[null, 'deckSize']], String(forests));
+      assert.equal(result.violations[0].rule, 'CR 903.5a');
+    }
+  });
+
+  test('flags a Phyrexian hybrid card outside a mono-green identity', async () => {
+    const result = await validateCommanderDeck(deck(['Tamiyo\'s Test'], { forests: 36 }));
+
+    assert.deepEqual(violationsOf(result), [['Tamiyo\'s Test', 'colorIdentity']]);
+    assert.match(result.violations[0].message, /\(UG\) is outside the commander's \(G\)/);
+  });
+
+  test('ignores colors that only appear in reminder text', async () => {
+    const result = await validateCommanderDeck(deck(['Extort Test'], { forests: 36 }));
+    assert.deepEqual(result.violations, []);
+  });
+
+  test('flags a commander that isn\'t a legendary creature', async () => {
+    const result = await validateCommanderDeck({
+      commanders: [{ name: 'Test Card 1', quantity: 1 }],
+      mainboard: [...deck().mainboard.slice(1), { name: 'Test Card 63', quantity: 1 }],
+    });
+
+    assert.ok(violationsOf(result).some(([name, type]) => name === 'Test Card 1' && type === 'commander'));
+    assert.equal(result.isValid, false);
+  });
+
+  test('names each banned and illegal card', async () => {
+    const result = await validateCommanderDeck(deck(['Black Lotus', 'Banned By Scryfall', 'Un-Card'], { forests: 34 }));
+
+    assert.deepEqual(violationsOf(result), [
+      ['Black Lotus', 'banned'],
+      ['Banned By Scryfall', 'banned'],
+      ['Un-Card', 'notLegal'],
+    ]);
+    assert.equal(result.violations[0].rule, 'Commander banned list');
+    assert.equal(result.violations[2].message, 'Un-Card isn\'t legal in Commander');
+  });
+
+  test('flags a second copy of a nonbasic card', async () => {
+    const list = deck([], { forests: 36 });
+    list.mainboard.push({ name: 'Test Card 1', quantity: 1 });
+
+    assert.deepEqual(violationsOf(await validateCommanderDeck(list)), [['Test Card 1', 'singleton']]);
+  });
+
+  test('lists unknown cards without calling them violations', async () => {
+    const result = await validateCommanderDeck(deck(['Not A Real Card'], { forests: 36 }));
+
+    assert.equal(result.isValid, false);
+    assert.deepEqual(result.violations, []);
+    assert.deepEqual(result.notFound, ['Not A Real Card']);
+  });
+});
@@ -0,0 +1,165 @@
+import { testDataDir } from './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { spawn, spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { DataStore } from '../src/data/store.js';
+import { JsonFileAdapter } from '../src/data/storage.js';
+import { withFileLocks } from '../src/data/adapters/fileLock.js';
+
+const WORKER = fileURLToPath(new URL('./workers/storeWorker.js', import.meta.url));
+const WORKERS = 4;
+const ITERATIONS = 200; // per worker: 800 mutations in all
+
+/**
+ * Run workers in parallel processes against one data directory
+ * @param {Object} options - { historyLimits, prepare } - prepare(dataDir) runs before the workers start
+ * @returns {Promise<string>} The data directory
+ */
+async function runWorkers(mode, { historyLimits = [], prepare = () => {} } = {}) {
+  const dataDir = fs.mkdtempSync(path.join(testDataDir, `${mode}-`));
+  prepare(dataDir);
+
+  await Promise.all(Array.from({ length: WORKERS }, (_, worker) => new Promise((resolve, reject) => {
+    const args = [WORKER, mode, dataDir, String(worker), String(ITERATIONS)];
+    if (historyLimits[worker]) args.push(String(historyLimits[worker]));
+    const child = spawn(process.execPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('exit', code => (code === 0 ? resolve() : reject(new Error(`worker ${worker} exited ${code}: ${stderr}`))));
+  })));
+
+  return dataDir;
+}
+
+/**
+ * Files a crashed or leaky writer would leave behind
+ */
+const leftovers = dataDir => fs.readdirSync(dataDir).filter(file => /\.(lock|tmp|corrupt)$/.test(file));
+
+/**
+ * The pid of a process that has exited
+ */
+const deadPid = () => spawnSync(process.execPath, ['-e', '']).pid;
+
+/**
+ * Replay every journaled change; the result must match the stored records
+ */
+function replayChanges(entries) {
+  const records = new Map();
+  for (const entry of entries) {
+    for (const change of entry.changes || []) {
+      const key = `${entry.userId}:${change.collection}:${change.id}`;
+      if (change.after === null) records.delete(key);
+      else records.set(key, change.after);
+    }
+  }
+  return records;
+}
+
+test('parallel writers to one counter file lose no updates', { timeout: 120000 }, async () => {
+  const dataDir = await runWorkers('counter');
+  const file = path.join(dataDir, 'counter.json');
+
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf-8')), { value: WORKERS * ITERATIONS });
+  assert.deepEqual(JSON.parse(fs.readFileSync(`${file}.bak`, 'utf-8')), { value: WORKERS * ITERATIONS - 1 });
+  assert.deepEqual(leftovers(dataDir), []);
+});
+
+test('parallel store mutations keep the files and journal consistent', { timeout: 120000 }, async () => {
+  const dataDir = await runWorkers('store');
+  const adapter = new JsonFileAdapter({ dataDir });
+
+  // Every file parses, and nothing was left half-done
+  for (const file of ['inventory.json', 'decks.json', 'inventory.json.bak', 'decks.json.bak']) {
+    JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf-8'));
+  }
+  assert.deepEqual(leftovers(dataDir), []);
+
+  // No update to the shared record was lost
+  const shared = adapter.list('inventory', 'shared');
+  assert.equal(shared.length, 1);
+  assert.equal(shared[0].quantity, WORKERS * ITERATIONS / 4);
+
+  for (let worker = 0; worker < WORKERS; worker++) {
+    const userId = `worker${worker}`;
+    assert.equal(adapter.list('inventory', userId)[0].quantity, ITERATIONS / 4);
+    assert.deepEqual(adapter.list('decks', userId), []);
+  }
+
+  // One journal line per mutation, all intact, replaying to the stored state
+  const lines = fs.readFileSync(path.join(dataDir, 'journal.jsonl'), 'utf-8').trim().split('\n');
+  assert.equal(lines.length, WORKERS * ITERATIONS);
+  const entries = lines.map(line => JSON.parse(line));
+  assert.equal(new Set(entries.map(entry => entry.id)).size, entries.length);
+
+  const stored = new Map();
+  for (const userId of ['shared', ...Array.from({ length: WORKERS }, (_, worker) => `worker${worker}`)]) {
+    for (const collection of ['inventory', 'decks']) {
+      adapter.list(collection, userId).forEach(record => stored.set(`${userId}:${collection}:${record.id}`, record));
+    }
+  }
+  assert.deepEqual(replayChanges(entries), stored);
+
+  // And the journal still undoes, in order
+  const store = new DataStore(adapter);
+  assert.equal(store.undo('shared').success, true);
+  assert.equal(adapter.list('inventory', 'shared')[0].quantity, WORKERS * ITERATIONS / 4 - 1);
+});
+
+test('journal compaction in one process loses no appends from the others', { timeout: 120000 }, async () => {
+  const dataDir = await runWorkers('store', { historyLimits: [5] });
+  const adapter = new JsonFileAdapter({ dataDir });
+  const store = new DataStore(adapter);
+
+  // worker0 kept compacting its own and the shared user's entries, while the
+  // others appended theirs without compacting
+  assert.ok(store.getJournal('worker0').length <= 10);
+  for (let worker = 1; worker < WORKERS; worker++) {
+    assert.equal(store.getJournal(`worker${worker}`).length, ITERATIONS * 3 / 4);
+  }
+  assert.deepEqual(leftovers(dataDir), []);
+
+  // Whatever was compacted away, the most recent shared change still undoes
+  const quantity = adapter.list('inventory', 'shared')[0].quantity;
+  assert.equal(quantity, WORKERS * ITERATIONS / 4);
+  assert.equal(store.undo('shared').success, true);
+  assert.equal(adapter.list('inventory', 'shared')[0].quantity, quantity - 1);
+});
+
+test('a lock left by a dead process is taken over', () => {
+  const file = path.join(fs.mkdtempSync(path.join(testDataDir, 'lock-')), 'counter.json');
+  fs.writeFileSync(`${file}.lock`, String(deadPid()));
+
+  assert.equal(withFileLocks([file], () => fs.readFileSync(`${file}.lock`, 'utf-8').split(':')[0]), String(process.pid));
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), []);
+});
+
+test('a lock older than 30 seconds is taken over, even from a live process', () => {
+  const file = path.join(fs.mkdtempSync(path.join(testDataDir, 'lock-')), 'counter.json');
+  fs.writeFileSync(`${file}.lock`, String(process.ppid));
+  const old = new Date(Date.now() - 60000);
+  fs.utimesSync(`${file}.lock`, old, old);
+
+  assert.equal(withFileLocks([file], () => 'locked'), 'locked');
+  assert.equal(fs.existsSync(`${file}.lock`), false);
+});
+
+test('releasing leaves a lock that another process took over', () => {
+  const file = path.join(fs.mkdtempSync(path.join(testDataDir, 'lock-')), 'counter.json');
+
+  withFileLocks([file], () => fs.writeFileSync(`${file}.lock`, '1:other'));
+  assert.equal(fs.readFileSync(`${file}.lock`, 'utf-8'), '1:other');
+});
+
+test('parallel writers racing to take over a stale lock lose no updates', { timeout: 120000 }, async () => {
+  const dataDir = await runWorkers('counter', {
+    prepare: dir => fs.writeFileSync(path.join(dir, 'counter.json.lock'), String(deadPid())),
+  });
+
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dataDir, 'counter.json'), 'utf-8')), { value: WORKERS * ITERATIONS });
+  assert.deepEqual(leftovers(dataDir), []);
+});
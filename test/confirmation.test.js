@@ -0,0 +1,137 @@
+import './setup.js';
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { executeTool, DESTRUCTIVE_TOOLS } from '../src/tools/handlers.js';
+import { store } from '../src/data/store.js';
+import { MemoryAdapter } from '../src/data/storage.js';
+
+const alice = { userId: 'alice', requireConfirmation: true };
+const quantityOf = name => store.getInventory('alice')
+  .filter(card => card.name === name)
+  .reduce((sum, card) => sum + card.quantity, 0);
+
+describe('destructive tool confirmation', () => {
+  const now = Date.now;
+
+  beforeEach(() => {
+    store.useAdapter(new MemoryAdapter());
+    store.addCard('alice', { name: 'Sol Ring', quantity: 3 });
+    store.createDeck('alice', { name: 'Rats', format: 'commander' });
+  });
+
+  afterEach(() => {
+    Date.now = now;
+  });
+
+  test('previews every destructive tool', () => {
+    assert.deepEqual(DESTRUCTIVE_TOOLS.sort(), ['delete_deck', 'move_card', 'record_sale', 'remove_card_from_inventory']);
+  });
+
+  test('shows a dry run without a token or any change', async () => {
+    const result = await executeTool('delete_deck', { deckName: 'Rats' }, { userId: 'alice', dryRun: true });
+
+    assert.equal(result.success, true);
+    assert.equal(result.dryRun, true);
+    assert.equal(result.confirmationToken, undefined);
+    assert.match(result.message, /^Dry run, nothing changed: Deleted deck "Rats"/);
+    assert.equal(result.changes.length, 1);
+    assert.ok(store.getDeck('alice', 'Rats'));
+  });
+
+  test('issues a token, and applies the action once it is confirmed', async () => {
+    const preview = await executeTool('remove_card_from_inventory', { cardName: 'Sol Ring', quantity: 2 }, alice);
+
+    assert.equal(preview.requiresConfirmation, true);
+    assert.equal(typeof preview.confirmationToken, 'string');
+    assert.match(preview.message, /^Awaiting confirmation: Removed 2x Sol Ring/);
+    assert.equal(quantityOf('Sol Ring'), 3);
+
+    const result = await executeTool('confirm_action', { token: preview.confirmationToken }, alice);
+    assert.equal(result.success, true);
+    assert.equal(quantityOf('Sol Ring'), 1);
+  });
+
+  test('confirms as a dry run without applying or using up the token', async () => {
+    const preview = await executeTool('remove_card_from_inventory', { cardName: 'Sol Ring', quantity: 2 }, alice);
+
+    const dryRun = await executeTool('confirm_action', { token: preview.confirmationToken }, { ...alice, dryRun: true });
+    assert.equal(dryRun.dryRun, true);
+    assert.match(dryRun.message, /^Dry run, nothing changed: Removed 2x Sol Ring/);
+    assert.equal(quantityOf('Sol Ring'), 3);
+
+    const result = await executeTool('confirm_action', { token: preview.confirmationToken }, alice);
+    assert.equal(result.success, true);
+    assert.equal(quantityOf('Sol Ring'), 1);
+  });
+
+  test('passes a failed preview straight back, without a token', async () => {
+    const result = await executeTool('delete_deck', { deckName: 'Missing' }, alice);
+    assert.deepEqual(result, { success: false, message: 'Deck "Missing" not found' });
+  });
+
+  test('expires a token after 5 minutes', async () => {
+    const started = now();
+    Date.now = () => started;
+    const preview = await executeTool('delete_deck', { deckName: 'Rats' }, alice);
+    assert.equal(preview.expiresAt, new Date(started + 5 * 60 * 1000).toISOString());
+
+    Date.now = () => started + 5 * 60 * 1000 + 1;
+    const result = await executeTool('confirm_action', { token: preview.confirmationToken }, alice);
+
+    assert.deepEqual(result, { success: false, message: 'Confirmation token expired, preview the action again' });
+    assert.ok(store.getDeck('alice', 'Rats'));
+  });
+
+  test('still accepts a token just inside 5 minutes', async () => {
+    const started = now();
+    Date.now = () => started;
+    const preview = await executeTool('delete_deck', { deckName: 'Rats' }, alice);
+
+    Date.now = () => started + 5 * 60 * 1000 - 1;
+    const result = await executeTool('confirm_action', { token: preview.confirmationToken }, alice);
+    assert.equal(result.success, true);
+    assert.equal(store.getDeck('alice', 'Rats'), undefined);
+  });
+
+  test('refuses a token issued to another user', async () => {
+    store.createDeck('bob', { name: 'Rats', format: 'commander' });
+    const preview = await executeTool('delete_deck', { deckName: 'Rats' }, alice);
+
+    const stolen = await executeTool('confirm_action', { token: preview.confirmationToken }, { userId: 'bob' });
+    assert.deepEqual(stolen, { success: false, message: 'Unknown or already used confirmation token' });
+    assert.ok(store.getDeck('bob', 'Rats'));
+
+    // Bob's attempt doesn't use up Alice's token
+    const result = await executeTool('confirm_action', { token: preview.confirmationToken }, alice);
+    assert.equal(result.success, true);
+  });
+
+  test('refuses when the previewed records changed since the preview', async () => {
+    const preview = await executeTool('remove_card_from_inventory', { cardName: 'Sol Ring', quantity: 3 }, alice);
+    store.addCard('alice', { name: 'Sol Ring', quantity: 1 });
+
+    const result = await executeTool('confirm_action', { token: preview.confirmationToken }, alice);
+    assert.deepEqual(result, { success: false, message: 'Data changed since the preview, preview the action again' });
+    assert.equal(quantityOf('Sol Ring'), 4);
+  });
+
+  test('refuses a token used twice', async () => {
+    const preview = await executeTool('remove_card_from_inventory', { cardName: 'Sol Ring' }, alice);
+
+    assert.equal((await executeTool('confirm_action', { token: preview.confirmationToken }, alice)).success, true);
+    const again = await executeTool('confirm_action', { token: preview.confirmationToken }, alice);
+
+    assert.deepEqual(again, { success: false, message: 'Unknown or already used confirmation token' });
+    assert.equal(quantityOf('Sol Ring'), 2);
+  });
+
+  test('refuses an unknown token', async () => {
+    const result = await executeTool('confirm_action', { token: 'not-a-token' }, alice);
+    assert.equal(result.success, false);
+  });
+
+  test('runs non-destructive tools without asking', async () => {
+    const result = await executeTool('get_decks', {}, alice);
+    assert.equal(result.requiresConfirmation, undefined);
+  });
+});
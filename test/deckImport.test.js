@@ -0,0 +1,155 @@
+import './setup.js';
+import { describe, test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { store } from '../src/data/store.js';
+import { MemoryAdapter } from '../src/data/storage.js';
+import { httpCache } from '../src/integrations/httpCache.js';
+import { importDeckFromUrl } from '../src/data/deckImport.js';
+
+const fixture = file => fs.readFileSync(new URL(`./fixtures/decks/${file}`, import.meta.url), 'utf8');
+
+// Payloads as each site serves them, keyed by the URL its load() requests
+const payloads = {
+  'https://api.moxfield.com/v2/decks/all/atraxa-superfriends': fixture('moxfield.json'),
+  'https://archidekt.com/api/decks/1234567/': fixture('archidekt.json'),
+  'https://archidekt.com/api/decks/7654321/': fixture('archidekt-private.json'),
+  'https://www.mtggoldfish.com/deck/download/6012345': fixture('mtggoldfish.txt'),
+  'https://tappedout.net/mtg-decks/atraxa-counters/?fmt=txt': fixture('tappedout.txt'),
+  'https://deckstats.net/decks/1234/567890?export_txt=1': fixture('deckstats.txt'),
+  'https://api.moxfield.com/v2/decks/all/broken': 'null',
+};
+
+const cardCount = cards => cards.reduce((sum, card) => sum + card.quantity, 0);
+const zone = (deck, name) => deck.cards.filter(card => (card.zone || 'mainboard') === name);
+
+describe('importDeckFromUrl', () => {
+  const realFetch = globalThis.fetch;
+  let requested;
+
+  before(() => {
+    // Serve the recorded payloads; anything else (Scryfall) is unreachable
+    globalThis.fetch = async url => {
+      requested.push(String(url));
+      if (!(url in payloads)) throw new TypeError('fetch failed');
+      return new Response(payloads[url], { status: 200 });
+    };
+  });
+
+  after(() => {
+    globalThis.fetch = realFetch;
+  });
+
+  beforeEach(() => {
+    requested = [];
+    httpCache.purge();
+    store.useAdapter(new MemoryAdapter());
+  });
+
+  const cases = [
+    {
+      site: 'Moxfield',
+      url: 'https://www.moxfield.com/decks/atraxa-superfriends',
+      name: 'Atraxa Superfriends',
+      commanders: ["Atraxa, Praetors' Voice"],
+      mainboard: 3,
+      sideboard: 1,
+    },
+    {
+      site: 'Archidekt',
+      url: 'https://archidekt.com/decks/1234567/atraxa_counters',
+      name: 'Atraxa Counters',
+      commanders: ["Atraxa, Praetors' Voice"],
+      mainboard: 3,
+      sideboard: 1,
+    },
+    {
+      site: 'MTGGoldfish',
+      url: 'https://www.mtggoldfish.com/deck/6012345',
+      name: 'MTGGoldfish deck 6012345',
+      commanders: [],
+      mainboard: 60,
+      sideboard: 15,
+    },
+    {
+      site: 'TappedOut',
+      url: 'https://tappedout.net/mtg-decks/atraxa-counters/',
+      name: 'atraxa counters',
+      commanders: ["Atraxa, Praetors' Voice"],
+      mainboard: 3,
+      sideboard: 1,
+    },
+    {
+      site: 'Deckstats',
+      url: 'https://deckstats.net/decks/1234/567890-atraxa-superfriends',
+      name: 'atraxa superfriends',
+      commanders: ["Atraxa, Praetors' Voice"],
+      mainboard: 3,
+      sideboard: 1,
+    },
+  ];
+
+  for (const expected of cases) {
+    test(`replays a ${expected.site} payload through the site's loader`, async () => {
+      const result = await importDeckFromUrl(expected.url, { userId: 'alice' });
+
+      assert.equal(result.success, true, result.message);
+      assert.ok(requested.some(url => url in payloads), `no recorded payload requested: ${requested}`);
+
+      const [deck] = store.getDecks('alice');
+      assert.equal(deck.name, expected.name);
+      assert.deepEqual(deck.commanders, expected.commanders);
+      assert.equal(cardCount(zone(deck, 'mainboard')), expected.mainboard);
+      assert.equal(cardCount(zone(deck, 'sideboard')), expected.sideboard);
+      assert.equal(cardCount(zone(deck, 'commander')), expected.commanders.length);
+    });
+  }
+
+  test('keeps the printing and finish a site gives', async () => {
+    await importDeckFromUrl(cases[0].url, { userId: 'alice' });
+    const [deck] = store.getDecks('alice');
+    const byName = name => deck.cards.find(card => card.name === name);
+
+    assert.equal(byName("Atraxa, Praetors' Voice").finish, 'foil');
+    assert.equal(byName('Doubling Season').finish, 'etched');
+    assert.equal(byName('Sol Ring').set, 'c21');
+    assert.equal(byName('Sol Ring').collectorNumber, '263');
+  });
+
+  test('drops Archidekt maybeboard cards', async () => {
+    await importDeckFromUrl(cases[1].url, { userId: 'alice' });
+    const [deck] = store.getDecks('alice');
+
+    assert.ok(!deck.cards.some(card => card.name === 'Deepglow Skate'));
+  });
+
+  test('reports an Archidekt payload without cards as an empty deck', async () => {
+    const result = await importDeckFromUrl('https://archidekt.com/decks/7654321', { userId: 'alice' });
+
+    assert.equal(result.success, false);
+    assert.match(result.message, /empty/);
+    assert.deepEqual(store.getDecks('alice'), []);
+  });
+
+  test('reports a payload the normalizer cannot read', async () => {
+    const result = await importDeckFromUrl('https://www.moxfield.com/decks/broken', { userId: 'alice' });
+
+    assert.equal(result.success, false);
+    assert.match(result.message, /Couldn't read the deck from Moxfield/);
+    assert.deepEqual(store.getDecks('alice'), []);
+  });
+
+  test('doesn\'t save once the signal aborts', async () => {
+    const controller = new AbortController();
+    const load = async () => {
+      controller.abort();
+      return JSON.parse(payloads['https://api.moxfield.com/v2/decks/all/atraxa-superfriends']);
+    };
+
+    await assert.rejects(
+      importDeckFromUrl(cases[0].url, { userId: 'alice', load, signal: controller.signal }),
+      { name: 'AbortError' }
+    );
+    assert.deepEqual(store.getDecks('alice'), []);
+  });
+});
@@ -0,0 +1,134 @@
+import './setup.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDeckList, parseDeckSections, validateParsedDeck, validateDeckList } from '../src/utils/deckValidator.js';
+
+/**
+ * A 100-card Commander list: a commander, 62 other cards and 37 Forests
+ */
+function commanderList(extra = '') {
+  const spells = Array.from({ length: 62 }, (_, i) => `1 Test Card ${i + 1}`);
+  return ['Commander', "1 Atraxa, Praetors' Voice", '', 'Deck', ...spells, '37 Forest', extra].join('\n');
+}
+
+describe('validateParsedDeck', () => {
+  test('leaves out sideboard, maybeboard and companion cards', () => {
+    const text = commanderList(['', 'Sideboard', '1 Duress', '1 Test Card 1', '', 'Maybeboard', '2 Arcane Signet', '', 'Companion', '1 Lurrus of the Dream-Den'].join('\n'));
+    const parsed = parseDeckList(text);
+    assert.ok(parsed.some(card => card.zone === 'sideboard'));
+
+    const result = validateParsedDeck(parsed);
+    assert.equal(result.totalCards, 100);
+    assert.equal(result.hasDuplicates, false);
+    assert.equal(result.isValid, true);
+    assert.ok(result.cards.every(card => !card.zone || card.zone === 'commander'));
+  });
+
+  test('agrees with validateDeckList', () => {
+    const text = commanderList(['', 'Sideboard', '3 Duress'].join('\n'));
+    const fromList = validateParsedDeck(parseDeckList(text));
+    const fromText = validateDeckList(text);
+    assert.equal(fromList.totalCards, fromText.totalCards);
+    assert.deepEqual(fromList.errors, fromText.errors);
+  });
+
+  test('still counts cards without a zone', () => {
+    const result = validateParsedDeck([{ quantity: 1, name: 'Sol Ring' }, { quantity: 1, name: 'Sol Ring' }], { format: 'commander' });
+    assert.equal(result.totalCards, 2);
+    assert.deepEqual(result.duplicates.map(card => card.name), ['sol ring']);
+  });
+});
+
+describe('sentence lines', () => {
+  test('prose ending in "." or "?" is not read as a card', () => {
+    const { mainboard, diagnostics } = parseDeckSections(['Sol Ring', 'What should I cut?', 'This deck wins with combat damage.'].join('\n'));
+    assert.deepEqual(mainboard.map(card => card.name), ['Sol Ring']);
+    assert.deepEqual(diagnostics.map(d => d.message), ['Not a card (sentence)', 'Not a card (sentence)']);
+  });
+
+  test('card names ending in "?" are read as cards', () => {
+    const { mainboard, diagnostics } = parseDeckSections(['1 Sol Ring', 'Question Elemental?'].join('\n'));
+    assert.deepEqual(mainboard.map(card => card.name), ['Sol Ring', 'Question Elemental?']);
+    assert.deepEqual(diagnostics, []);
+  });
+
+  test('title-case names with small words still count as names', () => {
+    const { mainboard } = parseDeckSections('Is It a Card of the Year?');
+    assert.deepEqual(mainboard.map(card => card.name), ['Is It a Card of the Year?']);
+  });
+});
+
+describe('parseDeckSections', () => {
+  test('reads inline Commander:, Companion:, SB: and Maybeboard: prefixes', () => {
+    const sections = parseDeckSections([
+      "Commander: Atraxa, Praetors' Voice",
+      'Companion: Lurrus of the Dream-Den',
+      '1 Sol Ring',
+      'SB: 2 Duress',
+      'Sideboard: 1 Negate',
+      'Maybeboard: Doubling Season',
+    ].join('\n'));
+
+    assert.deepEqual(sections.commanders, [{ quantity: 1, name: "Atraxa, Praetors' Voice" }]);
+    assert.deepEqual(sections.companions, [{ quantity: 1, name: 'Lurrus of the Dream-Den' }]);
+    assert.deepEqual(sections.mainboard, [{ quantity: 1, name: 'Sol Ring' }]);
+    assert.deepEqual(sections.sideboard, [{ quantity: 2, name: 'Duress' }, { quantity: 1, name: 'Negate' }]);
+    assert.deepEqual(sections.maybeboard, [{ quantity: 1, name: 'Doubling Season' }]);
+    assert.deepEqual(sections.diagnostics, []);
+  });
+
+  test('keeps a colon that is part of a card name', () => {
+    const { mainboard, diagnostics } = parseDeckSections(['CoP: Red', '1 Circle of Protection: Red'].join('\n'));
+
+    assert.deepEqual(mainboard.map(card => card.name), ['CoP: Red', 'Circle of Protection: Red']);
+    assert.deepEqual(diagnostics, []);
+  });
+
+  test('reads set, collector number and finish annotations', () => {
+    const { mainboard } = parseDeckSections([
+      '1 Sol Ring (C21) 263 *F*',
+      '1x Command Tower (C21) 281 *E*',
+      '1 Arcane Signet (C21)',
+    ].join('\n'));
+
+    assert.deepEqual(mainboard, [
+      { quantity: 1, name: 'Sol Ring', finish: 'foil', set: 'c21', collectorNumber: '263' },
+      { quantity: 1, name: 'Command Tower', finish: 'etched', set: 'c21', collectorNumber: '281' },
+      { quantity: 1, name: 'Arcane Signet', set: 'c21' },
+    ]);
+  });
+
+  test('reads a Maybeboard section', () => {
+    const { mainboard, maybeboard } = parseDeckSections(['Deck', '1 Sol Ring', '', 'Maybeboard', '1 Doubling Season', '2 Deepglow Skate'].join('\n'));
+
+    assert.deepEqual(mainboard.map(card => card.name), ['Sol Ring']);
+    assert.deepEqual(maybeboard, [{ quantity: 1, name: 'Doubling Season' }, { quantity: 2, name: 'Deepglow Skate' }]);
+    assert.deepEqual(parseDeckList('Maybeboard\n1 Doubling Season'), [{ quantity: 1, name: 'Doubling Season', zone: 'maybeboard' }]);
+  });
+
+  test('reports the lines it skips, with line numbers', () => {
+    const { mainboard, diagnostics } = parseDeckSections([
+      '1 Sol Ring',
+      'Strategy: proliferate everything',
+      '0 Arcane Signet',
+      '1 $$',
+      'Cut this for more ramp.',
+    ].join('\n'));
+
+    assert.deepEqual(mainboard.map(card => card.name), ['Sol Ring']);
+    assert.deepEqual(diagnostics, [
+      { line: 2, text: 'Strategy: proliferate everything', message: 'Not a card (note)' },
+      { line: 3, text: '0 Arcane Signet', message: 'Quantity is 0' },
+      { line: 4, text: '1 $$', message: 'Not a card name' },
+      { line: 5, text: 'Cut this for more ramp.', message: 'Not a card (sentence)' },
+    ]);
+  });
+
+  test('reads the last short block of a headerless MTGO list as the sideboard', () => {
+    const main = Array.from({ length: 20 }, (_, i) => `3 Test Card ${i + 1}`);
+    const { mainboard, sideboard } = parseDeckSections([...main, '', '2 Duress', '1 Negate'].join('\n'));
+
+    assert.equal(mainboard.length, 20);
+    assert.deepEqual(sideboard, [{ quantity: 2, name: 'Duress' }, { quantity: 1, name: 'Negate' }]);
+  });
+});
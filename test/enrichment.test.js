@@ -0,0 +1,203 @@
+import './setup.js';
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { enrichDecklist, cardIdentifier } from '../src/data/enrichment.js';
+import { toCard, unknownCard, expandCopies } from '../src/utils/cardModel.js';
+import { parseDeckList } from '../src/utils/deckValidator.js';
+import { calculateManaCurve } from '../src/utils/curveAnalysis.js';
+import { calculateDeckCost } from '../src/utils/budgetOptimizer.js';
+import { analyzeInteraction } from '../src/utils/interactionAnalysis.js';
+import { getPowerLevelFactors } from '../src/utils/powerLevel.js';
+import { analyzeDeckBalance } from '../src/utils/deckAnalysis.js';
+import { calculateTotalManaSources } from '../src/utils/manabase.js';
+import { stubScryfallCollection } from './helpers.js';
+
+const scryfallCards = [
+  {
+    id: 'atraxa', name: 'Atraxa, Praetors\' Voice', set: '2xm', collector_number: '190', cmc: 4,
+    mana_cost: '{G}{W}{U}{B}', type_line: 'Legendary Creature — Phyrexian Angel Horror',
+    oracle_text: 'Flying, vigilance, deathtouch, lifelink', colors: ['W', 'U', 'B', 'G'],
+    color_identity: ['W', 'U', 'B', 'G'], power: '4', toughness: '4', prices: { usd: '20.00' },
+  },
+  {
+    id: 'sol-ring-c21', name: 'Sol Ring', set: 'c21', set_name: 'Commander 2021', collector_number: '263', cmc: 1,
+    mana_cost: '{1}', type_line: 'Artifact', oracle_text: '{T}: Add {C}{C}.', colors: [], color_identity: [],
+    prices: { usd: '1.50', usd_foil: '4.00', usd_etched: null },
+  },
+  {
+    id: 'swords', name: 'Swords to Plowshares', set: 'sta', collector_number: '10', cmc: 1,
+    mana_cost: '{W}', type_line: 'Instant', oracle_text: 'Exile target creature. Its controller gains life equal to its power.',
+    colors: ['W'], color_identity: ['W'], prices: { usd: '2.00' },
+  },
+  {
+    id: 'delver', name: 'Delver of Secrets // Insectile Aberration', set: 'isd', collector_number: '51', cmc: 1,
+    color_identity: ['U'], keywords: ['Transform'], prices: { usd: '0.50' },
+    card_faces: [
+      { name: 'Delver of Secrets', mana_cost: '{U}', type_line: 'Creature — Human Wizard', oracle_text: 'At the beginning of your upkeep, look at the top card of your library.', colors: ['U'], power: '1', toughness: '1' },
+      { name: 'Insectile Aberration', mana_cost: '', type_line: 'Creature — Human Insect', oracle_text: 'Flying', colors: ['U'], power: '3', toughness: '2' },
+    ],
+  },
+  {
+    id: 'forest', name: 'Forest', set: 'fdn', collector_number: '280', cmc: 0, mana_cost: '',
+    type_line: 'Basic Land — Forest', oracle_text: '({T}: Add {G}.)', colors: [], color_identity: ['G'], prices: { usd: '0.10' },
+  },
+  {
+    id: 'counterspell', name: 'Counterspell', set: 'mh2', collector_number: '267', cmc: 2, mana_cost: '{U}{U}',
+    type_line: 'Instant', oracle_text: 'Counter target spell.', colors: ['U'], color_identity: ['U'], prices: { usd: '1.00' },
+  },
+];
+
+const pastedList = [
+  'Commander',
+  '1 Atraxa, Praetors\' Voice',
+  '',
+  'Deck',
+  '1 Sol Ring (C21) 263 *F*',
+  '1 Swords to Plowshares',
+  '1 Delver of Secrets // Insectile Aberration',
+  '30 Forest',
+  '1 Mystery Card',
+  '',
+  'Sideboard',
+  '1 Counterspell',
+].join('\n');
+
+describe('toCard', () => {
+  test('joins a double-faced card\'s fields from its faces', () => {
+    const card = toCard(scryfallCards[3]);
+
+    assert.equal(card.mana_cost, '{U}');
+    assert.equal(card.type_line, 'Creature — Human Wizard // Creature — Human Insect');
+    assert.equal(card.type, card.type_line);
+    assert.equal(card.oracle_text, 'At the beginning of your upkeep, look at the top card of your library.\n//\nFlying');
+    assert.equal(card.power, '1 // 3');
+    assert.equal(card.toughness, '1 // 2');
+    assert.deepEqual(card.colors, ['U']);
+  });
+
+  test('prices the entry\'s finish', () => {
+    const solRing = scryfallCards[1];
+    assert.equal(toCard(solRing).price, 1.5);
+    assert.equal(toCard(solRing, { finish: 'foil' }).price, 4);
+    assert.equal(toCard(solRing, { finish: 'etched' }).price, null);
+  });
+
+  test('only records the printing when the entry names one', () => {
+    const solRing = scryfallCards[1];
+    assert.equal(toCard(solRing).set, null);
+    assert.deepEqual(
+      (({ set, setName, collectorNumber }) => ({ set, setName, collectorNumber }))(toCard(solRing, { set: 'C21' })),
+      { set: 'c21', setName: 'Commander 2021', collectorNumber: '263' }
+    );
+  });
+
+  test('builds an empty card for a name Scryfall doesn\'t know', () => {
+    const card = unknownCard({ name: 'Mystery Card', quantity: 2, set: 'TST', collectorNumber: 7, zone: 'sideboard' });
+
+    assert.equal(card.notFound, true);
+    assert.equal(card.quantity, 2);
+    assert.equal(card.zone, 'sideboard');
+    assert.equal(card.set, 'tst');
+    assert.equal(card.collectorNumber, '7');
+    assert.equal(card.cmc, 0);
+    assert.equal(card.type_line, '');
+    assert.equal(card.price, null);
+    assert.equal(card.scryfallId, null);
+  });
+});
+
+describe('expandCopies', () => {
+  test('repeats each card once per copy', () => {
+    const copies = expandCopies([{ name: 'Forest', quantity: 3 }, { name: 'Sol Ring' }]);
+    assert.deepEqual(copies.map(card => [card.name, card.quantity]), [['Forest', 1], ['Forest', 1], ['Forest', 1], ['Sol Ring', 1]]);
+  });
+});
+
+describe('enrichDecklist', () => {
+  let requests;
+  let restore;
+
+  beforeEach(() => {
+    requests = [];
+    restore = stubScryfallCollection(scryfallCards, { requests });
+  });
+
+  afterEach(() => {
+    restore();
+  });
+
+  test('keeps each entry\'s quantity, zone and printing, in order', async () => {
+    const cards = await enrichDecklist(parseDeckList(pastedList));
+
+    assert.deepEqual(cards.map(card => [card.name, card.quantity, card.zone ?? null]), [
+      ['Atraxa, Praetors\' Voice', 1, 'commander'],
+      ['Sol Ring', 1, null],
+      ['Swords to Plowshares', 1, null],
+      ['Delver of Secrets // Insectile Aberration', 1, null],
+      ['Forest', 30, null],
+      ['Mystery Card', 1, null],
+      ['Counterspell', 1, 'sideboard'],
+    ]);
+    const solRing = cards[1];
+    assert.equal(solRing.set, 'c21');
+    assert.equal(solRing.collectorNumber, '263');
+    assert.equal(solRing.finish, 'foil');
+    assert.equal(solRing.price, 4);
+    assert.equal(cards[2].set, null);
+    assert.equal(requests.length, 1);
+    assert.deepEqual(requests[0].identifiers[1], { set: 'c21', collector_number: '263' });
+  });
+
+  test('flags names Scryfall doesn\'t know', async () => {
+    const cards = await enrichDecklist(['Sol Ring', 'Mystery Card']);
+
+    assert.equal(cards[0].notFound, undefined);
+    assert.equal(cards[1].notFound, true);
+    assert.equal(cards[1].name, 'Mystery Card');
+  });
+
+  test('feeds a pasted list straight into the curve, cost and interaction analyzers', async () => {
+    const cards = await enrichDecklist(parseDeckList(pastedList));
+    const deck = cards.filter(card => card.zone !== 'sideboard');
+    assert.equal(deck.length, 6);
+
+    const { curve, totalNonLandCards } = calculateManaCurve(deck);
+    assert.equal(totalNonLandCards, 5);
+    assert.deepEqual([curve[0], curve[1], curve[4]], [1, 3, 1]);
+
+    const cost = calculateDeckCost(deck);
+    assert.equal(cost.total, 29.5);
+    assert.equal(cost.breakdown.lands.toFixed(2), '3.00');
+    assert.equal(cost.mostExpensive[0].name, 'Atraxa, Praetors\' Voice');
+
+    const interaction = analyzeInteraction(deck);
+    assert.equal(interaction.breakdown.spotRemoval, 1);
+    assert.equal(interaction.cards.spotRemoval[0].name, 'Swords to Plowshares');
+    assert.equal(interaction.breakdown.counterspells, 0);
+  });
+
+  test('gives expanded copies and quantities the same results', async () => {
+    const deck = (await enrichDecklist(parseDeckList(pastedList))).filter(card => card.zone !== 'sideboard');
+    const copies = expandCopies(deck);
+    assert.equal(copies.length, 35);
+
+    assert.deepEqual(calculateManaCurve(deck), calculateManaCurve(copies));
+    assert.equal(calculateDeckCost(deck).total, calculateDeckCost(copies).total);
+    assert.equal(calculateDeckCost(deck).averageCardPrice, calculateDeckCost(copies).averageCardPrice);
+    assert.deepEqual(analyzeInteraction(deck).breakdown, analyzeInteraction(copies).breakdown);
+    assert.deepEqual(getPowerLevelFactors(deck), getPowerLevelFactors(copies));
+    assert.equal(analyzeDeckBalance(deck).lands, 30);
+    assert.deepEqual(analyzeDeckBalance(deck).balance, analyzeDeckBalance(copies).balance);
+    assert.deepEqual(calculateTotalManaSources(deck), calculateTotalManaSources(copies));
+  });
+});
+
+describe('cardIdentifier', () => {
+  test('picks the most specific identifier an entry gives', () => {
+    assert.deepEqual(cardIdentifier({ name: 'Sol Ring', scryfallId: 'abc' }), { id: 'abc' });
+    assert.deepEqual(cardIdentifier({ name: 'Sol Ring', set: 'C21', collectorNumber: 263 }), { set: 'c21', collector_number: '263' });
+    assert.deepEqual(cardIdentifier({ name: 'Sol Ring', set: 'C21' }), { name: 'Sol Ring', set: 'c21' });
+    assert.deepEqual(cardIdentifier({ name: 'Sol Ring' }), { name: 'Sol Ring' });
+    assert.equal(cardIdentifier({ quantity: 1 }), null);
+  });
+});
@@ -0,0 +1,107 @@
+import './setup.js';
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { store } from '../src/data/store.js';
+import { MemoryAdapter } from '../src/data/storage.js';
+import { exportFormats, exportCollection, exportDeck, deckEntries } from '../src/data/exporters.js';
+import { parseCollectionCSV, parseMtgoDeck, parseCockatriceDeck } from '../src/data/importers.js';
+import { parseDeckList } from '../src/utils/deckValidator.js';
+
+const inventory = [
+  { name: 'Sol Ring', quantity: 2, set: 'c21', setName: 'Commander 2021', collectorNumber: '263', finish: 'nonfoil', condition: 'NM', language: 'en' },
+  { name: 'Arcane Signet', quantity: 1, set: 'c21', setName: 'Commander 2021', collectorNumber: '236', finish: 'foil', condition: 'LP', language: 'ja' },
+  { name: 'Command Tower', quantity: 3, set: 'c21', setName: 'Commander 2021', collectorNumber: '281', finish: 'etched', condition: 'MP', language: 'de' },
+  { name: 'Borrowing 100,000 Arrows', quantity: 1, set: 'a25', setName: 'Masters 25', collectorNumber: '52', finish: 'nonfoil', condition: 'HP', language: 'en' },
+  { name: 'Minsc & Boo, Timeless Heroes', quantity: 1, set: 'clb', setName: "Commander Legends: Battle for Baldur's Gate", collectorNumber: '285', finish: 'foil', condition: 'DMG', language: 'fr' },
+];
+
+const deck = {
+  name: 'Atraxa <Superfriends>',
+  format: 'commander',
+  commanders: ["Atraxa, Praetors' Voice"],
+  cards: [
+    { name: 'Sol Ring', quantity: 1, set: 'c21', collectorNumber: '263', finish: 'foil' },
+    { name: 'Minsc & Boo, Timeless Heroes', quantity: 1 },
+    { name: 'Forest', quantity: 10 },
+    { name: 'Duress', quantity: 2, zone: 'sideboard' },
+    { name: 'Lurrus of the Dream-Den', quantity: 1, zone: 'companion' },
+    { name: 'Doubling Season', quantity: 1, zone: 'maybeboard' },
+  ],
+};
+
+const printingFields = ({ quantity, name, set, collectorNumber, finish, condition, language }) =>
+  ({ quantity, name, set, collectorNumber, finish, condition, language });
+const deckFields = ({ quantity, name, zone }) => ({ quantity, name, zone: zone || 'mainboard' });
+// Exports group cards by zone, so compare them in a fixed order
+const sorted = cards => [...cards].sort((a, b) => a.zone.localeCompare(b.zone) || a.name.localeCompare(b.name));
+
+describe('exporters', () => {
+  beforeEach(() => {
+    store.useAdapter(new MemoryAdapter());
+    inventory.forEach(card => store.addCard('alice', card));
+    store.createDeck('alice', deck);
+  });
+
+  const exported = () => deckEntries(store.getDeck('alice', deck.name)).map(deckFields);
+
+  test('covers every export format', () => {
+    assert.deepEqual(Object.keys(exportFormats), ['moxfield', 'deckbox', 'text', 'arena', 'mtgo', 'cockatrice']);
+  });
+
+  test('rejects an unknown format', () => {
+    assert.throws(() => exportCollection('alice', 'mtga'), /Unknown export format: mtga\. Supported: moxfield, deckbox/);
+    assert.throws(() => exportDeck('Missing', 'text', { userId: 'alice' }), /Deck "Missing" not found/);
+  });
+
+  describe('round trips', () => {
+    test('moxfield: every printing field reads back', () => {
+      const { format, rows, errors } = parseCollectionCSV(exportCollection('alice', 'moxfield'));
+
+      assert.equal(format, 'moxfield');
+      assert.deepEqual(errors, []);
+      assert.deepEqual(rows.map(printingFields), inventory.map(printingFields));
+    });
+
+    test('deckbox: every printing field reads back, except etched, which Deckbox writes as foil', () => {
+      const { format, rows, errors } = parseCollectionCSV(exportCollection('alice', 'deckbox'));
+
+      assert.equal(format, 'deckbox');
+      assert.deepEqual(errors, []);
+      assert.deepEqual(rows.map(printingFields), inventory.map(card =>
+        printingFields({ ...card, finish: card.finish === 'etched' ? 'foil' : card.finish })));
+      assert.deepEqual(rows.map(row => row.setName), inventory.map(card => card.setName));
+    });
+
+    test('text: every zone reads back; printings are not written', () => {
+      const cards = parseDeckList(exportDeck(deck.name, 'text', { userId: 'alice' }));
+
+      assert.deepEqual(sorted(cards.map(deckFields)), sorted(exported()));
+      assert.ok(cards.every(card => !card.set && !card.finish));
+    });
+
+    test('arena: zones and set and collector number read back; the maybeboard and finishes are not written', () => {
+      const cards = parseDeckList(exportDeck(deck.name, 'arena', { userId: 'alice' }));
+
+      assert.deepEqual(sorted(cards.map(deckFields)), sorted(exported().filter(card => card.zone !== 'maybeboard')));
+      assert.deepEqual(cards.find(card => card.name === 'Sol Ring'), { quantity: 1, name: 'Sol Ring', set: 'c21', collectorNumber: '263' });
+    });
+
+    // MTGO and Cockatrice only have a main deck and a sideboard
+    const sideboarded = () => exported()
+      .filter(card => card.zone !== 'maybeboard')
+      .map(card => ({ ...card, zone: card.zone === 'mainboard' ? 'mainboard' : 'sideboard' }));
+
+    test('mtgo: the main deck reads back; commanders and companions come back in the sideboard, and the maybeboard is left out', () => {
+      const cards = parseMtgoDeck(exportDeck(deck.name, 'mtgo', { userId: 'alice' }));
+      assert.deepEqual(sorted(cards.map(deckFields)), sorted(sideboarded()));
+    });
+
+    test('cockatrice: the main deck reads back; commanders and companions come back in the sideboard, and the maybeboard is left out', () => {
+      const file = exportDeck(deck.name, 'cockatrice', { userId: 'alice' });
+      assert.match(file, /<deckname>Atraxa &lt;Superfriends&gt;<\/deckname>/);
+
+      const cards = parseCockatriceDeck(file);
+      assert.deepEqual(sorted(cards.map(deckFields)), sorted(sideboarded()));
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { allToolSchemas } from '../src/tools/schemas.js';
+import { toAnthropicTools, toGeminiTools, toOllamaTools, normalizeToolCalls } from '../src/tools/formats.js';
+import { validateToolArgs } from '../src/tools/validation.js';
+
+/**
+ * Undo toGeminiSchema: lower-case types again
+ */
+function fromGeminiSchema(schema) {
+  const converted = { ...schema };
+  if (schema.type) converted.type = schema.type.toLowerCase();
+  if (schema.items) converted.items = fromGeminiSchema(schema.items);
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, fromGeminiSchema(value)])
+    );
+  }
+  return converted;
+}
+
+/**
+ * A schema with empty required lists dropped, which Gemini doesn't keep
+ */
+function withoutEmptyRequired(schema) {
+  const copy = { ...schema };
+  if (Array.isArray(copy.required) && !copy.required.length) delete copy.required;
+  if (copy.items) copy.items = withoutEmptyRequired(copy.items);
+  if (copy.properties) {
+    copy.properties = Object.fromEntries(
+      Object.entries(copy.properties).map(([key, value]) => [key, withoutEmptyRequired(value)])
+    );
+  }
+  return copy;
+}
+
+/**
+ * Arguments that satisfy a schema, with every property filled in
+ */
+function sampleValue(schema) {
+  switch (schema.type) {
+    case 'string': return schema.enum ? schema.enum[0] : 'Sol Ring';
+    case 'number': return schema.minimum ?? 1.5;
+    case 'integer': return schema.minimum ?? 1;
+    case 'boolean': return true;
+    case 'array': return [sampleValue(schema.items || { type: 'string' })];
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, property]) => [key, sampleValue(property)])
+      );
+    default: return null;
+  }
+}
+
+/**
+ * Wrap a tool call in each provider's response shape
+ */
+const wireResponses = {
+  openai: (name, args) => ({ choices: [{ message: { tool_calls: [{ id: 'call_1', type: 'function', function: { name, arguments: JSON.stringify(args) } }] } }] }),
+  groq: (name, args) => ({ choices: [{ message: { tool_calls: [{ id: 'call_1', type: 'function', function: { name, arguments: JSON.stringify(args) } }] } }] }),
+  anthropic: (name, args) => ({ content: [{ type: 'tool_use', id: 'call_1', name, input: args }] }),
+  gemini: (name, args) => ({ candidates: [{ content: { parts: [{ functionCall: { name, args } }] } }] }),
+  ollama: (name, args) => ({ message: { tool_calls: [{ function: { name, arguments: args } }] } }),
+};
+
+test('Anthropic tools keep every schema unchanged', () => {
+  const tools = toAnthropicTools(allToolSchemas);
+  assert.equal(tools.length, allToolSchemas.length);
+  tools.forEach((tool, index) => {
+    const { function: fn } = allToolSchemas[index];
+    assert.deepEqual({ name: tool.name, description: tool.description, parameters: tool.input_schema }, fn);
+  });
+});
+
+test('Ollama tools keep every schema unchanged', () => {
+  assert.deepEqual(toOllamaTools(allToolSchemas), allToolSchemas);
+});
+
+test('Gemini declarations convert back to every schema', () => {
+  const [{ functionDeclarations }] = toGeminiTools(allToolSchemas);
+  assert.equal(functionDeclarations.length, allToolSchemas.length);
+
+  functionDeclarations.forEach((declaration, index) => {
+    const { function: fn } = allToolSchemas[index];
+    assert.equal(declaration.name, fn.name);
+    assert.equal(declaration.description, fn.description);
+
+    if (!declaration.parameters) {
+      // Only parameterless tools may omit them
+      assert.deepEqual(Object.keys(fn.parameters.properties || {}), [], fn.name);
+      return;
+    }
+    assert.deepEqual(fromGeminiSchema(declaration.parameters), withoutEmptyRequired(fn.parameters), fn.name);
+  });
+});
+
+test('converted tools do not share objects with the schemas', () => {
+  const [tool] = toAnthropicTools(allToolSchemas);
+  tool.input_schema.properties.mutated = { type: 'string' };
+  assert.equal(allToolSchemas[0].function.parameters.properties.mutated, undefined);
+});
+
+for (const provider of Object.keys(wireResponses)) {
+  test(`${provider} tool calls normalize back to the arguments sent, for every tool`, () => {
+    for (const { function: fn } of allToolSchemas) {
+      const args = sampleValue(fn.parameters);
+      const [call] = normalizeToolCalls(provider, wireResponses[provider](fn.name, args));
+
+      assert.equal(call.name, fn.name);
+      assert.equal(typeof call.id, 'string');
+      assert.deepEqual(call.args, args, fn.name);
+
+      const validation = validateToolArgs(fn.name, call.args);
+      assert.ok(validation.success, `${fn.name}: ${JSON.stringify(validation.issues)}`);
+    }
+  });
+}
+
+test('unknown providers are rejected', () => {
+  assert.throws(() => normalizeToolCalls('palm', {}), /Unknown tool format: palm/);
+});
@@ -0,0 +1,168 @@
+import './setup.js';
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { findUnhandledTools, toolHandlers, executeTool } from '../src/tools/handlers.js';
+import { toolSchemasByName } from '../src/tools/schemas.js';
+import { store } from '../src/data/store.js';
+import { MemoryAdapter } from '../src/data/storage.js';
+import { scryfall } from '../src/integrations/scryfall.js';
+import { UpstreamError } from '../src/integrations/errors.js';
+import { scryfallCard as card, stubScryfallCollection } from './helpers.js';
+
+const alice = { userId: 'alice' };
+
+describe('findUnhandledTools', () => {
+  test('finds a handler for every advertised schema', () => {
+    assert.deepEqual(findUnhandledTools(), []);
+  });
+
+  test('reports a schema with no handler', () => {
+    toolSchemasByName.unhandled_tool = { type: 'function', function: { name: 'unhandled_tool', parameters: { type: 'object', properties: {} } } };
+    try {
+      assert.deepEqual(findUnhandledTools(), ['unhandled_tool']);
+    } finally {
+      delete toolSchemasByName.unhandled_tool;
+    }
+  });
+
+  test('reports a handler entry that is not a function', () => {
+    const handler = toolHandlers.get_decks;
+    toolHandlers.get_decks = null;
+    try {
+      assert.deepEqual(findUnhandledTools(), ['get_decks']);
+    } finally {
+      toolHandlers.get_decks = handler;
+    }
+  });
+});
+
+describe('inventory and sales tools', () => {
+  beforeEach(() => {
+    store.useAdapter(new MemoryAdapter());
+    store.addCard('alice', { name: 'Sol Ring', quantity: 2, type: 'Artifact', folder: 'Binder', prices: { usd: '1.50', usd_foil: '4.00' } });
+    store.addCard('alice', { name: 'Sol Ring', quantity: 1, type: 'Artifact', folder: 'Binder', finish: 'foil', prices: { usd: '1.50', usd_foil: '4.00' } });
+    store.addCard('alice', { name: 'Counterspell', quantity: 1, type: 'Instant', colors: ['U'], prices: { usd: '1.00' } });
+  });
+
+  test('search_inventory lists and values the whole inventory', async () => {
+    const result = await executeTool('search_inventory', { query: 'all' }, alice);
+
+    assert.equal(result.count, 3);
+    assert.equal(result.totalCards, 4);
+    assert.equal(result.totalValue, 8);
+    assert.deepEqual(result.cards.map(card => [card.name, card.quantity, card.folder, card.price]), [
+      ['Sol Ring', 2, 'Binder', 1.5],
+      ['Sol Ring', 1, 'Binder', 4],
+      ['Counterspell', 1, 'Unsorted', 1],
+    ]);
+  });
+
+  test('search_inventory matches name, type or folder and printing filters', async () => {
+    assert.deepEqual((await executeTool('search_inventory', { query: 'instant' }, alice)).cards.map(card => card.name), ['Counterspell']);
+    assert.equal((await executeTool('search_inventory', { query: 'binder' }, alice)).count, 2);
+
+    const foils = await executeTool('search_inventory', { query: 'sol', finish: 'foil' }, alice);
+    assert.equal(foils.count, 1);
+    assert.equal(foils.totalValue, 4);
+  });
+
+  test('search_inventory reports no matches and only reads the caller\'s cards', async () => {
+    assert.deepEqual(await executeTool('search_inventory', { query: 'lotus' }, alice), { message: 'No cards matching "lotus"' });
+    assert.deepEqual(await executeTool('search_inventory', { query: 'all' }, { userId: 'bob' }), { message: 'Inventory is empty' });
+  });
+
+  test('get_sales totals recorded sales', async () => {
+    assert.deepEqual(await executeTool('get_sales', {}, alice), { message: 'No sales recorded' });
+
+    await executeTool('record_sale', { cardName: 'Sol Ring', quantity: 2, price: 3 }, alice);
+    await executeTool('record_sale', { cardName: 'Counterspell', price: 1.25 }, alice);
+    const result = await executeTool('get_sales', {}, alice);
+
+    assert.equal(result.count, 2);
+    assert.equal(result.totalRevenue, '4.25');
+    assert.deepEqual(result.sales.map(sale => [sale.cardName, sale.quantity, sale.price]), [
+      ['Sol Ring', 2, 3],
+      ['Counterspell', 1, 1.25],
+    ]);
+    assert.equal((await executeTool('get_sales', {}, { userId: 'bob' })).message, 'No sales recorded');
+  });
+});
+
+describe('get_decks', () => {
+  beforeEach(() => {
+    store.useAdapter(new MemoryAdapter());
+    store.createDeck('alice', { name: 'Rats', commander: 'Marrow-Gnawer', format: 'commander' });
+    store.createDeck('alice', { name: 'Partners', commanders: ['Thrasios, Triton Hero', 'Tymna the Weaver'], format: 'commander' });
+    store.addCardToDeck('alice', 'Rats', { name: 'Relentless Rats', quantity: 30 });
+  });
+
+  test('summarizes every deck', async () => {
+    const result = await executeTool('get_decks', {}, alice);
+
+    assert.equal(result.count, 2);
+    assert.deepEqual(result.decks[0], { name: 'Rats', commander: 'Marrow-Gnawer', format: 'commander', cardCount: 1 });
+    assert.deepEqual(result.decks[1].commanders, ['Thrasios, Triton Hero', 'Tymna the Weaver']);
+  });
+
+  test('returns one deck by name, or says it is missing', async () => {
+    const deck = await executeTool('get_decks', { deckName: 'rats' }, alice);
+    assert.equal(deck.name, 'Rats');
+    assert.deepEqual(deck.cards.map(card => [card.name, card.quantity]), [['Relentless Rats', 30]]);
+
+    assert.deepEqual(await executeTool('get_decks', { deckName: 'Elves' }, alice), { success: false, message: 'Deck "Elves" not found' });
+    assert.deepEqual(await executeTool('get_decks', {}, { userId: 'bob' }), { message: 'No decks found' });
+  });
+});
+
+describe('validate_deck', () => {
+  let restore;
+  const known = new Map([
+    ['Omnath, Locus of Mana', card('Omnath, Locus of Mana', { type_line: 'Legendary Creature — Elemental', mana_cost: '{2}{G}', color_identity: ['G'] })],
+    ['Counterspell', card('Counterspell', { type_line: 'Instant', mana_cost: '{U}{U}', color_identity: ['U'] })],
+    ['Black Lotus', card('Black Lotus', { mana_cost: '{0}', legalities: { commander: 'banned' } })],
+  ].map(([name, entry]) => [name.toLowerCase(), entry]));
+  const lookup = ({ name }) => known.get(name.toLowerCase()) ?? (name.startsWith('Test Card') ? card(name) : null);
+  const decklist = (extra = []) => [...Array.from({ length: 99 - extra.length }, (_, index) => `Test Card ${index + 1}`), ...extra];
+
+  beforeEach(() => {
+    restore = stubScryfallCollection(lookup);
+  });
+
+  afterEach(() => {
+    restore();
+  });
+
+  test('accepts a legal deck', async () => {
+    const result = await executeTool('validate_deck', { commander: 'Omnath, Locus of Mana', decklist: decklist() }, alice);
+
+    assert.equal(result.isValid, true);
+    assert.equal(result.format, 'commander');
+    assert.equal(result.totalCards, 100);
+    assert.deepEqual(result.colorIdentity, ['G']);
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.notFound, undefined);
+  });
+
+  test('lists banned, duplicate, off-color and unknown cards', async () => {
+    const result = await executeTool('validate_deck', {
+      commander: 'Omnath, Locus of Mana',
+      decklist: decklist(['Black Lotus', 'Counterspell', 'Test Card 1', 'Not A Real Card']),
+    }, alice);
+
+    assert.equal(result.isValid, false);
+    assert.deepEqual(result.bannedCards, ['Black Lotus']);
+    assert.deepEqual(result.duplicates, ['Test Card 1']);
+    assert.ok(result.violations.some(violation => violation.card === 'Counterspell' && violation.type === 'colorIdentity'));
+    assert.equal(result.errors.length, result.violations.length);
+    assert.deepEqual(result.notFound, ['Not A Real Card']);
+  });
+
+  test('reports Scryfall being down instead of missing cards', async () => {
+    scryfall.request = async () => { throw new UpstreamError('503 Service Unavailable', { service: 'Scryfall API', status: 503 }); };
+    const result = await executeTool('validate_deck', { commander: 'Omnath, Locus of Mana', decklist: decklist() }, alice);
+
+    assert.equal(result.success, false);
+    assert.equal(result.unavailable, true);
+    assert.match(result.message, /^Scryfall API is unavailable right now/);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Test Helpers
+ */
+
+import http from 'http';
+import { createRequire } from 'module';
+import { scryfall } from '../src/integrations/scryfall.js';
+import { httpCache } from '../src/integrations/httpCache.js';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Whether the optional better-sqlite3 package is installed, for the SQLite adapter tests
+ */
+export const hasSqliteDriver = (() => {
+  try {
+    require('better-sqlite3');
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+/**
+ * Start a local HTTP server that answers each request from a list of replies
+ * @param {Array<Object|Function>} replies - JSON bodies in order, or
+ *   (request) => { status, body, headers } functions
+ * @returns {Promise<Object>} { baseUrl, requests, close } - requests are
+ *   { method, url, headers, body } with the body parsed as JSON
+ */
+export async function startMockServer(replies) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let text = '';
+    req.on('data', chunk => { text += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: text ? JSON.parse(text) : null };
+      requests.push(request);
+
+      const reply = replies[requests.length - 1];
+      const { status = 200, body = {}, headers = {} } = typeof reply === 'function' ? reply(request) : { body: reply };
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+/**
+ * Build a Scryfall card object, a legal colorless artifact unless fields say otherwise
+ * @param {string} name - Card name
+ * @param {Object} fields - Scryfall fields to set (id, set, type_line, prices...)
+ * @returns {Object} Scryfall card
+ */
+export function scryfallCard(name, fields = {}) {
+  return {
+    id: name.toLowerCase().replace(/\W+/g, '-'),
+    name,
+    set: 'tst',
+    collector_number: '1',
+    type_line: 'Artifact',
+    mana_cost: '{2}',
+    oracle_text: '',
+    color_identity: [],
+    legalities: { commander: 'legal' },
+    prices: {},
+    ...fields,
+  };
+}
+
+/**
+ * Whether a card answers to a /cards/collection identifier
+ * @private
+ */
+function matchesIdentifier(card, identifier) {
+  if (identifier.id) return card.id === identifier.id;
+  if (identifier.collector_number) {
+    return card.set === identifier.set && card.collector_number === identifier.collector_number;
+  }
+  return card.name.toLowerCase() === identifier.name.toLowerCase() && (!identifier.set || card.set === identifier.set);
+}
+
+/**
+ * Answer Scryfall's /cards/collection from a list of cards instead of the network
+ * Starts from empty card and HTTP caches, so earlier tests' lookups don't leak in.
+ * @param {Array|Function} cards - Scryfall cards, or identifier => card (or null)
+ * @param {Object} options - { requests, endpoints } - requests collects
+ *   { endpoint, identifiers } for each call; endpoints maps other endpoints to their replies
+ * @returns {Function} Puts the real scryfall.request back
+ */
+export function stubScryfallCollection(cards, { requests = [], endpoints = {} } = {}) {
+  const request = scryfall.request;
+  const find = typeof cards === 'function'
+    ? cards
+    : identifier => cards.find(card => matchesIdentifier(card, identifier)) ?? null;
+
+  scryfall.clearCache();
+  httpCache.purge();
+  scryfall.request = async (endpoint, params, { body } = {}) => {
+    requests.push({ endpoint, identifiers: body?.identifiers ?? null });
+    if (endpoint in endpoints) return endpoints[endpoint];
+
+    const found = body.identifiers.map(identifier => find(identifier));
+    return {
+      data: found.filter(Boolean),
+      not_found: body.identifiers.filter((identifier, index) => !found[index]),
+    };
+  };
+
+  return () => {
+    scryfall.request = request;
+  };
+}
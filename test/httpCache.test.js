@@ -0,0 +1,237 @@
+import { testDataDir } from './setup.js';
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { config } from '../src/integrations/config.js';
+import { HttpCache } from '../src/integrations/httpCache.js';
+import { UpstreamError } from '../src/integrations/errors.js';
+import { startMockServer } from './helpers.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const LAST_MODIFIED = 'Wed, 01 Oct 2025 12:00:00 GMT';
+
+describe('HttpCache', () => {
+  let server;
+  let cache;
+
+  /**
+   * Start a mock server with a rate limit that doesn't slow the tests down
+   */
+  async function serve(replies) {
+    server = await startMockServer(replies);
+    config.http.rateLimits[new URL(server.baseUrl).host] = { perSecond: 1000, burst: 10 };
+    return server;
+  }
+
+  beforeEach(() => {
+    cache = new HttpCache({ mode: 'memory', ttl: { card: 60000, price: 60000, default: 60000 } });
+  });
+
+  afterEach(async () => {
+    await server?.close();
+    server = null;
+  });
+
+  describe('TTL', () => {
+    test('answers from the cache until the TTL passes', async () => {
+      cache.configure({ ttl: { card: 300 } });
+      await serve([{ name: 'Sol Ring' }, { name: 'Sol Ring', usd: '2.00' }]);
+      const url = `${server.baseUrl}/cards/named`;
+
+      const first = await cache.fetch(url, { resource: 'card' });
+      const second = await cache.fetch(url, { resource: 'card' });
+      assert.equal(first.cache, null);
+      assert.equal(second.cache, 'hit');
+      assert.equal(second.text, first.text);
+      assert.equal(server.requests.length, 1);
+
+      await sleep(350);
+      const third = await cache.fetch(url, { resource: 'card' });
+      assert.equal(third.cache, null);
+      assert.deepEqual(JSON.parse(third.text), { name: 'Sol Ring', usd: '2.00' });
+      assert.equal(server.requests.length, 2);
+    });
+
+    test('keeps POST bodies apart and skips the cache without a resource', async () => {
+      await serve([{ n: 1 }, { n: 2 }, { n: 3 }, { n: 4 }]);
+      const url = `${server.baseUrl}/cards/collection`;
+      const post = body => cache.fetch(url, { resource: 'price', method: 'POST', body: JSON.stringify(body) });
+
+      await post({ identifiers: [{ name: 'Sol Ring' }] });
+      await post({ identifiers: [{ name: 'Arcane Signet' }] });
+      assert.equal((await post({ identifiers: [{ name: 'Sol Ring' }] })).cache, 'hit');
+      await cache.fetch(`${server.baseUrl}/cards/random`, { resource: null });
+      await cache.fetch(`${server.baseUrl}/cards/random`, { resource: null });
+
+      assert.equal(server.requests.length, 4);
+    });
+  });
+
+  describe('revalidation', () => {
+    test('sends the ETag and Last-Modified date and reuses the copy on a 304', async () => {
+      await serve([
+        () => ({ body: { name: 'Sol Ring' }, headers: { ETag: '"v1"', 'Last-Modified': LAST_MODIFIED } }),
+        () => ({ status: 304 }),
+        { name: 'never requested' },
+      ]);
+      const url = `${server.baseUrl}/cards/named`;
+
+      await cache.fetch(url, { resource: 'card' });
+      cache.entries.forEach(entry => { entry.expiresAt = 0; });
+      const revalidated = await cache.fetch(url, { resource: 'card' });
+
+      assert.equal(revalidated.cache, 'revalidated');
+      assert.deepEqual(JSON.parse(revalidated.text), { name: 'Sol Ring' });
+      assert.equal(server.requests[1].headers['if-none-match'], '"v1"');
+      assert.equal(server.requests[1].headers['if-modified-since'], LAST_MODIFIED);
+
+      // Fresh again for the TTL
+      assert.equal((await cache.fetch(url, { resource: 'card' })).cache, 'hit');
+      assert.equal(server.requests.length, 2);
+    });
+
+    test('replaces the copy when the server sends a new one', async () => {
+      await serve([
+        () => ({ body: { usd: '1.00' }, headers: { ETag: '"v1"' } }),
+        () => ({ body: { usd: '1.50' }, headers: { ETag: '"v2"' } }),
+      ]);
+      cache.configure({ ttl: { price: 0 } });
+      const url = `${server.baseUrl}/cards/named`;
+
+      await cache.fetch(url, { resource: 'price' });
+      const updated = await cache.fetch(url, { resource: 'price' });
+
+      assert.equal(updated.cache, null);
+      assert.deepEqual(JSON.parse(updated.text), { usd: '1.50' });
+      assert.equal([...cache.entries.values()][0].etag, '"v2"');
+    });
+  });
+
+  describe('stale fallback', () => {
+    for (const status of [429, 500, 503]) {
+      test(`serves the expired copy on a ${status}`, async () => {
+        await serve([{ name: 'Sol Ring' }, () => ({ status, body: { error: 'busy' } })]);
+        cache.configure({ ttl: { card: 0 } });
+        const url = `${server.baseUrl}/cards/named`;
+
+        await cache.fetch(url, { resource: 'card' });
+        const stale = await cache.fetch(url, { resource: 'card' });
+
+        assert.equal(stale.ok, true);
+        assert.equal(stale.cache, 'stale');
+        assert.deepEqual(JSON.parse(stale.text), { name: 'Sol Ring' });
+      });
+    }
+
+    test('serves the expired copy when the server is unreachable', async () => {
+      await serve([{ name: 'Sol Ring' }]);
+      cache.configure({ ttl: { card: 0 } });
+      const url = `${server.baseUrl}/cards/named`;
+
+      await cache.fetch(url, { resource: 'card' });
+      await server.close();
+      server = null;
+
+      assert.equal((await cache.fetch(url, { resource: 'card' })).cache, 'stale');
+      await assert.rejects(cache.fetch(`${url}?other`, { resource: 'card' }), UpstreamError);
+    });
+
+    test('returns errors as they are when nothing is cached', async () => {
+      await serve([() => ({ status: 429, body: {}, headers: { 'Retry-After': '60' } })]);
+
+      const response = await cache.fetch(`${server.baseUrl}/cards/named`, { resource: 'card' });
+
+      assert.equal(response.ok, false);
+      assert.equal(response.status, 429);
+      assert.equal(response.retryAfter, 60000);
+      assert.equal(cache.stats().entries, 0);
+    });
+  });
+
+  describe('stats and purge', () => {
+    /**
+     * Cache one card, one price and one deck response
+     */
+    async function fill() {
+      await serve([{ name: 'Sol Ring' }, { usd: '1.00' }, { deck: [] }]);
+      await cache.fetch(`${server.baseUrl}/cards/named?exact=Sol+Ring`, { resource: 'card' });
+      await cache.fetch(`${server.baseUrl}/cards/named?exact=Sol+Ring&price`, { resource: 'price' });
+      await cache.fetch(`${server.baseUrl}/decks/abc`, { resource: 'deck' });
+    }
+
+    test('counts this session\'s hits and misses and everything stored', async () => {
+      cache.configure({ ttl: { deck: 0 } });
+      await fill();
+      await cache.fetch(`${server.baseUrl}/cards/named?exact=Sol+Ring`, { resource: 'card' });
+
+      const stats = cache.stats();
+      assert.equal(stats.mode, 'memory');
+      assert.equal(stats.dir, null);
+      assert.equal(stats.hits, 1);
+      assert.equal(stats.misses, 3);
+      assert.equal(stats.entries, 3);
+      assert.equal(stats.expired, 1);
+      assert.equal(stats.bytes, JSON.stringify({ name: 'Sol Ring' }).length
+        + JSON.stringify({ usd: '1.00' }).length + JSON.stringify({ deck: [] }).length);
+      assert.deepEqual(stats.byResource.deck, { entries: 1, bytes: JSON.stringify({ deck: [] }).length, expired: 1 });
+      assert.equal(stats.byResource.card.expired, 0);
+    });
+
+    test('purges by resource, URL prefix and expiry', async () => {
+      cache.configure({ ttl: { deck: 0 } });
+      await fill();
+
+      assert.equal(cache.purge({ expired: true }), 1);
+      assert.equal(cache.stats().byResource.deck, undefined);
+      assert.equal(cache.purge({ resource: 'price' }), 1);
+      assert.equal(cache.purge({ url: `${server.baseUrl}/decks` }), 0);
+      assert.equal(cache.purge({ url: `${server.baseUrl}/cards` }), 1);
+      assert.equal(cache.stats().entries, 0);
+    });
+
+    test('purges everything with no filters', async () => {
+      await fill();
+      assert.equal(cache.purge(), 3);
+      assert.equal(cache.stats().entries, 0);
+    });
+  });
+
+  describe('disk mode', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(testDataDir, 'http-cache-'));
+      cache = new HttpCache({ mode: 'disk', dir, ttl: { card: 60000 } });
+    });
+
+    test('keeps entries on disk only, across instances', async () => {
+      await serve([{ name: 'Sol Ring' }]);
+      const url = `${server.baseUrl}/cards/named`;
+
+      await cache.fetch(url, { resource: 'card' });
+      assert.equal(cache.entries.size, 0);
+      assert.equal(fs.readdirSync(dir).length, 1);
+
+      const restarted = new HttpCache({ mode: 'disk', dir, ttl: { card: 60000 } });
+      const hit = await restarted.fetch(url, { resource: 'card' });
+      assert.equal(hit.cache, 'hit');
+      assert.equal(restarted.entries.size, 0);
+      assert.equal(restarted.stats().entries, 1);
+      assert.equal(restarted.stats().dir, dir);
+      assert.equal(server.requests.length, 1);
+    });
+
+    test('removes purged entries from disk', async () => {
+      await serve([{ name: 'Sol Ring' }, { name: 'Arcane Signet' }]);
+      await cache.fetch(`${server.baseUrl}/cards/named?exact=Sol+Ring`, { resource: 'card' });
+      await cache.fetch(`${server.baseUrl}/cards/named?exact=Arcane+Signet`, { resource: 'card' });
+
+      assert.equal(cache.purge({ url: `${server.baseUrl}/cards/named?exact=Sol` }), 1);
+      assert.equal(fs.readdirSync(dir).length, 1);
+      assert.equal(cache.purge(), 1);
+      assert.deepEqual(fs.readdirSync(dir), []);
+    });
+  });
+});
@@ -0,0 +1,258 @@
+import './setup.js';
+import { describe, test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { execFileSync } from 'child_process';
+import { config } from '../src/integrations/config.js';
+import { httpRequest, parseRetryAfter, TokenBucket } from '../src/integrations/httpClient.js';
+import { httpCache } from '../src/integrations/httpCache.js';
+import {
+  IntegrationError, NotFoundError, RateLimitedError, UpstreamError, errorForResponse, isUnavailable,
+} from '../src/integrations/errors.js';
+import { startMockServer } from './helpers.js';
+
+/**
+ * Start a server that sends headers and part of a body, or nothing, then hangs
+ */
+async function startHungServer({ sendHeaders = false } = {}) {
+  const server = http.createServer((req, res) => {
+    if (sendHeaders) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.write('{"partial":');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hang`,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+/**
+ * Start a mock server with its own rate limit, so tests don't wait on the
+ * default one request per 200ms
+ */
+async function startLimitedServer(replies, rateLimit = { perSecond: 1000, burst: 10 }) {
+  const server = await startMockServer(replies);
+  config.http.rateLimits[new URL(server.baseUrl).host] = rateLimit;
+  return server;
+}
+
+/**
+ * Record when each request reached the server
+ */
+const timed = (times, reply) => request => {
+  times.push(Date.now());
+  return typeof reply === 'function' ? reply(request) : reply;
+};
+
+/**
+ * The HTTP settings config.js reads from an environment
+ */
+function httpConfigFor(env) {
+  const script = "import('./src/integrations/config.js').then(({ config }) => console.log(JSON.stringify(config.http)))";
+  const output = execFileSync(process.execPath, ['-e', script], {
+    env: { ...process.env, BIGDECK_HTTP_RETRIES: '', BIGDECK_HTTP_TIMEOUT: '', ...env },
+    encoding: 'utf8',
+  });
+  return JSON.parse(output);
+}
+
+describe('httpRequest timeout', () => {
+  test('gives up on a server that never answers', async () => {
+    const server = await startHungServer();
+    try {
+      const started = Date.now();
+      await assert.rejects(
+        httpRequest(server.url, { service: 'Hung service', retries: 0, timeout: 200 }),
+        error => error instanceof UpstreamError && /Hung service unreachable/.test(error.message)
+      );
+      assert.ok(Date.now() - started < 5000);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('gives up on a body that stops arriving', async () => {
+    const server = await startHungServer({ sendHeaders: true });
+    const { timeout } = config.http;
+    config.http.timeout = 200;
+    try {
+      await assert.rejects(
+        httpCache.fetch(server.url, { resource: null, service: 'Hung service' }),
+        error => error instanceof UpstreamError && /Hung service unreachable/.test(error.message)
+      );
+    } finally {
+      config.http.timeout = timeout;
+      await server.close();
+    }
+  });
+});
+
+describe('TokenBucket', () => {
+  test('hands out tokens one at a time again after a pause', async () => {
+    const bucket = new TokenBucket({ perSecond: 20, burst: 5 });
+    const started = Date.now();
+    bucket.pause(200);
+
+    const released = await Promise.all([1, 2, 3].map(() => bucket.take().then(() => Date.now() - started)));
+
+    assert.ok(released[0] >= 190, `first token at ${released[0]}ms`);
+    assert.ok(released[1] - released[0] >= 40, `second token ${released[1] - released[0]}ms after the first`);
+    assert.ok(released[2] - released[1] >= 40, `third token ${released[2] - released[1]}ms after the second`);
+  });
+});
+
+describe('httpRequest retries', () => {
+  const { backoff, maxRetryWait } = config.http;
+  const random = Math.random;
+  let server;
+
+  afterEach(async () => {
+    config.http.backoff = backoff;
+    config.http.maxRetryWait = maxRetryWait;
+    Math.random = random;
+    await server?.close();
+    server = null;
+  });
+
+  test('sends queued requests to a host in the order they were made', async () => {
+    server = await startLimitedServer(Array(5).fill({ ok: true }), { perSecond: 50, burst: 1 });
+
+    await Promise.all([1, 2, 3, 4, 5].map(n => httpRequest(`${server.baseUrl}/${n}`, { retries: 0 })));
+
+    assert.deepEqual(server.requests.map(request => request.url), ['/1', '/2', '/3', '/4', '/5']);
+  });
+
+  test('retries 5xx responses with exponential backoff', async () => {
+    config.http.backoff = 20;
+    Math.random = () => 1; // no jitter: waits of 20, 40 and 80ms
+    const times = [];
+    server = await startLimitedServer([
+      timed(times, { status: 503 }),
+      timed(times, { status: 500 }),
+      timed(times, { status: 502 }),
+      timed(times, { status: 200, body: { ok: true } }),
+    ]);
+
+    const response = await httpRequest(`${server.baseUrl}/cards`, { retries: 3 });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { ok: true });
+    const gaps = times.slice(1).map((time, index) => time - times[index]);
+    [20, 40, 80].forEach((wait, index) => assert.ok(gaps[index] >= wait - 2, `retry ${index + 1} after ${gaps[index]}ms`));
+  });
+
+  test('returns the last response once the retries run out', async () => {
+    config.http.backoff = 1;
+    server = await startLimitedServer(Array(3).fill(() => ({ status: 500, body: { error: 'boom' } })));
+
+    const response = await httpRequest(`${server.baseUrl}/cards`, { retries: 2 });
+
+    assert.equal(response.status, 500);
+    assert.equal(server.requests.length, 3);
+  });
+
+  test('does not retry other client errors', async () => {
+    server = await startLimitedServer([() => ({ status: 404 }), { ok: true }]);
+
+    const response = await httpRequest(`${server.baseUrl}/cards`, { retries: 3 });
+
+    assert.equal(response.status, 404);
+    assert.equal(server.requests.length, 1);
+  });
+
+  test('waits for a 429\'s Retry-After before trying again', async () => {
+    const times = [];
+    server = await startLimitedServer([
+      timed(times, { status: 429, headers: { 'Retry-After': '1' } }),
+      timed(times, { body: { ok: true } }),
+    ]);
+
+    const response = await httpRequest(`${server.baseUrl}/cards`, { retries: 1 });
+
+    assert.equal(response.status, 200);
+    assert.ok(times[1] - times[0] >= 990, `retried after ${times[1] - times[0]}ms`);
+  });
+
+  test('gives up at once when Retry-After is longer than maxRetryWait', async () => {
+    config.http.maxRetryWait = 500;
+    server = await startLimitedServer([() => ({ status: 429, headers: { 'Retry-After': '5' } }), { ok: true }]);
+
+    const started = Date.now();
+    const response = await httpRequest(`${server.baseUrl}/cards`, { retries: 3 });
+
+    assert.equal(response.status, 429);
+    assert.equal(server.requests.length, 1);
+    assert.ok(Date.now() - started < 500);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('reads seconds', () => {
+    assert.equal(parseRetryAfter('120'), 120000);
+    assert.equal(parseRetryAfter(' 0 '), 0);
+  });
+
+  test('reads an HTTP date', () => {
+    const wait = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+    assert.ok(wait > 58000 && wait <= 60000, `${wait}ms`);
+    assert.equal(parseRetryAfter(new Date(Date.now() - 60000).toUTCString()), 0);
+  });
+
+  test('ignores a missing or unreadable header', () => {
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter('soon'), null);
+  });
+});
+
+describe('errorForResponse', () => {
+  test('types each failed status', () => {
+    const notFound = errorForResponse('Scryfall API', { status: 404, statusText: 'Not Found', url: 'https://api.scryfall.com/cards/named' });
+    assert.ok(notFound instanceof NotFoundError);
+    assert.equal(notFound.message, 'Scryfall API error: 404 Not Found');
+    assert.equal(notFound.url, 'https://api.scryfall.com/cards/named');
+    assert.equal(isUnavailable(notFound), false);
+
+    const rateLimited = errorForResponse('Scryfall API', { status: 429, retryAfter: 60000 });
+    assert.ok(rateLimited instanceof RateLimitedError);
+    assert.equal(rateLimited.retryAfter, 60000);
+    assert.equal(isUnavailable(rateLimited), true);
+
+    for (const status of [500, 502, 503]) {
+      const upstream = errorForResponse('Scryfall API', { status });
+      assert.ok(upstream instanceof UpstreamError, String(status));
+      assert.equal(upstream.status, status);
+      assert.equal(isUnavailable(upstream), true);
+    }
+
+    const badRequest = errorForResponse('Scryfall API', { status: 400 });
+    assert.ok(badRequest instanceof IntegrationError);
+    assert.ok(!(badRequest instanceof NotFoundError || isUnavailable(badRequest)));
+    assert.equal(badRequest.service, 'Scryfall API');
+  });
+});
+
+describe('http config', () => {
+  test('defaults to 3 retries and a 30 second timeout', () => {
+    const { retries, timeout } = httpConfigFor({});
+    assert.equal(retries, 3);
+    assert.equal(timeout, 30000);
+  });
+
+  test('falls back to 3 retries when BIGDECK_HTTP_RETRIES is not a count', () => {
+    for (const value of ['abc', '-1', '2.5']) {
+      assert.equal(httpConfigFor({ BIGDECK_HTTP_RETRIES: value }).retries, 3, value);
+    }
+    assert.equal(httpConfigFor({ BIGDECK_HTTP_RETRIES: '0' }).retries, 0);
+  });
+
+  test('reads BIGDECK_HTTP_TIMEOUT in ms, with 0 for no timeout', () => {
+    assert.equal(httpConfigFor({ BIGDECK_HTTP_TIMEOUT: '5000' }).timeout, 5000);
+    assert.equal(httpConfigFor({ BIGDECK_HTTP_TIMEOUT: '0' }).timeout, null);
+    assert.equal(httpConfigFor({ BIGDECK_HTTP_TIMEOUT: 'soon' }).timeout, 30000);
+  });
+});
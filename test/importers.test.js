@@ -0,0 +1,161 @@
+import './setup.js';
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { store } from '../src/data/store.js';
+import { MemoryAdapter } from '../src/data/storage.js';
+import { detectCollectionFormat, parseCollectionCSV, importCollection } from '../src/data/importers.js';
+import { scryfallCard, stubScryfallCollection } from './helpers.js';
+
+const fixture = name => fs.readFileSync(new URL(`./fixtures/collections/${name}.csv`, import.meta.url), 'utf8');
+
+const card = (id, name, set, collectorNumber) => scryfallCard(name, {
+  id, set, collector_number: collectorNumber, set_name: set === 'c21' ? 'Commander 2021' : 'Double Masters',
+  prices: { usd: '1.00', usd_foil: '2.00', usd_etched: '3.00' },
+});
+
+const catalog = [
+  card('sol-ring-c21', 'Sol Ring', 'c21', '263'),
+  card('arcane-signet-c21', 'Arcane Signet', 'c21', '236'),
+  card('command-tower-c21', 'Command Tower', 'c21', '281'),
+  card('lightning-bolt-2xm', 'Lightning Bolt', '2xm', '117'),
+];
+const sets = [{ code: 'c21', name: 'Commander 2021' }, { code: '2xm', name: 'Double Masters' }];
+
+// Each fixture lists the same cards, the way its app writes them
+const dialects = {
+  moxfield: 'Moxfield',
+  deckbox: 'Deckbox',
+  manabox: 'ManaBox',
+  tcgplayer: 'TCGplayer',
+  archidekt: 'Archidekt',
+};
+
+const expectedRows = [
+  { row: 2, quantity: 2, name: 'Sol Ring', collectorNumber: '263', finish: 'nonfoil', condition: 'NM', language: 'en' },
+  { row: 3, quantity: 1, name: 'Arcane Signet', collectorNumber: '236', finish: 'foil', condition: 'LP', language: 'ja' },
+  { row: 4, quantity: 3, name: 'Command Tower', collectorNumber: '281', finish: 'etched', condition: 'MP', language: 'de' },
+  { row: 5, quantity: 1, name: 'Lightning Bolt', collectorNumber: '117', finish: 'nonfoil', condition: 'HP', language: 'en' },
+  { row: 6, quantity: 1, name: 'Not A Real Card', collectorNumber: null, finish: 'nonfoil', condition: 'NM', language: 'en' },
+  { row: 7, quantity: 1, name: 'Sol Ring', collectorNumber: '281', finish: 'nonfoil', condition: 'NM', language: 'en' },
+];
+
+const expectedInventory = [
+  ['Sol Ring', 'c21', '263', 'nonfoil', 'NM', 'en', 2],
+  ['Arcane Signet', 'c21', '236', 'foil', 'LP', 'ja', 1],
+  ['Command Tower', 'c21', '281', 'etched', 'MP', 'de', 3],
+  ['Lightning Bolt', '2xm', '117', 'nonfoil', 'HP', 'en', 1],
+];
+
+const expectedUnmatched = [
+  { row: 6, name: 'Not A Real Card', set: null, collectorNumber: null, reason: 'No card named "Not A Real Card" on Scryfall' },
+  { row: 7, name: 'Sol Ring', set: 'c21', collectorNumber: '281', reason: 'C21 #281 is Command Tower, not Sol Ring' },
+  { row: 8, name: 'Sol Ring', reason: 'Invalid quantity "x"' },
+];
+
+const inventory = userId => store.getInventory(userId).map(card =>
+  [card.name, card.set, card.collectorNumber, card.finish, card.condition, card.language, card.quantity]
+);
+
+describe('detectCollectionFormat', () => {
+  for (const key of Object.keys(dialects)) {
+    test(`recognises a ${dialects[key]} export`, () => {
+      const [header] = fixture(key).split('\n');
+      const headers = header.split(',').map(column => column.replace(/"/g, ''));
+      assert.equal(detectCollectionFormat(headers), key);
+    });
+  }
+
+  test('returns null for a CSV from anywhere else', () => {
+    assert.equal(detectCollectionFormat(['Card', 'Amount']), null);
+    assert.throws(() => parseCollectionCSV('Card,Amount\nSol Ring,1\n'), /^Error: Unrecognised collection CSV\. Supported: ManaBox, TCGplayer, Archidekt, Deckbox, Moxfield$/);
+    assert.throws(() => parseCollectionCSV('Card,Amount\n', { format: 'mtga' }), /Unknown collection format: mtga\. Supported: manabox/);
+  });
+});
+
+describe('parseCollectionCSV', () => {
+  for (const key of Object.keys(dialects)) {
+    test(`maps ${dialects[key]} conditions, languages, finishes and collector numbers`, () => {
+      const { format, rows, errors } = parseCollectionCSV(fixture(key));
+
+      assert.equal(format, key);
+      assert.deepEqual(rows.map(({ row, quantity, name, collectorNumber, finish, condition, language }) =>
+        ({ row, quantity, name, collectorNumber, finish, condition, language })), expectedRows);
+      assert.deepEqual(errors, [{ row: 8, name: 'Sol Ring', reason: 'Invalid quantity "x"' }]);
+    });
+  }
+
+  test('keeps set names and Scryfall IDs where the app exports them', () => {
+    const [manabox] = parseCollectionCSV(fixture('manabox')).rows;
+    assert.equal(manabox.set, 'c21');
+    assert.equal(manabox.setName, 'Commander 2021');
+    assert.equal(manabox.scryfallId, 'sol-ring-c21');
+
+    const [deckbox] = parseCollectionCSV(fixture('deckbox')).rows;
+    assert.equal(deckbox.set, null);
+    assert.equal(deckbox.setName, 'Commander 2021');
+  });
+});
+
+describe('importCollection', () => {
+  let requests;
+  let restore;
+
+  beforeEach(() => {
+    requests = [];
+    store.useAdapter(new MemoryAdapter());
+    restore = stubScryfallCollection(catalog, { requests, endpoints: { '/sets': { data: sets } } });
+  });
+
+  afterEach(() => {
+    restore();
+  });
+
+  for (const key of Object.keys(dialects)) {
+    test(`imports a ${dialects[key]} export and reports the rows it could not match`, async () => {
+      const result = await importCollection(fixture(key), { userId: 'alice' });
+
+      assert.equal(result.format, key);
+      assert.deepEqual(result.imported, { rows: 4, cards: 7, created: 4, updated: 0, unchanged: 0 });
+      assert.deepEqual(result.unmatched, expectedUnmatched);
+      assert.equal(result.message, `Imported 7 cards (4 printings) from ${dialects[key]}; 3 rows could not be matched`);
+      assert.deepEqual(inventory('alice'), expectedInventory);
+    });
+  }
+
+  test('fills in set codes from set names, once per import', async () => {
+    await importCollection(fixture('tcgplayer'), { userId: 'alice' });
+
+    // TCGplayer's "2XMS" isn't a Scryfall code; the set name gives 2xm
+    assert.deepEqual(inventory('alice')[3], ['Lightning Bolt', '2xm', '117', 'nonfoil', 'HP', 'en', 1]);
+    assert.equal(requests.filter(({ endpoint }) => endpoint === '/sets').length, 1);
+  });
+
+  test('changes nothing on a dry run', async () => {
+    const result = await importCollection(fixture('moxfield'), { userId: 'alice', dryRun: true });
+
+    assert.match(result.message, /^Would import 7 cards/);
+    assert.deepEqual(store.getInventory('alice'), []);
+  });
+
+  test('keeps copies added by hand when the same file is imported again', async () => {
+    await importCollection(fixture('moxfield'), { userId: 'alice' });
+    store.addCard('alice', { name: 'Sol Ring', set: 'c21', collectorNumber: '263', quantity: 1 });
+
+    const again = await importCollection(fixture('moxfield'), { userId: 'alice' });
+    assert.deepEqual(again.imported, { rows: 4, cards: 7, created: 0, updated: 0, unchanged: 4 });
+    assert.equal(inventory('alice')[0][6], 3);
+
+    // A new count replaces the imported copies and keeps the hand-added one
+    const recounted = fixture('moxfield').replace('"2","0","Sol Ring"', '"4","0","Sol Ring"');
+    const result = await importCollection(recounted, { userId: 'alice' });
+    assert.deepEqual(result.imported, { rows: 4, cards: 9, created: 0, updated: 1, unchanged: 3 });
+    assert.equal(inventory('alice')[0][6], 5);
+  });
+
+  test('undoes a whole import in one step', async () => {
+    await importCollection(fixture('archidekt'), { userId: 'alice' });
+    assert.equal(store.undo('alice').success, true);
+    assert.deepEqual(store.getInventory('alice'), []);
+  });
+});
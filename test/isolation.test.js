@@ -0,0 +1,137 @@
+import { testDataDir } from './setup.js';
+import { describe, test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { store } from '../src/data/store.js';
+import { MemoryAdapter, JsonFileAdapter, SqliteAdapter } from '../src/data/storage.js';
+import { hasSqliteDriver } from './helpers.js';
+import { executeTool } from '../src/tools/handlers.js';
+import { scryfall } from '../src/integrations/scryfall.js';
+
+const alice = { userId: 'alice' };
+const bob = { userId: 'bob' };
+
+const cards = {
+  'sol ring': { id: 'sol-ring', name: 'Sol Ring', mana_cost: '{1}', type_line: 'Artifact', prices: { usd: '1.50' }, finishes: ['nonfoil', 'foil'] },
+  'arcane signet': { id: 'arcane-signet', name: 'Arcane Signet', mana_cost: '{2}', type_line: 'Artifact', prices: { usd: '0.50' }, finishes: ['nonfoil'] },
+};
+
+const getCard = scryfall.getCard;
+after(() => { scryfall.getCard = getCard; });
+scryfall.getCard = async name => {
+  const card = cards[name.toLowerCase()];
+  if (!card) throw new Error(`No card named ${name}`);
+  return card;
+};
+
+const adapters = {
+  memory: () => new MemoryAdapter(),
+  json: () => {
+    const dataDir = fs.mkdtempSync(path.join(testDataDir, 'isolation-'));
+    return new JsonFileAdapter({ dataDir });
+  },
+  sqlite: () => {
+    const dataDir = fs.mkdtempSync(path.join(testDataDir, 'isolation-'));
+    return new SqliteAdapter({ dataDir });
+  },
+};
+const skip = { sqlite: !hasSqliteDriver && 'better-sqlite3 is not installed' };
+
+for (const [adapterName, createAdapter] of Object.entries(adapters)) {
+  describe(`${adapterName} storage`, { skip: skip[adapterName] }, () => {
+    let aliceDeckId;
+
+    /**
+     * Alice's state, to compare before and after Bob acts
+     */
+    const aliceState = () => ({
+      inventory: store.getInventory('alice'),
+      decks: store.getDecks('alice'),
+      sales: store.getSales('alice'),
+      journal: store.getJournal('alice'),
+    });
+
+    beforeEach(async () => {
+      store.useAdapter(createAdapter());
+      await executeTool('add_card_to_inventory', { cardName: 'Sol Ring', quantity: 2 }, alice);
+      const created = await executeTool('create_deck', { name: 'Alice Deck' }, alice);
+      aliceDeckId = created.deck.id;
+      await executeTool('add_card_to_deck', { deckName: 'Alice Deck', cardName: 'Sol Ring' }, alice);
+    });
+
+    test(`a user can't read another user's inventory or decks`, async () => {
+      assert.deepEqual(await executeTool('search_inventory', { query: 'all' }, bob), { message: 'Inventory is empty' });
+      assert.deepEqual(await executeTool('search_inventory', { query: 'Sol Ring' }, bob), { message: 'No cards matching "Sol Ring"' });
+      assert.deepEqual(await executeTool('get_decks', {}, bob), { message: 'No decks found' });
+      assert.equal((await executeTool('get_decks', { deckName: 'Alice Deck' }, bob)).success, false);
+      assert.equal((await executeTool('get_decks', { deckName: aliceDeckId }, bob)).success, false);
+      assert.deepEqual(await executeTool('get_sales', {}, bob), { message: 'No sales recorded' });
+    });
+
+    test(`a user can't change another user's inventory or decks`, async () => {
+      const before = aliceState();
+
+      const attempts = [
+        ['remove_card_from_inventory', { cardName: 'Sol Ring' }],
+        ['move_card', { cardName: 'Sol Ring', targetFolder: 'Trade' }],
+        ['delete_deck', { deckName: 'Alice Deck' }],
+        ['delete_deck', { deckName: aliceDeckId }],
+        ['add_card_to_deck', { deckName: 'Alice Deck', cardName: 'Arcane Signet' }],
+        ['add_card_to_deck', { deckName: aliceDeckId, cardName: 'Arcane Signet' }],
+        ['remove_card_from_deck', { deckName: 'Alice Deck', cardName: 'Sol Ring' }],
+      ];
+      for (const [tool, args] of attempts) {
+        const result = await executeTool(tool, args, bob);
+        assert.equal(result.success, false, `${tool} ${JSON.stringify(args)}`);
+      }
+
+      // Bob's own writes land in Bob's data only
+      await executeTool('add_card_to_inventory', { cardName: 'Arcane Signet' }, bob);
+      await executeTool('create_deck', { name: 'Alice Deck' }, bob);
+
+      assert.deepEqual(aliceState(), before);
+      assert.deepEqual(store.getInventory('bob').map(card => card.name), ['Arcane Signet']);
+      assert.equal(store.getDecks('bob').length, 1);
+    });
+
+    test(`undo and redo only touch the caller's own changes`, async () => {
+      const before = aliceState();
+
+      assert.deepEqual(await executeTool('undo_last_action', {}, bob), { success: false, message: 'Nothing to undo' });
+      assert.deepEqual(aliceState(), before);
+
+      await executeTool('add_card_to_inventory', { cardName: 'Arcane Signet' }, bob);
+      const undone = await executeTool('undo_last_action', {}, bob);
+      assert.equal(undone.success, true);
+      assert.deepEqual(store.getInventory('bob'), []);
+
+      // Alice's most recent change is still hers to undo, and Bob can't redo it
+      const aliceUndo = await executeTool('undo_last_action', {}, alice);
+      assert.match(aliceUndo.message, /Alice Deck/);
+      assert.deepEqual(store.getInventory('bob'), []);
+
+      const bobRedo = await executeTool('redo_last_action', {}, bob);
+      assert.match(bobRedo.message, /Arcane Signet/);
+      assert.deepEqual(store.getDeck('alice', aliceDeckId).cards, []);
+    });
+
+    test(`a user can't export another user's collection or decks`, async () => {
+      assert.deepEqual(await executeTool('export_collection', {}, bob), { success: false, message: 'Inventory is empty' });
+      assert.equal((await executeTool('export_deck', { deckName: 'Alice Deck' }, bob)).success, false);
+      assert.equal((await executeTool('export_deck', { deckName: aliceDeckId }, bob)).success, false);
+
+      const own = await executeTool('export_collection', {}, alice);
+      assert.match(own.content, /Sol Ring/);
+    });
+
+    test(`a user can't confirm another user's previewed action`, async () => {
+      const preview = await executeTool('delete_deck', { deckName: 'Alice Deck' }, { ...alice, requireConfirmation: true });
+      assert.ok(preview.confirmationToken);
+
+      const result = await executeTool('confirm_action', { token: preview.confirmationToken }, bob);
+      assert.equal(result.success, false);
+      assert.equal(store.getDecks('alice').length, 1);
+    });
+  });
+}
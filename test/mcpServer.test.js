@@ -0,0 +1,162 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'stream';
+import { createMcpServer, startStdioServer, mcpResources } from '../src/mcp/server.js';
+import { toolHandlers } from '../src/tools/handlers.js';
+import { toolSchemasByName } from '../src/tools/schemas.js';
+
+const server = createMcpServer({ userId: 'mcp-test' });
+
+test('a request with id null is answered', async () => {
+  const response = await server.handleMessage({ jsonrpc: '2.0', id: null, method: 'ping' });
+  assert.deepEqual(response, { jsonrpc: '2.0', id: null, result: {} });
+});
+
+test('a message without an id is a notification', async () => {
+  assert.equal(await server.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+});
+
+test('invalid requests without an id get an error with id null', async () => {
+  for (const message of [{ jsonrpc: '2.0' }, { method: 'ping' }, null, [], 'ping']) {
+    const response = await server.handleMessage(message);
+    assert.equal(response.id, null);
+    assert.equal(response.error.code, -32600);
+  }
+});
+
+test('invalid requests keep a valid id', async () => {
+  const response = await server.handleMessage({ jsonrpc: '1.0', id: 7, method: 'ping' });
+  assert.equal(response.id, 7);
+  assert.equal(response.error.code, -32600);
+});
+
+test('ids that are not strings or numbers are rejected', async () => {
+  const response = await server.handleMessage({ jsonrpc: '2.0', id: { n: 1 }, method: 'ping' });
+  assert.equal(response.id, null);
+  assert.equal(response.error.code, -32600);
+});
+
+/**
+ * Send one request and return its result, failing on an error response
+ */
+const call = async (method, params) => {
+  const response = await server.handleMessage({ jsonrpc: '2.0', id: 1, method, params });
+  assert.equal(response.error, undefined, response.error?.message);
+  return response.result;
+};
+
+test('tools/list exposes every tool schema', async () => {
+  const { tools } = await call('tools/list');
+
+  assert.deepEqual(tools.map(tool => tool.name), Object.keys(toolSchemasByName));
+  for (const tool of tools) {
+    const { function: fn } = toolSchemasByName[tool.name];
+    assert.equal(tool.description, fn.description);
+    assert.deepEqual(tool.inputSchema, fn.parameters);
+  }
+});
+
+test('tools/call runs the tool for the server\'s user', async () => {
+  const created = await call('tools/call', { name: 'create_deck', arguments: { name: 'MCP Deck' } });
+  assert.equal(created.isError, false);
+
+  const result = await call('tools/call', { name: 'get_decks', arguments: {} });
+  assert.equal(result.isError, false);
+  assert.equal(result.content[0].type, 'text');
+  assert.deepEqual(JSON.parse(result.content[0].text).decks.map(deck => deck.name), ['MCP Deck']);
+});
+
+test('tools/call reports invalid arguments as a tool error', async () => {
+  const result = await call('tools/call', { name: 'get_card_price', arguments: {} });
+
+  assert.equal(result.isError, true);
+  assert.equal(JSON.parse(result.content[0].text).error.code, 'INVALID_ARGUMENTS');
+});
+
+test('tools/call reports a throwing tool as a tool error', async () => {
+  const getDecks = toolHandlers.get_decks;
+  toolHandlers.get_decks = async () => { throw new Error('storage offline'); };
+  try {
+    const result = await call('tools/call', { name: 'get_decks', arguments: {} });
+    assert.deepEqual(result, { content: [{ type: 'text', text: 'storage offline' }], isError: true });
+  } finally {
+    toolHandlers.get_decks = getDecks;
+  }
+});
+
+test('tools/call rejects an unknown tool with invalid params', async () => {
+  const response = await server.handleMessage({
+    jsonrpc: '2.0', id: 4, method: 'tools/call', params: { name: 'no_such_tool', arguments: {} },
+  });
+
+  assert.equal(response.id, 4);
+  assert.equal(response.error.code, -32602);
+  assert.equal(response.error.message, 'Unknown tool: no_such_tool');
+});
+
+test('resources/list exposes every knowledge resource', async () => {
+  const { resources } = await call('resources/list');
+
+  assert.deepEqual(resources.map(resource => resource.uri), Object.keys(mcpResources));
+  for (const resource of resources) {
+    assert.ok(resource.name);
+    assert.ok(resource.mimeType);
+  }
+});
+
+test('resources/read returns each resource\'s text', async () => {
+  for (const uri of Object.keys(mcpResources)) {
+    const { contents: [content] } = await call('resources/read', { uri });
+    assert.equal(content.uri, uri);
+    assert.equal(content.mimeType, mcpResources[uri].mimeType);
+    if (content.mimeType === 'application/json') JSON.parse(content.text);
+  }
+
+  const { contents: [rules] } = await call('resources/read', { uri: 'bigdeck://knowledge/commander-rules.txt' });
+  assert.match(rules.text, /Commander/);
+});
+
+test('resources/read rejects an unknown URI with invalid params', async () => {
+  const response = await server.handleMessage({
+    jsonrpc: '2.0', id: 5, method: 'resources/read', params: { uri: 'bigdeck://knowledge/nothing' },
+  });
+
+  assert.equal(response.error.code, -32602);
+  assert.equal(response.error.message, 'Unknown resource: bigdeck://knowledge/nothing');
+});
+
+test('stdio answers parse errors with id null and keeps request order', async () => {
+  const getDecks = toolHandlers.get_decks;
+  const order = [];
+  toolHandlers.get_decks = async () => {
+    order.push('slow start');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    order.push('slow end');
+    return { success: true, decks: [] };
+  };
+
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let text = '';
+  output.on('data', chunk => { text += chunk; });
+
+  try {
+    const done = startStdioServer({ input, output, userId: 'mcp-test' });
+    input.end([
+      JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'get_decks', arguments: {} } }),
+      '{not json',
+      JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'ping' }),
+      JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }),
+      JSON.stringify({ jsonrpc: '2.0', id: 3, method: 'ping' }),
+    ].join('\n'));
+    await done;
+  } finally {
+    toolHandlers.get_decks = getDecks;
+  }
+
+  const responses = text.trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(responses.map(response => response.id), [1, null, 2, 3]);
+  assert.equal(responses[1].error.code, -32700);
+  assert.deepEqual(order, ['slow start', 'slow end']);
+});
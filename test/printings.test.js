@@ -0,0 +1,174 @@
+import './setup.js';
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizePrinting, printingKey, matchesPrinting, finishPrice, cardPrice, toInventoryCard, valueInventory,
+} from '../src/utils/printings.js';
+import { DataStore } from '../src/data/store.js';
+import { MemoryAdapter } from '../src/data/storage.js';
+
+const solRingData = {
+  id: 'sol-ring-c21', name: 'Sol Ring', set: 'c21', set_name: 'Commander 2021', collector_number: '263',
+  mana_cost: '{1}', type_line: 'Artifact', colors: [], color_identity: [],
+  prices: { usd: '1.50', usd_foil: null },
+};
+
+describe('normalizePrinting', () => {
+  test('treats a record without printing fields as an English nonfoil Near Mint copy', () => {
+    assert.deepEqual(normalizePrinting({ name: 'Sol Ring', quantity: 2 }), {
+      set: null, collectorNumber: null, finish: 'nonfoil', condition: 'NM', language: 'en',
+    });
+  });
+
+  test('normalizes case and number types', () => {
+    assert.deepEqual(normalizePrinting({ set: 'C21', collectorNumber: 263, finish: 'foil', condition: 'lp', language: 'JA' }), {
+      set: 'c21', collectorNumber: '263', finish: 'foil', condition: 'LP', language: 'ja',
+    });
+  });
+});
+
+describe('printingKey', () => {
+  test('gives a legacy record and its defaults the same key', () => {
+    assert.equal(
+      printingKey({ name: 'Sol Ring' }),
+      printingKey({ name: 'SOL RING', finish: 'nonfoil', condition: 'nm', language: 'EN' })
+    );
+  });
+
+  test('tells printings, finishes, conditions and languages apart', () => {
+    const keys = [
+      { name: 'Sol Ring' },
+      { name: 'Sol Ring', set: 'c21', collectorNumber: '263' },
+      { name: 'Sol Ring', finish: 'foil' },
+      { name: 'Sol Ring', condition: 'LP' },
+      { name: 'Sol Ring', language: 'ja' },
+    ].map(printingKey);
+    assert.equal(new Set(keys).size, keys.length);
+  });
+});
+
+describe('matchesPrinting', () => {
+  const card = { name: 'Sol Ring', set: 'c21', collectorNumber: '263', finish: 'foil', condition: 'LP', language: 'en' };
+
+  test('compares only the filters given', () => {
+    assert.equal(matchesPrinting(card, {}), true);
+    assert.equal(matchesPrinting(card, { finish: 'foil' }), true);
+    assert.equal(matchesPrinting(card, { set: 'C21', condition: 'lp' }), true);
+    assert.equal(matchesPrinting(card, { set: 'c21', finish: 'nonfoil' }), false);
+    assert.equal(matchesPrinting(card, { language: 'ja' }), false);
+  });
+
+  test('matches a legacy record by its defaults', () => {
+    assert.equal(matchesPrinting({ name: 'Sol Ring' }, { finish: 'nonfoil', condition: 'NM', language: 'en' }), true);
+    assert.equal(matchesPrinting({ name: 'Sol Ring' }, { finish: 'foil' }), false);
+  });
+});
+
+describe('prices', () => {
+  test('reads the price for each finish, or null when Scryfall has none', () => {
+    const prices = { usd: '1.50', usd_foil: '4.00', usd_etched: null };
+    assert.equal(finishPrice(prices), 1.5);
+    assert.equal(finishPrice(prices, 'foil'), 4);
+    assert.equal(finishPrice(prices, 'etched'), null);
+    assert.equal(finishPrice({ usd: '1.50' }, 'foil'), null);
+    assert.equal(finishPrice(undefined, 'foil'), null);
+  });
+
+  test('values a copy with no price for its finish at 0, not at the nonfoil price', () => {
+    assert.equal(cardPrice({ prices: { usd: '1.50', usd_foil: null }, finish: 'foil' }), 0);
+    assert.equal(cardPrice({ prices: { usd: '1.50', usd_etched: '9.99' }, finish: 'etched' }), 9.99);
+    assert.equal(cardPrice({ price: 2 }), 2);
+    assert.equal(cardPrice({}), 0);
+  });
+
+  test('counts unpriced copies instead of valuing them', () => {
+    const { total, unpriced } = valueInventory([
+      { prices: { usd: '1.50', usd_foil: '4.00' }, quantity: 2 },
+      { prices: { usd: '1.50', usd_foil: '4.00' }, finish: 'foil' },
+      { prices: { usd: '1.50', usd_foil: null }, finish: 'foil', quantity: 3 },
+    ]);
+    assert.equal(total, 7);
+    assert.equal(unpriced, 3);
+  });
+});
+
+describe('toInventoryCard', () => {
+  test('records the printing only when one was asked for', () => {
+    const plain = toInventoryCard(solRingData, {}, { quantity: 2 });
+    assert.equal(plain.set, null);
+    assert.equal(plain.collectorNumber, null);
+    assert.equal(plain.quantity, 2);
+    assert.equal(plain.price, 1.5);
+
+    const foil = toInventoryCard(solRingData, { set: 'c21', finish: 'foil', condition: 'lp' });
+    assert.equal(foil.set, 'c21');
+    assert.equal(foil.setName, 'Commander 2021');
+    assert.equal(foil.collectorNumber, '263');
+    assert.equal(foil.finish, 'foil');
+    assert.equal(foil.condition, 'LP');
+    assert.equal(foil.language, 'en');
+    assert.equal(foil.price, null);
+    assert.deepEqual(foil.prices, { usd: '1.50', usd_foil: null, usd_etched: null });
+  });
+});
+
+describe('inventory by printing', () => {
+  let store;
+  const quantities = () => store.getInventory('alice')
+    .map(card => `${card.quantity}x ${card.finish} ${card.condition} ${card.folder}`)
+    .sort();
+
+  beforeEach(() => {
+    store = new DataStore(new MemoryAdapter());
+    store.addCard('alice', { name: 'Sol Ring', quantity: 2 });
+    store.addCard('alice', { name: 'Sol Ring', quantity: 1, finish: 'foil' });
+    store.addCard('alice', { name: 'Sol Ring', quantity: 1, finish: 'foil', condition: 'LP' });
+  });
+
+  test('stacks copies of the same printing and keeps others apart', () => {
+    store.addCard('alice', { name: 'sol ring', quantity: 1, finish: 'nonfoil', condition: 'nm', language: 'EN' });
+    assert.deepEqual(quantities(), ['1x foil LP Unsorted', '1x foil NM Unsorted', '3x nonfoil NM Unsorted']);
+  });
+
+  test('stacks new copies onto a record saved before printings were tracked', () => {
+    const adapter = new MemoryAdapter();
+    adapter.save('inventory', { users: { alice: { cards: [{ id: 'card_old', name: 'Sol Ring', quantity: 2, folder: 'Unsorted' }] } } });
+    store = new DataStore(adapter);
+
+    store.addCard('alice', { name: 'Sol Ring', quantity: 1 });
+    store.addCard('alice', { name: 'Sol Ring', quantity: 1, finish: 'foil' });
+
+    const [legacy, foil] = store.getInventory('alice');
+    assert.equal(legacy.id, 'card_old');
+    assert.equal(legacy.quantity, 3);
+    assert.equal(foil.finish, 'foil');
+    assert.equal(store.removeCard('alice', 'Sol Ring', 3, { printing: { finish: 'nonfoil', language: 'en' } }).success, true);
+    assert.deepEqual(store.getInventory('alice').map(card => card.finish), ['foil']);
+  });
+
+  test('removes only copies matching a partial filter', () => {
+    const result = store.removeCard('alice', 'Sol Ring', 5, { printing: { finish: 'foil' } });
+
+    assert.equal(result.success, true);
+    assert.equal(result.message, 'Removed 2x Sol Ring (foil)');
+    assert.deepEqual(quantities(), ['2x nonfoil NM Unsorted']);
+    assert.equal(store.removeCard('alice', 'Sol Ring', 1, { printing: { language: 'ja' } }).success, false);
+  });
+
+  test('moves only copies matching a partial filter', () => {
+    const result = store.moveCard('alice', 'Sol Ring', 'Binder', null, { printing: { condition: 'LP' } });
+
+    assert.equal(result.movedCount, 1);
+    assert.deepEqual(quantities(), ['1x foil LP Binder', '1x foil NM Unsorted', '2x nonfoil NM Unsorted']);
+  });
+
+  test('sells only copies matching a partial filter', () => {
+    assert.equal(store.recordSale('alice', { cardName: 'Sol Ring', quantity: 3, price: 12, finish: 'foil' }).success, false);
+
+    const sale = store.recordSale('alice', { cardName: 'Sol Ring', quantity: 2, price: 8, finish: 'foil' });
+    assert.equal(sale.success, true);
+    assert.equal(sale.sale.finish, 'foil');
+    assert.equal(sale.sale.condition, undefined);
+    assert.deepEqual(quantities(), ['2x nonfoil NM Unsorted']);
+  });
+});
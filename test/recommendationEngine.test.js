@@ -0,0 +1,48 @@
+import './setup.js';
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { recommendationEngine } from '../src/learning/recommendationEngine.js';
+
+const thrasios = { name: 'Thrasios, Triton Hero', color_identity: ['G', 'U'] };
+const tymna = { name: 'Tymna the Weaver', color_identity: ['W', 'B'] };
+const wilson = { name: 'Wilson, Refined Grizzly', color_identity: ['G'] };
+const background = { name: 'Raised by Giants', color_identity: ['G'] };
+
+describe('recommendationEngine.analyzeHistory', () => {
+  beforeEach(() => {
+    recommendationEngine.clearHistory();
+  });
+
+  test('counts both commanders of a pair', () => {
+    recommendationEngine.addToHistory({ commanders: [thrasios, tymna], strategy: 'combo' });
+    recommendationEngine.addToHistory({ commanders: ['Thrasios, Triton Hero', 'Kraum, Ludevic\'s Opus'] });
+    recommendationEngine.addToHistory({ commander: 'Omnath, Locus of Mana' });
+
+    const history = recommendationEngine.analyzeHistory();
+    assert.deepEqual(history.commanders, {
+      'Thrasios, Triton Hero': 2,
+      'Tymna the Weaver': 1,
+      'Kraum, Ludevic\'s Opus': 1,
+      'Omnath, Locus of Mana': 1,
+    });
+    assert.equal(history.mostPlayedCommander, 'Thrasios, Triton Hero');
+  });
+
+  test('counts colors by the commanders\' combined identity', () => {
+    recommendationEngine.addToHistory({ commanders: [thrasios, tymna] });
+    recommendationEngine.addToHistory({ commanders: [tymna, thrasios], colors: ['W', 'B'] });
+    recommendationEngine.addToHistory({ commanders: [wilson, background] });
+    recommendationEngine.addToHistory({ commander: 'Omnath, Locus of Mana', colors: ['G'] });
+
+    const history = recommendationEngine.analyzeHistory();
+    assert.deepEqual(history.colors, { WUBG: 2, G: 2 });
+    assert.equal(history.favoriteColors, 'WUBG');
+  });
+
+  test('leaves decks without colors or commander Cards out of the colors', () => {
+    recommendationEngine.addToHistory({ commander: 'Omnath, Locus of Mana' });
+
+    assert.deepEqual(recommendationEngine.analyzeHistory().colors, {});
+    assert.equal(recommendationEngine.identifyGaps()[0].type, 'colors');
+  });
+});
@@ -0,0 +1,104 @@
+import './setup.js';
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/integrations/config.js';
+import { scryfall } from '../src/integrations/scryfall.js';
+import { httpCache } from '../src/integrations/httpCache.js';
+import { suggestWithBudgetTool } from '../src/tools/handlers.js';
+import { lookupCards } from '../src/data/enrichment.js';
+import { scryfallCard, stubScryfallCollection } from './helpers.js';
+
+const solRing = usd => scryfallCard('Sol Ring', { id: 'sol-ring-c21', set: 'c21', collector_number: '263', prices: { usd } });
+
+describe('scryfall card cache', () => {
+  const request = scryfall.request;
+  const { cardCacheSize } = config.scryfall;
+  const priceTtl = config.httpCache.ttl.price;
+  let requests;
+
+  beforeEach(() => {
+    requests = [];
+    scryfall.clearCache();
+    httpCache.purge();
+  });
+
+  afterEach(() => {
+    scryfall.request = request;
+    config.scryfall.cardCacheSize = cardCacheSize;
+    config.httpCache.ttl.price = priceTtl;
+  });
+
+  test('answers a repeated lookup from the cache', async () => {
+    scryfall.request = async endpoint => { requests.push(endpoint); return solRing('1.00'); };
+
+    await scryfall.getCard('Sol Ring');
+    await scryfall.getCardBySetAndNumber('c21', '263');
+    assert.equal(requests.length, 1);
+  });
+
+  test('fetches a card again, with current prices, once the price TTL has passed', async () => {
+    let usd = '1.00';
+    scryfall.request = async endpoint => { requests.push(endpoint); return solRing(usd); };
+    config.httpCache.ttl.price = 0;
+
+    assert.equal((await scryfall.getCard('Sol Ring')).prices.usd, '1.00');
+    usd = '2.50';
+    assert.equal((await scryfall.getCard('Sol Ring')).prices.usd, '2.50');
+    assert.equal((await scryfall.getCardBySetAndNumber('c21', '263')).prices.usd, '2.50');
+    assert.equal(requests.length, 3);
+  });
+
+  test('keeps at most cardCacheSize keys, dropping the oldest', async () => {
+    config.scryfall.cardCacheSize = 6;
+    scryfall.request = async (endpoint, { exact }) => ({ id: exact, name: exact, set: 'tst', collector_number: exact, prices: {} });
+
+    for (const name of ['Alpha', 'Beta', 'Gamma']) await scryfall.getCard(name);
+
+    assert.ok(scryfall.cardCache.size <= 6);
+    assert.equal(scryfall.getCachedCard({ name: 'Alpha' }), null);
+    assert.equal(scryfall.getCachedCard({ name: 'Gamma' }).name, 'Gamma');
+  });
+
+  test('finds every card of a lookup larger than the cache', async () => {
+    config.scryfall.cardCacheSize = 20;
+    stubScryfallCollection(({ name }) => scryfallCard(name, { id: name, collector_number: name }), { requests });
+    const names = Array.from({ length: 200 }, (_, index) => `Card ${index}`);
+
+    const { data, not_found } = await scryfall.getCollection(names.map(name => ({ name })));
+    assert.equal(data.length, 200);
+    assert.deepEqual(not_found, []);
+    assert.equal(requests.length, 3);
+
+    scryfall.clearCache();
+    const found = await lookupCards([...names.map(name => ({ name })), null]);
+    assert.deepEqual(found.map(card => card?.name ?? null), [...names, null]);
+    assert.ok(scryfall.cardCache.size <= 20);
+  });
+});
+
+describe('suggest_with_budget pricing', () => {
+  let restore;
+
+  beforeEach(() => {
+    restore = stubScryfallCollection([solRing('1.00')]);
+  });
+
+  afterEach(() => {
+    restore();
+  });
+
+  test('prices cards given only by set and collector number', async () => {
+    const result = await suggestWithBudgetTool({ decklist: [{ set: 'c21', collectorNumber: '263' }] });
+
+    assert.equal(result.cost.total, 1);
+    assert.equal(result.notFound, undefined);
+  });
+
+  test('reports printings it cannot find by set and number', async () => {
+    const result = await suggestWithBudgetTool({
+      decklist: [{ set: 'c21', collector_number: '263' }, { set: 'xyz', collectorNumber: '1' }],
+    });
+
+    assert.deepEqual(result.notFound, ['xyz #1']);
+  });
+});
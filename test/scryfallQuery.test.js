@@ -0,0 +1,129 @@
+import './setup.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseScryfallQuery, sortCards } from '../src/utils/scryfallQuery.js';
+
+const cards = [
+  {
+    name: 'Sol Ring', cmc: 1, type_line: 'Artifact', oracle_text: '{T}: Add {C}{C}.',
+    colors: [], color_identity: [], rarity: 'uncommon', set: 'c21', edhrec_rank: 1,
+    legalities: { commander: 'legal' }, prices: { usd: '1.50' },
+  },
+  {
+    name: 'Counterspell', cmc: 2, type_line: 'Instant', oracle_text: 'Counter target spell.',
+    colors: ['U'], color_identity: ['U'], rarity: 'common', set: 'mh2', edhrec_rank: 20,
+    legalities: { commander: 'legal' }, prices: { usd: '1.00' },
+  },
+  {
+    name: 'Atraxa, Praetors\' Voice', cmc: 4, type_line: 'Legendary Creature — Phyrexian Angel Horror',
+    oracle_text: 'Flying, vigilance, deathtouch, lifelink\nAt the beginning of your end step, proliferate.',
+    keywords: ['Flying', 'Vigilance', 'Deathtouch', 'Lifelink', 'Proliferate'], power: '4', toughness: '4',
+    colors: ['W', 'U', 'B', 'G'], color_identity: ['W', 'U', 'B', 'G'], rarity: 'mythic', set: '2xm', edhrec_rank: 40,
+    legalities: { commander: 'legal' }, prices: { usd: '20.00' },
+  },
+  {
+    name: 'Llanowar Elves', cmc: 1, type_line: 'Creature — Elf Druid', oracle_text: '{T}: Add {G}.',
+    power: '1', toughness: '1', colors: ['G'], color_identity: ['G'], rarity: 'common', set: 'dom', edhrec_rank: 60,
+    legalities: { commander: 'legal' }, prices: { usd: '0.25' },
+  },
+  {
+    name: 'Delver of Secrets // Insectile Aberration', cmc: 1, set: 'isd', rarity: 'common', edhrec_rank: 900,
+    colors: ['U'], color_identity: ['U'], legalities: { commander: 'legal' }, prices: {},
+    card_faces: [
+      { name: 'Delver of Secrets', type_line: 'Creature — Human Wizard', oracle_text: 'At the beginning of your upkeep, look at the top card of your library.', power: '1', toughness: '1' },
+      { name: 'Insectile Aberration', type_line: 'Creature — Human Insect', oracle_text: 'Flying', power: '3', toughness: '2' },
+    ],
+  },
+  {
+    name: 'Black Lotus', cmc: 0, type_line: 'Artifact', oracle_text: '{T}, Sacrifice Black Lotus: Add three mana of any one color.',
+    colors: [], color_identity: [], rarity: 'rare', set: 'lea', edhrec_rank: null,
+    legalities: { commander: 'banned' }, prices: { usd: null },
+  },
+];
+
+/**
+ * Names of the sample cards a query matches, in list order
+ */
+const search = query => {
+  const { match } = parseScryfallQuery(query);
+  return cards.filter(match).map(card => card.name);
+};
+
+describe('parseScryfallQuery', () => {
+  test('matches colors with c: as "at least" and id: as "within"', () => {
+    assert.deepEqual(search('c:u'), ['Counterspell', 'Atraxa, Praetors\' Voice', 'Delver of Secrets // Insectile Aberration']);
+    assert.deepEqual(search('c=u'), ['Counterspell', 'Delver of Secrets // Insectile Aberration']);
+    assert.deepEqual(search('c:m'), ['Atraxa, Praetors\' Voice']);
+    assert.deepEqual(search('c:colorless'), ['Sol Ring', 'Black Lotus']);
+    assert.deepEqual(search('id:simic'), ['Sol Ring', 'Counterspell', 'Llanowar Elves', 'Delver of Secrets // Insectile Aberration', 'Black Lotus']);
+    assert.deepEqual(search('id>=wubg'), ['Atraxa, Praetors\' Voice']);
+  });
+
+  test('matches type and rules text, across both faces', () => {
+    assert.deepEqual(search('t:legendary t:creature'), ['Atraxa, Praetors\' Voice']);
+    assert.deepEqual(search('t:insect'), ['Delver of Secrets // Insectile Aberration']);
+    assert.deepEqual(search('o:"add {c}{c}"'), ['Sol Ring']);
+    assert.deepEqual(search('o:"sacrifice ~"'), ['Black Lotus']);
+    assert.deepEqual(search('o:flying t:creature'), ['Atraxa, Praetors\' Voice', 'Delver of Secrets // Insectile Aberration']);
+  });
+
+  test('compares mana value and other numbers', () => {
+    assert.deepEqual(search('cmc=1'), ['Sol Ring', 'Llanowar Elves', 'Delver of Secrets // Insectile Aberration']);
+    assert.deepEqual(search('cmc>=2'), ['Counterspell', 'Atraxa, Praetors\' Voice']);
+    assert.deepEqual(search('mv<1'), ['Black Lotus']);
+    assert.deepEqual(search('pow>=4'), ['Atraxa, Praetors\' Voice']);
+    assert.deepEqual(search('usd<1'), ['Llanowar Elves']);
+  });
+
+  test('combines terms with or, parentheses and negation', () => {
+    assert.deepEqual(search('t:instant or t:elf'), ['Counterspell', 'Llanowar Elves']);
+    assert.deepEqual(search('(t:instant or t:artifact) -c:c'), ['Counterspell']);
+    assert.deepEqual(search('cmc=1 -(t:artifact or c:u)'), ['Llanowar Elves']);
+    assert.deepEqual(search('-legal:commander'), ['Black Lotus']);
+    assert.deepEqual(search('banned:commander'), ['Black Lotus']);
+  });
+
+  test('matches names by word or exactly, either face', () => {
+    assert.deepEqual(search('ring'), ['Sol Ring']);
+    assert.deepEqual(search('!"Insectile Aberration"'), ['Delver of Secrets // Insectile Aberration']);
+    assert.deepEqual(search('!Sol'), []);
+  });
+
+  test('reads order:, dir: and unique: into options', () => {
+    const { match, options } = parseScryfallQuery('t:artifact order:cmc dir:desc unique:prints');
+    assert.deepEqual(options, { order: 'cmc', dir: 'desc', unique: 'prints' });
+    assert.deepEqual(cards.filter(match).map(card => card.name), ['Sol Ring', 'Black Lotus']);
+  });
+
+  test('rejects syntax it doesn\'t support', () => {
+    assert.throws(() => parseScryfallQuery('art:squirrel'), /Unsupported search keyword: art/);
+    assert.throws(() => parseScryfallQuery('is:funny'), /Unsupported search: is:funny/);
+    assert.throws(() => parseScryfallQuery('c:purple'), /Unknown colors/);
+    assert.throws(() => parseScryfallQuery('cmc>three'), /needs a number/);
+    assert.throws(() => parseScryfallQuery('r:legendary'), /Unknown rarity/);
+    assert.throws(() => parseScryfallQuery('(t:elf or t:goblin'), /Unbalanced parentheses/);
+    assert.throws(() => parseScryfallQuery('t:elf)'), /Unbalanced parentheses/);
+    assert.throws(() => parseScryfallQuery('t:elf -'), /Incomplete search/);
+  });
+});
+
+describe('sortCards', () => {
+  const names = sorted => sorted.map(card => card.name);
+
+  test('sorts by name unless asked otherwise', () => {
+    assert.deepEqual(names(sortCards(cards)).slice(0, 3), ['Atraxa, Praetors\' Voice', 'Black Lotus', 'Counterspell']);
+  });
+
+  test('sorts each order its own way on dir:auto, with name breaking ties', () => {
+    assert.deepEqual(names(sortCards(cards, 'cmc')), [
+      'Black Lotus', 'Delver of Secrets // Insectile Aberration', 'Llanowar Elves', 'Sol Ring', 'Counterspell', 'Atraxa, Praetors\' Voice',
+    ]);
+    assert.equal(names(sortCards(cards, 'power'))[0], 'Atraxa, Praetors\' Voice');
+    assert.equal(names(sortCards(cards, 'edhrec'))[0], 'Sol Ring');
+    assert.equal(names(sortCards(cards, 'usd')).at(-1), 'Delver of Secrets // Insectile Aberration');
+  });
+
+  test('reverses on dir:desc', () => {
+    assert.deepEqual(names(sortCards(cards, 'cmc', 'desc')).slice(0, 2), ['Atraxa, Praetors\' Voice', 'Counterspell']);
+  });
+});
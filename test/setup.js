@@ -0,0 +1,23 @@
+/**
+ * Test Environment
+ * Imported first by every test file, before anything from src/, so config.js
+ * sees a throwaway data directory and nothing reaches the network or disk
+ * outside it.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const testDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bigdeck-test-'));
+
+process.env.BIGDECK_DATA_DIR = testDataDir;
+process.env.BIGDECK_STORAGE = 'memory';
+process.env.BIGDECK_HTTP_CACHE = 'memory';
+process.env.BIGDECK_CARD_DB = path.join(testDataDir, 'no-cards.json');
+process.env.BIGDECK_BAN_LIST = path.join(testDataDir, 'banList.json');
+process.env.BIGDECK_HTTP_RETRIES = '0';
+// Nothing listens here; tests that need Scryfall replace scryfall.request
+process.env.SCRYFALL_API_URL = 'http://127.0.0.1:9';
+
+process.on('exit', () => fs.rmSync(testDataDir, { recursive: true, force: true }));
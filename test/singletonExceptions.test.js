@@ -0,0 +1,168 @@
+import './setup.js';
+import { describe, test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { singletonExceptions, readCopyLimit, getCopyLimit } from '../src/utils/singletonExceptions.js';
+import { validateParsedDeck, removeDuplicates } from '../src/utils/deckValidator.js';
+import { addCardToDeck } from '../src/tools/handlers.js';
+import { scryfall } from '../src/integrations/scryfall.js';
+import { store } from '../src/data/store.js';
+import { MemoryAdapter } from '../src/data/storage.js';
+
+const anyNumber = name => ({ name, type_line: 'Creature', oracle_text: `A deck can have any number of cards named ${name}.` });
+const upTo = (name, count) => ({ name, type_line: 'Creature', oracle_text: `A deck can have up to ${count} cards named ${name}.` });
+
+// Every known exception, and the limit its text gives
+const uncapped = [
+  'Relentless Rats', 'Shadowborn Apostle', 'Persistent Petitioners', 'Dragon\'s Approach', 'Rat Colony',
+  'Templar Knight', 'Slime Against Humanity', 'Hare Apparent', 'Tempest Hawk',
+];
+const capped = [['Seven Dwarves', 7], ['Nazgûl', 9]];
+
+describe('getCopyLimit', () => {
+  for (const name of uncapped) {
+    test(`lets a deck run any number of ${name}`, () => {
+      assert.equal(getCopyLimit(name), Infinity);
+      assert.equal(getCopyLimit(anyNumber(name)), Infinity);
+    });
+  }
+
+  for (const [name, limit] of capped) {
+    test(`caps ${name} at ${limit}`, () => {
+      assert.equal(getCopyLimit(name), limit);
+      assert.equal(getCopyLimit(upTo(name, limit === 7 ? 'seven' : 'nine')), limit);
+    });
+  }
+
+  test('ignores case and accents in names', () => {
+    assert.equal(getCopyLimit('nazgul'), 9);
+    assert.equal(getCopyLimit('  RELENTLESS RATS '), Infinity);
+  });
+
+  test('holds every other card to one copy', () => {
+    assert.equal(getCopyLimit('Sol Ring'), 1);
+    assert.equal(getCopyLimit({ name: 'Sol Ring', oracle_text: '{T}: Add {C}{C}.' }), 1);
+  });
+
+  test('reads either face of a double-faced card', () => {
+    const card = { name: 'Front // Back', card_faces: [{ oracle_text: 'Flying' }, { oracle_text: 'A deck can have up to three cards named Front.' }] };
+    assert.equal(getCopyLimit(card), 3);
+  });
+
+  test('reads a card\'s text without adding it to the table', () => {
+    assert.equal(getCopyLimit(anyNumber('Future Rats')), Infinity);
+    assert.equal(getCopyLimit(upTo('Future Dwarves', 'four')), 4);
+
+    assert.equal(getCopyLimit('Future Rats'), 1);
+    assert.equal(getCopyLimit('Future Dwarves'), 1);
+    assert.equal(singletonExceptions['future rats'], undefined);
+  });
+
+  test('keeps the known table frozen', () => {
+    assert.ok(Object.isFrozen(singletonExceptions));
+    assert.ok(Object.values(singletonExceptions).every(Object.isFrozen));
+  });
+
+  test('reads numbers written as digits or words, and nothing else', () => {
+    assert.equal(readCopyLimit('A deck can have up to 12 cards named Test.'), 12);
+    assert.equal(readCopyLimit('A deck can have up to seven cards named Seven Dwarves.'), 7);
+    assert.equal(readCopyLimit('Draw a card.'), null);
+    assert.equal(readCopyLimit(null), null);
+  });
+});
+
+describe('validateParsedDeck and removeDuplicates', () => {
+  test('allows an uncapped card in any number', () => {
+    const { duplicates } = validateParsedDeck([{ name: 'Relentless Rats', quantity: 30 }]);
+    assert.deepEqual(duplicates, []);
+  });
+
+  test('allows a capped card up to its cap and flags one more', () => {
+    assert.deepEqual(validateParsedDeck([{ name: 'Seven Dwarves', quantity: 7 }]).duplicates, []);
+    assert.deepEqual(
+      validateParsedDeck([{ name: 'Seven Dwarves', quantity: 8 }]).duplicates,
+      [{ name: 'seven dwarves', count: 8, limit: 7 }]
+    );
+  });
+
+  test('flags a second copy of an ordinary card', () => {
+    assert.deepEqual(
+      validateParsedDeck([{ name: 'Sol Ring', quantity: 2 }]).duplicates,
+      [{ name: 'sol ring', count: 2, limit: 1 }]
+    );
+  });
+
+  test('trims each card to its limit', () => {
+    const kept = removeDuplicates([
+      { name: 'Seven Dwarves', quantity: 5 },
+      { name: 'Seven Dwarves', quantity: 5 },
+      { name: 'Relentless Rats', quantity: 40 },
+      { name: 'Sol Ring', quantity: 2 },
+      { name: 'Forest', quantity: 20 },
+    ]);
+    assert.deepEqual(kept.map(card => [card.name, card.quantity]), [
+      ['Seven Dwarves', 7],
+      ['Relentless Rats', 40],
+      ['Sol Ring', 1],
+      ['Forest', 20],
+    ]);
+  });
+});
+
+describe('add_card_to_deck', () => {
+  const getCard = scryfall.getCard;
+  const cards = {
+    'sol ring': { name: 'Sol Ring', type_line: 'Artifact', oracle_text: '{T}: Add {C}{C}.' },
+    'forest': { name: 'Forest', type_line: 'Basic Land — Forest', oracle_text: '({T}: Add {G}.)' },
+    'relentless rats': anyNumber('Relentless Rats'),
+    'seven dwarves': upTo('Seven Dwarves', 'seven'),
+  };
+
+  before(() => {
+    scryfall.getCard = async name => cards[name.toLowerCase()];
+  });
+
+  after(() => {
+    scryfall.getCard = getCard;
+  });
+
+  beforeEach(() => {
+    store.useAdapter(new MemoryAdapter());
+    store.createDeck('default', { name: 'Rats', format: 'commander' });
+  });
+
+  const add = (cardName, quantity) => addCardToDeck({ deckName: 'Rats', cardName, quantity });
+  const quantityOf = name => store.getDeck('default', 'Rats').cards
+    .filter(card => card.name === name)
+    .reduce((sum, card) => sum + card.quantity, 0);
+
+  test('adds one copy of an ordinary card and refuses a second', async () => {
+    assert.equal((await add('Sol Ring', 3)).success, true);
+    assert.equal(quantityOf('Sol Ring'), 1);
+
+    const second = await add('Sol Ring', 1);
+    assert.equal(second.success, false);
+    assert.match(second.message, /singleton/);
+  });
+
+  test('adds basic lands in any number', async () => {
+    await add('Forest', 20);
+    await add('Forest', 10);
+    assert.equal(quantityOf('Forest'), 30);
+  });
+
+  test('adds an uncapped card in any number', async () => {
+    await add('Relentless Rats', 25);
+    await add('Relentless Rats', 10);
+    assert.equal(quantityOf('Relentless Rats'), 35);
+  });
+
+  test('adds a capped card up to its cap, then refuses', async () => {
+    await add('Seven Dwarves', 5);
+    await add('Seven Dwarves', 5);
+    assert.equal(quantityOf('Seven Dwarves'), 7);
+
+    const more = await add('Seven Dwarves', 1);
+    assert.equal(more.success, false);
+    assert.match(more.message, /up to 7/);
+  });
+});
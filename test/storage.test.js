@@ -0,0 +1,79 @@
+import { testDataDir } from './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { migrateLegacyData, JsonFileAdapter } from '../src/data/storage.js';
+
+/**
+ * A legacy data/ folder and an empty data directory
+ */
+function legacySetup() {
+  const root = fs.mkdtempSync(path.join(testDataDir, 'legacy-'));
+  const from = path.join(root, 'data');
+  const to = path.join(root, 'home', '.bigdeck-ai');
+  fs.mkdirSync(from);
+  fs.writeFileSync(path.join(from, 'inventory.json'), JSON.stringify({ users: { default: { cards: [{ id: 'c1', name: 'Sol Ring', quantity: 1 }] } } }));
+  fs.writeFileSync(path.join(from, 'decks.json'), JSON.stringify({ users: {} }));
+  fs.writeFileSync(path.join(from, 'sales.json'), JSON.stringify({ sales: [] }));
+  return { from, to };
+}
+
+/**
+ * Run fn with console.warn captured
+ */
+function captureWarnings(fn) {
+  const warn = console.warn;
+  const warnings = [];
+  console.warn = message => warnings.push(message);
+  try {
+    return { result: fn(), warnings };
+  } finally {
+    console.warn = warn;
+  }
+}
+
+test('data from the old data/ folder is copied on first start', () => {
+  const { from, to } = legacySetup();
+  const { result, warnings } = captureWarnings(() => migrateLegacyData({ from, to }));
+
+  assert.deepEqual(result, ['inventory.json', 'decks.json', 'sales.json']);
+  assert.match(warnings[0], /Copied data from an older version/);
+  assert.ok(fs.existsSync(path.join(from, 'inventory.json')), 'old files are kept');
+  assert.deepEqual(new JsonFileAdapter({ dataDir: to }).list('inventory', 'default').map(card => card.name), ['Sol Ring']);
+});
+
+test('nothing is copied once the data directory has data', () => {
+  const { from, to } = legacySetup();
+  fs.mkdirSync(to, { recursive: true });
+  fs.writeFileSync(path.join(to, 'decks.json'), JSON.stringify({ users: {} }));
+
+  const { result, warnings } = captureWarnings(() => migrateLegacyData({ from, to }));
+  assert.deepEqual(result, []);
+  assert.deepEqual(warnings, []);
+  assert.equal(fs.existsSync(path.join(to, 'inventory.json')), false);
+});
+
+test('a second start copies nothing', () => {
+  const { from, to } = legacySetup();
+  captureWarnings(() => migrateLegacyData({ from, to }));
+  const { result } = captureWarnings(() => migrateLegacyData({ from, to }));
+  assert.deepEqual(result, []);
+});
+
+test('a failed copy warns how to keep using the old folder', () => {
+  const { from } = legacySetup();
+  const blocker = path.join(testDataDir, `not-a-dir-${Date.now()}`);
+  fs.writeFileSync(blocker, '');
+
+  const { result, warnings } = captureWarnings(() => migrateLegacyData({ from, to: path.join(blocker, 'data') }));
+  assert.deepEqual(result, []);
+  assert.match(warnings[0], new RegExp(`BIGDECK_DATA_DIR=${from}`));
+});
+
+test('without an old data/ folder there is nothing to do', () => {
+  const root = fs.mkdtempSync(path.join(testDataDir, 'fresh-'));
+  const { result, warnings } = captureWarnings(() => migrateLegacyData({ from: path.join(root, 'data'), to: path.join(root, 'home') }));
+  assert.deepEqual(result, []);
+  assert.deepEqual(warnings, []);
+});
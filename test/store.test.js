@@ -0,0 +1,216 @@
+import { testDataDir } from './setup.js';
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { DataStore } from '../src/data/store.js';
+import { MemoryAdapter, JsonFileAdapter, SqliteAdapter } from '../src/data/storage.js';
+import { hasSqliteDriver } from './helpers.js';
+
+const solRing = { name: 'Sol Ring', quantity: 2, set: 'c21', collectorNumber: '263' };
+
+const adapters = {
+  memory: () => new MemoryAdapter(),
+  json: () => new JsonFileAdapter({ dataDir: fs.mkdtempSync(path.join(testDataDir, 'store-')) }),
+  sqlite: () => new SqliteAdapter({ dataDir: fs.mkdtempSync(path.join(testDataDir, 'store-')) }),
+};
+const skip = { sqlite: !hasSqliteDriver && 'better-sqlite3 is not installed' };
+
+for (const [adapterName, createAdapter] of Object.entries(adapters)) {
+  describe(`${adapterName} storage`, { skip: skip[adapterName] }, () => {
+    let store;
+    beforeEach(() => {
+      store = new DataStore(createAdapter(), { historyLimit: 5 });
+    });
+
+    describe('recordSale', () => {
+      test('removes the copies sold and undoes as one step', () => {
+        store.addCard('alice', solRing);
+        const result = store.recordSale('alice', { cardName: 'Sol Ring', price: 3, quantity: 2 });
+
+        assert.equal(result.success, true);
+        assert.deepEqual(store.getInventory('alice'), []);
+        assert.equal(store.getSales('alice').length, 1);
+
+        store.undo('alice');
+        assert.equal(store.getInventory('alice')[0].quantity, 2);
+        assert.deepEqual(store.getSales('alice'), []);
+      });
+
+      test('sells one copy when no quantity is given', () => {
+        store.addCard('alice', solRing);
+        const result = store.recordSale('alice', { cardName: 'Sol Ring', price: 3 });
+
+        assert.equal(result.message, 'Recorded sale of 1x Sol Ring for $3');
+        assert.equal(result.sale.quantity, 1);
+        assert.equal(store.getInventory('alice')[0].quantity, 1);
+      });
+
+      test('refuses a card that is not in inventory', () => {
+        const result = store.recordSale('alice', { cardName: 'Sol Ring', price: 3 });
+
+        assert.equal(result.success, false);
+        assert.match(result.message, /not found in inventory/);
+        assert.deepEqual(store.getSales('alice'), []);
+        assert.deepEqual(store.getJournal('alice'), []);
+      });
+
+      test('refuses more copies than the inventory has', () => {
+        store.addCard('alice', solRing);
+        const result = store.recordSale('alice', { cardName: 'Sol Ring', price: 9, quantity: 3 });
+
+        assert.equal(result.success, false);
+        assert.equal(result.message, 'Can\'t record a sale of 3x Sol Ring: inventory only has 2');
+        assert.equal(store.getInventory('alice')[0].quantity, 2);
+        assert.deepEqual(store.getSales('alice'), []);
+      });
+
+      test('refuses copies of another printing', () => {
+        store.addCard('alice', solRing);
+        const result = store.recordSale('alice', { cardName: 'Sol Ring', price: 3, set: 'cmr' });
+
+        assert.equal(result.success, false);
+        assert.equal(store.getInventory('alice')[0].quantity, 2);
+      });
+    });
+
+    describe('importCards', () => {
+      const imported = quantity => [{ name: 'Sol Ring', quantity, folder: 'Binder' }];
+
+      test('importing the same cards again changes nothing', () => {
+        store.importCards('alice', imported(3));
+        const again = store.importCards('alice', imported(3));
+
+        assert.equal(again.unchanged, 1);
+        assert.deepEqual(again.changes, []);
+        assert.equal(store.getInventory('alice')[0].quantity, 3);
+      });
+
+      test('copies added by hand survive a re-import', () => {
+        store.importCards('alice', imported(3));
+        store.addCard('alice', { name: 'Sol Ring', quantity: 2, folder: 'Binder' });
+        store.importCards('alice', imported(3));
+
+        const [card] = store.getInventory('alice');
+        assert.equal(card.quantity, 5);
+        assert.equal(card.importedQuantity, 3);
+      });
+
+      test('a new count replaces the previously imported copies only', () => {
+        store.importCards('alice', imported(3));
+        store.addCard('alice', { name: 'Sol Ring', quantity: 1, folder: 'Binder' });
+        const result = store.importCards('alice', imported(1));
+
+        assert.equal(result.updated, 1);
+        assert.equal(store.getInventory('alice')[0].quantity, 2);
+      });
+
+      test('cards added by hand before any import are kept', () => {
+        store.addCard('alice', { name: 'Sol Ring', quantity: 2, folder: 'Binder' });
+        store.importCards('alice', imported(3));
+        store.importCards('alice', imported(3));
+
+        assert.equal(store.getInventory('alice')[0].quantity, 5);
+      });
+
+      test('copies moved out of the folder do not carry the import count', () => {
+        store.importCards('alice', imported(3));
+        store.moveCard('alice', 'Sol Ring', 'Deck Box', 1);
+
+        const moved = store.getInventory('alice').find(card => card.folder === 'Deck Box');
+        assert.equal(moved.importedQuantity, undefined);
+        store.importCards('alice', imported(3));
+        assert.equal(store.getInventory('alice').find(card => card.folder === 'Binder').quantity, 3);
+      });
+    });
+
+    describe('undo and redo', () => {
+      // Change a deck behind the journal's back, as another process might
+      const editDirectly = (deck, updates) => store.adapter.commit('alice', [
+        { action: deck ? 'update' : 'create', collection: 'decks', id: updates.id, before: deck, after: { ...deck, ...updates } },
+      ]);
+
+      test('drops an undo step that no longer applies and reports it', () => {
+        store.createDeck('alice', { name: 'Deck 1' });
+        const { deck } = store.createDeck('alice', { name: 'Deck 2' });
+        editDirectly(deck, { id: deck.id, name: 'Renamed' });
+
+        const skipped = store.undo('alice');
+        assert.equal(skipped.success, false);
+        assert.equal(skipped.skipped, 'Created deck "Deck 2"');
+        assert.match(skipped.message, /^Can't undo the last change \(Created deck "Deck 2"\): the decks record .+ has changed since\. It was dropped/);
+        assert.equal(store.getHistory('alice').undo.length, 1);
+
+        // The next undo steps past it instead of failing again
+        assert.equal(store.undo('alice').message, 'Undid: Created deck "Deck 1"');
+        assert.deepEqual(store.getDecks('alice').map(d => d.name), ['Renamed']);
+        assert.equal(store.redo('alice').message, 'Redid: Created deck "Deck 1"');
+        assert.equal(store.redo('alice').success, false);
+      });
+
+      test('drops a redo step that no longer applies and reports it', () => {
+        const { deck } = store.createDeck('alice', { name: 'Deck 1' });
+        store.undo('alice');
+        editDirectly(null, { ...deck, name: 'Recreated' });
+
+        const skipped = store.redo('alice');
+        assert.equal(skipped.success, false);
+        assert.equal(skipped.skipped, 'Created deck "Deck 1"');
+        assert.deepEqual(store.getHistory('alice').redo, []);
+        assert.equal(store.redo('alice').message, 'Nothing to redo');
+      });
+
+      test('keeps a dropped step out of a compacted history', () => {
+        const { deck } = store.createDeck('alice', { name: 'Deck 1' });
+        editDirectly(deck, { id: deck.id, name: 'Renamed' });
+        store.undo('alice');
+
+        store.compactJournal('alice', { force: true });
+        assert.equal(store.undo('alice').message, 'Nothing to undo');
+      });
+    });
+
+    describe('journal compaction', () => {
+      test('keeps the journal bounded and the last steps undoable', () => {
+        for (let i = 1; i <= 23; i++) store.createDeck('alice', { name: `Deck ${i}` });
+
+        // Compacted at the 15th deck, down to a snapshot of 5 steps, then 8 more
+        assert.equal(store.getJournal('alice').length, 9);
+        assert.equal(store.getHistory('alice').undo.length, 13);
+
+        // Undoing journals too, so the history may be compacted again on the way
+        let deck = 23;
+        for (let result; (result = store.undo('alice')).success; deck--) {
+          assert.equal(result.message, `Undid: Created deck "Deck ${deck}"`);
+        }
+        assert.ok(deck <= 23 - 5, `only ${23 - deck} steps could be undone`);
+        assert.equal(store.getDecks('alice').length, deck);
+        assert.ok(store.getJournal('alice').length <= 10);
+
+        assert.equal(store.redo('alice').message, `Redid: Created deck "Deck ${deck + 1}"`);
+        assert.equal(store.getDecks('alice').length, deck + 1);
+      });
+
+      test('keeps the redo history through a snapshot', () => {
+        for (let i = 1; i <= 3; i++) store.createDeck('alice', { name: `Deck ${i}` });
+        store.undo('alice');
+        store.undo('alice');
+
+        assert.equal(store.compactJournal('alice', { force: true }), true);
+        assert.equal(store.getJournal('alice').length, 1);
+        assert.equal(store.redo('alice').message, 'Redid: Created deck "Deck 2"');
+        assert.equal(store.redo('alice').message, 'Redid: Created deck "Deck 3"');
+        assert.equal(store.redo('alice').success, false);
+      });
+
+      test("leaves other users' entries alone", () => {
+        store.createDeck('bob', { name: 'Bob Deck' });
+        for (let i = 1; i <= 12; i++) store.createDeck('alice', { name: `Deck ${i}` });
+        store.compactJournal('alice', { force: true });
+
+        assert.equal(store.getJournal('bob').length, 1);
+        assert.equal(store.undo('bob').message, 'Undid: Created deck "Bob Deck"');
+      });
+    });
+  });
+}
@@ -0,0 +1,44 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateToolArgs } from '../src/tools/validation.js';
+import { parseToolArguments } from '../src/tools/formats.js';
+import { executeTool } from '../src/tools/handlers.js';
+
+test('unknown top-level arguments are rejected', () => {
+  const result = validateToolArgs('search_scryfall', { query: 'Sol Ring', limt: 5 });
+  assert.equal(result.success, false);
+  assert.equal(result.issues[0].code, 'unrecognized_keys');
+});
+
+test('nested objects keep fields the schema does not list', () => {
+  const result = validateToolArgs('assess_power_level', {
+    decklist: [{ name: 'Sol Ring', type: 'Artifact', cmc: 1, set: 'c21' }]
+  });
+  assert.equal(result.success, true);
+  assert.equal(result.data.decklist[0].set, 'c21');
+});
+
+test('malformed JSON arguments fail validation', () => {
+  const args = parseToolArguments('{"query": "Sol Ring"');
+  const result = validateToolArgs('search_scryfall', args);
+  assert.equal(result.success, false);
+  assert.equal(result.issues[0].code, 'invalid_json');
+});
+
+test('an argument named _raw is validated like any other', () => {
+  const result = validateToolArgs('search_scryfall', { query: 'Sol Ring', _raw: 'x' });
+  assert.equal(result.success, false);
+  assert.deepEqual(result.issues.map((issue) => issue.code), ['unrecognized_keys']);
+});
+
+test('executeTool answers malformed JSON with INVALID_ARGUMENTS', async () => {
+  const result = await executeTool('get_decks', parseToolArguments('{not json'));
+  assert.equal(result.success, false);
+  assert.equal(result.error.code, 'INVALID_ARGUMENTS');
+});
+
+test('null optional fields are treated as omitted', () => {
+  const result = validateToolArgs('get_decks', { deckName: null });
+  assert.equal(result.success, true);
+});
@@ -0,0 +1,48 @@
+/**
+ * Stress Test Worker
+ * One process hammering a shared data directory; spawned by
+ * concurrency.test.js.
+ *
+ * Usage: node storeWorker.js <mode> <dataDir> <worker> <iterations> [historyLimit]
+ *   store:   alternate adding a card every worker shares, adding the worker's
+ *            own card, and creating and deleting the worker's decks
+ *   counter: increment a counter file under its lock with writeFileAtomic
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DataStore } from '../../src/data/store.js';
+import { JsonFileAdapter } from '../../src/data/storage.js';
+import { withFileLocks, writeFileAtomic } from '../../src/data/adapters/fileLock.js';
+
+const [mode, dataDir, worker, iterations, historyLimit = '100000'] = process.argv.slice(2);
+const count = parseInt(iterations, 10);
+
+if (mode === 'counter') {
+  const file = path.join(dataDir, 'counter.json');
+  for (let i = 0; i < count; i++) {
+    withFileLocks([file], () => {
+      const { value } = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : { value: 0 };
+      writeFileAtomic(file, JSON.stringify({ value: value + 1 }));
+    });
+  }
+} else {
+  const store = new DataStore(new JsonFileAdapter({ dataDir }), { historyLimit: parseInt(historyLimit, 10) });
+  const userId = `worker${worker}`;
+
+  for (let i = 0; i < count; i++) {
+    switch (i % 4) {
+      case 0:
+        store.addCard('shared', { name: 'Sol Ring', quantity: 1 });
+        break;
+      case 1:
+        store.addCard(userId, { name: `Card ${worker}`, quantity: 1 });
+        break;
+      case 2:
+        store.createDeck(userId, { name: `Deck ${worker}-${i}` });
+        break;
+      default:
+        store.deleteDeck(userId, `Deck ${worker}-${i - 1}`);
+    }
+  }
+}